@@ -12,6 +12,8 @@ import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
 import ForgotPassword from './pages/auth/ForgotPassword';
 import ResetPassword from './pages/auth/ResetPassword';
+import TwoFactorChallenge from './pages/auth/TwoFactorChallenge';
+import TwoFactorSetup from './pages/auth/TwoFactorSetup';
 
 // Protected Pages
 import Dashboard from './pages/Dashboard';
@@ -20,7 +22,9 @@ import HospitalDashboard from './pages/hospital/Dashboard';
 import DonorProfile from './pages/donor/Profile';
 import HospitalProfile from './pages/hospital/Profile';
 import DonorSearch from './pages/donor/Search';
+import DonorQuestionnaire from './pages/donor/Questionnaire';
 import HospitalSearch from './pages/hospital/Search';
+import AcceptInvitation from './pages/hospital/AcceptInvitation';
 
 // Public Pages
 import Home from './pages/Home';
@@ -46,6 +50,8 @@ function App() {
               <Route path="/about" element={<About />} />
               <Route path="/contact" element={<Contact />} />
               <Route path="/login" element={<Login />} />
+              <Route path="/login/two-factor" element={<TwoFactorChallenge />} />
+              <Route path="/two-factor/setup" element={<TwoFactorSetup />} />
               <Route path="/register" element={<Register />} />
               <Route path="/forgot-password" element={<ForgotPassword />} />
               <Route path="/reset-password/:token" element={<ResetPassword />} />
@@ -99,6 +105,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/donor/questionnaire"
+                element={
+                  <ProtectedRoute>
+                    <DonorQuestionnaire />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/hospital/search"
                 element={
@@ -107,6 +121,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/hospital/invitations/accept"
+                element={
+                  <ProtectedRoute>
+                    <AcceptInvitation />
+                  </ProtectedRoute>
+                }
+              />
             </Routes>
           </main>
           <Footer />
@@ -20,7 +20,7 @@ export default function ForgotPassword() {
       setIsSubmitted(true);
       toast.success('Password reset instructions have been sent to your email.');
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to send reset instructions');
+      toast.error(error.response?.data?.msg || error.response?.data?.message || 'Failed to send reset instructions');
     } finally {
       setSubmitting(false);
     }
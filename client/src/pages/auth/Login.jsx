@@ -20,11 +20,15 @@ export default function Login() {
     try {
       setIsSubmitting(true);
       const resultAction = await dispatch(login(values));
-      if (login.fulfilled.match(resultAction)) {
+      if (login.fulfilled.match(resultAction) && resultAction.payload.twoFactor) {
+        // The password was right; the second factor (or enrolling one) comes next
+        navigate(resultAction.payload.twoFactor.mode === 'verify' ? '/login/two-factor' : '/two-factor/setup');
+      } else if (login.fulfilled.match(resultAction)) {
         toast.success('Login successful!');
         navigate(resultAction.payload.user.role === 'donor' ? '/donor/dashboard' : '/hospital/dashboard');
       } else {
-        toast.error(resultAction.payload?.message || 'Login failed');
+        // Throttled and locked-out attempts explain when to try again
+        toast.error(resultAction.payload?.msg || resultAction.payload?.message || 'Login failed');
       }
     } catch (error) {
       toast.error(error.message || 'Login failed');
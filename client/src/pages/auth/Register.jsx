@@ -22,7 +22,7 @@ const validationSchema = Yup.object({
     .required('Phone number is required')
     .matches(/^[0-9]{10}$/, 'Phone number must be 10 digits'),
   role: Yup.string()
-    .oneOf(['donor', 'hospital', 'admin', 'coordinator'], 'Invalid role')
+    .oneOf(['donor', 'hospital'], 'Invalid role')
     .required('Role is required'),
   location: Yup.string()
     .required('Location is required')
@@ -183,8 +183,6 @@ const Register = () => {
                     >
                       <option value="donor">Donor</option>
                       <option value="hospital">Hospital</option>
-                      <option value="admin">Admin</option>
-                      <option value="coordinator">Coordinator</option>
                     </Field>
                     {errors.role && touched.role && (
                       <div className="text-red-500 text-sm mt-1">{errors.role}</div>
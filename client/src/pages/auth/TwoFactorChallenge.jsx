@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Formik, Form, Field } from 'formik';
+import * as Yup from 'yup';
+import toast from 'react-hot-toast';
+import { verifyTwoFactor } from '../../store/slices/authSlice';
+
+const codeSchema = Yup.object({
+  code: Yup.string()
+    .matches(/^\d{6}$/, 'Enter the 6-digit code from your authenticator app')
+    .required('Code is required'),
+});
+
+const recoveryCodeSchema = Yup.object({
+  code: Yup.string().required('Recovery code is required'),
+});
+
+export default function TwoFactorChallenge() {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const twoFactor = useSelector((state) => state.auth.twoFactor);
+
+  // The challenge only exists after a correct password
+  if (!twoFactor) {
+    return <Navigate to="/login" />;
+  }
+
+  const handleSubmit = async (values, { setSubmitting, resetForm }) => {
+    try {
+      const factor = useRecoveryCode ? { recoveryCode: values.code } : { code: values.code };
+      const resultAction = await dispatch(verifyTwoFactor(factor));
+      if (verifyTwoFactor.fulfilled.match(resultAction)) {
+        toast.success('Login successful!');
+        navigate(resultAction.payload.user.role === 'donor' ? '/donor/dashboard' : '/hospital/dashboard');
+      } else {
+        toast.error(resultAction.payload?.msg || 'Verification failed');
+        resetForm();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Two-factor authentication
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          <Formik
+            key={useRecoveryCode ? 'recovery' : 'code'}
+            initialValues={{ code: '' }}
+            validationSchema={useRecoveryCode ? recoveryCodeSchema : codeSchema}
+            onSubmit={handleSubmit}
+          >
+            {({ errors, touched, isSubmitting }) => (
+              <Form className="space-y-6">
+                <div>
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                    {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                  </label>
+                  <div className="mt-1">
+                    <Field
+                      id="code"
+                      name="code"
+                      type="text"
+                      autoComplete="one-time-code"
+                      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                      autoFocus
+                      className={`appearance-none block w-full px-3 py-2 border rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm ${
+                        errors.code && touched.code ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.code && touched.code && (
+                      <p className="mt-1 text-sm text-red-500">{errors.code}</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+                    className="font-medium text-blue-600 hover:text-blue-500"
+                  >
+                    {useRecoveryCode ? 'Use an authentication code' : 'Use a recovery code'}
+                  </button>
+                  <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+                    Start over
+                  </Link>
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                  >
+                    {isSubmitting ? 'Verifying...' : 'Verify'}
+                  </button>
+                </div>
+              </Form>
+            )}
+          </Formik>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Formik, Form, Field } from 'formik';
+import * as Yup from 'yup';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../services/api';
+import { enableTwoFactor } from '../../store/slices/authSlice';
+
+const validationSchema = Yup.object({
+  code: Yup.string()
+    .matches(/^\d{6}$/, 'Enter the 6-digit code from your authenticator app')
+    .required('Code is required'),
+});
+
+export default function TwoFactorSetup() {
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [user, setUser] = useState(null);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const twoFactor = useSelector((state) => state.auth.twoFactor);
+
+  // Enroll from a login challenge, or from an existing session. Both are read once,
+  // since confirming a challenge enrollment logs the user in and clears the challenge
+  const [challengeToken] = useState(() => (twoFactor?.mode === 'setup' ? twoFactor.challengeToken : null));
+  const [canEnroll] = useState(() => Boolean(challengeToken || localStorage.getItem('token')));
+
+  useEffect(() => {
+    if (!canEnroll) {
+      return undefined;
+    }
+
+    let ignore = false;
+    authAPI
+      .setupTwoFactor(challengeToken ? { challengeToken } : {})
+      .then((response) => {
+        if (!ignore) {
+          setEnrollment(response.data);
+        }
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.msg || 'Could not start two-factor setup');
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [canEnroll, challengeToken]);
+
+  if (!canEnroll) {
+    return <Navigate to="/login" />;
+  }
+
+  const handleSubmit = async (values, { setSubmitting, resetForm }) => {
+    try {
+      const resultAction = await dispatch(enableTwoFactor(values.code));
+      if (enableTwoFactor.fulfilled.match(resultAction)) {
+        setRecoveryCodes(resultAction.payload.recoveryCodes);
+        setUser(resultAction.payload.user || null);
+        toast.success('Two-factor authentication enabled');
+      } else {
+        toast.error(resultAction.payload?.msg || 'Verification failed');
+        resetForm();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleContinue = () => {
+    if (!user) {
+      navigate(-1);
+      return;
+    }
+    navigate(user.role === 'donor' ? '/donor/dashboard' : '/hospital/dashboard');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Set up two-factor authentication
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          {challengeToken
+            ? 'Your account requires a second factor before you can sign in.'
+            : 'Protect your account with a code from an authenticator app.'}
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {recoveryCodes ? (
+            <div className="space-y-6">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Save your recovery codes</h3>
+                <p className="mt-1 text-sm text-gray-600">
+                  Each code can be used once to sign in if you lose your authenticator.
+                  They won&apos;t be shown again.
+                </p>
+              </div>
+              <ul className="grid grid-cols-2 gap-2 rounded-md bg-gray-50 p-4 font-mono text-sm text-gray-900">
+                {recoveryCodes.map((code) => (
+                  <li key={code}>{code}</li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                onClick={handleContinue}
+                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                I have saved my recovery codes
+              </button>
+            </div>
+          ) : !enrollment ? (
+            <p className="text-center text-sm text-gray-600">Preparing your authenticator setup...</p>
+          ) : (
+            <div className="space-y-6">
+              <div className="text-sm text-gray-600">
+                <p>1. Scan this QR code with your authenticator app.</p>
+                <div className="mt-4 flex justify-center">
+                  <img src={enrollment.qrCode} alt="Authenticator QR code" className="h-48 w-48" />
+                </div>
+                <p className="mt-4">
+                  Can&apos;t scan it? Enter this key instead:
+                </p>
+                <p className="mt-1 break-all rounded-md bg-gray-50 p-2 text-center font-mono text-gray-900">
+                  {enrollment.secret}
+                </p>
+              </div>
+
+              <Formik
+                initialValues={{ code: '' }}
+                validationSchema={validationSchema}
+                onSubmit={handleSubmit}
+              >
+                {({ errors, touched, isSubmitting }) => (
+                  <Form className="space-y-6">
+                    <div>
+                      <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                        2. Enter the 6-digit code it shows
+                      </label>
+                      <div className="mt-1">
+                        <Field
+                          id="code"
+                          name="code"
+                          type="text"
+                          autoComplete="one-time-code"
+                          inputMode="numeric"
+                          className={`appearance-none block w-full px-3 py-2 border rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm ${
+                            errors.code && touched.code ? 'border-red-500' : 'border-gray-300'
+                          }`}
+                        />
+                        {errors.code && touched.code && (
+                          <p className="mt-1 text-sm text-red-500">{errors.code}</p>
+                        )}
+                      </div>
+                    </div>
+
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      {isSubmitting ? 'Verifying...' : 'Turn on two-factor authentication'}
+                    </button>
+                  </Form>
+                )}
+              </Formik>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -22,6 +22,75 @@ const donationSchema = Yup.object().shape({
   description: Yup.string().required('Please provide a description'),
 });
 
+const DONATION_TYPE_LABELS = {
+  blood: 'Whole blood',
+  red_cells: 'Red cells',
+  plasma: 'Plasma',
+  platelets: 'Platelets',
+  organ: 'Organ',
+};
+
+function EligibilityStatus() {
+  const [eligibility, setEligibility] = useState(null);
+
+  useEffect(() => {
+    const fetchEligibility = async () => {
+      try {
+        const response = await donorAPI.getEligibility();
+        setEligibility(response.data);
+      } catch (error) {
+        console.error('Error fetching eligibility:', error);
+      }
+    };
+
+    fetchEligibility();
+  }, []);
+
+  if (!eligibility) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Donation Eligibility</h2>
+      <div className="space-y-3">
+        {eligibility.donationTypes.map((entry) => (
+          <div key={entry.donationType} className="border rounded-lg p-3">
+            <div className="flex justify-between items-center">
+              <span className="font-medium">{DONATION_TYPE_LABELS[entry.donationType]}</span>
+              <span
+                className={`px-2 py-1 rounded text-sm ${
+                  entry.eligible ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                }`}
+              >
+                {entry.eligible
+                  ? 'Eligible'
+                  : entry.eligibleFrom
+                  ? `Eligible from ${new Date(entry.eligibleFrom).toLocaleDateString()}`
+                  : 'Deferred'}
+              </span>
+            </div>
+            {entry.deferrals.length > 0 && (
+              <ul className="mt-2 space-y-1 text-sm text-gray-600">
+                {entry.deferrals.map((deferral, index) => (
+                  <li key={`${deferral.code}-${index}`}>
+                    {deferral.reason}
+                    {deferral.until
+                      ? ` (until ${new Date(deferral.until).toLocaleDateString()})`
+                      : deferral.deferralType === 'permanent'
+                      ? ' (permanent)'
+                      : ' (until this no longer applies)'}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 export default function DonorDashboard() {
   const { user } = useSelector((state) => state.auth);
   const [requests, setRequests] = useState([]);
@@ -90,6 +159,12 @@ export default function DonorDashboard() {
           <div className="bg-white p-6 rounded-lg shadow-md">
             <h2 className="text-xl font-semibold mb-4">I Want to Donate</h2>
             <div className="space-y-4">
+              <Link
+                to="/donor/questionnaire"
+                className="block w-full text-center bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+              >
+                Pre-donation Questionnaire
+              </Link>
               <button
                 onClick={() => {
                   setDonationType('blood');
@@ -241,6 +316,8 @@ export default function DonorDashboard() {
         </div>
       )}
 
+      <EligibilityStatus />
+
       {/* Recent Requests */}
       <div className="bg-white p-6 rounded-lg shadow-md">
         <h2 className="text-xl font-semibold mb-4">Recent Requests</h2>
@@ -0,0 +1,215 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Formik, Form, Field } from 'formik';
+import toast from 'react-hot-toast';
+import { questionnaireAPI } from '../../services/api';
+
+const donationTypes = [
+  { value: 'blood', label: 'Whole blood' },
+  { value: 'red_cells', label: 'Red cells' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'platelets', label: 'Platelets' },
+];
+
+// Yes/no answers are kept as strings in the form and sent as booleans
+const toAnswers = (questionnaire, values) => {
+  const answers = {};
+  questionnaire.questions.forEach((question) => {
+    const value = values[question.key];
+    if (value === '' || value === undefined) return;
+    answers[question.key] = question.answerType === 'yes_no' ? value === 'yes' : value;
+  });
+  return answers;
+};
+
+const validate = (questionnaire) => (values) => {
+  const errors = {};
+  questionnaire.questions.forEach((question) => {
+    if (question.required && (values[question.key] === '' || values[question.key] === undefined)) {
+      errors[question.key] = 'This question needs an answer';
+    }
+  });
+  return errors;
+};
+
+function QuestionField({ question }) {
+  const inputClass =
+    'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+
+  switch (question.answerType) {
+    case 'yes_no':
+      return (
+        <div className="mt-2 flex space-x-6">
+          <label className="flex items-center">
+            <Field type="radio" name={question.key} value="yes" className="mr-2" />
+            Yes
+          </label>
+          <label className="flex items-center">
+            <Field type="radio" name={question.key} value="no" className="mr-2" />
+            No
+          </label>
+        </div>
+      );
+    case 'number':
+      return <Field type="number" name={question.key} className={inputClass} />;
+    case 'date':
+      return <Field type="date" name={question.key} className={inputClass} />;
+    case 'choice':
+      return (
+        <Field as="select" name={question.key} className={inputClass}>
+          <option value="">Select an answer</option>
+          {question.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </Field>
+      );
+    default:
+      return <Field as="textarea" name={question.key} rows="3" className={inputClass} />;
+  }
+}
+
+export default function DonorQuestionnaire() {
+  const [donationType, setDonationType] = useState('blood');
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const fetchQuestionnaire = async () => {
+      setLoading(true);
+      setResult(null);
+      try {
+        const response = await questionnaireAPI.getActive(donationType);
+        setQuestionnaire(response.data);
+      } catch (error) {
+        setQuestionnaire(null);
+        toast.error(error.response?.data?.msg || 'Failed to load the questionnaire');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQuestionnaire();
+  }, [donationType]);
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      const response = await questionnaireAPI.submitResponse(questionnaire._id, {
+        donationType,
+        answers: toAnswers(questionnaire, values),
+      });
+      setResult(response.data);
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0] || data?.msg || 'Failed to submit the questionnaire');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold">Pre-donation Questionnaire</h1>
+          <Link to="/donor/dashboard" className="text-blue-600 hover:text-blue-800">
+            Back to dashboard
+          </Link>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          <label className="block text-sm font-medium text-gray-700">Donation type</label>
+          <select
+            value={donationType}
+            onChange={(e) => setDonationType(e.target.value)}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          >
+            {donationTypes.map((type) => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <p>Loading questionnaire...</p>
+        ) : result ? (
+          <div
+            className={`p-6 rounded-lg shadow-md ${
+              result.outcome === 'cleared' ? 'bg-green-50' : 'bg-red-50'
+            }`}
+          >
+            {result.outcome === 'cleared' ? (
+              <>
+                <h2 className="text-xl font-semibold text-green-800">You are cleared to donate</h2>
+                <p className="mt-2 text-gray-700">
+                  Your answers are valid until {new Date(result.validUntil).toLocaleString()}. Please
+                  donate before then or fill in the questionnaire again.
+                </p>
+              </>
+            ) : (
+              <>
+                <h2 className="text-xl font-semibold text-red-800">You cannot donate right now</h2>
+                <ul className="mt-2 space-y-1 text-gray-700">
+                  {result.deferrals.map((deferral) => (
+                    <li key={deferral.questionKey}>
+                      {deferral.reason}
+                      {deferral.until
+                        ? ` (until ${new Date(deferral.until).toLocaleDateString()})`
+                        : deferral.deferralType === 'permanent'
+                        ? ' (permanent)'
+                        : ' (until this no longer applies)'}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        ) : questionnaire ? (
+          <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-semibold">{questionnaire.title}</h2>
+            <p className="text-sm text-gray-500 mb-6">Version {questionnaire.version}</p>
+            <Formik
+              initialValues={Object.fromEntries(questionnaire.questions.map((q) => [q.key, '']))}
+              validate={validate(questionnaire)}
+              onSubmit={handleSubmit}
+              enableReinitialize
+            >
+              {({ errors, touched, isSubmitting }) => (
+                <Form className="space-y-6">
+                  {questionnaire.questions.map((question) => (
+                    <div key={question.key}>
+                      <label className="block text-sm font-medium text-gray-700">
+                        {question.text}
+                        {question.required && <span className="text-red-600"> *</span>}
+                      </label>
+                      <QuestionField question={question} />
+                      {errors[question.key] && touched[question.key] && (
+                        <p className="mt-1 text-sm text-red-600">{errors[question.key]}</p>
+                      )}
+                    </div>
+                  ))}
+
+                  <div className="flex justify-end">
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Submit Answers
+                    </button>
+                  </div>
+                </Form>
+              )}
+            </Formik>
+          </div>
+        ) : (
+          <p className="text-gray-600">No questionnaire is available for this donation type.</p>
+        )}
+      </div>
+    </div>
+  );
+}
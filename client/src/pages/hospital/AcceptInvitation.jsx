@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { hospitalAPI } from '../../services/api';
+
+export default function AcceptInvitation() {
+  const [searchParams] = useSearchParams();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const handleAccept = async () => {
+    setIsSubmitting(true);
+    try {
+      await hospitalAPI.acceptInvitation(token);
+      toast.success('You have joined the hospital staff');
+      navigate('/hospital/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.msg || 'Could not accept the invitation');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Join a hospital
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          {token
+            ? 'You have been invited to join a hospital staff. Accept to start working with its requests and matches.'
+            : 'This invitation link is incomplete. Open the link from your invitation email again.'}
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 space-y-6">
+          <button
+            type="button"
+            onClick={handleAccept}
+            disabled={!token || isSubmitting}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Joining...' : 'Accept invitation'}
+          </button>
+          <p className="text-center text-sm">
+            <Link to="/hospital/dashboard" className="font-medium text-blue-600 hover:text-blue-500">
+              Not now
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,30 @@ import { useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
 import { hospitalAPI } from '../../services/api';
 
+function FulfillmentProgress({ request }) {
+  const unitsRequested = request.bloodQuantity || 1;
+  const unitsSecured = request.fulfillment?.unitsSecured || 0;
+  const unitsPending = request.fulfillment?.unitsPending || 0;
+  const percent = Math.min(100, Math.round((unitsSecured / unitsRequested) * 100));
+
+  return (
+    <div className="mt-3">
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>
+          {unitsSecured} of {unitsRequested} units secured
+        </span>
+        {unitsPending > 0 && <span>{unitsPending} awaiting donors</span>}
+      </div>
+      <div className="mt-1 h-2 w-full bg-gray-200 rounded">
+        <div
+          className={`h-2 rounded ${percent === 100 ? 'bg-green-600' : 'bg-blue-600'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
 export default function HospitalDashboard() {
   const { user } = useSelector((state) => state.auth);
   const [requests, setRequests] = useState([]);
@@ -12,7 +36,7 @@ export default function HospitalDashboard() {
     const fetchRequests = async () => {
       try {
         const response = await hospitalAPI.getRequests();
-        setRequests(response.data);
+        setRequests(response.data.requests || []);
       } catch (error) {
         console.error('Error fetching requests:', error);
       } finally {
@@ -69,16 +93,21 @@ export default function HospitalDashboard() {
                 >
                   <div className="flex justify-between items-start">
                     <div>
-                      <h3 className="font-semibold">{request.type}</h3>
+                      <h3 className="font-semibold">
+                        {request.requestType === 'blood'
+                          ? `${request.bloodType} blood (${request.bloodComponent})`
+                          : `${request.organType} transplant`}
+                      </h3>
                       <p className="text-sm text-gray-600">
-                        {request.donor.name}
+                        {request.recipientDetails?.urgencyLevel} · required by{' '}
+                        {new Date(request.requiredBy).toLocaleDateString()}
                       </p>
                     </div>
                     <span
                       className={`px-2 py-1 rounded text-sm ${
-                        request.status === 'pending'
+                        ['pending', 'searching'].includes(request.status)
                           ? 'bg-yellow-100 text-yellow-800'
-                          : request.status === 'accepted'
+                          : ['matched', 'in_progress', 'completed'].includes(request.status)
                           ? 'bg-green-100 text-green-800'
                           : 'bg-red-100 text-red-800'
                       }`}
@@ -86,9 +115,12 @@ export default function HospitalDashboard() {
                       {request.status}
                     </span>
                   </div>
-                  <p className="mt-2 text-sm text-gray-600">
-                    {request.description}
-                  </p>
+                  {request.notes && (
+                    <p className="mt-2 text-sm text-gray-600">{request.notes}</p>
+                  )}
+                  {request.requestType === 'blood' && (
+                    <FulfillmentProgress request={request} />
+                  )}
                 </div>
               ))}
             </div>
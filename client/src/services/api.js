@@ -18,10 +18,60 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Refresh calls made while another is in flight wait for the same result,
+// since each refresh token can only be exchanged once
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// When the access token has expired, refresh it once and retry the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config._retried || !localStorage.getItem('refreshToken')) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshTokens();
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch {
+      // The session is over; the user has to log in again
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Auth APIs
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
+  logout: (allDevices = false) => api.post('/auth/logout', { allDevices }),
+  verifyTwoFactor: (challengeToken, factor) => api.post('/auth/login', { challengeToken, ...factor }),
+  setupTwoFactor: (data = {}) => api.post('/auth/2fa/setup', data),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disableTwoFactor: (code) => api.post('/auth/2fa/disable', { code }),
   verifyEmail: (token) => api.get(`/auth/verify/${token}`),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (token, password) => api.post(`/auth/reset-password/${token}`, { password }),
@@ -38,9 +88,17 @@ export const donorAPI = {
   updateAvailability: (id, data) => api.patch(`/donors/${id}/availability`, data),
   getDonationHistory: (id) => api.get(`/donors/${id}/history`),
   addDonationRecord: (id, data) => api.post(`/donors/${id}/donation`, data),
+  getEligibility: (id = 'me') => api.get(`/donors/${id}/eligibility`),
   createDonationRequest: (data) => api.post('/requests', data),
 };
 
+// Questionnaire APIs
+export const questionnaireAPI = {
+  getActive: (donationType = 'blood') => api.get('/questionnaires/active', { params: { donationType } }),
+  submitResponse: (id, data) => api.post(`/questionnaires/${id}/responses`, data),
+  getMyResponses: () => api.get('/donors/me/questionnaire-responses'),
+};
+
 // Hospital APIs
 export const hospitalAPI = {
   createProfile: (data) => api.post('/hospitals', data),
@@ -51,7 +109,34 @@ export const hospitalAPI = {
   findNearbyHospitals: (params) => api.get('/hospitals/search/nearby', { params }),
   getRequests: () => api.get('/requests'),
   updateRequestStatus: (requestId, status) => api.patch(`/requests/${requestId}/status`, { status }),
-  searchHospitals: (params) => api.get('/hospitals/search', { params })
+  getRequestFulfillment: (requestId) => api.get(`/requests/${requestId}/fulfillment`),
+  searchHospitals: (params) => api.get('/hospitals/search', { params }),
+  getVerification: (id) => api.get(`/hospitals/${id}/verification`),
+  uploadLicenseDocuments: (id, files) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('documents', file));
+    return api.post(`/hospitals/${id}/verification/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  downloadLicenseDocument: (id, documentId) =>
+    api.get(`/hospitals/${id}/verification/documents/${documentId}`, { responseType: 'blob' }),
+  getMyHospital: () => api.get('/hospitals/me'),
+  getStaff: (id) => api.get(`/hospitals/${id}/staff`),
+  updateStaffRole: (id, membershipId, staffRole) => api.patch(`/hospitals/${id}/staff/${membershipId}`, { staffRole }),
+  removeStaff: (id, membershipId) => api.delete(`/hospitals/${id}/staff/${membershipId}`),
+  getInvitations: (id, params) => api.get(`/hospitals/${id}/invitations`, { params }),
+  inviteStaff: (id, data) => api.post(`/hospitals/${id}/invitations`, data),
+  revokeInvitation: (id, invitationId) => api.delete(`/hospitals/${id}/invitations/${invitationId}`),
+  acceptInvitation: (token) => api.post('/hospitals/invitations/accept', { token })
+};
+
+// Offer cascade APIs
+export const cascadeAPI = {
+  startCascade: (data) => api.post('/cascades', data),
+  getCascades: (params) => api.get('/cascades', { params }),
+  getCascadeById: (id) => api.get(`/cascades/${id}`),
+  cancelCascade: (id, reason) => api.patch(`/cascades/${id}/cancel`, { reason }),
 };
 
 export default api; 
\ No newline at end of file
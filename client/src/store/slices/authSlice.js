@@ -1,13 +1,25 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { authAPI } from '../../services/api';
 
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
 export const login = createAsyncThunk(
   'auth/login',
   async (credentials, { rejectWithValue }) => {
     try {
       const response = await authAPI.login(credentials);
+
+      // Accounts with two-factor authentication get a challenge instead of tokens
+      const { twoFactorRequired, twoFactorSetupRequired, challengeToken } = response.data;
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        return { twoFactor: { challengeToken, mode: twoFactorRequired ? 'verify' : 'setup' } };
+      }
+
       const { user, token } = response.data;
-      localStorage.setItem('token', token);
+      storeTokens(response.data);
       return { user, token };
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Login failed' });
@@ -15,6 +27,40 @@ export const login = createAsyncThunk(
   }
 );
 
+export const verifyTwoFactor = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (factor, { getState, rejectWithValue }) => {
+    try {
+      const challengeToken = getState().auth.twoFactor?.challengeToken;
+      const response = await authAPI.verifyTwoFactor(challengeToken, factor);
+      const { user, token } = response.data;
+      storeTokens(response.data);
+      return { user, token };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Verification failed' });
+    }
+  }
+);
+
+export const enableTwoFactor = createAsyncThunk(
+  'auth/enableTwoFactor',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const challengeToken = getState().auth.twoFactor?.challengeToken;
+      const response = await authAPI.enableTwoFactor(challengeToken ? { code, challengeToken } : { code });
+
+      // Enrolling from a login challenge also logs the user in
+      const { recoveryCodes, user, token } = response.data;
+      if (token) {
+        storeTokens(response.data);
+      }
+      return { recoveryCodes, user, token };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Verification failed' });
+    }
+  }
+);
+
 export const register = createAsyncThunk(
   'auth/register',
   async (userData, { rejectWithValue }) => {
@@ -27,6 +73,17 @@ export const register = createAsyncThunk(
   }
 );
 
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async (allDevices = false) => {
+    try {
+      await authAPI.logout(allDevices);
+    } catch {
+      // The session may already have ended; clear local state regardless
+    }
+  }
+);
+
 export const getCurrentUser = createAsyncThunk(
   'auth/getCurrentUser',
   async (_, { rejectWithValue }) => {
@@ -42,6 +99,8 @@ export const getCurrentUser = createAsyncThunk(
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  // Pending second-factor step of a login: { challengeToken, mode: 'verify' | 'setup' }
+  twoFactor: null,
   isAuthenticated: false,
   loading: false,
   error: null,
@@ -76,6 +135,8 @@ const authSlice = createSlice({
     },
     logout: (state) => {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      state.twoFactor = null;
       state.user = null;
       state.token = null;
       state.isAuthenticated = false;
@@ -99,6 +160,10 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.loading = false;
+        if (action.payload.twoFactor) {
+          state.twoFactor = action.payload.twoFactor;
+          return;
+        }
         state.user = action.payload.user;
         state.token = action.payload.token;
         state.isAuthenticated = true;
@@ -111,6 +176,32 @@ const authSlice = createSlice({
         state.token = null;
         state.isAuthenticated = false;
       })
+      // Two-factor verification
+      .addCase(verifyTwoFactor.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactor = null;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.isAuthenticated = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.msg || 'Verification failed';
+      })
+      // Two-factor enrollment
+      .addCase(enableTwoFactor.fulfilled, (state, action) => {
+        if (action.payload.token) {
+          state.twoFactor = null;
+          state.user = action.payload.user;
+          state.token = action.payload.token;
+          state.isAuthenticated = true;
+        }
+      })
       // Register
       .addCase(register.pending, (state) => {
         state.loading = true;
@@ -138,6 +229,18 @@ const authSlice = createSlice({
         state.user = null;
         state.token = null;
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+      })
+      // Logout
+      .addCase(logoutUser.fulfilled, (state) => {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        state.twoFactor = null;
+        state.user = null;
+        state.token = null;
+        state.isAuthenticated = false;
+        state.loading = false;
+        state.error = null;
       });
   },
 });
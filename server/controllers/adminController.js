@@ -0,0 +1,401 @@
+// controllers/adminController.js
+const MatchingRun = require('../models/MatchingRun');
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Donor = require('../models/Donor');
+const Request = require('../models/Request');
+const Hospital = require('../models/Hospital');
+const { runMatching, getSchedulerStatus } = require('../utils/matchingScheduler');
+const { buildAuditFilter, formatAuditCsv, verifyAuditChain } = require('../utils/auditLog');
+const { reloadKeyring, reencryptModel } = require('../utils/fieldEncryption');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { setVerificationStatus } = require('../utils/hospitalVerification');
+const { notifyHospitalVerificationDecision } = require('../utils/notifications');
+
+// Most records a single export returns; narrow the date range for more
+const MAX_AUDIT_EXPORT = 50000;
+
+/**
+ * @desc    Get matching scheduler status
+ * @route   GET /api/admin/matching/status
+ */
+exports.getMatchingStatus = async (req, res) => {
+  try {
+    const lastRun = await MatchingRun.findOne().sort({ startedAt: -1 });
+
+    res.json({
+      scheduler: getSchedulerStatus(),
+      lastRun
+    });
+  } catch (err) {
+    console.error('Get matching status error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get matching runs with filtering options
+ * @route   GET /api/admin/matching/runs
+ */
+exports.getMatchingRuns = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.trigger) {
+      filter.trigger = req.query.trigger;
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.startedAt = {};
+      if (req.query.from) {
+        filter.startedAt.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        filter.startedAt.$lte = new Date(req.query.to);
+      }
+    }
+
+    const runs = await MatchingRun.find(filter)
+      .populate('triggeredBy', 'name email')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ startedAt: -1 });
+
+    const total = await MatchingRun.countDocuments(filter);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    };
+
+    res.json({ runs, pagination });
+  } catch (err) {
+    console.error('Get matching runs error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get matching run by ID
+ * @route   GET /api/admin/matching/runs/:id
+ */
+exports.getMatchingRunById = async (req, res) => {
+  try {
+    const run = await MatchingRun.findById(req.params.id)
+      .populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return res.status(404).json({ msg: 'Matching run not found' });
+    }
+
+    res.json(run);
+  } catch (err) {
+    console.error('Get matching run error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Matching run not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Trigger a matching run immediately
+ * @route   POST /api/admin/matching/run
+ */
+exports.triggerMatchingRun = async (req, res) => {
+  try {
+    const run = await runMatching({ trigger: 'manual', triggeredBy: req.user.id });
+
+    if (!run) {
+      return res.status(409).json({ msg: 'A matching run is already in progress' });
+    }
+
+    res.status(201).json(run);
+  } catch (err) {
+    console.error('Trigger matching run error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get audit log records with filtering options
+ * @route   GET /api/admin/audit-logs
+ */
+exports.getAuditLogs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const startIndex = (page - 1) * limit;
+
+    const filter = buildAuditFilter(req.query);
+
+    const records = await AuditLog.find(filter)
+      .populate('actor.user', 'name email')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ sequence: -1 });
+
+    const total = await AuditLog.countDocuments(filter);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    };
+
+    res.json({ records, pagination });
+  } catch (err) {
+    console.error('Get audit logs error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Export audit log records as CSV or JSON
+ * @route   GET /api/admin/audit-logs/export
+ */
+exports.exportAuditLogs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const records = await AuditLog.find(buildAuditFilter(req.query))
+      .sort({ sequence: 1 })
+      .limit(MAX_AUDIT_EXPORT)
+      .lean();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(records);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(formatAuditCsv(records));
+  } catch (err) {
+    console.error('Export audit logs error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Check the audit log hash chain for tampering
+ * @route   GET /api/admin/audit-logs/verify
+ */
+exports.verifyAuditLogs = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    res.json(result);
+  } catch (err) {
+    console.error('Verify audit logs error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Re-encrypt medical data with the active encryption key
+ * @route   POST /api/admin/encryption/rotate
+ */
+exports.rotateEncryptionKeys = async (req, res) => {
+  try {
+    // Pick up a new active key added to the key file or environment
+    let keyring;
+    try {
+      keyring = reloadKeyring();
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    const donors = await reencryptModel(Donor);
+    const requests = await reencryptModel(Request);
+
+    res.json({ activeKeyId: keyring.activeKeyId, donors, requests });
+  } catch (err) {
+    console.error('Rotate encryption keys error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Create an admin or coordinator account (these roles can't be registered for)
+ *          The new user enrolls in two-factor authentication on first sign-in.
+ * @route   POST /api/admin/users
+ */
+exports.createStaffUser = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, email, password, phone, role, location } = req.body;
+
+  try {
+    if (await User.findOne({ email })) {
+      return res.status(400).json({ errors: [{ msg: 'User already exists' }] });
+    }
+
+    const user = new User({ name, email, password, phone, role, location, isVerified: true });
+    await user.save();
+
+    res.status(201).json({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    });
+  } catch (err) {
+    console.error('Create staff user error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Clear failed sign-in counters and locks on a user's account
+ * @route   POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    await unlockAccount(user.email);
+    res.json({ msg: 'Account unlocked' });
+  } catch (err) {
+    console.error('Unlock user error:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get hospitals by license verification status (oldest submission first)
+ * @route   GET /api/admin/hospitals
+ */
+exports.getHospitalVerifications = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const filter = { 'verification.status': req.query.status || 'pending' };
+
+    const hospitals = await Hospital.find(filter)
+      .select('name licenseNumber contactInfo facilityType verification createdAt')
+      .populate('user', 'name email phone')
+      .populate('verification.reviewedBy', 'name email')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ 'verification.submittedAt': 1, createdAt: 1 });
+
+    const total = await Hospital.countDocuments(filter);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    };
+
+    res.json({ hospitals, pagination });
+  } catch (err) {
+    console.error('Get hospital verifications error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Approve or reject a hospital's license and tell the hospital
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} status - approved or rejected
+ */
+const reviewHospital = async (req, res, status) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const hospital = await Hospital.findById(req.params.id);
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    if (hospital.verification.status === status) {
+      return res.status(400).json({ msg: `Hospital is already ${status}` });
+    }
+    if (status === 'approved' && !hospital.verification.documents.length) {
+      return res.status(400).json({ msg: 'Hospital has not uploaded any license documents' });
+    }
+
+    setVerificationStatus(hospital, status, { user: req.user, reason: req.body.reason });
+    await hospital.save();
+
+    try {
+      await notifyHospitalVerificationDecision(hospital);
+    } catch (notifyErr) {
+      console.error('Hospital verification notification error:', notifyErr);
+    }
+
+    res.json(hospital);
+  } catch (err) {
+    console.error(`Review hospital (${status}) error:`, err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Approve a hospital's license
+ * @route   POST /api/admin/hospitals/:id/approve
+ */
+exports.approveHospital = (req, res) => reviewHospital(req, res, 'approved');
+
+/**
+ * @desc    Reject a hospital's license with a reason
+ * @route   POST /api/admin/hospitals/:id/reject
+ */
+exports.rejectHospital = (req, res) => reviewHospital(req, res, 'rejected');
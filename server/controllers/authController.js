@@ -1,10 +1,81 @@
 // controllers/authController.js
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const { sendEmail } = require('../utils/mailer');
+const { sendAccountLockedEmail } = require('../utils/notifications');
+const { checkThrottle, recordFailure, clearAccountFailures } = require('../utils/loginThrottle');
+const { createSession, refreshSession, revokeSession, revokeUserSessions, SessionError } = require('../utils/sessions');
+const {
+  CHALLENGE_PURPOSES,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+
+/**
+ * Respond to an attempt refused by the login throttle
+ * @param {Object} res - Express response
+ * @param {Object} blocked - { locked, retryAfter } from checkThrottle
+ */
+const sendThrottled = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  res.status(429).json({
+    msg: blocked.locked
+      ? 'Too many failed attempts. This account or network is temporarily locked.'
+      : `Too many attempts. Try again in ${blocked.retryAfter} seconds.`,
+    locked: blocked.locked,
+    retryAfter: blocked.retryAfter
+  });
+};
+
+/**
+ * Count a failed sign-in, emailing the user if it locked their account
+ * @param {String} email - Email the attempt was for
+ * @param {Object} req - Express request
+ * @param {Object} user - User object, if the email belongs to one
+ */
+const recordLoginFailure = async (email, req, user) => {
+  const { accountLockedUntil } = await recordFailure('login', { account: email, ip: req.ip });
+  if (accountLockedUntil && user) {
+    try {
+      await sendAccountLockedEmail(user, accountLockedUntil);
+    } catch (error) {
+      console.error('Error sending account locked email:', error);
+    }
+  }
+};
+
+/**
+ * Record a completed login and start a session
+ * @param {Object} user - User object
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Response body with the tokens and user
+ */
+const completeLogin = async (user, req) => {
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Start a session with a short-lived access token and a refresh token
+  const { token, refreshToken } = await createSession(user, req);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  };
+};
 
 /**
  * @desc    Register a new user
@@ -39,31 +110,21 @@ exports.register = async (req, res) => {
     // Save user to database
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          }
-        });
-      }
-    );
+    // Roles that need a second factor enroll one before they get a session
+    if (isTwoFactorRequired(user)) {
+      return res.status(201).json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, CHALLENGE_PURPOSES.SETUP),
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    }
+
+    res.status(201).json(await completeLogin(user, req));
   } catch (err) {
     console.error('Register error:', err);
     res.status(500).json({ msg: 'Server error' });
@@ -72,6 +133,8 @@ exports.register = async (req, res) => {
 
 /**
  * @desc    Authenticate user & get token
+ *          With two-factor authentication this takes two calls: email and password
+ *          return a challengeToken, which is sent back with a code or recoveryCode
  * @route   POST /api/auth/login
  */
 exports.login = async (req, res) => {
@@ -80,52 +143,235 @@ exports.login = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { email, password } = req.body;
+  const { email, password, challengeToken, code, recoveryCode } = req.body;
 
   try {
+    // Second step: the password was checked when the challenge was issued
+    if (challengeToken) {
+      const challenge = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.VERIFY);
+      if (!challenge) {
+        return res.status(401).json({ msg: 'Challenge is not valid or has expired' });
+      }
+
+      const user = await User.findById(challenge.user);
+      if (!user) {
+        return res.status(400).json({ errors: [{ msg: 'Invalid credentials' }] });
+      }
+
+      // Wrong codes count against the account like wrong passwords
+      const blocked = await checkThrottle('login', { account: user.email, ip: req.ip });
+      if (blocked) {
+        return sendThrottled(res, blocked);
+      }
+
+      if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+        await recordLoginFailure(user.email, req, user);
+        return res.status(401).json({ msg: 'Invalid verification code' });
+      }
+
+      await clearAccountFailures('login', user.email);
+      return res.json(await completeLogin(user, req));
+    }
+
+    const blocked = await checkThrottle('login', { account: email, ip: req.ip });
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email, req, null);
       return res.status(400).json({ errors: [{ msg: 'Invalid credentials' }] });
     }
 
     // Compare passwords
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req, user);
       return res.status(400).json({ errors: [{ msg: 'Invalid credentials' }] });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save();
+    // Ask for the second factor, or for enrollment if the role requires one
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, CHALLENGE_PURPOSES.VERIFY)
+      });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, CHALLENGE_PURPOSES.SETUP)
+      });
+    }
+
+    // The account's failures are only cleared once the whole login succeeds
+    await clearAccountFailures('login', email);
+    res.json(await completeLogin(user, req));
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @route   POST /api/auth/refresh
+ */
+exports.refreshToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { token, refreshToken, user } = await refreshSession(req.body.refreshToken);
 
-    // Create JWT token
-    const payload = {
+    res.json({
+      token,
+      refreshToken,
       user: {
         id: user.id,
+        name: user.name,
+        email: user.email,
         role: user.role
       }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          }
-        });
-      }
-    );
+    });
   } catch (err) {
-    console.error('Login error:', err);
+    if (err instanceof SessionError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error('Refresh token error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    End the current session, or every session of the user
+ * @route   POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.body.allDevices) {
+      const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+      return res.json({ msg: 'Logged out of all devices', revoked });
+    }
+
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Start two-factor enrollment and get the provisioning QR code
+ * @route   POST /api/auth/2fa/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    // Replacing an active factor needs a code from it
+    if (user.twoFactor && user.twoFactor.enabled &&
+        !(await verifySecondFactor(user._id, { code: req.body.code }))) {
+      return res.status(401).json({ msg: 'A valid code from your current authenticator is required' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(user);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Confirm two-factor enrollment with a code and get recovery codes
+ *          When enrolling from a login challenge, this also logs the user in
+ * @route   POST /api/auth/2fa/enable
+ */
+exports.enableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: 'Invalid verification code' });
+    }
+
+    if (!req.twoFactorSetupChallenge) {
+      return res.json({ recoveryCodes });
+    }
+
+    const user = await User.findById(req.user.id);
+    await clearAccountFailures('login', user.email);
+    res.json({ recoveryCodes, ...(await completeLogin(user, req)) });
+  } catch (err) {
+    console.error('Enable two-factor error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Replace recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!(await verifySecondFactor(req.user.id, { code: req.body.code }))) {
+      return res.status(401).json({ msg: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error('Regenerate recovery codes error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ */
+exports.disableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ msg: `Two-factor authentication is required for ${req.user.role} accounts` });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, { code: req.body.code }))) {
+      return res.status(401).json({ msg: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(req.user.id);
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Disable two-factor error:', err);
     res.status(500).json({ msg: 'Server error' });
   }
 };
@@ -169,6 +415,13 @@ exports.forgotPassword = async (req, res) => {
   const { email } = req.body;
 
   try {
+    // Every request counts, so reset emails can't be used to flood an inbox
+    const blocked = await checkThrottle('forgotPassword', { account: email, ip: req.ip });
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+    await recordFailure('forgotPassword', { account: email, ip: req.ip });
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
@@ -228,6 +481,9 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Anyone holding the old password may still be logged in
+    await revokeUserSessions(user._id, 'password_reset');
+
     res.json({ msg: 'Password reset successful' });
   } catch (err) {
     console.error('Reset password error:', err);
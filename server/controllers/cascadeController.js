@@ -0,0 +1,200 @@
+// controllers/cascadeController.js
+const OfferCascade = require('../models/OfferCascade');
+const Request = require('../models/Request');
+const { validationResult } = require('express-validator');
+const { findPotentialMatches } = require('../utils/matchingAlgorithm');
+const { startCascade, cancelCascade } = require('../utils/offerCascade');
+const { applyRequestTransition } = require('../utils/requestStateMachine');
+const { SYSTEM_ROLE } = require('../utils/matchStateMachine');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('../utils/hospitalMembership');
+
+/**
+ * Check whether a hospital user works for the hospital that owns a request
+ * @param {Object} user - Authenticated user
+ * @param {Object} request - Request object
+ * @param {String|null} permission - Staff permission needed (null lets any member view)
+ * @returns {Promise<Boolean>} - Whether the user may manage the request's cascades
+ */
+const canManageRequest = async (user, request, permission = HOSPITAL_PERMISSIONS.MANAGE_MATCHES) => {
+  if (['admin', 'coordinator'].includes(user.role)) {
+    return true;
+  }
+  if (user.role !== 'hospital') {
+    return false;
+  }
+  const hospital = await getUserHospital(user.id, permission);
+  return Boolean(hospital && hospital._id.toString() === request.hospital.toString());
+};
+
+/**
+ * @desc    Start offering a request to ranked donors one at a time
+ * @route   POST /api/cascades
+ */
+exports.createCascade = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const request = await Request.findById(req.body.requestId);
+    if (!request) {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+
+    if (!(await canManageRequest(req.user, request))) {
+      return res.status(403).json({ msg: 'Not authorized to start offers for this request' });
+    }
+
+    if (!['pending', 'searching'].includes(request.status)) {
+      return res.status(400).json({ msg: `Cannot start offers for a request that is ${request.status}` });
+    }
+
+    if (new Date(request.requiredBy) <= new Date()) {
+      return res.status(400).json({ msg: 'Request has already passed its required by date' });
+    }
+
+    const active = await OfferCascade.findOne({ request: request._id, status: 'active' });
+    if (active) {
+      return res.status(409).json({ msg: 'An offer cascade is already running for this request', cascadeId: active._id });
+    }
+
+    // Rank candidates with the canonical matcher
+    const { matches: candidates } = await findPotentialMatches(request);
+    const limited = req.body.maxCandidates ? candidates.slice(0, req.body.maxCandidates) : candidates;
+    if (limited.length === 0) {
+      return res.status(400).json({ msg: 'No eligible donors found for this request' });
+    }
+
+    if (request.status === 'pending') {
+      await applyRequestTransition(request, 'searching', {
+        user: req.user,
+        role: SYSTEM_ROLE,
+        channel: 'rest',
+        notes: 'Offer cascade started'
+      });
+      await request.save();
+    }
+
+    const cascade = await startCascade(request, limited, {
+      responseWindowMinutes: req.body.responseWindowMinutes,
+      startedBy: req.user.id
+    });
+
+    res.status(201).json(cascade);
+  } catch (err) {
+    console.error('Create offer cascade error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get offer cascades
+ * @route   GET /api/cascades
+ */
+exports.getCascades = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.request) {
+      filter.request = req.query.request;
+    }
+
+    // Hospitals only see cascades for their own requests
+    if (req.user.role === 'hospital') {
+      const hospital = await getUserHospital(req.user.id);
+      if (!hospital) {
+        return res.status(404).json({ msg: 'Hospital profile not found' });
+      }
+      const requestIds = await Request.find({ hospital: hospital._id }).distinct('_id');
+      filter.request = req.query.request
+        ? requestIds.find(id => id.toString() === req.query.request) || null
+        : { $in: requestIds };
+    }
+
+    const cascades = await OfferCascade.find(filter)
+      .select('-candidates')
+      .populate('request', 'requestType bloodType bloodComponent organType recipientDetails.urgencyLevel status')
+      .sort({ createdAt: -1 });
+
+    res.json(cascades);
+  } catch (err) {
+    console.error('Get offer cascades error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get offer cascade by ID with its step log
+ * @route   GET /api/cascades/:id
+ */
+exports.getCascadeById = async (req, res) => {
+  try {
+    const cascade = await OfferCascade.findById(req.params.id)
+      .populate({ path: 'steps.donor', select: 'bloodType user', populate: { path: 'user', select: 'name' } })
+      .populate('steps.match', 'status matchScore offerExpiresAt')
+      .populate('startedBy', 'name');
+
+    if (!cascade) {
+      return res.status(404).json({ msg: 'Offer cascade not found' });
+    }
+
+    const request = await Request.findById(cascade.request);
+    if (request && !(await canManageRequest(req.user, request, null))) {
+      return res.status(403).json({ msg: 'Not authorized to view this offer cascade' });
+    }
+
+    res.json(cascade);
+  } catch (err) {
+    console.error('Get offer cascade error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Offer cascade not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Cancel an offer cascade and withdraw its current offer
+ * @route   PATCH /api/cascades/:id/cancel
+ */
+exports.cancelCascade = async (req, res) => {
+  try {
+    const cascade = await OfferCascade.findById(req.params.id);
+    if (!cascade) {
+      return res.status(404).json({ msg: 'Offer cascade not found' });
+    }
+
+    const request = await Request.findById(cascade.request);
+    if (request && !(await canManageRequest(req.user, request))) {
+      return res.status(403).json({ msg: 'Not authorized to cancel this offer cascade' });
+    }
+
+    if (cascade.status !== 'active') {
+      return res.status(400).json({ msg: `Cannot cancel a cascade that is ${cascade.status}` });
+    }
+
+    const updated = await cancelCascade(cascade, req.body.reason);
+
+    res.json(updated);
+  } catch (err) {
+    console.error('Cancel offer cascade error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Offer cascade not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -1,7 +1,32 @@
 // controllers/donorController.js
 const Donor = require('../models/Donor');
+const QuestionnaireResponse = require('../models/QuestionnaireResponse');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { normalizeTyping } = require('../utils/hla');
+const { loadActiveRules, getDonorEligibility } = require('../utils/eligibility');
+const { loadQuestionnaireDeferrals, findClearingResponse } = require('../utils/questionnaire');
+const { revealEncryptedFields } = require('../utils/fieldEncryption');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('../utils/hospitalMembership');
+
+/**
+ * Build a structured HLA typing from request input
+ * @param {String|Object} input - HLA typing string or object keyed by locus
+ * @returns {Object|null} - Typing for the Donor model, or null if it can't be parsed
+ */
+const buildHlaTyping = (input) => {
+  const typing = normalizeTyping(input);
+  if (!typing) {
+    return null;
+  }
+
+  const raw = typeof input === 'string' ? input : '';
+  return {
+    ...typing,
+    typedAt: (typeof input === 'object' && input.typedAt) || Date.now(),
+    method: (typeof input === 'object' && input.method) || (raw.includes('*') ? 'molecular' : 'serological')
+  };
+};
 
 /**
  * @desc    Create donor profile
@@ -26,10 +51,20 @@ exports.createDonorProfile = async (req, res) => {
       organDonatable,
       medicalHistory,
       physicalDetails,
+      hlaTyping,
       availabilitySchedule,
       contactPreferences
     } = req.body;
 
+    // Parse HLA typing if provided
+    let parsedHlaTyping;
+    if (hlaTyping) {
+      parsedHlaTyping = buildHlaTyping(hlaTyping);
+      if (!parsedHlaTyping) {
+        return res.status(400).json({ msg: 'HLA typing could not be parsed' });
+      }
+    }
+
     // Create donor profile
     const donor = new Donor({
       user: req.user.id,
@@ -37,6 +72,7 @@ exports.createDonorProfile = async (req, res) => {
       organDonatable,
       medicalHistory,
       physicalDetails,
+      hlaTyping: parsedHlaTyping,
       availabilitySchedule,
       contactPreferences,
       isAvailable: true
@@ -44,6 +80,7 @@ exports.createDonorProfile = async (req, res) => {
 
     await donor.save();
 
+    revealEncryptedFields(donor, req.user, true);
     res.status(201).json(donor);
   } catch (err) {
     console.error('Create donor profile error:', err);
@@ -99,6 +136,9 @@ exports.getDonors = async (req, res) => {
       pages: Math.ceil(total / limit)
     };
 
+    // Medical history is only included for roles allowed to read it
+    revealEncryptedFields(donors, req.user, donor => donor.user && donor.user._id.toString() === req.user.id);
+
     res.json({ donors, pagination });
   } catch (err) {
     console.error('Get donors error:', err);
@@ -126,6 +166,7 @@ exports.getDonorById = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
+    revealEncryptedFields(donor, req.user, donor.user._id.toString() === req.user.id);
     res.json(donor);
   } catch (err) {
     console.error('Get donor by ID error:', err);
@@ -161,10 +202,20 @@ exports.updateDonorProfile = async (req, res) => {
       organDonatable,
       medicalHistory,
       physicalDetails,
+      hlaTyping,
       availabilitySchedule,
       contactPreferences
     } = req.body;
 
+    // Parse HLA typing if provided
+    if (hlaTyping) {
+      const parsedHlaTyping = buildHlaTyping(hlaTyping);
+      if (!parsedHlaTyping) {
+        return res.status(400).json({ msg: 'HLA typing could not be parsed' });
+      }
+      donor.hlaTyping = parsedHlaTyping;
+    }
+
     // Update fields
     if (bloodType) donor.bloodType = bloodType;
     if (organDonatable) donor.organDonatable = organDonatable;
@@ -175,6 +226,7 @@ exports.updateDonorProfile = async (req, res) => {
 
     await donor.save();
 
+    revealEncryptedFields(donor, req.user, donor.user.toString() === req.user.id);
     res.json(donor);
   } catch (err) {
     console.error('Update donor error:', err);
@@ -212,6 +264,7 @@ exports.updateAvailability = async (req, res) => {
 
     await donor.save();
 
+    revealEncryptedFields(donor, req.user, donor.user.toString() === req.user.id);
     res.json(donor);
   } catch (err) {
     console.error('Update availability error:', err);
@@ -255,6 +308,84 @@ exports.getDonationHistory = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get donor eligibility for each donation type
+ * @route   GET /api/donors/:id/eligibility
+ */
+exports.getDonorEligibility = async (req, res) => {
+  try {
+    // Donors can ask for their own profile as 'me'
+    const donor = req.params.id === 'me'
+      ? await Donor.findOne({ user: req.user.id })
+      : await Donor.findById(req.params.id);
+
+    if (!donor) {
+      return res.status(404).json({ msg: 'Donor not found' });
+    }
+
+    // Check authorization
+    if (req.user.role !== 'admin' && req.user.role !== 'coordinator' && 
+        donor.user.toString() !== req.user.id && req.user.role !== 'hospital') {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const rules = await loadActiveRules();
+    const questionnaireDeferrals = await loadQuestionnaireDeferrals([donor._id]);
+    const eligibility = getDonorEligibility(donor, rules, questionnaireDeferrals.get(donor._id.toString()));
+
+    res.json({
+      donorId: donor._id,
+      eligible: eligibility.some(entry => entry.eligible),
+      donationTypes: eligibility
+    });
+  } catch (err) {
+    console.error('Get donor eligibility error:', err);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Donor not found' });
+    }
+    
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get donor questionnaire responses
+ * @route   GET /api/donors/:id/questionnaire-responses
+ */
+exports.getQuestionnaireResponses = async (req, res) => {
+  try {
+    // Donors can ask for their own profile as 'me'
+    const donor = req.params.id === 'me'
+      ? await Donor.findOne({ user: req.user.id })
+      : await Donor.findById(req.params.id);
+
+    if (!donor) {
+      return res.status(404).json({ msg: 'Donor not found' });
+    }
+
+    // Check authorization
+    if (req.user.role !== 'admin' && req.user.role !== 'coordinator' && 
+        donor.user.toString() !== req.user.id && req.user.role !== 'hospital') {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const responses = await QuestionnaireResponse.find({ donor: donor._id })
+      .populate('questionnaire', 'code version title questions')
+      .sort({ submittedAt: -1 });
+
+    res.json(responses);
+  } catch (err) {
+    console.error('Get questionnaire responses error:', err);
+    
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Donor not found' });
+    }
+    
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * @desc    Add donation record
  * @route   POST /api/donors/:id/donation
@@ -272,7 +403,28 @@ exports.addDonationRecord = async (req, res) => {
       return res.status(404).json({ msg: 'Donor not found' });
     }
 
-    const { donationType, organType, date, hospital, notes } = req.body;
+    const { donationType, organType, date, notes, questionnaireResponseId } = req.body;
+    let { hospital } = req.body;
+
+    // Hospital staff record donations for their own hospital
+    if (req.user.role === 'hospital') {
+      const staffHospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.RECORD_DONATIONS);
+      if (!staffHospital) {
+        return res.status(403).json({ msg: 'Not authorized to record donations' });
+      }
+      hospital = staffHospital._id;
+    }
+
+    // Blood donations need a recent cleared pre-donation questionnaire
+    let questionnaireResponse = null;
+    if (donationType !== 'organ') {
+      questionnaireResponse = await findClearingResponse(donor._id, donationType, new Date(date), questionnaireResponseId);
+      if (!questionnaireResponse) {
+        return res.status(400).json({
+          msg: 'The donor needs a cleared pre-donation questionnaire submitted before this donation'
+        });
+      }
+    }
 
     const newDonation = {
       donationType,
@@ -282,6 +434,7 @@ exports.addDonationRecord = async (req, res) => {
     };
 
     if (organType) newDonation.organType = organType;
+    if (questionnaireResponse) newDonation.questionnaireResponse = questionnaireResponse._id;
 
     // Add donation to history
     donor.donationHistory.unshift(newDonation);
@@ -291,6 +444,13 @@ exports.addDonationRecord = async (req, res) => {
 
     await donor.save();
 
+    // Link the response to the donation it cleared so it can't be reused
+    if (questionnaireResponse) {
+      questionnaireResponse.donation = donor.donationHistory[0]._id;
+      questionnaireResponse.usedAt = new Date();
+      await questionnaireResponse.save();
+    }
+
     res.json(donor.donationHistory[0]);
   } catch (err) {
     console.error('Add donation record error:', err);
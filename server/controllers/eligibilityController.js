@@ -0,0 +1,172 @@
+// controllers/eligibilityController.js
+const DeferralRule = require('../models/DeferralRule');
+const { validationResult } = require('express-validator');
+
+// Fields an admin may set on a deferral rule
+const RULE_FIELDS = ['name', 'reason', 'criterion', 'keywords', 'threshold', 'deferralType', 'durationDays', 'donationTypes', 'isActive'];
+
+/**
+ * Copy the editable rule fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Rule fields present in the body
+ */
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * @desc    Get deferral rules
+ * @route   GET /api/eligibility/rules
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.criterion) {
+      filter.criterion = req.query.criterion;
+    }
+
+    if (req.query.isActive) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const rules = await DeferralRule.find(filter)
+      .populate('updatedBy', 'name')
+      .sort({ criterion: 1, code: 1 });
+
+    res.json(rules);
+  } catch (err) {
+    console.error('Get deferral rules error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get deferral rule by ID
+ * @route   GET /api/eligibility/rules/:id
+ */
+exports.getRuleById = async (req, res) => {
+  try {
+    const rule = await DeferralRule.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!rule) {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    res.json(rule);
+  } catch (err) {
+    console.error('Get deferral rule by ID error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Create a deferral rule
+ * @route   POST /api/eligibility/rules
+ */
+exports.createRule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = new DeferralRule({
+      code: req.body.code,
+      ...pickRuleFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (err) {
+    console.error('Create deferral rule error:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: 'A deferral rule with this code already exists' });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Update a deferral rule
+ * @route   PUT /api/eligibility/rules/:id
+ */
+exports.updateRule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await DeferralRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    rule.updatedBy = req.user.id;
+
+    await rule.save();
+
+    res.json(rule);
+  } catch (err) {
+    console.error('Update deferral rule error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Delete a deferral rule
+ * @route   DELETE /api/eligibility/rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await DeferralRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    await rule.deleteOne();
+
+    res.json({ msg: 'Deferral rule removed' });
+  } catch (err) {
+    console.error('Delete deferral rule error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Deferral rule not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
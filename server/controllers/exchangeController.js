@@ -0,0 +1,296 @@
+// controllers/exchangeController.js
+const ExchangePair = require('../models/ExchangePair');
+const KidneyExchange = require('../models/KidneyExchange');
+const Donor = require('../models/Donor');
+const Request = require('../models/Request');
+const { validationResult } = require('express-validator');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('../utils/hospitalMembership');
+const { normalizeTyping, parseAntigenList } = require('../utils/hla');
+const {
+  runExchangeSearch,
+  describeExchange,
+  createExchange,
+  cancelExchange
+} = require('../utils/kidneyExchange');
+
+/**
+ * @desc    Register a donor-recipient pair (or a non-directed donor) for kidney exchange
+ * @route   POST /api/exchanges/pairs
+ */
+exports.registerPair = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { donorId, requestId, unacceptableAntigens, notes } = req.body;
+    const isNonDirected = req.body.isNonDirected === true;
+
+    const donor = await Donor.findById(donorId);
+    if (!donor) {
+      return res.status(404).json({ msg: 'Donor not found' });
+    }
+
+    // Exchange compatibility relies on a virtual crossmatch
+    if (!normalizeTyping(donor.hlaTyping)) {
+      return res.status(400).json({ msg: 'Donor must have an HLA typing to join the exchange' });
+    }
+
+    let request = null;
+    if (!isNonDirected) {
+      request = await Request.findById(requestId);
+      if (!request) {
+        return res.status(404).json({ msg: 'Request not found' });
+      }
+      if (request.requestType !== 'organ' || request.organType !== 'kidney') {
+        return res.status(400).json({ msg: 'Exchange pairs require a kidney request' });
+      }
+      if (!request.recipientDetails.bloodType || !normalizeTyping(request.recipientDetails.hlaType)) {
+        return res.status(400).json({ msg: 'Recipient blood type and HLA typing are required' });
+      }
+    }
+
+    // Resolve the hospital registering the pair
+    let hospitalId = request ? request.hospital : req.body.hospitalId;
+    if (req.user.role === 'hospital') {
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES);
+      if (!hospital || (request && hospital._id.toString() !== request.hospital.toString())) {
+        return res.status(403).json({ msg: 'Not authorized to register this pair' });
+      }
+      hospitalId = hospital._id;
+    }
+    if (!hospitalId) {
+      return res.status(400).json({ msg: 'Hospital is required for non-directed donors' });
+    }
+
+    const existing = await ExchangePair.findOne({
+      donor: donor._id,
+      status: { $in: ['active', 'reserved'] }
+    });
+    if (existing) {
+      return res.status(400).json({ msg: 'Donor is already registered in the exchange' });
+    }
+
+    const pair = new ExchangePair({
+      donor: donor._id,
+      request: request ? request._id : undefined,
+      hospital: hospitalId,
+      isNonDirected,
+      unacceptableAntigens: isNonDirected ? [] : parseAntigenList(unacceptableAntigens),
+      notes,
+      registeredBy: req.user.id
+    });
+
+    await pair.save();
+
+    res.status(201).json(pair);
+  } catch (err) {
+    console.error('Register exchange pair error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Donor or request not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get exchange pairs with filtering options
+ * @route   GET /api/exchanges/pairs
+ */
+exports.getPairs = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.isNonDirected) {
+      filter.isNonDirected = req.query.isNonDirected === 'true';
+    }
+
+    // Hospitals only see their own pairs
+    if (req.user.role === 'hospital') {
+      const hospital = await getUserHospital(req.user.id);
+      if (!hospital) {
+        return res.status(404).json({ msg: 'Hospital profile not found' });
+      }
+      filter.hospital = hospital._id;
+    } else if (req.query.hospital) {
+      filter.hospital = req.query.hospital;
+    }
+
+    const pairs = await ExchangePair.find(filter)
+      .populate({ path: 'donor', select: 'bloodType user', populate: { path: 'user', select: 'name' } })
+      .populate('request', 'organType recipientDetails.bloodType recipientDetails.urgencyLevel status')
+      .populate('hospital', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(pairs);
+  } catch (err) {
+    console.error('Get exchange pairs error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Withdraw a pair from the exchange
+ * @route   PATCH /api/exchanges/pairs/:id/withdraw
+ */
+exports.withdrawPair = async (req, res) => {
+  try {
+    const pair = await ExchangePair.findById(req.params.id);
+    if (!pair) {
+      return res.status(404).json({ msg: 'Exchange pair not found' });
+    }
+
+    if (req.user.role === 'hospital') {
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES);
+      if (!hospital || hospital._id.toString() !== pair.hospital.toString()) {
+        return res.status(403).json({ msg: 'Not authorized to withdraw this pair' });
+      }
+    }
+
+    if (pair.status !== 'active') {
+      return res.status(400).json({ msg: `Cannot withdraw a pair that is ${pair.status}` });
+    }
+
+    pair.status = 'withdrawn';
+    await pair.save();
+
+    res.json(pair);
+  } catch (err) {
+    console.error('Withdraw exchange pair error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Exchange pair not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Search active pairs for swap cycles and chains
+ * @route   POST /api/exchanges/search
+ */
+exports.searchExchanges = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { pairs, candidates, selected } = await runExchangeSearch();
+    const proposals = selected.map(candidate => describeExchange(candidate, pairs));
+
+    // Preview unless asked to persist the selected exchanges
+    let created = [];
+    if (req.body.commit === true) {
+      for (const proposal of proposals) {
+        const exchange = await createExchange(proposal, req.user.id);
+        if (exchange) {
+          created.push(exchange);
+        }
+      }
+    }
+
+    res.json({
+      activePairs: pairs.length,
+      candidates: candidates.length,
+      proposals,
+      created
+    });
+  } catch (err) {
+    console.error('Search exchanges error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get kidney exchanges
+ * @route   GET /api/exchanges
+ */
+exports.getExchanges = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const exchanges = await KidneyExchange.find(filter)
+      .populate('proposedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(exchanges);
+  } catch (err) {
+    console.error('Get exchanges error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get kidney exchange by ID
+ * @route   GET /api/exchanges/:id
+ */
+exports.getExchangeById = async (req, res) => {
+  try {
+    const exchange = await KidneyExchange.findById(req.params.id)
+      .populate({ path: 'transplants.donorPair', populate: { path: 'hospital', select: 'name' } })
+      .populate({ path: 'transplants.recipientPair', populate: { path: 'hospital', select: 'name' } })
+      .populate('transplants.match', 'status matchScore')
+      .populate('bridgeDonorPair')
+      .populate('proposedBy', 'name');
+
+    if (!exchange) {
+      return res.status(404).json({ msg: 'Exchange not found' });
+    }
+
+    res.json(exchange);
+  } catch (err) {
+    console.error('Get exchange by ID error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Exchange not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Cancel a proposed exchange
+ * @route   PATCH /api/exchanges/:id/cancel
+ */
+exports.cancelExchange = async (req, res) => {
+  try {
+    const exchange = await KidneyExchange.findById(req.params.id);
+    if (!exchange) {
+      return res.status(404).json({ msg: 'Exchange not found' });
+    }
+
+    if (exchange.status !== 'proposed') {
+      return res.status(400).json({ msg: `Cannot cancel an exchange that is ${exchange.status}` });
+    }
+
+    const updated = await cancelExchange(exchange, req.body.reason);
+
+    res.json(updated);
+  } catch (err) {
+    console.error('Cancel exchange error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Exchange not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
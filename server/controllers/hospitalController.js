@@ -2,6 +2,33 @@
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const {
+  getDocumentPath,
+  discardUploadedFiles,
+  addLicenseDocuments
+} = require('../utils/hospitalVerification');
+const {
+  STAFF_PERMISSIONS,
+  HOSPITAL_PERMISSIONS,
+  MembershipError,
+  addOwnerMembership,
+  getHospitalMembership,
+  canAccessHospital,
+  createInvitation,
+  acceptInvitation,
+  changeStaffRole,
+  removeStaffMember
+} = require('../utils/hospitalMembership');
+const {
+  notifyHospitalVerificationSubmitted,
+  sendHospitalInvitationEmail
+} = require('../utils/notifications');
+const HospitalMembership = require('../models/HospitalMembership');
+const HospitalInvitation = require('../models/HospitalInvitation');
+const SocketManager = require('../websocket/socketManager');
+
+// License documents and review history are only shown through the verification endpoints
+const VERIFICATION_DETAILS_EXCLUDED = '-verification.documents -verification.history';
 
 /**
  * @desc    Create hospital profile
@@ -14,9 +41,9 @@ exports.createHospitalProfile = async (req, res) => {
   }
 
   try {
-    // Check if hospital profile already exists
-    const existingHospital = await Hospital.findOne({ user: req.user.id });
-    if (existingHospital) {
+    // Check if the user already has or works for a hospital
+    const existingMembership = await getHospitalMembership(req.user.id);
+    if (existingMembership) {
       return res.status(400).json({ msg: 'Hospital profile already exists' });
     }
 
@@ -50,6 +77,7 @@ exports.createHospitalProfile = async (req, res) => {
     });
 
     await hospital.save();
+    await addOwnerMembership(hospital);
 
     res.status(201).json(hospital);
   } catch (err) {
@@ -89,6 +117,7 @@ exports.getHospitals = async (req, res) => {
 
     // Execute query with pagination
     const hospitals = await Hospital.find(filter)
+      .select(VERIFICATION_DETAILS_EXCLUDED)
       .populate('user', 'name email phone')
       .skip(startIndex)
       .limit(limit)
@@ -119,6 +148,7 @@ exports.getHospitals = async (req, res) => {
 exports.getHospitalById = async (req, res) => {
   try {
     const hospital = await Hospital.findById(req.params.id)
+      .select(VERIFICATION_DETAILS_EXCLUDED)
       .populate('user', 'name email phone');
 
     if (!hospital) {
@@ -149,8 +179,8 @@ exports.updateHospitalProfile = async (req, res) => {
       return res.status(404).json({ msg: 'Hospital not found' });
     }
 
-    // Check authorization (admin or the hospital themselves)
-    if (req.user.role !== 'admin' && hospital.user.toString() !== req.user.id) {
+    // Check authorization (admin or hospital staff who manage the profile)
+    if (!(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_PROFILE))) {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
@@ -201,8 +231,8 @@ exports.updateCapacity = async (req, res) => {
       return res.status(404).json({ msg: 'Hospital not found' });
     }
 
-    // Check authorization (admin or the hospital themselves)
-    if (req.user.role !== 'admin' && hospital.user.toString() !== req.user.id) {
+    // Check authorization (admin or hospital staff who update capacity)
+    if (!(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.UPDATE_CAPACITY))) {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
@@ -255,11 +285,430 @@ exports.findNearbyHospitals = async (req, res) => {
         }
       },
       isActive: true
-    }).populate('user', 'name email phone');
+    })
+      .select(VERIFICATION_DETAILS_EXCLUDED)
+      .populate('user', 'name email phone');
 
     res.json(hospitals);
   } catch (err) {
     console.error('Find nearby hospitals error:', err);
     res.status(500).json({ msg: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Upload hospital license documents for verification
+ * @route   POST /api/hospitals/:id/verification/documents
+ */
+exports.uploadLicenseDocuments = async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({ msg: 'At least one license document is required' });
+  }
+
+  try {
+    const hospital = await Hospital.findById(req.params.id);
+
+    if (!hospital) {
+      await discardUploadedFiles(files);
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or hospital staff who manage the profile)
+    if (!(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_PROFILE))) {
+      await discardUploadedFiles(files);
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    addLicenseDocuments(hospital, files, req.user);
+    await hospital.save();
+
+    if (hospital.verification.status === 'pending') {
+      try {
+        await notifyHospitalVerificationSubmitted(hospital);
+      } catch (notifyErr) {
+        console.error('Hospital verification notification error:', notifyErr);
+      }
+    }
+
+    res.status(201).json(hospital.verification);
+  } catch (err) {
+    console.error('Upload license documents error:', err);
+    await discardUploadedFiles(files);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get hospital license verification status and documents
+ * @route   GET /api/hospitals/:id/verification
+ */
+exports.getVerification = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id)
+      .select('user verification')
+      .populate('verification.reviewedBy', 'name email');
+
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or the hospital's staff)
+    if (!(await canAccessHospital(req.user, hospital._id, null))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    res.json(hospital.verification);
+  } catch (err) {
+    console.error('Get hospital verification error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Download a hospital license document
+ * @route   GET /api/hospitals/:id/verification/documents/:documentId
+ */
+exports.downloadLicenseDocument = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('user verification.documents');
+
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or the hospital's staff)
+    if (!(await canAccessHospital(req.user, hospital._id, null))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const document = hospital.verification.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+
+    res.download(getDocumentPath(document), document.originalName || document.fileName, (downloadErr) => {
+      if (downloadErr && !res.headersSent) {
+        console.error('Download license document error:', downloadErr);
+        res.status(404).json({ msg: 'Document file not found' });
+      }
+    });
+  } catch (err) {
+    console.error('Download license document error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get the hospital the current user works for, with their staff role and permissions
+ * @route   GET /api/hospitals/me
+ */
+exports.getMyHospital = async (req, res) => {
+  try {
+    const membership = await getHospitalMembership(req.user.id);
+    if (!membership) {
+      return res.status(404).json({ msg: 'Hospital profile not found' });
+    }
+
+    res.json({
+      hospital: membership.hospital,
+      staffRole: membership.staffRole,
+      permissions: STAFF_PERMISSIONS[membership.staffRole],
+      isOwner: membership.hospital.user.toString() === req.user.id
+    });
+  } catch (err) {
+    console.error('Get my hospital error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get a hospital's staff
+ * @route   GET /api/hospitals/:id/staff
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('user');
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or the hospital's staff)
+    if (!(await canAccessHospital(req.user, hospital._id, null))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const staff = await HospitalMembership.find({ hospital: hospital._id, status: 'active' })
+      .populate('user', 'name email phone')
+      .populate('invitedBy', 'name email')
+      .sort({ joinedAt: 1 });
+
+    res.json({ owner: hospital.user, staff });
+  } catch (err) {
+    console.error('Get hospital staff error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Invite someone to a hospital's staff by email
+ * @route   POST /api/hospitals/:id/invitations
+ */
+exports.inviteStaff = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const hospital = await Hospital.findById(req.params.id);
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or hospital staff who manage staff)
+    if (!(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { invitation, token } = await createInvitation(hospital, req.body, req.user);
+
+    try {
+      await sendHospitalInvitationEmail(invitation, hospital, token);
+    } catch (emailErr) {
+      console.error('Hospital invitation email error:', emailErr);
+    }
+
+    res.status(201).json(invitation);
+  } catch (err) {
+    if (err instanceof MembershipError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error('Invite hospital staff error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get a hospital's staff invitations
+ * @route   GET /api/hospitals/:id/invitations
+ */
+exports.getInvitations = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Check authorization (admin or hospital staff who manage staff)
+    if (!(await canAccessHospital(req.user, req.params.id, HOSPITAL_PERMISSIONS.MANAGE_STAFF))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const invitations = await HospitalInvitation.find({
+      hospital: req.params.id,
+      status: req.query.status || 'pending'
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error('Get hospital invitations error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Revoke a pending staff invitation
+ * @route   DELETE /api/hospitals/:id/invitations/:invitationId
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    // Check authorization (admin or hospital staff who manage staff)
+    if (!(await canAccessHospital(req.user, req.params.id, HOSPITAL_PERMISSIONS.MANAGE_STAFF))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const invitation = await HospitalInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, hospital: req.params.id, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    res.json(invitation);
+  } catch (err) {
+    console.error('Revoke hospital invitation error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Accept a staff invitation and join the hospital
+ * @route   POST /api/hospitals/invitations/accept
+ */
+exports.acceptStaffInvitation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const membership = await acceptInvitation(req.body.token, user);
+
+    if (SocketManager.instance) {
+      await SocketManager.instance.updateHospitalRoom(user.id, membership.hospital, true);
+    }
+
+    res.status(201).json({
+      membership,
+      permissions: STAFF_PERMISSIONS[membership.staffRole]
+    });
+  } catch (err) {
+    if (err instanceof MembershipError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error('Accept hospital invitation error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Load an active staff membership of the hospital in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { hospital, membership }, either null if not found
+ */
+const findStaffMembership = async (req) => {
+  const hospital = await Hospital.findById(req.params.id).select('user');
+  const membership = hospital
+    ? await HospitalMembership.findOne({ _id: req.params.membershipId, hospital: hospital._id, status: 'active' })
+    : null;
+  return { hospital, membership };
+};
+
+/**
+ * @desc    Change a staff member's role
+ * @route   PATCH /api/hospitals/:id/staff/:membershipId
+ */
+exports.updateStaffRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { hospital, membership } = await findStaffMembership(req);
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin or hospital staff who manage staff)
+    if (!(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (!membership) {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    await changeStaffRole(hospital, membership, req.body.staffRole);
+
+    res.json(membership);
+  } catch (err) {
+    if (err instanceof MembershipError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error('Update staff role error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Remove a staff member (staff can also remove themselves to leave the hospital)
+ * @route   DELETE /api/hospitals/:id/staff/:membershipId
+ */
+exports.removeStaff = async (req, res) => {
+  try {
+    const { hospital, membership } = await findStaffMembership(req);
+    if (!hospital) {
+      return res.status(404).json({ msg: 'Hospital not found' });
+    }
+
+    // Check authorization (admin, hospital staff who manage staff, or the member leaving)
+    const isSelf = Boolean(membership && membership.user.toString() === req.user.id);
+    if (!isSelf && !(await canAccessHospital(req.user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF))) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (!membership) {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    await removeStaffMember(hospital, membership, req.user);
+
+    if (SocketManager.instance) {
+      await SocketManager.instance.updateHospitalRoom(membership.user.toString(), hospital._id, false);
+    }
+
+    res.json({ msg: 'Staff member removed' });
+  } catch (err) {
+    if (err instanceof MembershipError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error('Remove staff member error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -2,10 +2,21 @@
 const Match = require('../models/Match');
 const Request = require('../models/Request');
 const Donor = require('../models/Donor');
-const Hospital = require('../models/Hospital');
-const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const mailer = require('../utils/mailer');
+const { findPotentialMatches, createMatch, commitMatches, summarizeExclusions } = require('../utils/matchingAlgorithm');
+const { handleMatchStatusChange } = require('../utils/fulfillment');
+const { applyMatchTransition, getMatchActorRole, TransitionError, SYSTEM_ROLE } = require('../utils/matchStateMachine');
+const { applyRequestTransition, CLOSED_REQUEST_STATUSES } = require('../utils/requestStateMachine');
+const { revealEncryptedFields } = require('../utils/fieldEncryption');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('../utils/hospitalMembership');
+
+/**
+ * Check whether a user may see why individual donors were excluded from a match search
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean} - True for admins and coordinators
+ */
+const canSeeExclusionReasons = (user) => ['admin', 'coordinator'].includes(user.role);
 
 /**
  * @desc    Get all matches with filtering
@@ -33,7 +44,7 @@ exports.getMatches = async (req, res) => {
     
     // If user is hospital, only show matches related to their requests
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
@@ -105,7 +116,7 @@ exports.getMatchById = async (req, res) => {
 
     // Check if user has permission to view this match
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
@@ -127,6 +138,9 @@ exports.getMatchById = async (req, res) => {
       }
     }
 
+    // The hospital sees its recipient's details and the donor sees their own medical history
+    revealEncryptedFields(match.request, req.user, req.user.role === 'hospital');
+    revealEncryptedFields(match.donor, req.user, req.user.role === 'donor');
     res.json(match);
   } catch (err) {
     console.error('Get match by ID error:', err);
@@ -137,6 +151,39 @@ exports.getMatchById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a match's status history
+ * @route   GET /api/matches/:id/history
+ */
+exports.getMatchHistory = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id)
+      .select('request donor status statusHistory')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!match) {
+      return res.status(404).json({ msg: 'Match not found' });
+    }
+
+    // Parties to the match may read its history, including hospital staff who can't change it
+    if (!(await getMatchActorRole(req.user, match, null))) {
+      return res.status(403).json({ msg: 'Not authorized to view this match' });
+    }
+
+    res.json({
+      matchId: match._id,
+      status: match.status,
+      history: match.statusHistory
+    });
+  } catch (err) {
+    console.error('Get match history error:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Match not found' });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * @desc    Find potential matches for a request
  * @route   POST /api/matches/search
@@ -155,51 +202,74 @@ exports.findPotentialMatches = async (req, res) => {
 
     // Check permission if hospital user
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES);
       if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
         return res.status(403).json({ msg: 'Not authorized to search matches for this request' });
       }
     }
 
-    // Build match criteria based on request type
-    let matchCriteria = {};
-    
-    if (request.requestType === 'blood') {
-      // Match based on blood type compatibility
-      const compatibleTypes = getCompatibleBloodTypes(request.bloodType);
-      matchCriteria = {
-        'donorProfile.bloodType': { $in: compatibleTypes },
-        'donorProfile.availableForBloodDonation': true,
-        'donorProfile.lastBloodDonationDate': { 
-          $lt: new Date(Date.now() - 56 * 24 * 60 * 60 * 1000) // 56 days (8 weeks) since last donation
-        }
-      };
-    } else if (request.requestType === 'organ') {
-      // Match based on organ type and other criteria
-      matchCriteria = {
-        'donorProfile.organDonor': true,
-        'donorProfile.organsForDonation': request.organType, 
-        'donorProfile.bloodType': { $in: getCompatibleBloodTypes(request.bloodType) }
+    if (CLOSED_REQUEST_STATUSES.includes(request.status)) {
+      return res.status(400).json({ msg: 'Cannot search matches for a closed request' });
+    }
+
+    // Preview is the default; committing persists the top N candidates as proposed matches
+    const commitTop = req.body.commitTop ? parseInt(req.body.commitTop) : 0;
+    if (commitTop && req.body.preview === true) {
+      return res.status(400).json({ msg: 'Preview and commitTop cannot be combined' });
+    }
+
+    // Rank candidates with the canonical matcher
+    const { matches: candidates, excluded } = await findPotentialMatches(request);
+
+    // Attach donor summaries for display
+    const donors = await Donor.find({ _id: { $in: [...candidates, ...excluded].map(c => c.donor) } })
+      .select('bloodType user')
+      .populate('user', 'name');
+    const donorsById = new Map(donors.map(donor => [donor._id.toString(), donor]));
+    const donorSummary = donorId => {
+      const donor = donorsById.get(donorId.toString());
+      return {
+        _id: donorId,
+        name: donor && donor.user ? donor.user.name : undefined,
+        bloodType: donor ? donor.bloodType : undefined
       };
-      
-      // Additional tissue matching criteria can be added here
-    }
-
-    // Find active donors matching the criteria
-    const donors = await User.find({
-      role: 'donor',
-      status: 'active',
-      ...matchCriteria
-    }).populate('donorProfile');
-
-    // Return potential matches
-    res.json(donors.map(donor => ({
-      donorId: donor._id,
-      name: donor.name,
-      bloodType: donor.donorProfile.bloodType,
-      location: donor.donorProfile.location,
-      matchScore: calculateMatchScore(request, donor.donorProfile) // Optional score calculation
-    })));
+    };
+
+    let committed = [];
+    if (commitTop) {
+      if (request.status === 'pending') {
+        await applyRequestTransition(request, 'searching', {
+          user: req.user,
+          role: SYSTEM_ROLE,
+          channel: 'rest',
+          notes: 'Matches committed'
+        });
+        await request.save();
+      }
+      committed = await commitMatches(request, candidates, commitTop);
+    }
+
+    res.json({
+      requestId: request._id,
+      preview: !commitTop,
+      total: candidates.length,
+      candidates: candidates.map(candidate => ({
+        donor: donorSummary(candidate.donor),
+        matchScore: candidate.matchScore,
+        scoreBreakdown: candidate.scoreBreakdown,
+        matchFactors: candidate.matchFactors,
+        scoringPolicy: candidate.scoringPolicy
+      })),
+      // Hospitals only get counts; the reasons name donors' deferrals and questionnaire answers
+      excludedSummary: summarizeExclusions(excluded),
+      excluded: canSeeExclusionReasons(req.user)
+        ? excluded.map(entry => ({
+          donor: donorSummary(entry.donor),
+          failedFilters: entry.failedFilters
+        }))
+        : undefined,
+      committed
+    });
   } catch (err) {
     console.error('Find potential matches error:', err);
     res.status(500).json({ msg: 'Server error' });
@@ -224,7 +294,7 @@ exports.confirmMatch = async (req, res) => {
 
     // Check permission if hospital user
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES);
       if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
         return res.status(403).json({ msg: 'Not authorized to confirm matches for this request' });
       }
@@ -240,22 +310,22 @@ exports.confirmMatch = async (req, res) => {
       return res.status(400).json({ msg: 'Match already exists for this donor and request' });
     }
 
-    // Create the match
-    const match = new Match({
-      request: request._id,
-      donor: donor._id,
-      status: 'proposed',
-      proposedBy: req.user.id,
-      matchType: request.requestType,
-      urgencyLevel: request.recipientDetails.urgencyLevel
-    });
-
-    await match.save();
+    // Score the donor with the canonical matcher
+    const { matches: candidates, excluded } = await findPotentialMatches(request);
+    const candidate = candidates.find(c => c.donor.toString() === donor._id.toString());
+    if (!candidate) {
+      const exclusion = excluded.find(e => e.donor.toString() === donor._id.toString());
+      const failedFilters = exclusion ? exclusion.failedFilters : [];
+      return res.status(400).json({
+        msg: 'Donor is not a compatible candidate for this request',
+        failedFilters: canSeeExclusionReasons(req.user)
+          ? failedFilters
+          : [...new Set(failedFilters.map(failed => failed.filter))]
+      });
+    }
 
-    // Update request status
-    request.status = 'matched';
-    request.matches = [...(request.matches || []), match._id];
-    await request.save();
+    // Create the match
+    const match = await createMatch(request, candidate);
 
     // Send notification to donor
     try {
@@ -287,49 +357,25 @@ exports.updateMatchStatus = async (req, res) => {
       return res.status(404).json({ msg: 'Match not found' });
     }
 
-    // Check permission based on user role
-    let hasPermission = false;
-    
-    if (['admin', 'coordinator'].includes(req.user.role)) {
-      hasPermission = true;
-    } else if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
-      const request = await Request.findById(match.request);
-      if (hospital && request && hospital._id.toString() === request.hospital.toString()) {
-        hasPermission = true;
-      }
-    } else if (req.user.role === 'donor') {
-      const donor = await Donor.findOne({ user: req.user.id });
-      if (donor && donor._id.toString() === match.donor.toString()) {
-        // Donors can only accept or reject
-        if (!['pending_confirmation', 'confirmed', 'rejected'].includes(req.body.status)) {
-          return res.status(403).json({ msg: 'Donors can only confirm or reject matches' });
-        }
-        hasPermission = true;
-      }
-    }
-
-    if (!hasPermission) {
-      return res.status(403).json({ msg: 'Not authorized to update this match' });
-    }
-
-    // Update status
-    match.status = req.body.status;
-    match.statusHistory.push({
-      status: req.body.status,
-      updatedBy: req.user.id,
-      notes: req.body.notes || ''
+    // The state machine checks the user's part in the match, the transition and its required fields
+    await applyMatchTransition(match, req.body.status, {
+      user: req.user,
+      notes: req.body.notes,
+      reason: req.body.reason || req.body.notes,
+      departureTime: req.body.departureTime,
+      arrivalTime: req.body.arrivalTime
     });
 
     await match.save();
 
-    // If match is rejected, update request status back to searching
-    if (req.body.status === 'rejected') {
-      await Request.findByIdAndUpdate(match.request, { status: 'searching' });
-    }
+    // Recount the request's units, release other donors once it is fulfilled and move any cascade on
+    await handleMatchStatusChange(match);
 
     res.json(match);
   } catch (err) {
+    if (err instanceof TransitionError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Update match status error:', err);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Match not found' });
@@ -354,7 +400,7 @@ exports.updateLogistics = async (req, res) => {
     if (['admin', 'coordinator'].includes(req.user.role)) {
       hasPermission = true;
     } else if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES);
       const request = await Request.findById(match.request);
       if (hospital && request && hospital._id.toString() === request.hospital.toString()) {
         hasPermission = true;
@@ -415,7 +461,7 @@ exports.reportOutcome = async (req, res) => {
     if (['admin', 'coordinator'].includes(req.user.role)) {
       hasPermission = true;
     } else if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.RECORD_OUTCOMES);
       const request = await Request.findById(match.request);
       if (hospital && request && hospital._id.toString() === request.hospital.toString()) {
         hasPermission = true;
@@ -426,33 +472,53 @@ exports.reportOutcome = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized to report outcome for this match' });
     }
 
+    const request = await Request.findById(match.request);
+
+    // A successful organ match ends transplanted, a successful blood match stays delivered
+    let outcomeStatus = 'failed';
+    if (req.body.successful) {
+      outcomeStatus = request && request.requestType === 'organ' ? 'transplanted' : 'delivered';
+    }
+
+    if (match.status !== outcomeStatus) {
+      await applyMatchTransition(match, outcomeStatus, {
+        user: req.user,
+        notes: 'Outcome reported',
+        requestType: request && request.requestType,
+        reason: req.body.notes
+      });
+    }
+
     // Update match with outcome
     match.outcome = {
       successful: req.body.successful,
-      completedAt: Date.now(),
+      reportedAt: Date.now(),
       reportedBy: req.user.id,
       notes: req.body.notes || ''
     };
 
-    // Update match status based on outcome
-    match.status = req.body.successful ? 'completed' : 'failed';
-    match.statusHistory.push({
-      status: match.status,
-      updatedBy: req.user.id,
-      notes: req.body.notes || ''
-    });
-
     await match.save();
 
-    // Update request status
-    const request = await Request.findById(match.request);
-    if (request) {
-      request.status = req.body.successful ? 'fulfilled' : 'searching';
-      await request.save();
+    // Recount units, move any cascade on and tell subscribers, like any other status change;
+    // a failed match leaves its units uncovered and the request searching again
+    const fulfillment = await handleMatchStatusChange(match);
+    const updatedRequest = await Request.findById(match.request);
+    if (updatedRequest && fulfillment) {
+      if (req.body.successful && fulfillment.unitsDelivered >= fulfillment.unitsRequested &&
+        ['matched', 'in_progress'].includes(updatedRequest.status)) {
+        await applyRequestTransition(updatedRequest, 'completed', { user: req.user, notes: 'Every unit delivered' });
+        await updatedRequest.save();
+      } else if (!req.body.successful && updatedRequest.status === 'in_progress') {
+        await applyRequestTransition(updatedRequest, 'searching', { user: req.user, notes: 'Match failed' });
+        await updatedRequest.save();
+      }
     }
 
     res.json(match);
   } catch (err) {
+    if (err instanceof TransitionError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Report outcome error:', err);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Match not found' });
@@ -460,89 +526,3 @@ exports.reportOutcome = async (req, res) => {
     res.status(500).json({ msg: 'Server error' });
   }
 };
-
-/**
- * Helper function to get compatible blood types
- * @param {String} requestedType 
- * @returns {Array} Array of compatible blood types
- */
-function getCompatibleBloodTypes(requestedType) {
-  const compatibility = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],
-    'A-': ['A-', 'O-'],
-    'B+': ['B+', 'B-', 'O+', 'O-'],
-    'B-': ['B-', 'O-'],
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],
-    'O+': ['O+', 'O-'],
-    'O-': ['O-']
-  };
-  
-  return compatibility[requestedType] || [];
-}
-
-/**
- * Helper function to calculate match score
- * @param {Object} request 
- * @param {Object} donorProfile 
- * @returns {Number} Match score (0-100)
- */
-function calculateMatchScore(request, donorProfile) {
-  // Basic implementation - can be expanded with more sophisticated matching algorithms
-  let score = 0;
-  
-  // Blood type compatibility
-  if (request.bloodType && donorProfile.bloodType) {
-    const compatibleTypes = getCompatibleBloodTypes(request.bloodType);
-    if (compatibleTypes.includes(donorProfile.bloodType)) {
-      score += 40;
-    }
-  }
-  
-  // Location proximity (if coordinates available)
-  if (request.hospital && request.hospital.location && donorProfile.location) {
-    const distance = calculateDistance(
-      request.hospital.location.coordinates,
-      donorProfile.location.coordinates
-    );
-    
-    // Closer is better (within 50km is ideal)
-    if (distance < 10) score += 30;
-    else if (distance < 25) score += 20;
-    else if (distance < 50) score += 10;
-  }
-  
-  // Availability
-  if (donorProfile.availability === 'immediate') {
-    score += 30;
-  } else if (donorProfile.availability === 'flexible') {
-    score += 20;
-  } else {
-    score += 10;
-  }
-  
-  return Math.min(100, score);
-}
-
-/**
- * Helper function to calculate distance between two points
- * @param {Array} coord1 [longitude, latitude]
- * @param {Array} coord2 [longitude, latitude]
- * @returns {Number} Distance in kilometers
- */
-function calculateDistance(coord1, coord2) {
-  const [lon1, lat1] = coord1;
-  const [lon2, lat2] = coord2;
-  
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
\ No newline at end of file
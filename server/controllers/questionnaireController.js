@@ -0,0 +1,215 @@
+// controllers/questionnaireController.js
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireResponse = require('../models/QuestionnaireResponse');
+const Donor = require('../models/Donor');
+const { validationResult } = require('express-validator');
+const {
+  QUESTIONNAIRE_VALID_HOURS,
+  validateAnswers,
+  evaluateAnswers,
+  getActiveQuestionnaire
+} = require('../utils/questionnaire');
+
+/**
+ * @desc    Get questionnaire versions
+ * @route   GET /api/questionnaires
+ */
+exports.getQuestionnaires = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.code) {
+      filter.code = req.query.code;
+    }
+
+    if (req.query.isActive) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const questionnaires = await Questionnaire.find(filter)
+      .select('-questions')
+      .populate('publishedBy', 'name')
+      .sort({ code: 1, version: -1 });
+
+    res.json(questionnaires);
+  } catch (err) {
+    console.error('Get questionnaires error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get the active questionnaire for a donation type
+ * @route   GET /api/questionnaires/active
+ */
+exports.getActive = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const questionnaire = await getActiveQuestionnaire(req.query.donationType || 'blood');
+
+    if (!questionnaire) {
+      return res.status(404).json({ msg: 'No active questionnaire for this donation type' });
+    }
+
+    res.json(questionnaire);
+  } catch (err) {
+    console.error('Get active questionnaire error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get questionnaire version by ID
+ * @route   GET /api/questionnaires/:id
+ */
+exports.getQuestionnaireById = async (req, res) => {
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id)
+      .populate('publishedBy', 'name')
+      .populate('supersedes', 'code version');
+
+    if (!questionnaire) {
+      return res.status(404).json({ msg: 'Questionnaire not found' });
+    }
+
+    res.json(questionnaire);
+  } catch (err) {
+    console.error('Get questionnaire error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Questionnaire not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Publish a new questionnaire version
+ * @route   POST /api/questionnaires
+ *
+ * Questionnaires are never edited in place, so every stored response can be
+ * read against the exact questions the donor answered.
+ */
+exports.publishQuestionnaire = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { code, title, donationTypes, questions, notes } = req.body;
+
+    const keys = questions.map(question => question.key);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({ msg: 'Question keys must be unique' });
+    }
+
+    const latest = await Questionnaire.findOne({ code }).sort({ version: -1 });
+    const previous = await Questionnaire.findOne({ code, isActive: true });
+
+    const questionnaire = new Questionnaire({
+      code,
+      version: latest ? latest.version + 1 : 1,
+      title,
+      donationTypes,
+      questions,
+      notes,
+      supersedes: previous ? previous._id : undefined,
+      publishedBy: req.user.id
+    });
+
+    await questionnaire.save();
+
+    if (previous) {
+      previous.isActive = false;
+      await previous.save();
+    }
+
+    res.status(201).json(questionnaire);
+  } catch (err) {
+    console.error('Publish questionnaire error:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: 'A newer version of this questionnaire was just published, please retry' });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Submit answers to a questionnaire before donating
+ * @route   POST /api/questionnaires/:id/responses
+ */
+exports.submitResponse = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id);
+    if (!questionnaire) {
+      return res.status(404).json({ msg: 'Questionnaire not found' });
+    }
+
+    if (!questionnaire.isActive) {
+      return res.status(400).json({ msg: 'This questionnaire version has been replaced, please reload the form' });
+    }
+
+    const donationType = req.body.donationType || 'blood';
+    if (!questionnaire.donationTypes.includes(donationType)) {
+      return res.status(400).json({ msg: `This questionnaire does not cover ${donationType} donations` });
+    }
+
+    const donor = await Donor.findOne({ user: req.user.id });
+    if (!donor) {
+      return res.status(404).json({ msg: 'Donor profile not found' });
+    }
+
+    const { errors: answerErrors, answers } = validateAnswers(questionnaire, req.body.answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({ msg: 'Invalid answers', errors: answerErrors });
+    }
+
+    const now = new Date();
+    const deferrals = evaluateAnswers(questionnaire, answers, now);
+    const outcome = deferrals.length > 0 ? 'deferred' : 'cleared';
+
+    const response = new QuestionnaireResponse({
+      donor: donor._id,
+      questionnaire: questionnaire._id,
+      questionnaireCode: questionnaire.code,
+      questionnaireVersion: questionnaire.version,
+      donationType,
+      answers,
+      outcome,
+      deferrals,
+      submittedAt: now,
+      validUntil: outcome === 'cleared'
+        ? new Date(now.getTime() + QUESTIONNAIRE_VALID_HOURS * 60 * 60 * 1000)
+        : undefined
+    });
+
+    await response.save();
+
+    res.status(201).json(response);
+  } catch (err) {
+    console.error('Submit questionnaire response error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Questionnaire not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
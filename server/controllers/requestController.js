@@ -1,7 +1,18 @@
 // controllers/requestController.js
 const Request = require('../models/Request');
-const Hospital = require('../models/Hospital');
 const { validationResult } = require('express-validator');
+const { getFulfillment } = require('../utils/fulfillment');
+const { applyRequestTransition, getRequestActorRole, OPEN_REQUEST_STATUSES, CLOSED_REQUEST_STATUSES } = require('../utils/requestStateMachine');
+const { TransitionError } = require('../utils/matchStateMachine');
+const { withdrawOpenMatches } = require('../utils/requestLifecycle');
+const { buildStatusEntry } = require('../models/statusHistory');
+const { revealEncryptedFields } = require('../utils/fieldEncryption');
+const {
+  HOSPITAL_PERMISSIONS,
+  getHospitalMembership,
+  getUserHospital,
+  hasHospitalPermission
+} = require('../utils/hospitalMembership');
 
 /**
  * @desc    Create donation request
@@ -15,13 +26,16 @@ exports.createRequest = async (req, res) => {
   try {
     let hospitalId;
     
-    // If request is from hospital, use their hospital ID
+    // If request is from hospital staff, use their hospital ID
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
-      if (!hospital) {
+      const membership = await getHospitalMembership(req.user.id);
+      if (!membership) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
-      hospitalId = hospital._id;
+      if (!hasHospitalPermission(membership, HOSPITAL_PERMISSIONS.MANAGE_REQUESTS)) {
+        return res.status(403).json({ msg: 'Not authorized to create requests' });
+      }
+      hospitalId = membership.hospital._id;
     } else {
       // Admin or coordinator must provide hospital ID
       hospitalId = req.body.hospital;
@@ -49,7 +63,8 @@ exports.createRequest = async (req, res) => {
       recipientDetails,
       requiredBy,
       createdBy: req.user.id,
-      status: 'pending'
+      status: 'pending',
+      statusHistory: [buildStatusEntry({ to: 'pending', changedBy: req.user.id, role: req.user.role, notes: 'Request created' })]
     };
 
     // Add type-specific fields
@@ -68,6 +83,8 @@ exports.createRequest = async (req, res) => {
     // Create and save request
     const request = new Request(requestFields);
     await request.save();
+
+    revealEncryptedFields(request, req.user, true);
     res.status(201).json(request);
   } catch (err) {
     console.error('Create request error:', err);
@@ -91,7 +108,7 @@ exports.getRequests = async (req, res) => {
     
     // If user is a hospital, only show their requests
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
@@ -142,6 +159,9 @@ exports.getRequests = async (req, res) => {
       pages: Math.ceil(total / limit)
     };
 
+    // Hospitals only see their own requests, so they may read the recipient's diagnosis and HLA type
+    revealEncryptedFields(requests, req.user, req.user.role === 'hospital');
+
     res.json({ requests, pagination });
   } catch (err) {
     console.error('Get requests error:', err);
@@ -166,12 +186,13 @@ exports.getRequestById = async (req, res) => {
 
     // Check if user has permission to view this request
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital || hospital._id.toString() !== request.hospital._id.toString()) {
         return res.status(403).json({ msg: 'Not authorized to view this request' });
       }
     }
 
+    revealEncryptedFields(request, req.user, req.user.role === 'hospital');
     res.json(request);
   } catch (err) {
     console.error('Get request by ID error:', err);
@@ -182,6 +203,74 @@ exports.getRequestById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a request's status history
+ * @route   GET /api/requests/:id/history
+ */
+exports.getRequestHistory = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .select('hospital status statusHistory')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!request) {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+
+    // Parties to the request may read its history, including hospital staff who can't change it
+    if (!(await getRequestActorRole(req.user, request, null))) {
+      return res.status(403).json({ msg: 'Not authorized to view this request' });
+    }
+
+    res.json({
+      requestId: request._id,
+      status: request.status,
+      history: request.statusHistory
+    });
+  } catch (err) {
+    console.error('Get request history error:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get how many units of a request are secured and outstanding
+ * @route   GET /api/requests/:id/fulfillment
+ */
+exports.getRequestFulfillment = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+
+    // Check if user has permission to view this request
+    if (req.user.role === 'hospital') {
+      const hospital = await getUserHospital(req.user.id);
+      if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
+        return res.status(403).json({ msg: 'Not authorized to view this request' });
+      }
+    }
+
+    const fulfillment = await getFulfillment(request);
+
+    res.json({
+      requestId: request._id,
+      status: request.status,
+      ...fulfillment
+    });
+  } catch (err) {
+    console.error('Get request fulfillment error:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Request not found' });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * @desc    Update request status
  * @route   PATCH /api/requests/:id/status
@@ -198,26 +287,28 @@ exports.updateRequestStatus = async (req, res) => {
       return res.status(404).json({ msg: 'Request not found' });
     }
 
-    // Check permission if hospital user
-    if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
-      if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
-        return res.status(403).json({ msg: 'Not authorized to update this request' });
-      }
-    }
-
-    // Update status and add status history
-    request.status = req.body.status;
-    request.statusHistory.push({
-      status: req.body.status,
-      updatedBy: req.user.id,
-      notes: req.body.notes || ''
+    // The state machine checks the user's part in the request, the transition and its required fields
+    await applyRequestTransition(request, req.body.status, {
+      user: req.user,
+      notes: req.body.notes,
+      reason: req.body.reason || req.body.notes
     });
 
     // Save request
     await request.save();
+
+    // Donors still lined up for a cancelled request are released
+    if (request.status === 'cancelled') {
+      await withdrawOpenMatches(request, `Request cancelled: ${request.cancellationReason}`);
+    }
+
+    // Only the owning hospital passes the state machine's hospital check
+    revealEncryptedFields(request, req.user, req.user.role === 'hospital');
     res.json(request);
   } catch (err) {
+    if (err instanceof TransitionError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Update request status error:', err);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Request not found' });
@@ -244,15 +335,15 @@ exports.updateRequest = async (req, res) => {
 
     // Check permission if hospital user
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_REQUESTS);
       if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
         return res.status(403).json({ msg: 'Not authorized to update this request' });
       }
     }
 
-    // Don't allow updates if request is already fulfilled or cancelled
-    if (['fulfilled', 'cancelled'].includes(request.status)) {
-      return res.status(400).json({ msg: 'Cannot update request that is already fulfilled or cancelled' });
+    // Don't allow updates once the request is closed
+    if (CLOSED_REQUEST_STATUSES.includes(request.status)) {
+      return res.status(400).json({ msg: `Cannot update a request that is ${request.status}` });
     }
 
     const {
@@ -267,7 +358,11 @@ exports.updateRequest = async (req, res) => {
 
     // Update fields
     if (recipientDetails) request.recipientDetails = recipientDetails;
-    if (requiredBy) request.requiredBy = requiredBy;
+    if (requiredBy) {
+      request.requiredBy = requiredBy;
+      // A new date gets its own follow-up if it passes too
+      request.overdueFlaggedAt = undefined;
+    }
     if (notes) request.notes = notes;
     if (matchCriteria) request.matchCriteria = matchCriteria;
 
@@ -284,6 +379,8 @@ exports.updateRequest = async (req, res) => {
 
     // Save updated request
     await request.save();
+
+    revealEncryptedFields(request, req.user, req.user.role === 'hospital');
     res.json(request);
   } catch (err) {
     console.error('Update request error:', err);
@@ -307,7 +404,7 @@ exports.deleteRequest = async (req, res) => {
 
     // Check permission if hospital user
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id, HOSPITAL_PERMISSIONS.MANAGE_REQUESTS);
       if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
         return res.status(403).json({ msg: 'Not authorized to delete this request' });
       }
@@ -340,7 +437,7 @@ exports.getRequestStats = async (req, res) => {
     
     // If user is a hospital, only show their stats
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
@@ -363,14 +460,14 @@ exports.getRequestStats = async (req, res) => {
     const urgentCount = await Request.countDocuments({
       ...filter,
       'recipientDetails.urgencyLevel': 'high',
-      status: { $nin: ['fulfilled', 'cancelled'] }
+      status: { $in: OPEN_REQUEST_STATUSES }
     });
 
     // Requests expiring soon (within 24 hours)
     const expiringCount = await Request.countDocuments({
       ...filter,
       requiredBy: { $lte: new Date(Date.now() + 24 * 60 * 60 * 1000) },
-      status: { $nin: ['fulfilled', 'cancelled'] }
+      status: { $in: OPEN_REQUEST_STATUSES }
     });
 
     // Format the response
@@ -411,12 +508,12 @@ exports.getUrgentRequests = async (req, res) => {
     const filter = {
       requestType: type,
       'recipientDetails.urgencyLevel': 'high',  // Assuming 'high' indicates urgency
-      status: { $nin: ['fulfilled', 'cancelled'] }
+      status: { $in: OPEN_REQUEST_STATUSES }
     };
     
     // If user is a hospital, only show their requests
     if (req.user.role === 'hospital') {
-      const hospital = await Hospital.findOne({ user: req.user.id });
+      const hospital = await getUserHospital(req.user.id);
       if (!hospital) {
         return res.status(404).json({ msg: 'Hospital profile not found' });
       }
@@ -426,7 +523,8 @@ exports.getUrgentRequests = async (req, res) => {
     const urgentRequests = await Request.find(filter)
       .populate('hospital', 'name location contactInfo')
       .sort({ requiredBy: 1 });  // Sort by required date (soonest first)
-    
+
+    revealEncryptedFields(urgentRequests, req.user, req.user.role === 'hospital');
     res.json(urgentRequests);
   } catch (err) {
     console.error('Get urgent requests error:', err);
@@ -0,0 +1,242 @@
+// controllers/scoringPolicyController.js
+const ScoringPolicy = require('../models/ScoringPolicy');
+const { validationResult } = require('express-validator');
+const { getDefaultWeights, validateWeights, CURRENT_DEFAULTS_VERSION } = require('../utils/scoringPolicy');
+
+/**
+ * @desc    Get scoring policies with filtering options
+ * @route   GET /api/scoring-policies
+ */
+exports.getScoringPolicies = async (req, res) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.requestType) {
+      filter.requestType = req.query.requestType;
+    }
+
+    if (req.query.organType) {
+      filter.organType = req.query.organType;
+    }
+
+    if (req.query.hospital) {
+      filter.hospital = req.query.hospital;
+    }
+
+    if (req.query.isActive) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const policies = await ScoringPolicy.find(filter)
+      .populate('hospital', 'name')
+      .populate('createdBy', 'name email')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ requestType: 1, organType: 1, version: -1 });
+
+    const total = await ScoringPolicy.countDocuments(filter);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    };
+
+    res.json({ policies, pagination });
+  } catch (err) {
+    console.error('Get scoring policies error:', err);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get the built-in weights used when no policy applies (or an older defaults version)
+ * @route   GET /api/scoring-policies/defaults
+ */
+exports.getDefaultScoringWeights = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { requestType, organType } = req.query;
+  const version = req.query.version === undefined ? CURRENT_DEFAULTS_VERSION : parseInt(req.query.version);
+
+  res.json({
+    requestType,
+    organType: requestType === 'organ' ? organType || null : null,
+    version,
+    weights: getDefaultWeights(requestType, organType, version)
+  });
+};
+
+/**
+ * @desc    Get scoring policy by ID
+ * @route   GET /api/scoring-policies/:id
+ */
+exports.getScoringPolicyById = async (req, res) => {
+  try {
+    const policy = await ScoringPolicy.findById(req.params.id)
+      .populate('hospital', 'name')
+      .populate('createdBy', 'name email')
+      .populate('supersedes', 'name version');
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    res.json(policy);
+  } catch (err) {
+    console.error('Get scoring policy error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Publish a new scoring policy version
+ * @route   POST /api/scoring-policies
+ *
+ * Policies are never edited in place. Each publish creates the next version
+ * for its scope (request type, organ type, hospital) and deactivates the
+ * version it supersedes, so older matches can still be traced to the exact
+ * weights that scored them. A unique index allows one active version per
+ * scope; a publish that loses a race reactivates the version it replaced.
+ */
+exports.createScoringPolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, requestType, hospital, weights, notes } = req.body;
+    const organType = requestType === 'organ' ? req.body.organType || null : null;
+
+    const weightErrors = validateWeights(requestType, weights);
+    if (weightErrors.length > 0) {
+      return res.status(400).json({ msg: 'Invalid scoring weights', errors: weightErrors });
+    }
+
+    const scope = { requestType, organType, hospital: hospital || null };
+
+    // Free the scope's active slot first; the unique index keeps a concurrent publish out of it
+    const previous = await ScoringPolicy.findOneAndUpdate({ ...scope, isActive: true }, { isActive: false });
+    const latest = await ScoringPolicy.findOne(scope).sort({ version: -1 });
+
+    const policy = new ScoringPolicy({
+      name,
+      requestType,
+      organType: organType || undefined,
+      hospital: hospital || undefined,
+      version: latest ? latest.version + 1 : 1,
+      weights,
+      defaultsVersion: CURRENT_DEFAULTS_VERSION,
+      notes,
+      supersedes: previous ? previous._id : undefined,
+      createdBy: req.user.id
+    });
+
+    try {
+      await policy.save();
+    } catch (err) {
+      // Another publish took the version number or the active slot; put the replaced version back
+      if (err.code === 11000 && previous) {
+        await ScoringPolicy.updateOne({ _id: previous._id }, { isActive: true })
+          .catch(restoreErr => console.error('Error reactivating replaced scoring policy:', restoreErr));
+      }
+      throw err;
+    }
+
+    res.status(201).json(policy);
+  } catch (err) {
+    console.error('Create scoring policy error:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: 'A newer version of this policy was just published, please retry' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Activate a scoring policy version (e.g. to roll back)
+ * @route   PATCH /api/scoring-policies/:id/activate
+ */
+exports.activateScoringPolicy = async (req, res) => {
+  try {
+    const policy = await ScoringPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    // Only one version per scope may be active at a time
+    await ScoringPolicy.updateMany(
+      {
+        _id: { $ne: policy._id },
+        requestType: policy.requestType,
+        organType: policy.organType || null,
+        hospital: policy.hospital || null,
+        isActive: true
+      },
+      { isActive: false }
+    );
+
+    policy.isActive = true;
+    await policy.save();
+
+    res.json(policy);
+  } catch (err) {
+    console.error('Activate scoring policy error:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: 'Another version of this policy was just activated, please retry' });
+    }
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Deactivate a scoring policy version
+ * @route   PATCH /api/scoring-policies/:id/deactivate
+ */
+exports.deactivateScoringPolicy = async (req, res) => {
+  try {
+    const policy = await ScoringPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    policy.isActive = false;
+    await policy.save();
+
+    res.json(policy);
+  } catch (err) {
+    console.error('Deactivate scoring policy error:', err);
+
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Scoring policy not found' });
+    }
+
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -0,0 +1,56 @@
+const { recordAudit, isAuditQueueFull } = require('../utils/auditLog');
+
+// Audit action for each HTTP method
+const METHOD_ACTIONS = {
+  GET: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+/**
+ * Work out which resource an API path refers to
+ * @param {String} path - Request path, e.g. /api/donors/<id>/eligibility
+ * @returns {Object} - { type, id }
+ */
+const getResource = (path) => {
+  const parts = path.split('/').filter(Boolean);
+  const id = parts.slice(2).find(part => OBJECT_ID_PATTERN.test(part) || part === 'me');
+  return { type: parts[1], id };
+};
+
+module.exports = {
+  // Record every API call, reads included, once the response is done (sent or aborted),
+  // so the authenticated user and status are known
+  auditTrail: (req, res, next) => {
+    if (!METHOD_ACTIONS[req.method]) {
+      return next();
+    }
+
+    // Refuse calls that couldn't be audited rather than losing their records
+    if (isAuditQueueFull()) {
+      res.set('Retry-After', '5');
+      return res.status(503).json({ msg: 'Audit log is behind; try again shortly' });
+    }
+
+    res.on('close', () => {
+      const path = req.originalUrl.split('?')[0];
+      recordAudit({
+        actor: req.user ? { user: req.user.id, role: req.user.role } : undefined,
+        action: METHOD_ACTIONS[req.method],
+        channel: 'rest',
+        method: req.method,
+        path,
+        resource: getResource(path),
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    });
+
+    next();
+  }
+};
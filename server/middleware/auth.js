@@ -1,8 +1,9 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, SessionError } = require('../utils/sessions');
+const { verifyChallengeToken, CHALLENGE_PURPOSES } = require('../utils/twoFactor');
 
 module.exports = {
   // Verify token middleware
-  authenticate: (req, res, next) => {
+  authenticate: async (req, res, next) => {
     // Get token from header
     const token = req.header('x-auth-token') || req.header('Authorization')?.replace('Bearer ', '');
 
@@ -12,14 +13,36 @@ module.exports = {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and check its session hasn't been revoked
+      const decoded = await verifyAccessToken(token);
 
-      // Add user from payload
-      req.user = decoded;
+      // Add user and session from payload
+      req.user = decoded.user;
+      req.sessionId = decoded.sid;
       next();
     } catch (err) {
-      res.status(401).json({ message: 'Token is not valid' });
+      if (err instanceof SessionError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('Authentication error:', err);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+
+  // Let a user enroll a second factor either while logged in, or with the setup
+  // challenge login issues to roles that need one before they can have a session
+  authenticateTwoFactorSetup: (req, res, next) => {
+    if (!req.body.challengeToken) {
+      return module.exports.authenticate(req, res, next);
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken, CHALLENGE_PURPOSES.SETUP);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Challenge is not valid or has expired' });
+    }
+
+    req.user = { id: challenge.user, role: challenge.role };
+    req.twoFactorSetupChallenge = true;
+    next();
   }
 };
\ No newline at end of file
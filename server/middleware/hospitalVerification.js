@@ -0,0 +1,31 @@
+const { isHospitalVerified } = require('../utils/hospitalVerification');
+const { getUserHospital } = require('../utils/hospitalMembership');
+
+module.exports = {
+  // Block hospital users until an admin has approved their license (other roles pass through)
+  requireVerifiedHospital: async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (req.user.role !== 'hospital') {
+      return next();
+    }
+
+    try {
+      const hospital = await getUserHospital(req.user.id);
+      if (!hospital) {
+        return res.status(403).json({ message: 'Create a hospital profile or join one before continuing' });
+      }
+      if (!isHospitalVerified(hospital)) {
+        const message = hospital.verification.status === 'rejected'
+          ? 'Hospital license verification was rejected; upload new license documents for review'
+          : 'Hospital license verification is pending admin approval';
+        return res.status(403).json({ message, verificationStatus: hospital.verification.status });
+      }
+      next();
+    } catch (err) {
+      console.error('Hospital verification check error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+};
@@ -21,5 +21,11 @@ module.exports = {
       DONOR: 'donor',
       HOSPITAL: 'hospital',
       COORDINATOR: 'coordinator'
-    }
+    },
+
+    // Roles anyone can register for; admins create admin and coordinator accounts
+    PUBLIC_ROLES: ['donor', 'hospital'],
+
+    // Roles only an admin can give
+    STAFF_ROLES: ['admin', 'coordinator']
   };
\ No newline at end of file
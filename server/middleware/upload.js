@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  MAX_DOCUMENTS_PER_UPLOAD,
+  ensureDocumentsDir
+} = require('../utils/hospitalVerification');
+
+// Files get random names so uploads can't choose or overwrite paths
+const licenseDocumentStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, ensureDocumentsDir()),
+  filename: (req, file, cb) => cb(null, `${crypto.randomBytes(16).toString('hex')}${DOCUMENT_TYPES[file.mimetype]}`)
+});
+
+const licenseDocumentUpload = multer({
+  storage: licenseDocumentStorage,
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: MAX_DOCUMENTS_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('documents', MAX_DOCUMENTS_PER_UPLOAD);
+
+module.exports = {
+  // Accept license documents (PDF, JPEG or PNG) in the multipart field "documents"
+  uploadLicenseDocuments: (req, res, next) => {
+    licenseDocumentUpload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each document must be at most ${MAX_DOCUMENT_SIZE / (1024 * 1024)} MB`,
+          LIMIT_FILE_COUNT: `Upload at most ${MAX_DOCUMENTS_PER_UPLOAD} documents at a time`,
+          LIMIT_UNEXPECTED_FILE: 'Documents must be PDF, JPEG or PNG files sent in the "documents" field'
+        };
+        return res.status(400).json({ msg: messages[err.code] || err.message });
+      }
+      if (err) {
+        return next(err);
+      }
+      next();
+    });
+  }
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// The last record reserved on the audit log hash chain. Appenders claim sequence numbers by
+// moving it forward, and verification checks the log still reaches it, so records deleted
+// from the end of the chain are caught.
+const AuditChainHeadSchema = new mongoose.Schema({
+  // Name of the chain (there is one, 'audit')
+  _id: String,
+  sequence: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('AuditChainHead', AuditChainHeadSchema);
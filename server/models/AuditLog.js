@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  // read, create, update or delete for REST calls; the event name for socket events
+  action: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['rest', 'socket'],
+    required: true
+  },
+  method: String,
+  path: String,
+  resource: {
+    type: { type: String },
+    id: String
+  },
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  // Hash of the previous record, and of this record including prevHash
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+AuditLogSchema.index({ sequence: 1 }, { unique: true });
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ 'actor.user': 1, timestamp: -1 });
+AuditLogSchema.index({ 'resource.type': 1, 'resource.id': 1, timestamp: -1 });
+
+// Records are append-only: refuse any change to a saved record
+const refuseChange = function () {
+  throw new Error('Audit log records cannot be changed or deleted');
+};
+
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log records cannot be changed or deleted'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']
+  .forEach(operation => AuditLogSchema.pre(operation, refuseChange));
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const DeferralRuleSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Shown to deferred donors
+  reason: {
+    type: String,
+    required: true
+  },
+  // Which part of the donor profile the rule looks at
+  criterion: {
+    type: String,
+    enum: ['medication', 'chronic_condition', 'past_surgery', 'recent_event', 'min_weight', 'min_age', 'max_age'],
+    required: true
+  },
+  // Case-insensitive terms matched against medications, conditions and surgeries,
+  // or the event types for recent_event rules
+  keywords: [String],
+  // Limit in kg or years for the weight and age criteria
+  threshold: Number,
+  deferralType: {
+    type: String,
+    // temporary: for durationDays after the event; while_present: until the
+    // profile no longer matches; permanent: never eligible again
+    enum: ['temporary', 'while_present', 'permanent'],
+    required: true
+  },
+  durationDays: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.deferralType === 'temporary';
+    }
+  },
+  // Donation types the rule defers (all types when empty)
+  donationTypes: [{
+    type: String,
+    enum: ['blood', 'red_cells', 'plasma', 'platelets', 'organ']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+DeferralRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('DeferralRule', DeferralRuleSchema);
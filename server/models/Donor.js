@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptedFields } = require('../utils/fieldEncryption');
 
 const DonorSchema = new mongoose.Schema({
   user: {
@@ -36,6 +37,31 @@ const DonorSchema = new mongoose.Schema({
       type: String,
       enum: ['none', 'light', 'moderate', 'heavy'],
       default: 'none'
+    },
+    // Dated events that can defer donation for a while (see DeferralRule)
+    recentEvents: [{
+      eventType: {
+        type: String,
+        enum: ['tattoo', 'piercing', 'surgery', 'transfusion', 'pregnancy', 'travel', 'vaccination', 'infection', 'dental_procedure'],
+        required: true
+      },
+      date: {
+        type: Date,
+        required: true
+      },
+      notes: String
+    }]
+  },
+  hlaTyping: {
+    A: [String],
+    B: [String],
+    C: [String],
+    DR: [String],
+    DQ: [String],
+    typedAt: Date,
+    method: {
+      type: String,
+      enum: ['serological', 'molecular']
     }
   },
   physicalDetails: {
@@ -51,7 +77,7 @@ const DonorSchema = new mongoose.Schema({
   donationHistory: [{
     donationType: {
       type: String,
-      enum: ['blood', 'plasma', 'platelets', 'organ'],
+      enum: ['blood', 'red_cells', 'plasma', 'platelets', 'organ'],
       required: true
     },
     organType: String,
@@ -63,6 +89,11 @@ const DonorSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Hospital'
     },
+    // Pre-donation questionnaire that cleared the donor (blood donations)
+    questionnaireResponse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionnaireResponse'
+    },
     notes: String
   }],
   lastDonationDate: Date,
@@ -95,4 +126,20 @@ const DonorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for joining donor profiles onto users found by geospatial queries
+DonorSchema.index({ user: 1 });
+
+// Medical history is encrypted at rest and only returned to roles allowed to read it.
+// Enum fields (smokingStatus, alcoholConsumption, recentEvents.eventType) stay plain so they keep validating
+DonorSchema.plugin(encryptedFields, {
+  paths: [
+    'medicalHistory.chronicConditions',
+    'medicalHistory.allergies',
+    'medicalHistory.medications',
+    'medicalHistory.pastSurgeries',
+    'medicalHistory.recentEvents.$.notes'
+  ],
+  hidden: ['medicalHistory']
+});
+
 module.exports = mongoose.model('Donor', DonorSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const ExchangePairSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  // Kidney request for the intended recipient (absent for non-directed donors)
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request'
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  isNonDirected: {
+    type: Boolean,
+    default: false
+  },
+  // HLA antigens the recipient has antibodies against (e.g. "A2", "B44")
+  unacceptableAntigens: [String],
+  status: {
+    type: String,
+    enum: ['active', 'reserved', 'matched', 'withdrawn'],
+    default: 'active'
+  },
+  exchange: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidneyExchange'
+  },
+  notes: String,
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ExchangePairSchema.index({ status: 1 });
+ExchangePairSchema.index({ donor: 1 });
+ExchangePairSchema.index({ request: 1 });
+ExchangePairSchema.index({ hospital: 1, status: 1 });
+
+module.exports = mongoose.model('ExchangePair', ExchangePairSchema);
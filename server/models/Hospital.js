@@ -82,6 +82,56 @@ const HospitalSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // License verification: hospitals can't reach donor or match data until an admin approves them
+  verification: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    documents: [{
+      originalName: String,
+      // Name of the file in the license document directory
+      fileName: {
+        type: String,
+        required: true
+      },
+      mimeType: String,
+      size: Number,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Reason given with the latest decision (required when rejecting)
+    reason: String,
+    history: [{
+      _id: false,
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reason: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }
 }, {
   timestamps: true
@@ -89,5 +139,6 @@ const HospitalSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 HospitalSchema.index({ "location.coordinates": "2dsphere" });
+HospitalSchema.index({ 'verification.status': 1, 'verification.submittedAt': 1 });
 
 module.exports = mongoose.model('Hospital', HospitalSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An invitation for someone to join a hospital's staff
+const HospitalInvitationSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  staffRole: {
+    type: String,
+    enum: ['administrator', 'transplant_coordinator', 'blood_bank_tech', 'surgeon', 'read_only'],
+    required: true
+  },
+  // SHA-256 of the token sent in the invitation email; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+HospitalInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+HospitalInvitationSchema.index({ hospital: 1, status: 1 });
+
+module.exports = mongoose.model('HospitalInvitation', HospitalInvitationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A user's place on a hospital's staff; permissions for each staff role are in utils/hospitalMembership.js
+const HospitalMembershipSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  staffRole: {
+    type: String,
+    enum: ['administrator', 'transplant_coordinator', 'blood_bank_tech', 'surgeon', 'read_only'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: Date
+}, {
+  timestamps: true
+});
+
+// A user belongs to at most one hospital at a time
+HospitalMembershipSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+HospitalMembershipSchema.index({ hospital: 1, status: 1 });
+
+module.exports = mongoose.model('HospitalMembership', HospitalMembershipSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const KidneyExchangeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cycle', 'chain'],
+    required: true
+  },
+  pairs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangePair'
+  }],
+  // One entry per transplant, in the order donors give
+  transplants: [{
+    _id: false,
+    donorPair: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangePair',
+      required: true
+    },
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      required: true
+    },
+    recipientPair: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangePair',
+      required: true
+    },
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Request',
+      required: true
+    },
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match'
+    },
+    tissueTypeMatch: Number,
+    hlaMismatchCount: Number
+  }],
+  // Last donor of a chain, who gives to a later chain or the waiting list
+  bridgeDonorPair: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangePair'
+  },
+  totalScore: Number,
+  status: {
+    type: String,
+    enum: ['proposed', 'confirmed', 'cancelled', 'completed'],
+    default: 'proposed'
+  },
+  cancellationReason: String,
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+KidneyExchangeSchema.index({ status: 1, createdAt: -1 });
+KidneyExchangeSchema.index({ pairs: 1 });
+
+module.exports = mongoose.model('KidneyExchange', KidneyExchangeSchema);
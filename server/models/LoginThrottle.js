@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Failed attempt counters shared by every instance when the Mongo throttle store is used
+const LoginThrottleSchema = new mongoose.Schema({
+  // Scope and subject, e.g. login:account:jane@example.com or forgotPassword:ip:10.0.0.1
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  // When the counting window (or lock, if later) ends and the record can be dropped
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+LoginThrottleSchema.index({ key: 1 }, { unique: true });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { StatusHistorySchema } = require('./statusHistory');
 
 const MatchSchema = new mongoose.Schema({
   request: {
@@ -26,16 +27,70 @@ const MatchSchema = new mongoose.Schema({
     ageDifference: Number,
     sizeMatch: Number,
     tissueTypeMatch: Number,
+    hlaMismatchCount: Number,
     urgencyFactor: Number,
-    timeToTransport: Number
+    priorityScoreType: {
+      type: String,
+      enum: ['MELD', 'PELD', 'LAS', 'waiting_time']
+    },
+    priorityScore: Number,
+    timeToTransport: Number,
+    transportMethod: {
+      type: String,
+      enum: ['ground', 'helicopter', 'airplane', 'drone']
+    },
+    viabilityRemainingMinutes: Number
+  },
+  // Line-by-line explanation of matchScore, in the order the scorer applied it
+  scoreBreakdown: [{
+    _id: false,
+    factor: {
+      type: String,
+      required: true
+    },
+    rawValue: mongoose.Schema.Types.Mixed,
+    weight: Number,
+    points: {
+      type: Number,
+      required: true
+    }
+  }],
+  scoringPolicy: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringPolicy'
+    },
+    version: Number
+  },
+  // Set when the match is one transplant of a paired kidney exchange
+  exchange: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidneyExchange'
+  },
+  // Set when the match is one offer of a sequential offer cascade
+  cascade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfferCascade'
+  },
+  offerExpiresAt: Date,
+  // Units of blood this match supplies towards the request's bloodQuantity
+  unitsCovered: {
+    type: Number,
+    min: 1,
+    default: 1
   },
   status: {
     type: String,
-    enum: ['proposed', 'pending_confirmation', 'confirmed', 'rejected', 'in_transit', 'delivered', 'transplanted', 'failed'],
+    // Allowed transitions between these are listed in utils/matchStateMachine.js
+    enum: ['proposed', 'pending_confirmation', 'confirmed', 'rejected', 'expired', 'withdrawn', 'in_transit', 'delivered', 'transplanted', 'failed'],
     default: 'proposed'
   },
+  // Every status change, oldest first; only ever appended to
+  statusHistory: [StatusHistorySchema],
   confirmedAt: Date,
   rejectionReason: String,
+  failureReason: String,
+  withdrawalReason: String,
   logistics: {
     transportArrangedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const UrgencyStatsSchema = new mongoose.Schema({
+  processed: { type: Number, default: 0 },
+  matchesFound: { type: Number, default: 0 }
+}, { _id: false });
+
+const MatchingRunSchema = new mongoose.Schema({
+  instance: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  stats: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    skippedLocked: { type: Number, default: 0 },
+    matchesFound: { type: Number, default: 0 },
+    escalated: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  byUrgency: {
+    critical: UrgencyStatsSchema,
+    emergency: UrgencyStatsSchema,
+    urgent: UrgencyStatsSchema,
+    routine: UrgencyStatsSchema
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+MatchingRunSchema.index({ startedAt: -1 });
+MatchingRunSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('MatchingRun', MatchingRunSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const OfferCascadeSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true
+  },
+  status: {
+    type: String,
+    // active: an offer is out; completed: the request is covered;
+    // exhausted: every candidate declined or let the offer expire
+    enum: ['active', 'completed', 'exhausted', 'cancelled'],
+    default: 'active'
+  },
+  // Minutes each donor has to respond before the offer moves on
+  responseWindowMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Ranked candidates at the time the cascade started, with the scoring used to create their offers
+  candidates: [{
+    _id: false,
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor',
+      required: true
+    },
+    matchScore: Number,
+    matchFactors: mongoose.Schema.Types.Mixed,
+    scoreBreakdown: mongoose.Schema.Types.Mixed,
+    scoringPolicy: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScoringPolicy'
+      },
+      version: Number
+    }
+  }],
+  // Index of the next candidate to offer to
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  currentMatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  },
+  currentDeadline: Date,
+  // One entry per candidate offered or skipped, in order
+  steps: [{
+    rank: Number,
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donor'
+    },
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match'
+    },
+    outcome: {
+      type: String,
+      enum: ['offered', 'accepted', 'declined', 'expired', 'skipped', 'withdrawn'],
+      default: 'offered'
+    },
+    reason: String,
+    offeredAt: Date,
+    deadline: Date,
+    respondedAt: Date
+  }],
+  endedAt: Date,
+  endReason: String,
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+OfferCascadeSchema.index({ request: 1, status: 1 });
+OfferCascadeSchema.index({ status: 1, currentDeadline: 1 });
+
+module.exports = mongoose.model('OfferCascade', OfferCascadeSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const QuestionnaireSchema = new mongoose.Schema({
+  // Identifies the form across versions
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // Donation types the form screens donors for
+  donationTypes: [{
+    type: String,
+    enum: ['blood', 'red_cells', 'plasma', 'platelets']
+  }],
+  questions: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    answerType: {
+      type: String,
+      enum: ['yes_no', 'number', 'date', 'choice', 'text'],
+      required: true
+    },
+    options: [String],
+    required: {
+      type: Boolean,
+      default: true
+    },
+    // Answer that defers the donor, and for how long
+    deferral: {
+      when: {
+        operator: {
+          type: String,
+          enum: ['equals', 'lt', 'gt']
+        },
+        value: mongoose.Schema.Types.Mixed
+      },
+      reason: String,
+      deferralType: {
+        type: String,
+        enum: ['temporary', 'while_present', 'permanent']
+      },
+      durationDays: Number
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Questionnaire'
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One version number per form
+QuestionnaireSchema.index({ code: 1, version: 1 }, { unique: true });
+QuestionnaireSchema.index({ isActive: 1, donationTypes: 1 });
+
+module.exports = mongoose.model('Questionnaire', QuestionnaireSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const QuestionnaireResponseSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  questionnaire: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Questionnaire',
+    required: true
+  },
+  // Copied so the response still shows which version was screened if the form is edited
+  questionnaireCode: String,
+  questionnaireVersion: Number,
+  donationType: {
+    type: String,
+    enum: ['blood', 'red_cells', 'plasma', 'platelets'],
+    required: true
+  },
+  answers: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  outcome: {
+    type: String,
+    enum: ['cleared', 'deferred'],
+    required: true
+  },
+  deferrals: [{
+    _id: false,
+    questionKey: String,
+    reason: String,
+    deferralType: {
+      type: String,
+      enum: ['temporary', 'while_present', 'permanent']
+    },
+    until: Date,
+    donationTypes: [String]
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A cleared response is only good for a donation soon after it was submitted
+  validUntil: Date,
+  // donationHistory entry the response cleared
+  donation: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+QuestionnaireResponseSchema.index({ donor: 1, submittedAt: -1 });
+QuestionnaireResponseSchema.index({ donor: 1, 'deferrals.until': 1 });
+
+module.exports = mongoose.model('QuestionnaireResponse', QuestionnaireResponseSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { StatusHistorySchema } = require('./statusHistory');
+const { calculatePriority } = require('../utils/medicalPriority');
+const { encryptedFields } = require('../utils/fieldEncryption');
 
 const RequestSchema = new mongoose.Schema({
   hospital: {
@@ -51,6 +54,41 @@ const RequestSchema = new mongoose.Schema({
       type: String,
       enum: ['routine', 'urgent', 'emergency', 'critical'],
       required: true
+    },
+    // Organ-specific inputs for the standard priority scores
+    clinical: {
+      liver: {
+        bilirubin: Number, // mg/dL
+        inr: Number,
+        creatinine: Number, // mg/dL
+        sodium: Number, // mEq/L
+        albumin: Number, // g/dL (PELD)
+        dialysisTwiceInPastWeek: Boolean,
+        growthFailure: Boolean, // PELD
+        measuredAt: Date
+      },
+      lung: {
+        waitlistSurvivalDays: Number, // expected days alive on the waitlist in the next year
+        posttransplantSurvivalDays: Number, // expected days alive in the first year after transplant
+        diagnosisGroup: {
+          type: String,
+          enum: ['A', 'B', 'C', 'D']
+        },
+        measuredAt: Date
+      },
+      kidney: {
+        dialysisStartDate: Date
+      }
+    },
+    // Computed from clinical inputs when the request is saved
+    priority: {
+      scoreType: {
+        type: String,
+        enum: ['MELD', 'PELD', 'LAS', 'waiting_time']
+      },
+      score: Number,
+      normalized: Number,
+      calculatedAt: Date
     }
   },
   requiredBy: {
@@ -59,9 +97,17 @@ const RequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'searching', 'matched', 'in_progress', 'completed', 'cancelled'],
+    // Allowed transitions between these are listed in utils/requestStateMachine.js
+    enum: ['pending', 'searching', 'matched', 'in_progress', 'completed', 'cancelled', 'expired'],
     default: 'pending'
   },
+  // Every status change, oldest first; only ever appended to
+  statusHistory: [StatusHistorySchema],
+  cancellationReason: String,
+  // When the request was completed, cancelled or expired
+  closedAt: Date,
+  // When the expiry sweep flagged this request for staff follow-up: it was still in progress after requiredBy
+  overdueFlaggedAt: Date,
   notes: String,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -77,15 +123,87 @@ const RequestSchema = new mongoose.Schema({
       min: Number,
       max: Number
     },
-    additionalRequirements: [String]
-  }
+    additionalRequirements: [String],
+    transportMethods: [{
+      type: String,
+      enum: ['ground', 'helicopter', 'airplane', 'drone']
+    }]
+  },
+  // Radius widening and criteria relaxation applied while no donors are found
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date,
+    originalCriteria: {
+      maxDistanceKm: Number,
+      preferredAgeRange: {
+        min: Number,
+        max: Number
+      }
+    },
+    history: [{
+      level: Number,
+      fromRadiusKm: Number,
+      toRadiusKm: Number,
+      relaxed: [String],
+      reason: String,
+      coordinatorsNotified: Number,
+      escalatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Units covered by the request's matches, kept in step with match status changes
+  fulfillment: {
+    unitsSecured: {
+      type: Number,
+      default: 0
+    },
+    unitsPending: {
+      type: Number,
+      default: 0
+    },
+    unitsDelivered: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  // Held by the matching scheduler instance currently processing the request
+  matchingLock: {
+    owner: String,
+    expiresAt: Date
+  },
+  lastMatchedAt: Date
 }, {
   timestamps: true
 });
 
+// Recompute the medical priority score whenever its inputs change
+RequestSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('recipientDetails') && !this.isModified('organType')) {
+    return next();
+  }
+
+  const priority = calculatePriority(this);
+  this.recipientDetails.priority = priority
+    ? { ...priority, calculatedAt: new Date() }
+    : undefined;
+  next();
+});
+
 // Create indexes for frequent queries
 RequestSchema.index({ status: 1, requiredBy: 1 });
 RequestSchema.index({ hospital: 1, status: 1 });
 RequestSchema.index({ requestType: 1, status: 1 });
+RequestSchema.index({ status: 1, 'recipientDetails.urgencyLevel': 1, requiredBy: 1 });
+
+// Diagnosis and HLA type are encrypted at rest and only returned to roles allowed to read them
+RequestSchema.plugin(encryptedFields, {
+  paths: ['recipientDetails.diagnosis', 'recipientDetails.hlaType']
+});
 
 module.exports = mongoose.model('Request', RequestSchema);
\ No newline at end of file
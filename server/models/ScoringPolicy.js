@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const ScoringPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  requestType: {
+    type: String,
+    enum: ['blood', 'organ'],
+    required: true
+  },
+  organType: {
+    type: String,
+    enum: ['kidney', 'liver', 'heart', 'lung', 'pancreas', 'intestine', 'cornea', 'bone', 'skin', 'heart_valve']
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  weights: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  // Version of the built-in defaults that fill in weights not set above
+  // (policies published before the defaults were versioned use version 0)
+  defaultsVersion: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScoringPolicy'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One version number per scope (request type, organ, hospital)
+ScoringPolicySchema.index({ requestType: 1, organType: 1, hospital: 1, version: 1 }, { unique: true });
+ScoringPolicySchema.index({ requestType: 1, isActive: 1 });
+// At most one active version per scope, however many publishes run at once
+ScoringPolicySchema.index({ requestType: 1, organType: 1, hospital: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+module.exports = mongoose.model('ScoringPolicy', ScoringPolicySchema);
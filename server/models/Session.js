@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token that can currently be exchanged; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already exchanged, kept so a replayed token can be recognised
+  previousTokenHashes: [String],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  ip: String,
+  userAgent: String,
+  revokedAt: Date,
+  // logout, logout_all, password_reset, token_reuse or user_removed
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions a day after they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -54,7 +54,30 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  lastLogin: Date
+  lastLogin: Date,
+  // TOTP second factor; secrets are encrypted and, like the recovery code hashes, never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, until the user confirms a code from it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last 30-second TOTP step accepted, so a code can't be used twice
+    lastUsedStep: Number,
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// One status change on a Match or Request. Entries are appended by the state
+// machines in utils/ and every field is immutable once saved.
+const StatusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  // Role the change was checked against ('system' for scheduler and cascade jobs)
+  role: {
+    type: String,
+    immutable: true
+  },
+  channel: {
+    type: String,
+    enum: ['rest', 'socket', 'system'],
+    required: true,
+    immutable: true
+  },
+  notes: {
+    type: String,
+    immutable: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+/**
+ * Build a history entry
+ * @param {Object} change - { from, to, changedBy, role, channel, notes }
+ * @returns {Object} - Entry to push onto statusHistory
+ */
+const buildStatusEntry = ({ from, to, changedBy, role, channel, notes }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  from,
+  to,
+  changedBy,
+  role,
+  channel: channel || (role === 'system' ? 'system' : 'rest'),
+  notes,
+  changedAt: new Date()
+});
+
+/**
+ * Wrap each value in $literal so a pipeline stores it as given; a string starting
+ * with $ (e.g. a user-supplied reason) would otherwise be read as a field path
+ * @param {Object} values - Field values
+ * @returns {Object} - The same fields as literal expressions, undefined values left out
+ */
+const literalValues = (values) => Object.fromEntries(
+  Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, { $literal: value }])
+);
+
+/**
+ * Build an update pipeline that changes status and appends the matching history
+ * entry in one atomic write, for guarded updates made without loading the document
+ * @param {String} to - New status
+ * @param {Object} change - { changedBy, role, channel, notes }
+ * @param {Object} fields - Other fields to set with the status
+ * @returns {Array} - Update pipeline
+ */
+const statusChangePipeline = (to, change, fields = {}) => [{
+  $set: {
+    ...literalValues(fields),
+    status: { $literal: to },
+    statusHistory: {
+      $concatArrays: [
+        { $ifNull: ['$statusHistory', []] },
+        // '$status' is read before this stage changes it
+        [{ ...literalValues(buildStatusEntry({ ...change, to })), from: '$status' }]
+      ]
+    }
+  }
+}];
+
+module.exports = {
+  StatusHistorySchema,
+  buildStatusEntry,
+  statusChangePipeline
+};
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES, STAFF_ROLES } = require('../middleware/roles');
+
+// @route   GET api/admin/matching/status
+// @desc    Get matching scheduler status and the latest run
+// @access  Private (Admin only)
+router.get(
+  '/matching/status',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.getMatchingStatus
+);
+
+// @route   GET api/admin/matching/runs
+// @desc    Get matching run history
+// @access  Private (Admin only)
+router.get(
+  '/matching/runs',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('status').optional().isIn(['running', 'completed', 'failed']),
+    check('trigger').optional().isIn(['scheduled', 'manual'])
+  ],
+  adminController.getMatchingRuns
+);
+
+// @route   GET api/admin/matching/runs/:id
+// @desc    Get matching run by ID
+// @access  Private (Admin only)
+router.get(
+  '/matching/runs/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.getMatchingRunById
+);
+
+// @route   POST api/admin/matching/run
+// @desc    Trigger a matching run now
+// @access  Private (Admin only)
+router.post(
+  '/matching/run',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.triggerMatchingRun
+);
+
+// Filters shared by the audit log list and export
+const auditFilterRules = [
+  check('user', 'User must be a valid ID').optional().isMongoId(),
+  check('channel').optional().isIn(['rest', 'socket']),
+  check('statusCode', 'Status code must be a number').optional().isInt(),
+  check('from', 'From must be a valid date').optional().isISO8601(),
+  check('to', 'To must be a valid date').optional().isISO8601()
+];
+
+// @route   GET api/admin/audit-logs
+// @desc    Get audit log records (filter by user, role, action, channel, resourceType, resourceId, statusCode, from, to)
+// @access  Private (Admin only)
+router.get(
+  '/audit-logs',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    ...auditFilterRules
+  ],
+  adminController.getAuditLogs
+);
+
+// @route   GET api/admin/audit-logs/export
+// @desc    Export audit log records as CSV (default) or JSON
+// @access  Private (Admin only)
+router.get(
+  '/audit-logs/export',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    ...auditFilterRules,
+    check('format').optional().isIn(['csv', 'json'])
+  ],
+  adminController.exportAuditLogs
+);
+
+// @route   GET api/admin/audit-logs/verify
+// @desc    Check the audit log hash chain for tampering
+// @access  Private (Admin only)
+router.get(
+  '/audit-logs/verify',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.verifyAuditLogs
+);
+
+// @route   POST api/admin/encryption/rotate
+// @desc    Reload encryption keys and re-encrypt medical data still under an old key
+// @access  Private (Admin only)
+router.post(
+  '/encryption/rotate',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.rotateEncryptionKeys
+);
+
+// @route   POST api/admin/users
+// @desc    Create an admin or coordinator account
+// @access  Private (Admin only)
+router.post(
+  '/users',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('name', 'Name is required').not().isEmpty(),
+    check('email', 'Please include a valid email').isEmail(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+    check('phone', 'Phone number is required').not().isEmpty(),
+    check('role', 'Role must be admin or coordinator').isIn(STAFF_ROLES)
+  ],
+  adminController.createStaffUser
+);
+
+// @route   POST api/admin/users/:id/unlock
+// @desc    Unlock an account locked by failed sign-ins
+// @access  Private (Admin only)
+router.post(
+  '/users/:id/unlock',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  adminController.unlockUser
+);
+
+// @route   GET api/admin/hospitals
+// @desc    Get hospitals by license verification status (default pending)
+// @access  Private (Admin only)
+router.get(
+  '/hospitals',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('status').optional().isIn(['pending', 'approved', 'rejected'])
+  ],
+  adminController.getHospitalVerifications
+);
+
+// @route   POST api/admin/hospitals/:id/approve
+// @desc    Approve a hospital's license so it can use donor and match endpoints
+// @access  Private (Admin only)
+router.post(
+  '/hospitals/:id/approve',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('reason', 'Reason must be a string if provided').optional().isString().trim()
+  ],
+  adminController.approveHospital
+);
+
+// @route   POST api/admin/hospitals/:id/reject
+// @desc    Reject a hospital's license
+// @access  Private (Admin only)
+router.post(
+  '/hospitals/:id/reject',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('reason', 'Reason is required').isString().trim().notEmpty()
+  ],
+  adminController.rejectHospital
+);
+
+module.exports = router;
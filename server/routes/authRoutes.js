@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateTwoFactorSetup } = require('../middleware/auth');
+const { PUBLIC_ROLES } = require('../middleware/roles');
 
 // @route   POST api/auth/register
-// @desc    Register user
+// @desc    Register user (donors and hospitals only; admins create admin and coordinator accounts)
 // @access  Public
 router.post(
   '/register',
@@ -14,23 +15,90 @@ router.post(
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
     check('phone', 'Phone number is required').not().isEmpty(),
-    check('role', 'Role is required').isIn(['donor', 'hospital', 'admin', 'coordinator'])
+    check('role', 'Role must be donor or hospital').isIn(PUBLIC_ROLES)
   ],
   authController.register
 );
 
 // @route   POST api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token, or answer a two-factor challenge
 // @access  Public
 router.post(
   '/login',
   [
-    check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password is required').exists()
+    check('email', 'Please include a valid email').if(body('challengeToken').not().exists()).isEmail(),
+    check('password', 'Password is required').if(body('challengeToken').not().exists()).exists(),
+    check('code', 'A verification code or recovery code is required')
+      .if(body('challengeToken').exists())
+      .if(body('recoveryCode').not().exists())
+      .isString()
+      .notEmpty()
   ],
   authController.login
 );
 
+// @route   POST api/auth/2fa/setup
+// @desc    Start two-factor enrollment (logged in, or with a setup challengeToken)
+// @access  Private
+router.post('/2fa/setup', authenticateTwoFactorSetup, authController.setupTwoFactor);
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm two-factor enrollment with a code
+// @access  Private
+router.post(
+  '/2fa/enable',
+  [
+    authenticateTwoFactorSetup,
+    check('code', 'Verification code is required').isString().notEmpty()
+  ],
+  authController.enableTwoFactor
+);
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  [
+    authenticate,
+    check('code', 'Verification code is required').isString().notEmpty()
+  ],
+  authController.regenerateRecoveryCodes
+);
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (not allowed for roles that require it)
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [
+    authenticate,
+    check('code', 'Verification code is required').isString().notEmpty()
+  ],
+  authController.disableTwoFactor
+);
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new tokens
+// @access  Public
+router.post(
+  '/refresh',
+  [check('refreshToken', 'Refresh token is required').isString().notEmpty()],
+  authController.refreshToken
+);
+
+// @route   POST api/auth/logout
+// @desc    Log out of this session, or of all devices with allDevices
+// @access  Private
+router.post(
+  '/logout',
+  [
+    authenticate,
+    check('allDevices', 'allDevices must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  authController.logout
+);
+
 // @route   GET api/auth/verify/:token
 // @desc    Verify email
 // @access  Public
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const cascadeController = require('../controllers/cascadeController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roles');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
+
+// @route   POST api/cascades
+// @desc    Start offering a request to ranked donors one at a time
+// @access  Private (Hospital, Admin, Coordinator)
+router.post(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
+    check('requestId', 'Valid request ID is required').isMongoId(),
+    check('responseWindowMinutes', 'Response window must be at least 1 minute').optional().isInt({ min: 1 }),
+    check('maxCandidates', 'Max candidates must be a positive number').optional().isInt({ min: 1 })
+  ],
+  cascadeController.createCascade
+);
+
+// @route   GET api/cascades
+// @desc    Get offer cascades
+// @access  Private (Hospital, Admin, Coordinator)
+router.get(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
+  ],
+  cascadeController.getCascades
+);
+
+// @route   GET api/cascades/:id
+// @desc    Get offer cascade by ID with its step log
+// @access  Private (Hospital, Admin, Coordinator)
+router.get(
+  '/:id',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
+  ],
+  cascadeController.getCascadeById
+);
+
+// @route   PATCH api/cascades/:id/cancel
+// @desc    Cancel an offer cascade
+// @access  Private (Hospital, Admin, Coordinator)
+router.patch(
+  '/:id/cancel',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
+  ],
+  cascadeController.cancelCascade
+);
+
+module.exports = router;
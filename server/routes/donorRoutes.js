@@ -4,6 +4,7 @@ const { check } = require('express-validator');
 const donorController = require('../controllers/donorController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roles');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
 
 // @route   POST api/donors
 // @desc    Create donor profile
@@ -28,6 +29,7 @@ router.post(
 router.get('/', 
   authenticate, 
   checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+  requireVerifiedHospital,
   donorController.getDonors
 );
 
@@ -36,6 +38,7 @@ router.get('/',
 // @access  Private
 router.get('/:id', 
   authenticate, 
+  requireVerifiedHospital,
   donorController.getDonorById
 );
 
@@ -69,9 +72,30 @@ router.patch(
 router.get(
   '/:id/history',
   authenticate,
+  requireVerifiedHospital,
   donorController.getDonationHistory
 );
 
+// @route   GET api/donors/:id/eligibility
+// @desc    Get donor eligibility and deferrals for each donation type (id may be 'me')
+// @access  Private
+router.get(
+  '/:id/eligibility',
+  authenticate,
+  requireVerifiedHospital,
+  donorController.getDonorEligibility
+);
+
+// @route   GET api/donors/:id/questionnaire-responses
+// @desc    Get donor pre-donation questionnaire responses (id may be 'me')
+// @access  Private
+router.get(
+  '/:id/questionnaire-responses',
+  authenticate,
+  requireVerifiedHospital,
+  donorController.getQuestionnaireResponses
+);
+
 // @route   POST api/donors/:id/donation
 // @desc    Add donation record
 // @access  Private
@@ -80,9 +104,11 @@ router.post(
   [
     authenticate,
     checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
     [
-      check('donationType', 'Donation type is required').isIn(['blood', 'plasma', 'platelets', 'organ']),
-      check('date', 'Date is required').isISO8601()
+      check('donationType', 'Donation type is required').isIn(['blood', 'red_cells', 'plasma', 'platelets', 'organ']),
+      check('date', 'Date is required').isISO8601(),
+      check('questionnaireResponseId', 'Invalid questionnaire response ID').optional().isMongoId()
     ]
   ],
   donorController.addDonationRecord
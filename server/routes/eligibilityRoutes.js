@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const eligibilityController = require('../controllers/eligibilityController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roles');
+
+const CRITERIA = ['medication', 'chronic_condition', 'past_surgery', 'recent_event', 'min_weight', 'min_age', 'max_age'];
+const DEFERRAL_TYPES = ['temporary', 'while_present', 'permanent'];
+const DONATION_TYPES = ['blood', 'red_cells', 'plasma', 'platelets', 'organ'];
+
+// Validation shared by create and update (every field optional on update)
+const ruleValidation = (optional) => {
+  const field = name => (optional ? check(name).optional() : check(name));
+  return [
+    field('name').not().isEmpty().withMessage('Name is required'),
+    field('reason').not().isEmpty().withMessage('Reason is required'),
+    field('criterion').isIn(CRITERIA).withMessage('Invalid criterion'),
+    field('deferralType').isIn(DEFERRAL_TYPES).withMessage('Invalid deferral type'),
+    check('keywords', 'Keywords must be a list').optional().isArray(),
+    check('threshold', 'Threshold must be a number').optional().isFloat({ min: 0 }),
+    check('durationDays', 'Duration must be a whole number of days').optional().isInt({ min: 1 }),
+    check('donationTypes', 'Donation types must be a list').optional().isArray(),
+    check('donationTypes.*', 'Invalid donation type').optional().isIn(DONATION_TYPES),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean()
+  ];
+};
+
+// @route   GET api/eligibility/rules
+// @desc    Get deferral rules
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/rules',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  eligibilityController.getRules
+);
+
+// @route   GET api/eligibility/rules/:id
+// @desc    Get deferral rule by ID
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/rules/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  eligibilityController.getRuleById
+);
+
+// @route   POST api/eligibility/rules
+// @desc    Create a deferral rule
+// @access  Private (Admin only)
+router.post(
+  '/rules',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('code', 'Code is required').not().isEmpty(),
+    ...ruleValidation(false)
+  ],
+  eligibilityController.createRule
+);
+
+// @route   PUT api/eligibility/rules/:id
+// @desc    Update a deferral rule
+// @access  Private (Admin only)
+router.put(
+  '/rules/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    ...ruleValidation(true)
+  ],
+  eligibilityController.updateRule
+);
+
+// @route   DELETE api/eligibility/rules/:id
+// @desc    Delete a deferral rule
+// @access  Private (Admin only)
+router.delete(
+  '/rules/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  eligibilityController.deleteRule
+);
+
+module.exports = router;
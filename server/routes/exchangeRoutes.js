@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const exchangeController = require('../controllers/exchangeController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roles');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
+
+// @route   POST api/exchanges/pairs
+// @desc    Register a donor-recipient pair or non-directed donor
+// @access  Private (Hospital, Admin, Coordinator)
+router.post(
+  '/pairs',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
+    check('donorId', 'Donor ID is required').isMongoId(),
+    check('isNonDirected', 'isNonDirected must be a boolean').optional().isBoolean(),
+    check('requestId', 'Request ID is required for directed pairs')
+      .if((value, { req }) => req.body.isNonDirected !== true)
+      .isMongoId(),
+    check('hospitalId', 'Invalid hospital ID').optional().isMongoId()
+  ],
+  exchangeController.registerPair
+);
+
+// @route   GET api/exchanges/pairs
+// @desc    Get exchange pairs
+// @access  Private (Hospital, Admin, Coordinator)
+router.get(
+  '/pairs',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
+  ],
+  exchangeController.getPairs
+);
+
+// @route   PATCH api/exchanges/pairs/:id/withdraw
+// @desc    Withdraw a pair from the exchange
+// @access  Private (Hospital, Admin, Coordinator)
+router.patch(
+  '/pairs/:id/withdraw',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
+  ],
+  exchangeController.withdrawPair
+);
+
+// @route   POST api/exchanges/search
+// @desc    Search for swap cycles and chains (optionally persisting them)
+// @access  Private (Admin, Coordinator)
+router.post(
+  '/search',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR]),
+    check('commit', 'Commit must be a boolean').optional().isBoolean()
+  ],
+  exchangeController.searchExchanges
+);
+
+// @route   GET api/exchanges
+// @desc    Get kidney exchanges
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  exchangeController.getExchanges
+);
+
+// @route   GET api/exchanges/:id
+// @desc    Get kidney exchange by ID
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  exchangeController.getExchangeById
+);
+
+// @route   PATCH api/exchanges/:id/cancel
+// @desc    Cancel a proposed exchange
+// @access  Private (Admin, Coordinator)
+router.patch(
+  '/:id/cancel',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  exchangeController.cancelExchange
+);
+
+module.exports = router;
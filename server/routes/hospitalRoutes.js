@@ -4,6 +4,8 @@ const { check } = require('express-validator');
 const hospitalController = require('../controllers/hospitalController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roles');
+const { uploadLicenseDocuments } = require('../middleware/upload');
+const { STAFF_ROLES } = require('../utils/hospitalMembership');
 
 // @route   POST api/hospitals
 // @desc    Create hospital profile
@@ -28,6 +30,31 @@ router.post(
 // @access  Private
 router.get('/', authenticate, hospitalController.getHospitals);
 
+// @route   GET api/hospitals/me
+// @desc    Get the hospital the current user works for, with their staff role and permissions
+// @access  Private (Hospital)
+router.get(
+  '/me',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL])
+  ],
+  hospitalController.getMyHospital
+);
+
+// @route   POST api/hospitals/invitations/accept
+// @desc    Accept a staff invitation and join the hospital
+// @access  Private (Hospital)
+router.post(
+  '/invitations/accept',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL]),
+    check('token', 'Invitation token is required').isString().notEmpty()
+  ],
+  hospitalController.acceptStaffInvitation
+);
+
 // @route   GET api/hospitals/:id
 // @desc    Get hospital by ID
 // @access  Private
@@ -71,4 +98,117 @@ router.get(
   hospitalController.findNearbyHospitals
 );
 
+// @route   GET api/hospitals/:id/verification
+// @desc    Get hospital license verification status and documents
+// @access  Private (Hospital owner, Admin)
+router.get(
+  '/:id/verification',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN])
+  ],
+  hospitalController.getVerification
+);
+
+// @route   POST api/hospitals/:id/verification/documents
+// @desc    Upload license documents (multipart field "documents", PDF/JPEG/PNG) for admin review
+// @access  Private (Hospital owner, Admin)
+router.post(
+  '/:id/verification/documents',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN]),
+    uploadLicenseDocuments
+  ],
+  hospitalController.uploadLicenseDocuments
+);
+
+// @route   GET api/hospitals/:id/verification/documents/:documentId
+// @desc    Download a license document
+// @access  Private (Hospital owner, Admin)
+router.get(
+  '/:id/verification/documents/:documentId',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN])
+  ],
+  hospitalController.downloadLicenseDocument
+);
+
+// @route   GET api/hospitals/:id/staff
+// @desc    Get a hospital's staff
+// @access  Private (Hospital staff, Admin)
+router.get(
+  '/:id/staff',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN])
+  ],
+  hospitalController.getStaff
+);
+
+// @route   PATCH api/hospitals/:id/staff/:membershipId
+// @desc    Change a staff member's role
+// @access  Private (Hospital staff administrators, Admin)
+router.patch(
+  '/:id/staff/:membershipId',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN]),
+    check('staffRole', 'Valid staff role is required').isIn(STAFF_ROLES)
+  ],
+  hospitalController.updateStaffRole
+);
+
+// @route   DELETE api/hospitals/:id/staff/:membershipId
+// @desc    Remove a staff member, or leave the hospital
+// @access  Private (Hospital staff, Admin)
+router.delete(
+  '/:id/staff/:membershipId',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN])
+  ],
+  hospitalController.removeStaff
+);
+
+// @route   GET api/hospitals/:id/invitations
+// @desc    Get a hospital's staff invitations (pending unless status is given)
+// @access  Private (Hospital staff administrators, Admin)
+router.get(
+  '/:id/invitations',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN]),
+    check('status').optional().isIn(['pending', 'accepted', 'revoked'])
+  ],
+  hospitalController.getInvitations
+);
+
+// @route   POST api/hospitals/:id/invitations
+// @desc    Invite someone to a hospital's staff by email
+// @access  Private (Hospital staff administrators, Admin)
+router.post(
+  '/:id/invitations',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN]),
+    check('email', 'Please include a valid email').isEmail(),
+    check('staffRole', 'Valid staff role is required').isIn(STAFF_ROLES)
+  ],
+  hospitalController.inviteStaff
+);
+
+// @route   DELETE api/hospitals/:id/invitations/:invitationId
+// @desc    Revoke a pending staff invitation
+// @access  Private (Hospital staff administrators, Admin)
+router.delete(
+  '/:id/invitations/:invitationId',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN])
+  ],
+  hospitalController.revokeInvitation
+);
+
 module.exports = router;
\ No newline at end of file
@@ -4,11 +4,13 @@ const { check } = require('express-validator');
 const matchController = require('../controllers/matchController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roles');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
+const { MATCH_STATUSES } = require('../utils/matchStateMachine');
 
 // @route   GET api/matches
 // @desc    Get all matches with filtering
 // @access  Private
-router.get('/', authenticate, matchController.getMatches);
+router.get('/', authenticate, requireVerifiedHospital, matchController.getMatches);
 
 // @route   GET api/matches/index
 // @desc    Index route for matches API
@@ -19,8 +21,9 @@ router.get('/index', (req, res) => {
     endpoints: [
       { method: 'GET', path: '/api/matches', description: 'Get all matches with filtering' },
       { method: 'GET', path: '/api/matches/:id', description: 'Get match by ID' },
-      { method: 'POST', path: '/api/matches/search', description: 'Find potential matches for a request' },
+      { method: 'POST', path: '/api/matches/search', description: 'Rank potential donors for a request (preview, or commit the top N)' },
       { method: 'POST', path: '/api/matches/:requestId/confirm/:donorId', description: 'Confirm a match' },
+      { method: 'GET', path: '/api/matches/:id/history', description: 'Get match status history' },
       { method: 'PATCH', path: '/api/matches/:id/status', description: 'Update match status' },
       { method: 'PATCH', path: '/api/matches/:id/logistics', description: 'Update match logistics' },
       { method: 'POST', path: '/api/matches/:id/outcome', description: 'Report match outcome' }
@@ -36,7 +39,10 @@ router.post(
   [
     authenticate,
     checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
-    check('requestId', 'Request ID is required').isMongoId()
+    requireVerifiedHospital,
+    check('requestId', 'Request ID is required').isMongoId(),
+    check('preview', 'Preview must be a boolean').optional().isBoolean(),
+    check('commitTop', 'commitTop must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
   ],
   matchController.findPotentialMatches
 );
@@ -48,7 +54,8 @@ router.post(
   '/:requestId/confirm/:donorId',
   [
     authenticate,
-    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR])
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
   ],
   matchController.confirmMatch
 );
@@ -56,17 +63,26 @@ router.post(
 // @route   GET api/matches/:id
 // @desc    Get match by ID
 // @access  Private
-router.get('/:id', authenticate, matchController.getMatchById);
+router.get('/:id', authenticate, requireVerifiedHospital, matchController.getMatchById);
 
-// @route   PATCH api/matches/:id/status
-// @desc    Update match status
+// @route   GET api/matches/:id/history
+// @desc    Get who changed a match's status, when and how
 // @access  Private
+router.get('/:id/history', authenticate, requireVerifiedHospital, matchController.getMatchHistory);
+
+// @route   PATCH api/matches/:id/status
+// @desc    Update match status (allowed transitions are in utils/matchStateMachine.js)
+// @access  Private (Donor, Hospital, Admin, Coordinator)
 router.patch(
   '/:id/status',
   [
     authenticate,
-    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
-    check('status', 'Status is required').isIn(['proposed', 'pending_confirmation', 'confirmed', 'rejected', 'in_transit', 'delivered', 'transplanted', 'failed'])
+    checkRole([ROLES.DONOR, ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
+    check('status', 'Status is required').isIn(MATCH_STATUSES),
+    check('reason', 'Reason must be a string if provided').optional().isString(),
+    check('departureTime', 'Departure time must be a valid date').optional().isISO8601(),
+    check('arrivalTime', 'Arrival time must be a valid date').optional().isISO8601()
   ],
   matchController.updateMatchStatus
 );
@@ -78,7 +94,8 @@ router.patch(
   '/:id/logistics',
   [
     authenticate,
-    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR])
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital
   ],
   matchController.updateLogistics
 );
@@ -91,6 +108,7 @@ router.post(
   [
     authenticate,
     checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
     check('successful', 'Outcome status is required').isBoolean(),
     check('notes', 'Notes must be a string if provided').optional().isString()
   ],
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const questionnaireController = require('../controllers/questionnaireController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roles');
+const { BLOOD_DONATION_TYPES } = require('../utils/deferralCriteria');
+
+// @route   GET api/questionnaires
+// @desc    Get questionnaire versions
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  questionnaireController.getQuestionnaires
+);
+
+// @route   GET api/questionnaires/active
+// @desc    Get the active questionnaire for a donation type
+// @access  Private
+router.get(
+  '/active',
+  [
+    authenticate,
+    check('donationType', 'Invalid donation type').optional().isIn(BLOOD_DONATION_TYPES)
+  ],
+  questionnaireController.getActive
+);
+
+// @route   GET api/questionnaires/:id
+// @desc    Get questionnaire version by ID
+// @access  Private
+router.get(
+  '/:id',
+  authenticate,
+  questionnaireController.getQuestionnaireById
+);
+
+// @route   POST api/questionnaires
+// @desc    Publish a new questionnaire version
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('code', 'Code is required').not().isEmpty(),
+    check('title', 'Title is required').not().isEmpty(),
+    check('donationTypes', 'At least one donation type is required').isArray({ min: 1 }),
+    check('donationTypes.*', 'Invalid donation type').isIn(BLOOD_DONATION_TYPES),
+    check('questions', 'At least one question is required').isArray({ min: 1 }),
+    check('questions.*.key', 'Every question needs a key').not().isEmpty(),
+    check('questions.*.text', 'Every question needs text').not().isEmpty(),
+    check('questions.*.answerType', 'Invalid answer type').isIn(['yes_no', 'number', 'date', 'choice', 'text'])
+  ],
+  questionnaireController.publishQuestionnaire
+);
+
+// @route   POST api/questionnaires/:id/responses
+// @desc    Submit pre-donation answers
+// @access  Private (Donor only)
+router.post(
+  '/:id/responses',
+  [
+    authenticate,
+    checkRole([ROLES.DONOR]),
+    check('donationType', 'Invalid donation type').optional().isIn(BLOOD_DONATION_TYPES),
+    check('answers', 'Answers must be an object keyed by question').isObject()
+  ],
+  questionnaireController.submitResponse
+);
+
+module.exports = router;
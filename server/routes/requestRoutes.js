@@ -4,6 +4,9 @@ const { check } = require('express-validator');
 const requestController = require('../controllers/requestController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roles');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
+const { clinicalValidationRules } = require('../utils/validators');
+const { REQUEST_STATUSES } = require('../utils/requestStateMachine');
 
 // @route   POST api/requests
 // @desc    Create donation request
@@ -13,11 +16,13 @@ router.post(
   [
     authenticate,
     checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
     [
       check('requestType', 'Request type is required').isIn(['blood', 'organ']),
       check('recipientDetails', 'Recipient details are required').not().isEmpty(),
       check('requiredBy', 'Required by date is required').isISO8601()
-    ]
+    ],
+    clinicalValidationRules()
   ],
   requestController.createRequest
 );
@@ -32,15 +37,34 @@ router.get('/', authenticate, requestController.getRequests);
 // @access  Private
 router.get('/:id', authenticate, requestController.getRequestById);
 
+// @route   GET api/requests/:id/fulfillment
+// @desc    Get units secured and outstanding for a request
+// @access  Private
+router.get('/:id/fulfillment', authenticate, requestController.getRequestFulfillment);
+
+// @route   GET api/requests/:id/history
+// @desc    Get who changed a request's status, when and how
+// @access  Private (Hospital, Admin, Coordinator)
+router.get(
+  '/:id/history',
+  [
+    authenticate,
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  requestController.getRequestHistory
+);
+
 // @route   PATCH api/requests/:id/status
-// @desc    Update request status
+// @desc    Update request status (allowed transitions are in utils/requestStateMachine.js)
 // @access  Private
 router.patch(
   '/:id/status',
   [
     authenticate,
     checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
-    check('status', 'Status is required').isIn(['pending', 'searching', 'matched', 'in_progress', 'completed', 'cancelled'])
+    requireVerifiedHospital,
+    check('status', 'Status is required').isIn(REQUEST_STATUSES),
+    check('reason', 'Reason must be a string if provided').optional().isString()
   ],
   requestController.updateRequestStatus
 );
@@ -52,7 +76,9 @@ router.put(
   '/:id',
   [
     authenticate,
-    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR])
+    checkRole([ROLES.HOSPITAL, ROLES.ADMIN, ROLES.COORDINATOR]),
+    requireVerifiedHospital,
+    clinicalValidationRules()
   ],
   requestController.updateRequest
 );
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const scoringPolicyController = require('../controllers/scoringPolicyController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roles');
+const { CURRENT_DEFAULTS_VERSION } = require('../utils/scoringPolicy');
+
+const ORGAN_TYPES = ['kidney', 'liver', 'heart', 'lung', 'pancreas', 'intestine', 'cornea', 'bone', 'skin', 'heart_valve'];
+
+// @route   GET api/scoring-policies
+// @desc    Get scoring policies with filtering
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  scoringPolicyController.getScoringPolicies
+);
+
+// @route   GET api/scoring-policies/defaults
+// @desc    Get the built-in scoring weights
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/defaults',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR]),
+    check('requestType', 'Request type must be blood or organ').isIn(['blood', 'organ']),
+    check('organType', 'Invalid organ type').optional().isIn(ORGAN_TYPES),
+    check('version', 'Unknown defaults version').optional().isInt({ min: 0, max: CURRENT_DEFAULTS_VERSION })
+  ],
+  scoringPolicyController.getDefaultScoringWeights
+);
+
+// @route   GET api/scoring-policies/:id
+// @desc    Get scoring policy by ID
+// @access  Private (Admin, Coordinator)
+router.get(
+  '/:id',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN, ROLES.COORDINATOR])
+  ],
+  scoringPolicyController.getScoringPolicyById
+);
+
+// @route   POST api/scoring-policies
+// @desc    Publish a new scoring policy version
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN]),
+    check('name', 'Name is required').not().isEmpty(),
+    check('requestType', 'Request type must be blood or organ').isIn(['blood', 'organ']),
+    check('organType', 'Invalid organ type').optional().isIn(ORGAN_TYPES),
+    check('hospital', 'Invalid hospital ID').optional().isMongoId(),
+    check('weights', 'Weights must be an object').isObject()
+  ],
+  scoringPolicyController.createScoringPolicy
+);
+
+// @route   PATCH api/scoring-policies/:id/activate
+// @desc    Activate a scoring policy version
+// @access  Private (Admin only)
+router.patch(
+  '/:id/activate',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  scoringPolicyController.activateScoringPolicy
+);
+
+// @route   PATCH api/scoring-policies/:id/deactivate
+// @desc    Deactivate a scoring policy version
+// @access  Private (Admin only)
+router.patch(
+  '/:id/deactivate',
+  [
+    authenticate,
+    checkRole([ROLES.ADMIN])
+  ],
+  scoringPolicyController.deactivateScoringPolicy
+);
+
+module.exports = router;
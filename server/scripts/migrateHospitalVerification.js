@@ -0,0 +1,29 @@
+/**
+ * Hospital Verification Migration
+ *
+ * Run once after deploying license verification:
+ *   npm run migrate:hospital-verification
+ *
+ * Hospitals registered before verification existed have no stored status. This
+ * moves them to pending so an admin reviews them like any new hospital; until
+ * then they can't reach donor or match data. Running it again changes nothing.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { queueLegacyHospitalsForReview } = require('../utils/hospitalVerification');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    const queued = await queueLegacyHospitalsForReview();
+    console.log(`Moved ${queued} hospitals registered before license verification to pending review`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch(error => {
+  console.error('Hospital verification migration failed:', error);
+  process.exit(1);
+});
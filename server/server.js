@@ -6,6 +6,10 @@ const passport = require('passport');
 const { createServer } = require('http');
 const connectDB = require('./config/db');
 const socketManager = require('./websocket/socketManager');
+const { startMatchingScheduler } = require('./utils/matchingScheduler');
+const { seedDefaultDeferralRules } = require('./utils/eligibility');
+const { seedDefaultQuestionnaire } = require('./utils/questionnaire');
+const { reloadKeyring } = require('./utils/fieldEncryption');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -13,6 +17,22 @@ const donorRoutes = require('./routes/donorRoutes');
 const hospitalRoutes = require('./routes/hospitalRoutes');
 const requestRoutes = require('./routes/requestRoutes');
 const matchRoutes = require('./routes/matchRoutes');
+const scoringPolicyRoutes = require('./routes/scoringPolicyRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const exchangeRoutes = require('./routes/exchangeRoutes');
+const eligibilityRoutes = require('./routes/eligibilityRoutes');
+const questionnaireRoutes = require('./routes/questionnaireRoutes');
+const cascadeRoutes = require('./routes/cascadeRoutes');
+const { auditTrail } = require('./middleware/audit');
+
+// Medical data can't be saved or read without the field encryption keys, so refuse to start without them
+try {
+  const { activeKeyId, keyIds } = reloadKeyring();
+  console.log(`Field encryption keys loaded (${keyIds.length}, active ${activeKeyId})`);
+} catch (error) {
+  console.error(`Field encryption is not configured: ${error.message}`);
+  process.exit(1);
+}
 
 // Initialize app
 const app = express();
@@ -31,12 +51,21 @@ app.use(morgan('dev'));
 app.use(passport.initialize());
 require('./config/passport')(passport);
 
+// Audit every API call
+app.use('/api', auditTrail);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/donors', donorRoutes);
 app.use('/api/hospitals', hospitalRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/matches', matchRoutes);
+app.use('/api/scoring-policies', scoringPolicyRoutes);
+app.use('/api/exchanges', exchangeRoutes);
+app.use('/api/eligibility', eligibilityRoutes);
+app.use('/api/questionnaires', questionnaireRoutes);
+app.use('/api/cascades', cascadeRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -59,6 +88,17 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Create the default deferral rules on first start
+  seedDefaultDeferralRules()
+    .then(created => created && console.log(`Created ${created} default deferral rules`))
+    .catch(error => console.error('Error seeding deferral rules:', error));
+  seedDefaultQuestionnaire()
+    .then(created => created && console.log('Created the default pre-donation questionnaire'))
+    .catch(error => console.error('Error seeding questionnaire:', error));
+
+  // Start background matching
+  startMatchingScheduler();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,207 @@
+// The audit models are replaced with in-memory collections that enforce the same unique keys
+jest.mock('../models/AuditLog', () => {
+  const records = [];
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  return {
+    records,
+    failNextInsert: null,
+    async insertMany(docs) {
+      if (this.failNextInsert) {
+        const error = this.failNextInsert;
+        this.failNextInsert = null;
+        throw error;
+      }
+      for (const doc of docs) {
+        if (records.some(record => record.sequence === doc.sequence)) {
+          throw duplicateKey();
+        }
+        records.push({ ...doc });
+      }
+      return docs;
+    },
+    find(filter = {}) {
+      const hashes = filter.hash ? filter.hash.$in : null;
+      const found = records
+        .filter(record => !hashes || hashes.includes(record.hash))
+        .sort((a, b) => a.sequence - b.sequence);
+      return {
+        distinct: async field => found.map(record => record[field]),
+        sort() { return this; },
+        lean() { return this; },
+        cursor() {
+          let index = 0;
+          return { next: async () => found[index++] || null, close: async () => {} };
+        }
+      };
+    }
+  };
+});
+
+jest.mock('../models/AuditChainHead', () => {
+  const heads = new Map();
+  return {
+    heads,
+    findById: id => ({ lean: async () => (heads.has(id) ? { ...heads.get(id) } : null) }),
+    async findOneAndUpdate(filter, update) {
+      const head = heads.get(filter._id);
+      if (head ? head.sequence !== filter.sequence || head.hash !== filter.hash : filter.sequence !== 0) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      heads.set(filter._id, { _id: filter._id, ...update.$set });
+    }
+  };
+});
+
+const AuditLog = require('../models/AuditLog');
+const AuditChainHead = require('../models/AuditChainHead');
+const {
+  GENESIS_HASH,
+  computeAuditHash,
+  recordAudit,
+  isAuditQueueFull,
+  verifyAuditChain
+} = require('../utils/auditLog');
+
+const entry = (action = 'read', extra = {}) => ({
+  actor: { role: 'admin' },
+  action,
+  channel: 'rest',
+  method: 'GET',
+  path: '/api/donors',
+  resource: { type: 'donors' },
+  statusCode: 200,
+  ...extra
+});
+
+beforeEach(() => {
+  AuditLog.records.length = 0;
+  AuditChainHead.heads.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('recordAudit', () => {
+  it('links records in the order they were queued, starting from the genesis hash', async () => {
+    const saved = await Promise.all([recordAudit(entry('read')), recordAudit(entry('create')), recordAudit(entry('update'))]);
+
+    expect(saved.map(record => record.sequence)).toEqual([1, 2, 3]);
+    expect(saved[0].prevHash).toBe(GENESIS_HASH);
+    expect(saved[1].prevHash).toBe(saved[0].hash);
+    expect(saved[2].prevHash).toBe(saved[1].hash);
+    saved.forEach(record => expect(computeAuditHash(record)).toBe(record.hash));
+  });
+
+  it('moves the chain head to the last saved record', async () => {
+    await recordAudit(entry());
+    const last = await recordAudit(entry());
+
+    expect(AuditChainHead.heads.get('audit')).toMatchObject({ sequence: 2, hash: last.hash });
+  });
+
+  it('links onto records another instance appended since the head was last read', async () => {
+    await recordAudit(entry());
+
+    // Another instance moves the head and saves its record
+    const head = AuditChainHead.heads.get('audit');
+    const other = { ...entry('delete'), timestamp: new Date(), sequence: 2, prevHash: head.hash };
+    other.hash = computeAuditHash(other);
+    AuditChainHead.heads.set('audit', { _id: 'audit', sequence: 2, hash: other.hash });
+    await AuditLog.insertMany([other]);
+
+    const saved = await recordAudit(entry('create'));
+    expect(saved.sequence).toBe(3);
+    expect(saved.prevHash).toBe(other.hash);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  it('retries a failed batch with the same links instead of dropping it', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    AuditLog.failNextInsert = new Error('connection lost');
+
+    const saving = recordAudit(entry());
+    await new Promise(resolve => setImmediate(resolve));
+    expect(AuditLog.records).toHaveLength(0);
+    const head = { ...AuditChainHead.heads.get('audit') };
+
+    await jest.advanceTimersByTimeAsync(5000);
+    const saved = await saving;
+
+    expect(saved).toMatchObject({ sequence: 1, hash: head.hash });
+    expect(AuditLog.records).toHaveLength(1);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  it('reports a full queue so callers can refuse new work, and keeps every record', async () => {
+    process.env.AUDIT_MAX_PENDING = '2';
+    let auditLog;
+    jest.isolateModules(() => {
+      auditLog = require('../utils/auditLog');
+    });
+    delete process.env.AUDIT_MAX_PENDING;
+
+    const saving = [auditLog.recordAudit(entry()), auditLog.recordAudit(entry())];
+    expect(auditLog.isAuditQueueFull()).toBe(true);
+    // Calls already under way still get their records written
+    saving.push(auditLog.recordAudit(entry()));
+
+    expect(await Promise.all(saving)).toHaveLength(3);
+    expect(auditLog.isAuditQueueFull()).toBe(false);
+    expect(isAuditQueueFull()).toBe(false);
+  });
+});
+
+describe('verifyAuditChain', () => {
+  const writeChain = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await recordAudit(entry('read', { path: `/api/donors/${i}` }));
+    }
+  };
+
+  it('passes an intact chain and reports its head', async () => {
+    await writeChain(3);
+
+    const result = await verifyAuditChain();
+    expect(result).toMatchObject({ valid: true, checked: 3, lastSequence: 3, brokenAt: null });
+    expect(result.head.sequence).toBe(3);
+  });
+
+  it('catches an edited record', async () => {
+    await writeChain(3);
+    AuditLog.records[1].statusCode = 500;
+
+    expect((await verifyAuditChain()).brokenAt).toEqual({ sequence: 2, reason: 'Record contents do not match its hash' });
+  });
+
+  it('catches a record deleted from the middle', async () => {
+    await writeChain(3);
+    AuditLog.records.splice(1, 1);
+
+    const result = await verifyAuditChain();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt.sequence).toBe(3);
+  });
+
+  it('catches records deleted from the end using the chain head', async () => {
+    await writeChain(3);
+    AuditLog.records.splice(1, 2);
+
+    const result = await verifyAuditChain();
+    expect(result).toMatchObject({ valid: false, checked: 1, lastSequence: 1 });
+    expect(result.brokenAt.sequence).toBe(2);
+    expect(result.brokenAt.reason).toMatch(/missing from the end/);
+  });
+
+  it('catches a rewritten last record', async () => {
+    await writeChain(2);
+    const last = AuditLog.records[1];
+    last.statusCode = 403;
+    last.hash = computeAuditHash(last);
+
+    expect((await verifyAuditChain()).brokenAt).toEqual({ sequence: 2, reason: 'Record does not match the chain head' });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../utils/auditLog', () => ({
+  recordAudit: jest.fn(),
+  isAuditQueueFull: jest.fn(() => false)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { recordAudit, isAuditQueueFull } = require('../utils/auditLog');
+const { auditTrail } = require('../middleware/audit');
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: '64b000000000000000000001', role: 'hospital' };
+  next();
+});
+app.use('/api', auditTrail);
+app.get('/api/hospitals/:id/verification/documents/:documentId', (req, res) => res.send('license'));
+app.get('/api/auth/me', (req, res) => res.json({ role: req.user.role }));
+app.post('/api/donors', (req, res) => res.status(201).json({}));
+
+// The record is written once the response closes, just after supertest sees it
+const nextAudit = () => new Promise(resolve => recordAudit.mockImplementationOnce(resolve));
+
+beforeEach(() => {
+  recordAudit.mockReset();
+  isAuditQueueFull.mockReturnValue(false);
+});
+
+describe('auditTrail', () => {
+  it('audits reads of every resource, including license documents', async () => {
+    const audited = nextAudit();
+    await request(app).get('/api/hospitals/64b0000000000000000000aa/verification/documents/64b0000000000000000000bb?download=1').expect(200);
+
+    expect(await audited).toMatchObject({
+      actor: { user: '64b000000000000000000001', role: 'hospital' },
+      action: 'read',
+      channel: 'rest',
+      method: 'GET',
+      path: '/api/hospitals/64b0000000000000000000aa/verification/documents/64b0000000000000000000bb',
+      resource: { type: 'hospitals', id: '64b0000000000000000000aa' },
+      statusCode: 200
+    });
+  });
+
+  it('audits account reads', async () => {
+    const audited = nextAudit();
+    await request(app).get('/api/auth/me').expect(200);
+
+    expect(await audited).toMatchObject({ action: 'read', resource: { type: 'auth', id: 'me' } });
+  });
+
+  it('records the action for the method and the response status', async () => {
+    const audited = nextAudit();
+    await request(app).post('/api/donors').send({}).expect(201);
+
+    expect(await audited).toMatchObject({ action: 'create', statusCode: 201, resource: { type: 'donors' } });
+  });
+
+  it('refuses calls while the audit queue is full instead of losing their records', async () => {
+    isAuditQueueFull.mockReturnValue(true);
+
+    const res = await request(app).get('/api/auth/me').expect(503);
+    expect(res.headers['retry-after']).toBe('5');
+    expect(res.body.msg).toMatch(/Audit log/);
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  BLOOD_TYPES,
+  COMPONENT_COMPATIBILITY,
+  getCompatibleDonorTypes,
+  isCompatible,
+  getNextEligibleDonationDate
+} = require('../utils/bloodCompatibility');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('component compatibility', () => {
+  it('lists every blood type in every matrix', () => {
+    for (const matrix of Object.values(COMPONENT_COMPATIBILITY)) {
+      expect(Object.keys(matrix).sort()).toEqual([...BLOOD_TYPES].sort());
+    }
+  });
+
+  it('makes O- the universal red cell donor and AB+ the universal recipient', () => {
+    expect(getCompatibleDonorTypes('AB+', 'red_cells').sort()).toEqual([...BLOOD_TYPES].sort());
+    expect(getCompatibleDonorTypes('O-', 'red_cells')).toEqual(['O-']);
+  });
+
+  it('reverses the rules for plasma, ignoring Rh', () => {
+    expect(isCompatible('AB+', 'O-', 'plasma')).toBe(true);
+    expect(isCompatible('O-', 'AB+', 'plasma')).toBe(false);
+    expect(getCompatibleDonorTypes('A-', 'plasma').sort()).toEqual(['A+', 'A-', 'AB+', 'AB-'].sort());
+  });
+
+  it('keeps Rh-positive platelets from Rh-negative recipients', () => {
+    expect(isCompatible('A-', 'A+', 'platelets')).toBe(true);
+    expect(isCompatible('A+', 'A-', 'platelets')).toBe(false);
+    expect(isCompatible('AB-', 'O-', 'platelets')).toBe(true);
+  });
+
+  it('requires identical ABO for whole blood', () => {
+    expect(isCompatible('O-', 'A+', 'whole')).toBe(false);
+    expect(isCompatible('A-', 'A+', 'whole')).toBe(true);
+    expect(isCompatible('A+', 'A-', 'whole')).toBe(false);
+  });
+
+  it('falls back to red cell rules for an unknown component', () => {
+    expect(isCompatible('O-', 'B+', 'granulocytes')).toBe(true);
+    expect(isCompatible('B+', 'O+')).toBe(false);
+  });
+});
+
+describe('getNextEligibleDonationDate', () => {
+  const date = new Date('2026-03-01T00:00:00Z');
+
+  it('is null without earlier donations', () => {
+    expect(getNextEligibleDonationDate([], 'blood')).toBeNull();
+  });
+
+  it('uses the interval between the previous and the next donation type', () => {
+    const history = [{ donationType: 'blood', date }];
+    expect(getNextEligibleDonationDate(history, 'blood')).toEqual(new Date(date.getTime() + 56 * DAY));
+    expect(getNextEligibleDonationDate(history, 'platelets')).toEqual(new Date(date.getTime() + 7 * DAY));
+  });
+
+  it('takes the latest date any earlier donation allows', () => {
+    const history = [
+      { donationType: 'red_cells', date },
+      { donationType: 'platelets', date: new Date(date.getTime() + 30 * DAY) }
+    ];
+    expect(getNextEligibleDonationDate(history, 'blood')).toEqual(new Date(date.getTime() + 112 * DAY));
+  });
+
+  it('ignores entries without a date or a known type', () => {
+    expect(getNextEligibleDonationDate([{ donationType: 'blood' }, { donationType: 'organ', date }], 'blood')).toBeNull();
+  });
+});
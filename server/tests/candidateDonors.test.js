@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Donor = require('../models/Donor');
+const { findCandidateDonors } = require('../utils/matchingAlgorithm');
+
+const hospital = { location: { coordinates: [-0.12, 51.5] } };
+const donorQuery = { bloodType: { $in: ['O-', 'A+'] }, isAvailable: true };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findCandidateDonors', () => {
+  it('lets MongoDB find in-range donors with one $geoNear aggregation', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+
+    await findCandidateDonors(hospital, 25, donorQuery);
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    const [geoNear, lookup] = aggregate.mock.calls[0][0];
+    expect(geoNear.$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [-0.12, 51.5] },
+      key: 'location.coordinates',
+      maxDistance: 25000,
+      spherical: true,
+      query: { role: 'donor' }
+    });
+    expect(lookup.$lookup).toMatchObject({ from: Donor.collection.name, pipeline: [{ $match: donorQuery }] });
+  });
+
+  it('only projects the user fields matching needs', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+
+    await findCandidateDonors(hospital, 25, donorQuery);
+
+    const { $project } = aggregate.mock.calls[0][0].find(stage => stage.$project);
+    expect(Object.values($project).every(value => value === 1)).toBe(true);
+    ['password', 'twoFactor', 'resetPasswordToken'].forEach(field => expect($project).not.toHaveProperty(field));
+    expect($project).toMatchObject({ name: 1, location: 1, distanceMeters: 1, donorProfile: 1 });
+  });
+
+  it('returns hydrated donors with their users and distances in km', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'aggregate').mockResolvedValue([{
+      _id: userId,
+      name: 'Ada',
+      role: 'donor',
+      distanceMeters: 12345,
+      donorProfile: { _id: new mongoose.Types.ObjectId(), user: userId, bloodType: 'O-' }
+    }]);
+
+    const [{ donor, distance }] = await findCandidateDonors(hospital, 25, donorQuery);
+
+    expect(donor).toBeInstanceOf(Donor);
+    expect(donor.bloodType).toBe('O-');
+    expect(donor.user.name).toBe('Ada');
+    expect(distance).toBeCloseTo(12.345);
+  });
+});
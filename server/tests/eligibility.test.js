@@ -0,0 +1,100 @@
+const {
+  DEFAULT_DEFERRAL_RULES,
+  evaluateRule,
+  getDeferrals,
+  describeDeferral,
+  getDonorEligibility
+} = require('../utils/eligibility');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * DAY);
+const rule = code => DEFAULT_DEFERRAL_RULES.find(candidate => candidate.code === code);
+
+const donor = (fields = {}) => ({
+  medicalHistory: { medications: [], chronicConditions: [], pastSurgeries: [], recentEvents: [] },
+  physicalDetails: { weight: 70, age: 35 },
+  donationHistory: [],
+  ...fields
+});
+
+const byType = eligibility => Object.fromEntries(eligibility.map(entry => [entry.donationType, entry]));
+
+describe('evaluateRule', () => {
+  it('matches medication keywords regardless of case', () => {
+    const taking = donor({ medicalHistory: { medications: ['Warfarin 5mg'] } });
+    expect(evaluateRule(rule('anticoagulants'), taking, now)).toMatchObject({ code: 'anticoagulants', deferralType: 'while_present', until: null });
+    expect(evaluateRule(rule('anticoagulants'), donor(), now)).toBeNull();
+  });
+
+  it('defers until a recent event has aged out', () => {
+    const tattooed = donor({ medicalHistory: { recentEvents: [{ eventType: 'tattoo', date: daysAgo(30) }, { eventType: 'piercing', date: daysAgo(100) }] } });
+    expect(evaluateRule(rule('recent_tattoo'), tattooed, now).until).toEqual(new Date(daysAgo(30).getTime() + 183 * DAY));
+
+    const healed = donor({ medicalHistory: { recentEvents: [{ eventType: 'tattoo', date: daysAgo(200) }] } });
+    expect(evaluateRule(rule('recent_tattoo'), healed, now)).toBeNull();
+  });
+
+  it('compares weight and age with the threshold and ignores missing details', () => {
+    expect(evaluateRule(rule('low_weight'), donor({ physicalDetails: { weight: 45 } }), now)).not.toBeNull();
+    expect(evaluateRule(rule('minimum_age'), donor({ physicalDetails: { age: 16 } }), now)).not.toBeNull();
+    expect(evaluateRule(rule('low_weight'), donor({ physicalDetails: {} }), now)).toBeNull();
+  });
+});
+
+describe('getDeferrals', () => {
+  it('only applies rules to the donation types they cover', () => {
+    const taking = donor({ medicalHistory: { medications: ['Aspirin'] } });
+    expect(getDeferrals(taking, DEFAULT_DEFERRAL_RULES, 'platelets', now).map(d => d.code)).toEqual(['antiplatelets']);
+    expect(getDeferrals(taking, DEFAULT_DEFERRAL_RULES, 'blood', now)).toEqual([]);
+  });
+});
+
+describe('describeDeferral', () => {
+  it('says how long the deferral lasts', () => {
+    expect(describeDeferral({ reason: 'Low weight', deferralType: 'while_present', until: null }))
+      .toBe('Low weight (deferred while this applies)');
+    expect(describeDeferral({ reason: 'Transfusion', deferralType: 'permanent' })).toBe('Transfusion (permanent deferral)');
+    expect(describeDeferral({ reason: 'Tattoo', deferralType: 'temporary', until: new Date('2026-09-01T00:00:00Z') }))
+      .toBe('Tattoo (deferred until 2026-09-01)');
+  });
+});
+
+describe('getDonorEligibility', () => {
+  it('clears a healthy donor for every donation type', () => {
+    expect(getDonorEligibility(donor(), DEFAULT_DEFERRAL_RULES, [], now).every(entry => entry.eligible)).toBe(true);
+  });
+
+  it('applies the donation interval to blood types only', () => {
+    const eligibility = byType(getDonorEligibility(donor({ lastDonationDate: daysAgo(20) }), DEFAULT_DEFERRAL_RULES, [], now));
+
+    expect(eligibility.blood).toMatchObject({ eligible: false, indefinite: false, eligibleFrom: new Date(daysAgo(20).getTime() + 56 * DAY) });
+    expect(eligibility.blood.deferrals[0].code).toBe('donation_interval');
+    expect(eligibility.platelets.eligible).toBe(true);
+    expect(eligibility.organ.eligible).toBe(true);
+  });
+
+  it('becomes eligible when the last dated deferral ends', () => {
+    const busy = donor({
+      lastDonationDate: daysAgo(20),
+      medicalHistory: { recentEvents: [{ eventType: 'surgery', date: daysAgo(10) }] }
+    });
+    const { blood } = byType(getDonorEligibility(busy, DEFAULT_DEFERRAL_RULES, [], now));
+
+    expect(blood.deferrals.map(d => d.code).sort()).toEqual(['donation_interval', 'recent_surgery']);
+    expect(blood.eligibleFrom).toEqual(new Date(daysAgo(10).getTime() + 183 * DAY));
+  });
+
+  it('has no eligible date while an open-ended deferral applies', () => {
+    const { plasma } = byType(getDonorEligibility(donor({ physicalDetails: { weight: 40 } }), DEFAULT_DEFERRAL_RULES, [], now));
+    expect(plasma).toMatchObject({ eligible: false, indefinite: true, eligibleFrom: null });
+  });
+
+  it('adds questionnaire deferrals for the donation types they name', () => {
+    const answers = [{ questionKey: 'feelingWell', reason: 'Unwell', deferralType: 'temporary', until: '2026-06-02T00:00:00Z', donationTypes: ['blood'] }];
+    const eligibility = byType(getDonorEligibility(donor(), DEFAULT_DEFERRAL_RULES, answers, now));
+
+    expect(eligibility.blood.deferrals).toEqual([expect.objectContaining({ code: 'questionnaire:feelingWell' })]);
+    expect(eligibility.plasma.eligible).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../utils/notifications', () => ({
+  notifyRequestEscalation: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const OfferCascade = require('../models/OfferCascade');
+const { notifyRequestEscalation } = require('../utils/notifications');
+const {
+  getStepIntervalMinutes,
+  getNextEscalation,
+  applyEscalation,
+  escalateIfDue
+} = require('../utils/escalationPolicy');
+
+const MINUTE = 60 * 1000;
+const now = new Date('2026-05-01T12:00:00Z');
+const minutesFromNow = minutes => new Date(now.getTime() + minutes * MINUTE);
+
+const newRequest = (urgencyLevel = 'urgent', fields = {}) => Request.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  hospital: new mongoose.Types.ObjectId(),
+  requestType: 'blood',
+  bloodType: 'O-',
+  status: 'searching',
+  createdAt: minutesFromNow(-300),
+  requiredBy: minutesFromNow(7 * 24 * 60),
+  recipientDetails: { urgencyLevel },
+  matchCriteria: { maxDistanceKm: 100, preferredAgeRange: { min: 18, max: 40 } },
+  statusHistory: [],
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('getStepIntervalMinutes', () => {
+  it('waits the urgency level’s interval when there is plenty of time', () => {
+    expect(getStepIntervalMinutes(newRequest('urgent'), now)).toBe(240);
+    expect(getStepIntervalMinutes(newRequest('critical'), now)).toBe(30);
+  });
+
+  it('spreads the remaining steps over the time left, but never below ten minutes', () => {
+    // Three urgent steps left and 400 minutes to go: 100 minutes per step
+    expect(getStepIntervalMinutes(newRequest('urgent', { requiredBy: minutesFromNow(400) }), now)).toBe(100);
+    expect(getStepIntervalMinutes(newRequest('urgent', { requiredBy: minutesFromNow(20) }), now)).toBe(10);
+  });
+});
+
+describe('getNextEscalation', () => {
+  it('widens the radius once the request has waited long enough', () => {
+    expect(getNextEscalation(newRequest('urgent'), now)).toEqual({ level: 1, radiusKm: 150, relax: [] });
+    expect(getNextEscalation(newRequest('urgent', { createdAt: minutesFromNow(-60) }), now)).toBeNull();
+  });
+
+  it('never shrinks a radius that is already wider than the step', () => {
+    const request = newRequest('urgent', { matchCriteria: { maxDistanceKm: 400 } });
+    expect(getNextEscalation(request, now).radiusKm).toBe(400);
+  });
+
+  it('drops the preferred age range from the level the urgency allows', () => {
+    expect(getNextEscalation(newRequest('critical'), now).relax).toEqual(['preferredAgeRange']);
+
+    const urgent = newRequest('urgent', { escalation: { level: 1, lastEscalatedAt: minutesFromNow(-300) } });
+    expect(getNextEscalation(urgent, now)).toEqual({ level: 2, radiusKm: 300, relax: ['preferredAgeRange'] });
+  });
+
+  it('stops after the last step and for requests that are not searching or have expired', () => {
+    expect(getNextEscalation(newRequest('routine', { escalation: { level: 2, lastEscalatedAt: minutesFromNow(-9999) } }), now)).toBeNull();
+    expect(getNextEscalation(newRequest('urgent', { status: 'pending' }), now)).toBeNull();
+    expect(getNextEscalation(newRequest('urgent', { requiredBy: minutesFromNow(-1) }), now)).toBeNull();
+  });
+});
+
+describe('applyEscalation', () => {
+  it('keeps the original criteria and records each step', () => {
+    const request = newRequest('critical');
+    const entry = applyEscalation(request, { level: 1, radiusKm: 250, relax: ['preferredAgeRange'] }, now);
+
+    expect(entry).toMatchObject({ level: 1, fromRadiusKm: 100, toRadiusKm: 250, reason: 'No donors found within 100 km' });
+    expect(request.matchCriteria.maxDistanceKm).toBe(250);
+    expect(request.matchCriteria.preferredAgeRange).toMatchObject({ min: undefined, max: undefined });
+    expect(request.escalation.originalCriteria).toMatchObject({ maxDistanceKm: 100, preferredAgeRange: { min: 18, max: 40 } });
+
+    applyEscalation(request, { level: 2, radiusKm: 500, relax: [] }, now);
+    expect(request.escalation.level).toBe(2);
+    expect(request.escalation.originalCriteria.maxDistanceKm).toBe(100);
+    expect(request.escalation.history.map(step => step.toRadiusKm)).toEqual([250, 500]);
+  });
+});
+
+describe('escalateIfDue', () => {
+  let request;
+
+  beforeEach(() => {
+    request = newRequest('critical', { createdAt: new Date(Date.now() - 60 * MINUTE), requiredBy: new Date(Date.now() + 24 * 60 * MINUTE) });
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+    jest.spyOn(OfferCascade, 'exists').mockResolvedValue(null);
+    notifyRequestEscalation.mockResolvedValue(3);
+  });
+
+  it('saves the step and notes how many coordinators were told', async () => {
+    const entry = await escalateIfDue(request._id);
+
+    expect(entry).toMatchObject({ level: 1, toRadiusKm: 250 });
+    expect(notifyRequestEscalation).toHaveBeenCalledWith(request, entry);
+    expect(request.escalation.history[0].coordinatorsNotified).toBe(3);
+    expect(request.save).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves requests with a running offer cascade alone', async () => {
+    OfferCascade.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    expect(await escalateIfDue(request._id)).toBeNull();
+    expect(request.save).not.toHaveBeenCalled();
+  });
+
+  it('keeps the escalation when notifying coordinators fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    notifyRequestEscalation.mockRejectedValue(new Error('SMTP down'));
+
+    expect(await escalateIfDue(request._id)).toMatchObject({ level: 1 });
+    expect(request.matchCriteria.maxDistanceKm).toBe(250);
+  });
+});
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  reloadKeyring,
+  encryptedFields,
+  revealEncryptedFields
+} = require('../utils/fieldEncryption');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const keys = { k1: newKey(), k2: newKey() };
+
+// Point the key ring at the given key IDs, the last one active
+const useKeys = (...keyIds) => {
+  process.env.FIELD_ENCRYPTION_KEYS = keyIds.map(id => `${id}:${keys[id]}`).join(',');
+  return reloadKeyring();
+};
+
+const RecordSchema = new mongoose.Schema({
+  owner: String,
+  details: {
+    diagnosis: String,
+    medications: [String],
+    status: { type: String, enum: ['stable', 'critical'] },
+    events: [{ eventType: { type: String, enum: ['surgery', 'tattoo'] }, notes: String }]
+  }
+});
+RecordSchema.plugin(encryptedFields, {
+  paths: ['details.diagnosis', 'details.medications', 'details.events.$.notes'],
+  hidden: ['details']
+});
+const EncryptedRecord = mongoose.model('EncryptedRecord', RecordSchema);
+
+// Run a document's pre('save') hooks (encryption) without a database
+const runPreSave = doc => new Promise((resolve, reject) => {
+  EncryptedRecord.schema.s.hooks.execPre('save', doc, [], error => (error ? reject(error) : resolve()));
+});
+
+const originalKeys = process.env.FIELD_ENCRYPTION_KEYS;
+
+beforeEach(() => {
+  useKeys('k1');
+});
+
+afterAll(() => {
+  process.env.FIELD_ENCRYPTION_KEYS = originalKeys;
+});
+
+describe('encryptValue / decryptValue', () => {
+  it('round-trips strings with a fresh IV each time', () => {
+    const first = encryptValue('Hepatitis B');
+    const second = encryptValue('Hepatitis B');
+
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).toMatch(/^enc:v1:k1:/);
+    expect(first).not.toBe(second);
+    expect(decryptValue(first)).toBe('Hepatitis B');
+  });
+
+  it('leaves non-strings, encrypted and plain values alone', () => {
+    const encrypted = encryptValue('x');
+    expect(encryptValue(encrypted)).toBe(encrypted);
+    expect(encryptValue(42)).toBe(42);
+    expect(decryptValue('plain text')).toBe('plain text');
+  });
+
+  it('refuses tampered ciphertext', () => {
+    const encrypted = encryptValue('warfarin');
+    const parts = encrypted.split(':');
+    parts[5] = Buffer.from('aspirin').toString('base64');
+    expect(() => decryptValue(parts.join(':'))).toThrow();
+  });
+});
+
+describe('key rotation', () => {
+  it('encrypts with the newest key and still decrypts values under older keys', () => {
+    const old = encryptValue('Type 1 diabetes');
+
+    expect(useKeys('k1', 'k2')).toEqual({ activeKeyId: 'k2', keyIds: ['k1', 'k2'] });
+    expect(encryptValue('Asthma')).toMatch(/^enc:v1:k2:/);
+    expect(decryptValue(old)).toBe('Type 1 diabetes');
+  });
+
+  it('fails once the key a value was written with is removed', () => {
+    const old = encryptValue('Type 1 diabetes');
+    useKeys('k2');
+    expect(() => decryptValue(old)).toThrow('Field encryption key k1 is not in the key ring');
+  });
+
+  it('rejects badly sized keys and unknown active keys', () => {
+    process.env.FIELD_ENCRYPTION_KEYS = 'short:c2hvcnQ=';
+    expect(() => reloadKeyring()).toThrow('must be 32 bytes');
+
+    process.env.FIELD_ENCRYPTION_KEYS = `k1:${keys.k1}`;
+    process.env.FIELD_ENCRYPTION_ACTIVE_KEY = 'k9';
+    expect(() => reloadKeyring()).toThrow('Active field encryption key k9 is not in the key ring');
+    delete process.env.FIELD_ENCRYPTION_ACTIVE_KEY;
+  });
+});
+
+describe('encryptedFields plugin', () => {
+  const stored = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    owner: 'donor-1',
+    details: {
+      diagnosis: encryptValue('Anemia'),
+      medications: [encryptValue('Iron')],
+      status: 'stable',
+      events: [{ eventType: 'tattoo', notes: encryptValue('Left arm') }]
+    }
+  });
+
+  it('decrypts on load and notes the keys that were used', () => {
+    const record = EncryptedRecord.hydrate(stored());
+
+    expect(record.details.diagnosis).toBe('Anemia');
+    expect(record.details.medications).toEqual(['Iron']);
+    expect(record.details.events[0].notes).toBe('Left arm');
+    expect(record.$locals.encryptionKeyIds).toEqual(new Set(['k1']));
+    expect(record.isModified()).toBe(false);
+  });
+
+  it('encrypts configured paths before saving and leaves enums plain', async () => {
+    const record = new EncryptedRecord({
+      details: { diagnosis: 'Anemia', status: 'critical', events: [{ eventType: 'surgery', notes: 'Knee' }] }
+    });
+    await runPreSave(record);
+
+    expect(isEncrypted(record.details.diagnosis)).toBe(true);
+    expect(isEncrypted(record.details.events[0].notes)).toBe(true);
+    expect(record.details.events[0].eventType).toBe('surgery');
+    expect(record.details.status).toBe('critical');
+  });
+
+  it('fails loudly when a stored value does not decrypt', () => {
+    const raw = stored();
+    useKeys('k2');
+    expect(() => EncryptedRecord.hydrate(raw)).toThrow(/Error decrypting EncryptedRecord .*k1 is not in the key ring/);
+  });
+
+  it('notes plain values written before encryption so a rotation encrypts them', () => {
+    const record = EncryptedRecord.hydrate({ ...stored(), details: { diagnosis: 'Anemia', status: 'stable' } });
+
+    expect(record.details.diagnosis).toBe('Anemia');
+    expect(record.$locals.encryptionKeyIds).toEqual(new Set([null]));
+    expect(record.isModified()).toBe(false);
+  });
+
+  it('encrypts values in updates that bypass save', () => {
+    const query = EncryptedRecord.updateOne({}, {
+      $set: { 'details.diagnosis': 'Anemia', 'details.events.0.notes': 'Knee', owner: 'donor-2' },
+      $push: { 'details.medications': { $each: ['Iron'] } }
+    });
+    return new Promise(resolve => {
+      EncryptedRecord.schema.s.hooks.execPre('updateOne', query, [], () => {
+        const update = query.getUpdate();
+        expect(isEncrypted(update.$set['details.diagnosis'])).toBe(true);
+        expect(isEncrypted(update.$set['details.events.0.notes'])).toBe(true);
+        expect(update.$set.owner).toBe('donor-2');
+        expect(isEncrypted(update.$push['details.medications'].$each[0])).toBe(true);
+        resolve();
+      });
+    });
+  });
+
+  it('hides encrypted fields from JSON unless revealed to the owner or a reader role', () => {
+    const record = EncryptedRecord.hydrate(stored());
+    expect(record.toJSON().details).toBeUndefined();
+
+    revealEncryptedFields(record, { role: 'donor' }, true);
+    expect(record.toJSON().details.diagnosis).toBe('Anemia');
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../utils/offerCascade', () => ({
+  handleOfferResponse: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { handleOfferResponse } = require('../utils/offerCascade');
+const {
+  getUnitsRequested,
+  summarizeFulfillment,
+  syncRequestFulfillment,
+  handleMatchStatusChange
+} = require('../utils/fulfillment');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newRequest = (fields = {}) => Request.hydrate({
+  _id: id(),
+  hospital: id(),
+  requestType: 'blood',
+  bloodType: 'O-',
+  bloodQuantity: 3,
+  status: 'searching',
+  statusHistory: [],
+  ...fields
+});
+
+const newMatch = (request, status, fields = {}) => Match.hydrate({
+  _id: id(),
+  request: request._id,
+  donor: id(),
+  status,
+  statusHistory: [],
+  ...fields
+});
+
+// Match.find answers the fulfillment count (with select) and the search for other open matches
+const useMatches = (matches) => {
+  jest.spyOn(Match, 'find').mockImplementation(filter => {
+    const found = matches.filter(match => !filter._id || !match._id.equals(filter._id.$ne))
+      .filter(match => !filter.status || filter.status.$in.includes(match.status));
+    return Object.assign(Promise.resolve(found), { select: async () => found });
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('getUnitsRequested', () => {
+  it('uses the blood quantity and always one unit for organs', () => {
+    expect(getUnitsRequested({ requestType: 'blood', bloodQuantity: 4 })).toBe(4);
+    expect(getUnitsRequested({ requestType: 'blood' })).toBe(1);
+    expect(getUnitsRequested({ requestType: 'organ', bloodQuantity: 4 })).toBe(1);
+  });
+});
+
+describe('summarizeFulfillment', () => {
+  it('counts secured, delivered and pending units separately', () => {
+    const request = newRequest();
+    const summary = summarizeFulfillment(request, [
+      { status: 'confirmed' },
+      { status: 'delivered' },
+      { status: 'proposed' },
+      { status: 'rejected' }
+    ]);
+
+    expect(summary).toEqual({
+      unitsRequested: 3,
+      unitsSecured: 2,
+      unitsDelivered: 1,
+      unitsPending: 1,
+      unitsOutstanding: 1,
+      unitsUncovered: 0,
+      percentSecured: 67,
+      isFulfilled: false
+    });
+  });
+
+  it('counts matches covering several units and caps the percentage', () => {
+    const summary = summarizeFulfillment(newRequest(), [{ status: 'confirmed', unitsCovered: 2 }, { status: 'in_transit', unitsCovered: 2 }]);
+    expect(summary).toMatchObject({ unitsSecured: 4, unitsOutstanding: 0, percentSecured: 100, isFulfilled: true });
+  });
+});
+
+describe('syncRequestFulfillment', () => {
+  let request;
+
+  beforeEach(() => {
+    request = newRequest();
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+  });
+
+  it('marks a request matched once open and secured matches cover every unit', async () => {
+    useMatches([newMatch(request, 'confirmed'), newMatch(request, 'proposed', { unitsCovered: 2 })]);
+
+    await syncRequestFulfillment(request._id);
+
+    expect(request.status).toBe('matched');
+    expect(request.fulfillment).toMatchObject({ unitsSecured: 1, unitsPending: 2, unitsDelivered: 0 });
+    expect(request.save).toHaveBeenCalled();
+  });
+
+  it('puts a matched request back to searching when a unit is lost', async () => {
+    request.status = 'matched';
+    useMatches([newMatch(request, 'confirmed'), newMatch(request, 'rejected')]);
+
+    const summary = await syncRequestFulfillment(request._id);
+
+    expect(summary.unitsUncovered).toBe(2);
+    expect(request.status).toBe('searching');
+  });
+
+  it('only updates the counts on requests that have moved past matching', async () => {
+    request.status = 'in_progress';
+    useMatches([]);
+
+    await syncRequestFulfillment(request._id);
+
+    expect(request.status).toBe('in_progress');
+    expect(request.fulfillment.unitsSecured).toBe(0);
+  });
+});
+
+describe('handleMatchStatusChange', () => {
+  it('releases the donors still being asked once every unit is secured', async () => {
+    const request = newRequest({ bloodQuantity: 1 });
+    const confirmed = newMatch(request, 'confirmed');
+    const proposed = newMatch(request, 'proposed');
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+    jest.spyOn(proposed, 'save').mockResolvedValue(proposed);
+    useMatches([confirmed, proposed]);
+
+    const fulfillment = await handleMatchStatusChange(confirmed);
+
+    expect(proposed.status).toBe('rejected');
+    expect(proposed.rejectionReason).toBe('Another match was confirmed');
+    expect(fulfillment.isFulfilled).toBe(true);
+    expect(request.status).toBe('matched');
+    expect(handleOfferResponse).toHaveBeenCalledWith(confirmed);
+  });
+
+  it('keeps other proposals while units are still outstanding', async () => {
+    const request = newRequest();
+    const confirmed = newMatch(request, 'confirmed');
+    const proposed = newMatch(request, 'proposed');
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+    useMatches([confirmed, proposed]);
+
+    const fulfillment = await handleMatchStatusChange(confirmed);
+
+    expect(proposed.status).toBe('proposed');
+    expect(fulfillment).toMatchObject({ unitsSecured: 1, unitsUncovered: 1 });
+  });
+
+  it('logs failures instead of throwing, since the status change is already saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Request, 'findById').mockRejectedValue(new Error('Database unavailable'));
+
+    expect(await handleMatchStatusChange(newMatch(newRequest(), 'confirmed'))).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  parseHlaString,
+  normalizeTyping,
+  formatTyping,
+  parseAntigenList,
+  findUnacceptableAntigens,
+  countHlaMismatches,
+  tissueMatchPercentage
+} = require('../utils/hla');
+
+describe('parseHlaString', () => {
+  const expected = { A: ['2', '24'], B: ['7', '8'], C: [], DR: ['15', '4'], DQ: [] };
+
+  it('parses molecular notation down to the allele group', () => {
+    expect(parseHlaString('A*02:01 A*24:02 B*07:02 B*08:01 DRB1*15:01 DRB1*04:01')).toEqual(expected);
+  });
+
+  it('parses serological notation and locus aliases', () => {
+    expect(parseHlaString('HLA-A2, A24, B7, B8, Cw7, DR15, DR4, DQ6')).toEqual({
+      ...expected,
+      C: ['7'],
+      DQ: ['6']
+    });
+  });
+
+  it('parses groups separated by semicolons or pipes', () => {
+    expect(parseHlaString('A: 2, 24; B: 7, 8; DR: 15, 4')).toEqual(expected);
+    expect(parseHlaString('A=2,24 | B=7,8 | DR=15,4')).toEqual(expected);
+  });
+
+  it('starts a new group at every locus label, even without a separator', () => {
+    expect(parseHlaString('A: 2, 24 B: 7, 8 DR: 15, 4')).toEqual(expected);
+  });
+
+  it('skips DP groups instead of adding their antigens to another locus', () => {
+    expect(parseHlaString('A: 2, 24 DP: 1, 2 B: 7, 8')).toEqual({ ...expected, DR: [] });
+  });
+
+  it('ignores DR51/52/53 and keeps at most two antigens per locus', () => {
+    expect(parseHlaString('DR15 DR51 DR4 DR7').DR).toEqual(['15', '4']);
+  });
+
+  it('returns null when nothing can be parsed', () => {
+    expect(parseHlaString('not a typing')).toBeNull();
+    expect(parseHlaString('')).toBeNull();
+    expect(parseHlaString(null)).toBeNull();
+  });
+});
+
+describe('normalizeTyping', () => {
+  it('accepts structured typings with any antigen notation', () => {
+    expect(normalizeTyping({ A: ['A2', '24'], DR: ['DRB1*15:01'] })).toEqual({
+      A: ['2', '24'], B: [], C: [], DR: ['15'], DQ: []
+    });
+  });
+
+  it('returns null for a typing without antigens', () => {
+    expect(normalizeTyping({ A: [] })).toBeNull();
+  });
+
+  it('formats back to serological notation', () => {
+    expect(formatTyping(parseHlaString('A: 2, 24; B: 7; DR: 15'))).toBe('A2 A24 B7 DR15');
+  });
+});
+
+describe('countHlaMismatches', () => {
+  const recipient = 'A2 A24 B7 B8 DR15 DR4';
+
+  it('counts no mismatches for an identical typing', () => {
+    const result = countHlaMismatches(recipient, recipient);
+    expect(result).toEqual({ total: 0, maxPossible: 6, byLocus: { A: 0, B: 0, DR: 0 } });
+    expect(tissueMatchPercentage(result)).toBe(100);
+  });
+
+  it('counts donor antigens the recipient lacks at A, B and DR', () => {
+    const result = countHlaMismatches('A1 A24 B7 B44 DR1 DR4', recipient);
+    expect(result.total).toBe(3);
+    expect(result.byLocus).toEqual({ A: 1, B: 1, DR: 1 });
+    expect(tissueMatchPercentage(result)).toBe(50);
+  });
+
+  it('treats a single antigen at a locus as homozygous', () => {
+    expect(countHlaMismatches('A1 B7 B8 DR15 DR4', recipient).byLocus.A).toBe(1);
+  });
+
+  it('leaves C and DQ out of the total', () => {
+    const result = countHlaMismatches('A2 A24 B7 B8 C1 DR15 DR4 DQ5', 'A2 A24 B7 B8 C7 DR15 DR4 DQ6');
+    expect(result.byLocus).toMatchObject({ C: 1, DQ: 1 });
+    expect(result.total).toBe(0);
+  });
+
+  it('returns null when either typing is missing', () => {
+    expect(countHlaMismatches(null, recipient)).toBeNull();
+    expect(tissueMatchPercentage(null)).toBeNull();
+  });
+});
+
+describe('unacceptable antigens', () => {
+  it('parses antigen lists from strings and arrays', () => {
+    expect(parseAntigenList('HLA-A2, B44; DRB1*04:01, DR51')).toEqual(['A2', 'B44', 'DR4']);
+    expect(parseAntigenList(['a2', 'A2'])).toEqual(['A2']);
+  });
+
+  it('finds donor antigens on the unacceptable list', () => {
+    expect(findUnacceptableAntigens('A2 A24 B7 B8 DR15 DR4', 'A24, DR4, B44')).toEqual(['A24', 'DR4']);
+    expect(findUnacceptableAntigens('A2 A24', [])).toEqual([]);
+  });
+
+  it('returns null for an untyped donor', () => {
+    expect(findUnacceptableAntigens(null, 'A2')).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const HospitalMembership = require('../models/HospitalMembership');
+const HospitalInvitation = require('../models/HospitalInvitation');
+const {
+  HOSPITAL_PERMISSIONS,
+  MembershipError,
+  hasHospitalPermission,
+  getUserHospital,
+  canAccessHospital,
+  createInvitation,
+  acceptInvitation,
+  changeStaffRole,
+  removeStaffMember
+} = require('../utils/hospitalMembership');
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+const ownerId = id();
+const owner = { _id: ownerId, id: ownerId.toString(), email: 'owner@stmary.org', role: 'hospital' };
+const hospital = { _id: id(), user: owner._id, name: 'St Mary' };
+
+// Invitations and memberships live in memory behind the model methods
+let invitations;
+let memberships;
+
+const member = (user, staffRole) => ({ _id: id(), hospital, user, staffRole, status: 'active' });
+const newUser = (email, role = 'hospital') => ({ _id: id(), email, role });
+
+beforeEach(() => {
+  invitations = [];
+  memberships = [];
+
+  jest.spyOn(HospitalMembership, 'findOne').mockImplementation(filter => ({
+    populate: async () => memberships.find(entry => entry.status === 'active' && entry.user._id.equals(filter.user)) || null
+  }));
+  jest.spyOn(HospitalMembership, 'find').mockImplementation(() => ({
+    populate: async () => memberships.filter(entry => entry.status === 'active')
+  }));
+  jest.spyOn(HospitalMembership, 'create').mockImplementation(async doc => {
+    const created = { _id: id(), status: 'active', ...doc };
+    memberships.push(created);
+    return created;
+  });
+  jest.spyOn(Hospital, 'findOne').mockResolvedValue(null);
+
+  jest.spyOn(HospitalInvitation, 'create').mockImplementation(async doc => {
+    const created = { _id: id(), status: 'pending', ...doc };
+    invitations.push(created);
+    return created;
+  });
+  jest.spyOn(HospitalInvitation, 'updateMany').mockImplementation(async (filter, update) => {
+    invitations
+      .filter(entry => entry.email === filter.email && entry.status === filter.status)
+      .forEach(entry => Object.assign(entry, update.$set));
+  });
+  jest.spyOn(HospitalInvitation, 'findOne').mockImplementation(async filter =>
+    invitations.find(entry => entry.tokenHash === filter.tokenHash) || null);
+  jest.spyOn(HospitalInvitation, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const entry = invitations.find(candidate => candidate._id.equals(filter._id) && candidate.status === filter.status);
+    return entry ? Object.assign(entry, update.$set) : null;
+  });
+  jest.spyOn(HospitalInvitation, 'updateOne').mockImplementation(async (filter, update) => {
+    const entry = invitations.find(candidate => candidate._id.equals(filter._id));
+    Object.assign(entry, update.$set);
+    Object.keys(update.$unset).forEach(field => delete entry[field]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('permissions', () => {
+  it('grants each staff role its own permissions', () => {
+    const administrator = member(owner, 'administrator');
+    const surgeon = member(newUser('s@stmary.org'), 'surgeon');
+    const readOnly = member(newUser('r@stmary.org'), 'read_only');
+
+    Object.values(HOSPITAL_PERMISSIONS).forEach(permission => expect(hasHospitalPermission(administrator, permission)).toBe(true));
+    expect(hasHospitalPermission(surgeon, HOSPITAL_PERMISSIONS.MANAGE_MATCHES)).toBe(true);
+    expect(hasHospitalPermission(surgeon, HOSPITAL_PERMISSIONS.MANAGE_REQUESTS)).toBe(false);
+    expect(hasHospitalPermission(readOnly, HOSPITAL_PERMISSIONS.UPDATE_CAPACITY)).toBe(false);
+    expect(hasHospitalPermission(readOnly)).toBe(true);
+    expect(hasHospitalPermission(null)).toBe(false);
+  });
+
+  it('only returns the hospital when the member holds the permission', async () => {
+    const tech = newUser('tech@stmary.org');
+    memberships.push(member(tech, 'blood_bank_tech'));
+
+    expect(await getUserHospital(tech._id, HOSPITAL_PERMISSIONS.RECORD_DONATIONS)).toBe(hospital);
+    expect(await getUserHospital(tech._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF)).toBeNull();
+  });
+
+  it('gives the owner of a hospital created before memberships an administrator membership', async () => {
+    const legacy = { _id: id(), user: owner._id };
+    Hospital.findOne.mockResolvedValue(legacy);
+    const upsert = jest.spyOn(HospitalMembership, 'findOneAndUpdate').mockResolvedValue({ staffRole: 'administrator' });
+
+    expect(await getUserHospital(owner._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF)).toBe(legacy);
+    expect(upsert.mock.calls[0][1].$setOnInsert).toMatchObject({ hospital: legacy._id, staffRole: 'administrator' });
+  });
+
+  it('lets admins act on any hospital and staff only on their own', async () => {
+    const coordinator = newUser('tc@stmary.org');
+    memberships.push(member(coordinator, 'transplant_coordinator'));
+    const user = { id: coordinator._id, role: 'hospital' };
+
+    expect(await canAccessHospital({ id: id(), role: 'admin' }, id())).toBe(true);
+    expect(await canAccessHospital(user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_MATCHES)).toBe(true);
+    expect(await canAccessHospital(user, id(), HOSPITAL_PERMISSIONS.MANAGE_MATCHES)).toBe(false);
+    expect(await canAccessHospital(user, hospital._id, HOSPITAL_PERMISSIONS.MANAGE_STAFF)).toBe(false);
+    expect(await canAccessHospital({ id: coordinator._id, role: 'donor' }, hospital._id)).toBe(false);
+  });
+});
+
+describe('createInvitation', () => {
+  it('stores only a hash of the emailed token and replaces earlier invitations', async () => {
+    const first = await createInvitation(hospital, { email: 'New@StMary.org ', staffRole: 'surgeon' }, owner);
+    const second = await createInvitation(hospital, { email: 'new@stmary.org', staffRole: 'read_only' }, owner);
+
+    expect(second.invitation).toMatchObject({ email: 'new@stmary.org', staffRole: 'read_only', status: 'pending' });
+    expect(second.invitation.tokenHash).not.toBe(second.token);
+    expect(JSON.stringify(invitations)).not.toContain(second.token);
+    expect(first.invitation.status).toBe('revoked');
+    expect(second.invitation.expiresAt.getTime() - Date.now()).toBeGreaterThan(6 * DAY);
+  });
+
+  it('refuses to invite someone already on the staff', async () => {
+    memberships.push(member(newUser('tech@stmary.org'), 'blood_bank_tech'));
+
+    const error = await createInvitation(hospital, { email: 'TECH@stmary.org', staffRole: 'surgeon' }, owner).catch(err => err);
+    expect(error).toBeInstanceOf(MembershipError);
+    expect(error.status).toBe(409);
+  });
+});
+
+describe('acceptInvitation', () => {
+  const invite = async (email = 'new@stmary.org') =>
+    (await createInvitation(hospital, { email, staffRole: 'surgeon' }, owner)).token;
+
+  it('adds the invited user to the staff with the invited role, once', async () => {
+    const token = await invite();
+    const user = newUser('New@stmary.org');
+
+    const membership = await acceptInvitation(token, user);
+
+    expect(membership).toMatchObject({ hospital: hospital._id, user: user._id, staffRole: 'surgeon' });
+    expect(invitations[0]).toMatchObject({ status: 'accepted', acceptedBy: user._id });
+    await expect(acceptInvitation(token, newUser('new@stmary.org'))).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('refuses unknown and expired invitations', async () => {
+    await expect(acceptInvitation('not-a-token', newUser('new@stmary.org'))).rejects.toMatchObject({ status: 404 });
+
+    const token = await invite();
+    invitations[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(acceptInvitation(token, newUser('new@stmary.org'))).rejects.toMatchObject({ status: 410 });
+  });
+
+  it('only lets the invited hospital account without a hospital accept', async () => {
+    const token = await invite();
+
+    await expect(acceptInvitation(token, newUser('someone@else.org'))).rejects.toMatchObject({ status: 403 });
+    await expect(acceptInvitation(token, newUser('new@stmary.org', 'donor'))).rejects.toMatchObject({ status: 403 });
+
+    const busy = newUser('new@stmary.org');
+    memberships.push(member(busy, 'read_only'));
+    await expect(acceptInvitation(token, busy)).rejects.toMatchObject({ status: 409 });
+    expect(invitations[0].status).toBe('pending');
+  });
+
+  it('reopens the invitation when the membership cannot be created', async () => {
+    const token = await invite();
+    HospitalMembership.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(acceptInvitation(token, newUser('new@stmary.org'))).rejects.toMatchObject({ status: 409 });
+    expect(invitations[0].status).toBe('pending');
+    expect(invitations[0]).not.toHaveProperty('acceptedBy');
+  });
+});
+
+describe('staff changes', () => {
+  const saved = membership => Object.assign(membership, { save: jest.fn(async () => membership) });
+
+  it('changes roles and removes staff, recording who removed them', async () => {
+    const surgeon = saved(member(newUser('s@stmary.org'), 'surgeon'));
+
+    await changeStaffRole(hospital, surgeon, 'transplant_coordinator');
+    expect(surgeon.staffRole).toBe('transplant_coordinator');
+
+    await removeStaffMember(hospital, surgeon, owner);
+    expect(surgeon).toMatchObject({ status: 'removed', removedBy: owner.id });
+    expect(surgeon.removedAt).toBeInstanceOf(Date);
+  });
+
+  it('keeps the owner an administrator', async () => {
+    const ownerMembership = saved(member(owner._id, 'administrator'));
+
+    await expect(changeStaffRole(hospital, ownerMembership, 'read_only')).rejects.toThrow('must stay an administrator');
+    await expect(removeStaffMember(hospital, ownerMembership, owner)).rejects.toThrow(MembershipError);
+    expect(ownerMembership.save).not.toHaveBeenCalled();
+  });
+});
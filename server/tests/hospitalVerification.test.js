@@ -0,0 +1,193 @@
+jest.mock('../utils/hospitalMembership', () => ({
+  ...jest.requireActual('../utils/hospitalMembership'),
+  getUserHospital: jest.fn()
+}));
+
+const express = require('express');
+const supertest = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Hospital = require('../models/Hospital');
+const Request = require('../models/Request');
+const { getUserHospital } = require('../utils/hospitalMembership');
+const { requireVerifiedHospital } = require('../middleware/hospitalVerification');
+const { findBestMatches } = require('../utils/matchingAlgorithm');
+const { createStaffUser } = require('../controllers/adminController');
+const {
+  addLicenseDocuments,
+  setVerificationStatus,
+  queueLegacyHospitalsForReview
+} = require('../utils/hospitalVerification');
+
+const id = () => new mongoose.Types.ObjectId();
+const admin = { id: id().toString(), role: 'admin' };
+const hospitalUser = { id: id().toString(), role: 'hospital' };
+
+const newHospital = (status = 'pending', fields = {}) => new Hospital({
+  user: id(),
+  name: 'St Mary',
+  licenseNumber: 'LIC-1',
+  verification: { status, documents: [], history: [] },
+  ...fields
+});
+
+const upload = name => ({ originalname: name, filename: `${name}-stored`, mimetype: 'application/pdf', size: 1024 });
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('public registration', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/authRoutes'));
+
+  const register = role => supertest(app).post('/api/auth/register').send({
+    name: 'Mallory',
+    email: 'mallory@example.com',
+    password: 'secret123',
+    phone: '555-0100',
+    role
+  });
+
+  it('refuses admin and coordinator accounts', async () => {
+    for (const role of ['admin', 'coordinator']) {
+      const res = await register(role).expect(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ path: 'role', msg: 'Role must be donor or hospital' })]);
+    }
+  });
+
+  it('lets donors and hospitals through to account creation', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: id() });
+
+    for (const role of ['donor', 'hospital']) {
+      const res = await register(role).expect(400);
+      expect(res.body.errors).toEqual([{ msg: 'User already exists' }]);
+    }
+  });
+});
+
+describe('createStaffUser', () => {
+  it('lets an admin create a verified coordinator account', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const res = mockResponse();
+
+    await createStaffUser({
+      body: { name: 'Cora', email: 'cora@example.com', password: 'secret123', phone: '555-0101', role: 'coordinator' },
+      user: admin
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ email: 'cora@example.com', role: 'coordinator' }));
+    expect(User.prototype.save.mock.contexts[0].isVerified).toBe(true);
+  });
+});
+
+describe('requireVerifiedHospital', () => {
+  const check = async (user) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await requireVerifiedHospital({ user }, res, next);
+    return { res, next };
+  };
+
+  it('lets approved hospitals and other roles through', async () => {
+    getUserHospital.mockResolvedValue(newHospital('approved'));
+    expect((await check(hospitalUser)).next).toHaveBeenCalled();
+    expect((await check(admin)).next).toHaveBeenCalled();
+  });
+
+  it('blocks pending and rejected hospitals with their status', async () => {
+    getUserHospital.mockResolvedValue(newHospital('pending'));
+    const pending = await check(hospitalUser);
+    expect(pending.next).not.toHaveBeenCalled();
+    expect(pending.res.status).toHaveBeenCalledWith(403);
+    expect(pending.res.json).toHaveBeenCalledWith(expect.objectContaining({ verificationStatus: 'pending' }));
+
+    getUserHospital.mockResolvedValue(newHospital('rejected'));
+    const rejected = await check(hospitalUser);
+    expect(rejected.res.json.mock.calls[0][0].message).toMatch(/rejected; upload new license documents/);
+  });
+
+  it('blocks hospital users without a hospital', async () => {
+    getUserHospital.mockResolvedValue(null);
+    expect((await check(hospitalUser)).res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('license documents and review', () => {
+  it('keeps a pending hospital pending and notes when documents were submitted', () => {
+    const hospital = newHospital('pending');
+
+    addLicenseDocuments(hospital, [upload('license'), upload('insurance')], hospitalUser);
+
+    expect(hospital.verification.documents.map(doc => doc.fileName)).toEqual(['license-stored', 'insurance-stored']);
+    expect(hospital.verification.status).toBe('pending');
+    expect(hospital.verification.submittedAt).toBeInstanceOf(Date);
+    expect(hospital.verification.history).toHaveLength(0);
+  });
+
+  it('puts a rejected hospital back in the review queue', () => {
+    const hospital = newHospital('rejected');
+
+    addLicenseDocuments(hospital, [upload('license')], hospitalUser);
+
+    expect(hospital.verification.status).toBe('pending');
+    expect(hospital.verification.history[0]).toMatchObject({ status: 'pending', reason: 'New license documents submitted' });
+  });
+
+  it('leaves an approved hospital approved', () => {
+    const hospital = newHospital('approved');
+    addLicenseDocuments(hospital, [upload('renewal')], hospitalUser);
+    expect(hospital.verification.status).toBe('approved');
+  });
+
+  it('records the reviewer of a decision', () => {
+    const hospital = newHospital('pending');
+
+    setVerificationStatus(hospital, 'rejected', { user: admin, reason: 'License expired' });
+
+    expect(hospital.verification).toMatchObject({ status: 'rejected', reason: 'License expired' });
+    expect(hospital.verification.reviewedBy.toString()).toBe(admin.id);
+    expect(hospital.verification.history[0]).toMatchObject({ status: 'rejected', reason: 'License expired' });
+  });
+});
+
+describe('queueLegacyHospitalsForReview', () => {
+  it('moves hospitals without a verification status to pending', async () => {
+    const updateMany = jest.spyOn(Hospital, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await queueLegacyHospitalsForReview()).toBe(3);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ 'verification.status': { $exists: false } });
+    expect(update.$set['verification.status']).toBe('pending');
+    expect(update.$push['verification.history']).toMatchObject({ status: 'pending' });
+  });
+});
+
+describe('findBestMatches', () => {
+  it('does not match requests from hospitals that are not approved', async () => {
+    const request = Request.hydrate({ _id: id(), hospital: id(), requestType: 'blood', status: 'pending', statusHistory: [] });
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    const exists = jest.spyOn(Hospital, 'exists').mockResolvedValue(null);
+    const save = jest.spyOn(request, 'save');
+
+    expect(await findBestMatches(request._id)).toEqual([]);
+
+    expect(exists).toHaveBeenCalledWith({ _id: request.hospital, 'verification.status': 'approved' });
+    expect(request.status).toBe('pending');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  evaluateTransplant,
+  buildCompatibilityGraph,
+  findCycles,
+  findChains,
+  selectExchanges
+} = require('../utils/kidneyExchange');
+
+const TYPING = 'A2 A24 B7 B8 DR15 DR4';
+
+// A donor-recipient pair; nonDirected pairs only have a donor
+const pair = (donorBloodType, recipientBloodType, options = {}) => ({
+  donor: { bloodType: donorBloodType, hlaTyping: options.donorTyping || TYPING },
+  request: recipientBloodType
+    ? { recipientDetails: { bloodType: recipientBloodType, hlaType: TYPING } }
+    : null,
+  unacceptableAntigens: options.unacceptableAntigens || [],
+  isNonDirected: !recipientBloodType
+});
+
+// Graph from a list of [from, to] edges with equal scores
+const graphFrom = (size, edges, score = 1.5) => {
+  const graph = Array.from({ length: size }, () => []);
+  edges.forEach(([from, to]) => graph[from].push({ to, score, tissueTypeMatch: 50, hlaMismatchCount: 3 }));
+  return graph;
+};
+
+describe('evaluateTransplant', () => {
+  it('scores compatible transplants by tissue match', () => {
+    expect(evaluateTransplant(pair('O+', 'A+').donor, pair('O+', 'A+').request)).toEqual({
+      tissueTypeMatch: 100,
+      hlaMismatchCount: 0,
+      score: 2
+    });
+  });
+
+  it('rejects ABO incompatible donors', () => {
+    expect(evaluateTransplant(pair('A+', 'O+').donor, pair('A+', 'O+').request)).toBeNull();
+  });
+
+  it('rejects donors carrying an unacceptable antigen or without a typing', () => {
+    const { donor, request } = pair('O+', 'O+');
+    expect(evaluateTransplant(donor, request, ['A24'])).toBeNull();
+    expect(evaluateTransplant({ ...donor, hlaTyping: null }, request)).toBeNull();
+  });
+});
+
+describe('buildCompatibilityGraph', () => {
+  it('links each donor to the other recipients they can give to', () => {
+    // Pair 0: A donor, B recipient; pair 1: B donor, A recipient; pair 2: non-directed O donor
+    const pairs = [pair('A+', 'B+'), pair('B+', 'A+'), pair('O+', null)];
+    const graph = buildCompatibilityGraph(pairs);
+
+    expect(graph[0].map(edge => edge.to)).toEqual([1]);
+    expect(graph[1].map(edge => edge.to)).toEqual([0]);
+    expect(graph[2].map(edge => edge.to)).toEqual([0, 1]);
+  });
+
+  it('leaves out recipients with antibodies against the donor', () => {
+    const pairs = [pair('A+', 'B+'), pair('B+', 'A+', { unacceptableAntigens: ['DR4'] })];
+    expect(buildCompatibilityGraph(pairs)[0]).toEqual([]);
+  });
+});
+
+describe('findCycles', () => {
+  const pairs = [pair('A+', 'B+'), pair('B+', 'A+'), pair('A+', 'B+'), pair('B+', 'A+')];
+
+  it('finds 2-way and 3-way cycles once each', () => {
+    const graph = graphFrom(4, [[0, 1], [1, 0], [1, 2], [2, 0]]);
+    const cycles = findCycles(pairs, graph).map(cycle => cycle.pairs);
+
+    expect(cycles).toEqual(expect.arrayContaining([[0, 1], [0, 1, 2]]));
+    expect(cycles).toHaveLength(2);
+  });
+
+  it('ignores cycles longer than three pairs', () => {
+    const graph = graphFrom(4, [[0, 1], [1, 2], [2, 3], [3, 0]]);
+    expect(findCycles(pairs, graph)).toEqual([]);
+  });
+
+  it('lists one transplant per pair and adds up their scores', () => {
+    const [cycle] = findCycles(pairs, graphFrom(4, [[0, 1], [1, 0]]));
+    expect(cycle.transplants.map(({ from, to }) => [from, to])).toEqual([[0, 1], [1, 0]]);
+    expect(cycle.totalScore).toBe(3);
+  });
+});
+
+describe('findChains', () => {
+  const pairs = [pair('O+', null), pair('A+', 'B+'), pair('B+', 'A+'), pair('A+', 'B+'), pair('B+', 'A+')];
+
+  it('offers every prefix of a chain started by a non-directed donor', () => {
+    const graph = graphFrom(5, [[0, 1], [1, 2]]);
+    const chains = findChains(pairs, graph);
+
+    expect(chains.map(chain => chain.pairs)).toEqual([[0, 1], [0, 1, 2]]);
+    expect(chains[1].bridge).toBe(2);
+    expect(chains[1].transplants).toHaveLength(2);
+  });
+
+  it('stops chains at three transplants', () => {
+    const graph = graphFrom(5, [[0, 1], [1, 2], [2, 3], [3, 4]]);
+    const longest = Math.max(...findChains(pairs, graph).map(chain => chain.transplants.length));
+    expect(longest).toBe(3);
+  });
+});
+
+describe('selectExchanges', () => {
+  const candidate = (pairs, transplants, totalScore) => ({
+    pairs,
+    transplants: Array.from({ length: transplants }),
+    totalScore
+  });
+
+  it('prefers more transplants, then the higher score, without reusing a pair', () => {
+    const threeWay = candidate([0, 1, 2], 3, 4.5);
+    const betterTwoWay = candidate([3, 4], 2, 4);
+    const worseTwoWay = candidate([4, 5], 2, 3);
+    const overlapping = candidate([2, 3], 2, 4);
+
+    expect(selectExchanges([worseTwoWay, overlapping, betterTwoWay, threeWay]))
+      .toEqual([threeWay, betterTwoWay]);
+  });
+
+  it('does not reorder the candidates it was given', () => {
+    const candidates = [candidate([0, 1], 2, 3), candidate([2, 3, 4], 3, 4)];
+    selectExchanges(candidates);
+    expect(candidates[0].pairs).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,125 @@
+const {
+  THROTTLE_POLICIES,
+  MemoryThrottleStore,
+  setThrottleStore,
+  checkThrottle,
+  recordFailure,
+  clearAccountFailures,
+  unlockAccount
+} = require('../utils/loginThrottle');
+
+const { login } = THROTTLE_POLICIES;
+
+// Fail a login the given number of times, each from its own IP unless one is given
+const failLogins = async (times, subject = {}) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await recordFailure('login', { account: 'donor@example.com', ip: subject.ip || `10.0.0.${i}` });
+  }
+  return result;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T09:00:00Z') });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  setThrottleStore(new MemoryThrottleStore());
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('progressive delays', () => {
+  it('lets the free attempts through', async () => {
+    await failLogins(login.account.freeAttempts - 1);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+  });
+
+  it('doubles the wait after each attempt past the free ones', async () => {
+    await failLogins(login.account.freeAttempts);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toEqual({ locked: false, retryAfter: 1 });
+
+    await failLogins(1);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toEqual({ locked: false, retryAfter: 2 });
+
+    await failLogins(1);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toEqual({ locked: false, retryAfter: 4 });
+  });
+
+  it('counts the wait from the last failure', async () => {
+    await failLogins(login.account.freeAttempts + 2);
+    jest.advanceTimersByTime(3000);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toEqual({ locked: false, retryAfter: 1 });
+    jest.advanceTimersByTime(1000);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+  });
+
+  it('caps the wait', async () => {
+    await failLogins(login.account.lockAfter - 1);
+    const blocked = await checkThrottle('login', { account: 'donor@example.com' });
+    expect(blocked.retryAfter).toBeLessThanOrEqual(login.maxDelayMs / 1000);
+  });
+
+  it('matches accounts regardless of case and spacing', async () => {
+    await failLogins(login.account.freeAttempts);
+    expect(await checkThrottle('login', { account: '  DONOR@example.com ' })).not.toBeNull();
+  });
+
+  it('starts counting again once the window ends', async () => {
+    await failLogins(login.account.freeAttempts);
+    jest.advanceTimersByTime(login.windowMs);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+  });
+});
+
+describe('lockout', () => {
+  it('locks the account when it reaches the limit and reports when the lock ends', async () => {
+    const before = await failLogins(login.account.lockAfter - 1);
+    expect(before.accountLockedUntil).toBeNull();
+
+    const result = await failLogins(1);
+    expect(result.accountLockedUntil).toEqual(new Date(Date.now() + login.lockMs));
+    expect(await checkThrottle('login', { account: 'donor@example.com' }))
+      .toEqual({ locked: true, retryAfter: login.lockMs / 1000 });
+  });
+
+  it('reports the lock only once', async () => {
+    await failLogins(login.account.lockAfter);
+    expect((await failLogins(1)).accountLockedUntil).toBeNull();
+  });
+
+  it('lifts the lock when it runs out', async () => {
+    await failLogins(login.account.lockAfter);
+    jest.advanceTimersByTime(login.lockMs);
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+  });
+
+  it('locks an IP guessing at many accounts', async () => {
+    for (let i = 0; i < login.ip.lockAfter; i++) {
+      await recordFailure('login', { account: `user${i}@example.com`, ip: '10.1.1.1' });
+    }
+    expect(await checkThrottle('login', { account: 'new@example.com', ip: '10.1.1.1' }))
+      .toMatchObject({ locked: true });
+    expect(await checkThrottle('login', { account: 'new@example.com', ip: '10.1.1.2' })).toBeNull();
+  });
+
+  it('lets an admin unlock the account', async () => {
+    await failLogins(login.account.lockAfter);
+    await unlockAccount('donor@example.com');
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+  });
+
+  it('clears only the account counter after a successful sign-in', async () => {
+    await failLogins(login.ip.freeAttempts, { ip: '10.2.2.2' });
+    await clearAccountFailures('login', 'donor@example.com');
+
+    expect(await checkThrottle('login', { account: 'donor@example.com' })).toBeNull();
+    expect(await checkThrottle('login', { ip: '10.2.2.2' })).not.toBeNull();
+  });
+
+  it('keeps separate counters for each action', async () => {
+    await failLogins(login.account.lockAfter);
+    expect(await checkThrottle('forgotPassword', { account: 'donor@example.com' })).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../utils/fulfillment', () => ({
+  ...jest.requireActual('../utils/fulfillment'),
+  handleMatchStatusChange: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { handleMatchStatusChange } = require('../utils/fulfillment');
+const { reportOutcome } = require('../controllers/matchController');
+
+const coordinator = { id: new mongoose.Types.ObjectId().toString(), role: 'coordinator' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+let match;
+let request;
+
+beforeEach(() => {
+  request = Request.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    hospital: new mongoose.Types.ObjectId(),
+    requestType: 'organ',
+    organType: 'kidney',
+    status: 'in_progress',
+    statusHistory: []
+  });
+  match = Match.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    request: request._id,
+    donor: new mongoose.Types.ObjectId(),
+    status: 'delivered',
+    statusHistory: []
+  });
+
+  jest.spyOn(Match, 'findById').mockResolvedValue(match);
+  jest.spyOn(Request, 'findById').mockResolvedValue(request);
+  jest.spyOn(match, 'save').mockResolvedValue(match);
+  jest.spyOn(request, 'save').mockResolvedValue(request);
+  handleMatchStatusChange.mockResolvedValue({ unitsRequested: 1, unitsDelivered: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reportOutcome', () => {
+  it('runs the shared status change side effects after a successful transplant', async () => {
+    const res = mockResponse();
+    await reportOutcome({ params: { id: match._id.toString() }, body: { successful: true }, user: coordinator }, res);
+
+    expect(match.status).toBe('transplanted');
+    expect(handleMatchStatusChange).toHaveBeenCalledWith(match);
+    expect(handleMatchStatusChange.mock.invocationCallOrder[0]).toBeGreaterThan(match.save.mock.invocationCallOrder[0]);
+    expect(request.status).toBe('completed');
+    expect(res.json).toHaveBeenCalledWith(match);
+  });
+
+  it('runs them for a failed match and puts the request back to searching', async () => {
+    handleMatchStatusChange.mockResolvedValue({ unitsRequested: 1, unitsDelivered: 0 });
+
+    const res = mockResponse();
+    await reportOutcome({ params: { id: match._id.toString() }, body: { successful: false, notes: 'Graft rejected' }, user: coordinator }, res);
+
+    expect(match.status).toBe('failed');
+    expect(handleMatchStatusChange).toHaveBeenCalledWith(match);
+    expect(request.status).toBe('searching');
+  });
+});
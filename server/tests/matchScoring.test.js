@@ -0,0 +1,176 @@
+jest.mock('../utils/eligibility', () => ({
+  ...jest.requireActual('../utils/eligibility'),
+  loadActiveRules: jest.fn()
+}));
+jest.mock('../utils/questionnaire', () => ({
+  ...jest.requireActual('../utils/questionnaire'),
+  loadQuestionnaireDeferrals: jest.fn()
+}));
+jest.mock('../utils/hospitalMembership', () => ({
+  ...jest.requireActual('../utils/hospitalMembership'),
+  getUserHospital: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Donor = require('../models/Donor');
+const Hospital = require('../models/Hospital');
+const Request = require('../models/Request');
+const ScoringPolicy = require('../models/ScoringPolicy');
+const { loadActiveRules } = require('../utils/eligibility');
+const { loadQuestionnaireDeferrals } = require('../utils/questionnaire');
+const { getUserHospital } = require('../utils/hospitalMembership');
+const { getDefaultWeights } = require('../utils/scoringPolicy');
+const { findBloodDonorMatches, summarizeExclusions } = require('../utils/matchingAlgorithm');
+const matchController = require('../controllers/matchController');
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+const daysAgo = days => new Date(Date.now() - days * DAY);
+
+// One row of the candidate $geoNear aggregation
+const candidate = (distanceKm, donor) => {
+  const userId = id();
+  return {
+    _id: userId,
+    name: `Donor ${distanceKm} km`,
+    role: 'donor',
+    distanceMeters: distanceKm * 1000,
+    donorProfile: {
+      _id: id(),
+      user: userId,
+      isAvailable: true,
+      medicalHistory: { smokingStatus: 'never', alcoholConsumption: 'none' },
+      physicalDetails: { bmi: 22, age: 30 },
+      ...donor
+    }
+  };
+};
+
+const policy = { policy: null, version: 1, weights: getDefaultWeights('blood') };
+
+let request;
+let rows;
+
+beforeEach(() => {
+  request = Request.hydrate({
+    _id: id(),
+    hospital: id(),
+    requestType: 'blood',
+    bloodType: 'A+',
+    bloodComponent: 'red_cells',
+    status: 'pending',
+    matchCriteria: { maxDistanceKm: 100 },
+    recipientDetails: { age: 40 },
+    statusHistory: []
+  });
+
+  rows = {
+    ideal: candidate(10, { bloodType: 'A+' }),
+    compatible: candidate(50, {
+      bloodType: 'O-',
+      lastDonationDate: daysAgo(90),
+      medicalHistory: { smokingStatus: 'current', alcoholConsumption: 'light' },
+      physicalDetails: { bmi: 35, age: 52 }
+    }),
+    tooSoon: candidate(5, { bloodType: 'A+', lastDonationDate: daysAgo(10) }),
+    deferred: candidate(20, { bloodType: 'A-' })
+  };
+
+  jest.spyOn(Hospital, 'findById').mockResolvedValue({ location: { coordinates: [-0.12, 51.5] } });
+  jest.spyOn(User, 'aggregate').mockImplementation(async () => Object.values(rows));
+  loadActiveRules.mockResolvedValue([]);
+  loadQuestionnaireDeferrals.mockImplementation(async () => new Map([[
+    rows.deferred.donorProfile._id.toString(),
+    [{ questionKey: 'recentTattoo', reason: 'Recent tattoo', deferralType: 'temporary', until: daysAgo(-30) }]
+  ]]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('findBloodDonorMatches', () => {
+  it('ranks donors with one breakdown line per factor that sums to the score', async () => {
+    const { matches } = await findBloodDonorMatches(request, policy);
+
+    expect(matches.map(match => match.donor)).toEqual([rows.ideal.donorProfile._id, rows.compatible.donorProfile._id]);
+
+    const compatible = matches[1];
+    expect(compatible.scoreBreakdown.map(line => line.factor)).toEqual([
+      'compatibleBloodType', 'proximity', 'availability', 'nonSmoker', 'lowAlcohol', 'healthyBmi', 'donationRecency'
+    ]);
+    expect(compatible.scoreBreakdown.find(line => line.factor === 'proximity'))
+      .toEqual({ factor: 'proximity', rawValue: 50, weight: 30, points: 20 });
+    expect(compatible.scoreBreakdown.find(line => line.factor === 'nonSmoker'))
+      .toMatchObject({ rawValue: 'current', points: 0 });
+    expect(compatible.matchScore).toBe(63);
+    expect(compatible.scoreBreakdown.reduce((sum, line) => sum + line.points, 0)).toBe(63);
+    expect(compatible.scoringPolicy).toEqual({ policy: null, version: 1 });
+  });
+
+  it('adds a capping line when the factors add up to more than 100', async () => {
+    const [ideal] = (await findBloodDonorMatches(request, policy)).matches;
+
+    expect(ideal.matchScore).toBe(100);
+    expect(ideal.scoreBreakdown[ideal.scoreBreakdown.length - 1]).toEqual({ factor: 'scoreCap', rawValue: 103, weight: 100, points: -3 });
+    expect(ideal.scoreBreakdown.reduce((sum, line) => sum + line.points, 0)).toBe(100);
+  });
+
+  it('reports the filters each excluded donor failed instead of scoring them', async () => {
+    const { excluded } = await findBloodDonorMatches(request, policy);
+
+    expect(excluded).toHaveLength(2);
+    const byDonor = new Map(excluded.map(entry => [entry.donor.toString(), entry.failedFilters]));
+    expect(byDonor.get(rows.tooSoon.donorProfile._id.toString())).toEqual([
+      { filter: 'donationInterval', reason: expect.stringMatching(/^Donor is not eligible to donate red_cells until \d{4}-\d{2}-\d{2}$/) }
+    ]);
+    expect(byDonor.get(rows.deferred.donorProfile._id.toString())).toEqual([
+      { filter: 'questionnaire', reason: expect.stringMatching(/^Recent tattoo \(deferred until/) }
+    ]);
+  });
+});
+
+describe('summarizeExclusions', () => {
+  it('counts donors once per filter they failed', () => {
+    expect(summarizeExclusions([
+      { donor: id(), failedFilters: [{ filter: 'deferral' }, { filter: 'deferral' }, { filter: 'questionnaire' }] },
+      { donor: id(), failedFilters: [{ filter: 'deferral' }] }
+    ])).toEqual({ total: 2, byFilter: { deferral: 2, questionnaire: 1 } });
+  });
+});
+
+describe('POST /api/matches/search exclusions', () => {
+  const search = async (user) => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    await matchController.findPotentialMatches({ body: { requestId: request._id.toString() }, user }, res);
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Request, 'findById').mockResolvedValue(request);
+    jest.spyOn(ScoringPolicy, 'find').mockResolvedValue([]);
+    jest.spyOn(Donor, 'find').mockReturnValue({
+      select() { return this; },
+      populate: async () => []
+    });
+  });
+
+  it('gives coordinators the failed filters with their reasons', async () => {
+    const body = await search({ id: id().toString(), role: 'coordinator' });
+
+    expect(body.candidates[0].scoreBreakdown.length).toBeGreaterThan(0);
+    expect(body.excluded.map(entry => entry.failedFilters[0].filter).sort()).toEqual(['donationInterval', 'questionnaire']);
+  });
+
+  it('only gives hospitals counts, since the reasons carry donors’ medical details', async () => {
+    getUserHospital.mockResolvedValue({ _id: request.hospital });
+    const body = await search({ id: id().toString(), role: 'hospital' });
+
+    expect(body.excluded).toBeUndefined();
+    expect(body.excludedSummary).toEqual({ total: 2, byFilter: { donationInterval: 1, questionnaire: 1 } });
+  });
+});
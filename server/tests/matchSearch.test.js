@@ -0,0 +1,107 @@
+jest.mock('../utils/matchingAlgorithm', () => ({
+  ...jest.requireActual('../utils/matchingAlgorithm'),
+  findPotentialMatches: jest.fn(),
+  commitMatches: jest.fn()
+}));
+jest.mock('../utils/hospitalMembership', () => ({
+  ...jest.requireActual('../utils/hospitalMembership'),
+  getUserHospital: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const Request = require('../models/Request');
+const { findPotentialMatches, commitMatches } = require('../utils/matchingAlgorithm');
+const { getUserHospital } = require('../utils/hospitalMembership');
+const matchController = require('../controllers/matchController');
+
+const id = () => new mongoose.Types.ObjectId();
+const coordinator = { id: id().toString(), role: 'coordinator' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const search = async (body, user = coordinator) => {
+  const res = mockResponse();
+  await matchController.findPotentialMatches({ body: { requestId: request._id.toString(), ...body }, user }, res);
+  return res;
+};
+
+let request;
+const donors = [id(), id(), id()];
+
+beforeEach(() => {
+  request = Request.hydrate({
+    _id: id(),
+    hospital: id(),
+    requestType: 'blood',
+    bloodType: 'A+',
+    status: 'pending',
+    statusHistory: []
+  });
+
+  jest.spyOn(Request, 'findById').mockResolvedValue(request);
+  jest.spyOn(request, 'save').mockResolvedValue(request);
+  jest.spyOn(Donor, 'find').mockReturnValue({
+    select() { return this; },
+    populate: async () => []
+  });
+
+  findPotentialMatches.mockResolvedValue({
+    matches: [
+      { donor: donors[0], matchScore: 92, scoreBreakdown: [], matchFactors: {} },
+      { donor: donors[1], matchScore: 71, scoreBreakdown: [], matchFactors: {} }
+    ],
+    excluded: [{ donor: donors[2], failedFilters: [{ filter: 'deferral', reason: 'Deferred until June' }] }]
+  });
+  commitMatches.mockImplementation(async (req, candidates, limit) => candidates.slice(0, limit));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/matches/search', () => {
+  it('previews the canonical matcher’s ranking without saving anything', async () => {
+    const res = await search({});
+
+    expect(findPotentialMatches).toHaveBeenCalledWith(request);
+    expect(commitMatches).not.toHaveBeenCalled();
+    expect(request.save).not.toHaveBeenCalled();
+
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ preview: true, total: 2, committed: [] });
+    expect(body.candidates.map(candidate => candidate.matchScore)).toEqual([92, 71]);
+  });
+
+  it('commits the top candidates and starts the search on a pending request', async () => {
+    const res = await search({ commitTop: '1' });
+
+    expect(request.status).toBe('searching');
+    expect(request.save).toHaveBeenCalled();
+    expect(commitMatches).toHaveBeenCalledWith(request, expect.any(Array), 1);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ preview: false, committed: [{ donor: donors[0] }] });
+  });
+
+  it('refuses hospitals searching for another hospital’s request', async () => {
+    getUserHospital.mockResolvedValue({ _id: id() });
+    const res = await search({}, { id: id().toString(), role: 'hospital' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(findPotentialMatches).not.toHaveBeenCalled();
+  });
+
+  it('refuses closed requests and preview combined with commitTop', async () => {
+    expect((await search({ preview: true, commitTop: '2' })).status).toHaveBeenCalledWith(400);
+
+    request.status = 'completed';
+    const res = await search({});
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ msg: 'Cannot search matches for a closed request' });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const {
+  MATCH_STATUSES,
+  MATCH_TRANSITIONS,
+  TransitionError,
+  getSourceStatuses,
+  applyMatchTransition,
+  SYSTEM_ROLE
+} = require('../utils/matchStateMachine');
+
+const newMatch = (status = 'proposed') => new Match({
+  request: new mongoose.Types.ObjectId(),
+  donor: new mongoose.Types.ObjectId(),
+  status
+});
+
+describe('MATCH_TRANSITIONS', () => {
+  it('has an entry for every status and only targets known statuses', () => {
+    expect(Object.keys(MATCH_TRANSITIONS).sort()).toEqual([...MATCH_STATUSES].sort());
+    for (const targets of Object.values(MATCH_TRANSITIONS)) {
+      Object.keys(targets).forEach(to => expect(MATCH_STATUSES).toContain(to));
+    }
+  });
+
+  it('leaves finished matches with nowhere to go', () => {
+    ['transplanted', 'rejected', 'expired', 'withdrawn', 'failed']
+      .forEach(status => expect(MATCH_TRANSITIONS[status]).toEqual({}));
+  });
+
+  it('only lets the system expire or withdraw matches', () => {
+    expect(getSourceStatuses('expired', SYSTEM_ROLE)).toEqual(['proposed', 'pending_confirmation']);
+    expect(getSourceStatuses('withdrawn', SYSTEM_ROLE)).toEqual(['proposed', 'pending_confirmation', 'confirmed']);
+    expect(getSourceStatuses('withdrawn', 'admin')).toEqual([]);
+  });
+});
+
+describe('applyMatchTransition', () => {
+  it('changes the status and records the change', async () => {
+    const match = newMatch();
+    await applyMatchTransition(match, 'confirmed', { role: 'donor', notes: 'Happy to help' });
+
+    expect(match.status).toBe('confirmed');
+    expect(match.confirmedAt).toBeInstanceOf(Date);
+    expect(match.statusHistory).toHaveLength(1);
+    expect(match.statusHistory[0]).toMatchObject({ from: 'proposed', to: 'confirmed', role: 'donor', notes: 'Happy to help' });
+  });
+
+  it('stores required fields where the table says', async () => {
+    const match = newMatch();
+    await applyMatchTransition(match, 'rejected', { role: 'donor', reason: 'Travelling' });
+    expect(match.rejectionReason).toBe('Travelling');
+
+    const shipped = newMatch('confirmed');
+    await applyMatchTransition(shipped, 'in_transit', { role: 'hospital', departureTime: '2026-01-01T10:00:00Z' });
+    expect(shipped.logistics.actualDepartureTime).toEqual(new Date('2026-01-01T10:00:00Z'));
+  });
+
+  it('refuses a transition missing its required field', async () => {
+    await expect(applyMatchTransition(newMatch(), 'rejected', { role: 'donor' }))
+      .rejects.toThrow('requires a reason');
+    await expect(applyMatchTransition(newMatch('confirmed'), 'in_transit', { role: 'hospital', departureTime: 'soon' }))
+      .rejects.toThrow('departureTime must be a valid date');
+  });
+
+  it('refuses transitions the table does not list', async () => {
+    const error = await applyMatchTransition(newMatch(), 'delivered', { role: 'admin' }).catch(err => err);
+    expect(error).toBeInstanceOf(TransitionError);
+    expect(error.status).toBe(400);
+    expect(error.message).toMatch(/allowed next statuses are/);
+
+    await expect(applyMatchTransition(newMatch('failed'), 'confirmed', { role: 'admin' }))
+      .rejects.toThrow('can no longer change status');
+  });
+
+  it('refuses roles the transition does not allow with a 403', async () => {
+    const error = await applyMatchTransition(newMatch(), 'expired', { role: 'admin' }).catch(err => err);
+    expect(error).toBeInstanceOf(TransitionError);
+    expect(error.status).toBe(403);
+  });
+
+  it('refuses unknown statuses, no-op changes and callers without a role', async () => {
+    await expect(applyMatchTransition(newMatch(), 'lost', { role: 'admin' })).rejects.toThrow('Unknown match status');
+    await expect(applyMatchTransition(newMatch(), 'proposed', { role: 'admin' })).rejects.toThrow('already proposed');
+    await expect(applyMatchTransition(newMatch(), 'confirmed', {})).rejects.toThrow('Not authorized');
+  });
+
+  it('only marks organ matches as transplanted', async () => {
+    await expect(applyMatchTransition(newMatch('delivered'), 'transplanted', { role: 'hospital', requestType: 'blood' }))
+      .rejects.toThrow('Only organ matches');
+
+    const match = newMatch('delivered');
+    await applyMatchTransition(match, 'transplanted', { role: 'hospital', requestType: 'organ' });
+    expect(match.status).toBe('transplanted');
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../utils/matchingAlgorithm', () => ({
+  ...jest.requireActual('../utils/matchingAlgorithm'),
+  processAllPendingRequests: jest.fn()
+}));
+jest.mock('../utils/escalationPolicy', () => ({
+  ...jest.requireActual('../utils/escalationPolicy'),
+  escalateIfDue: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const MatchingRun = require('../models/MatchingRun');
+const Request = require('../models/Request');
+const { processAllPendingRequests } = require('../utils/matchingAlgorithm');
+const { INSTANCE_ID, runMatching, getSchedulerStatus } = require('../utils/matchingScheduler');
+
+// The real implementation, for the lock and ordering tests
+const matchingAlgorithm = jest.requireActual('../utils/matchingAlgorithm');
+
+const stats = {
+  total: 3,
+  processed: 2,
+  skippedLocked: 1,
+  matchesFound: 4,
+  escalated: 0,
+  errors: 0,
+  byUrgency: { critical: { processed: 2, matchesFound: 4 } }
+};
+
+beforeEach(() => {
+  jest.spyOn(MatchingRun.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('runMatching', () => {
+  it('records the run statistics under this instance', async () => {
+    processAllPendingRequests.mockResolvedValue(stats);
+
+    const run = await runMatching({ trigger: 'manual', triggeredBy: new mongoose.Types.ObjectId() });
+
+    expect(processAllPendingRequests).toHaveBeenCalledWith({ owner: INSTANCE_ID, limit: 0 });
+    expect(run).toMatchObject({ instance: INSTANCE_ID, trigger: 'manual', status: 'completed' });
+    expect(run.stats).toMatchObject({ total: 3, processed: 2, skippedLocked: 1, matchesFound: 4 });
+    expect(run.byUrgency.critical).toMatchObject({ processed: 2, matchesFound: 4 });
+    expect(run.finishedAt).toBeInstanceOf(Date);
+    expect(MatchingRun.prototype.save).toHaveBeenCalledTimes(2);
+    expect(getSchedulerStatus().lastRunAt).toEqual(run.finishedAt);
+  });
+
+  it('never overlaps runs on one instance', async () => {
+    let finish;
+    processAllPendingRequests.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+    const first = runMatching();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(getSchedulerStatus().running).toBe(true);
+    expect(await runMatching()).toBeNull();
+
+    finish(stats);
+    expect((await first).status).toBe('completed');
+    expect(getSchedulerStatus().running).toBe(false);
+  });
+
+  it('records a failed run and frees the scheduler for the next one', async () => {
+    processAllPendingRequests.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const run = await runMatching();
+    expect(run).toMatchObject({ status: 'failed', error: 'Database unavailable' });
+
+    processAllPendingRequests.mockResolvedValue(stats);
+    expect((await runMatching()).status).toBe('completed');
+  });
+
+  it('passes the configured batch size', async () => {
+    processAllPendingRequests.mockResolvedValue(stats);
+    process.env.MATCHING_BATCH_SIZE = '25';
+
+    await runMatching();
+    delete process.env.MATCHING_BATCH_SIZE;
+
+    expect(processAllPendingRequests).toHaveBeenCalledWith({ owner: INSTANCE_ID, limit: 25 });
+  });
+});
+
+describe('processAllPendingRequests', () => {
+  const openRequests = {
+    critical: [new mongoose.Types.ObjectId()],
+    urgent: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+    routine: [new mongoose.Types.ObjectId()]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Request, 'find').mockImplementation(filter => ({
+      select() { return this; },
+      sort: async () => (openRequests[filter['recipientDetails.urgencyLevel']] || []).map(_id => ({ _id }))
+    }));
+    jest.spyOn(Request, 'findOneAndUpdate').mockImplementation(async filter => ({ _id: filter._id }));
+    jest.spyOn(Request, 'updateOne').mockResolvedValue({});
+    // Closed requests need no matching, so each processed request finds nothing
+    jest.spyOn(Request, 'findById').mockResolvedValue({ status: 'completed' });
+  });
+
+  it('works through requests most urgent first', async () => {
+    const result = await matchingAlgorithm.processAllPendingRequests({ owner: 'test' });
+
+    expect(Request.find.mock.calls.map(([filter]) => filter['recipientDetails.urgencyLevel']))
+      .toEqual(['critical', 'emergency', 'urgent', 'routine']);
+    expect(Request.findOneAndUpdate.mock.calls.map(([filter]) => filter._id))
+      .toEqual([...openRequests.critical, ...openRequests.urgent, ...openRequests.routine]);
+    expect(result).toMatchObject({ total: 4, processed: 4, skippedLocked: 0, errors: 0 });
+    expect(result.byUrgency.urgent).toEqual({ processed: 2, matchesFound: 0 });
+  });
+
+  it('skips requests another instance has locked', async () => {
+    Request.findOneAndUpdate.mockImplementation(async filter =>
+      (filter._id === openRequests.urgent[0] ? null : { _id: filter._id }));
+
+    const result = await matchingAlgorithm.processAllPendingRequests({ owner: 'test' });
+
+    expect(result).toMatchObject({ processed: 3, skippedLocked: 1 });
+    expect(Request.updateOne).not.toHaveBeenCalledWith(expect.objectContaining({ _id: openRequests.urgent[0] }), expect.anything());
+  });
+
+  it('takes locks for this owner and releases them even when a request fails', async () => {
+    Request.findById.mockRejectedValueOnce(new Error('boom'));
+
+    const result = await matchingAlgorithm.processAllPendingRequests({ owner: 'instance-a', lockTtlMs: 1000 });
+
+    expect(result).toMatchObject({ processed: 3, errors: 1 });
+    const [, lockUpdate] = Request.findOneAndUpdate.mock.calls[0];
+    expect(lockUpdate.$set.matchingLock.owner).toBe('instance-a');
+    expect(Request.updateOne).toHaveBeenCalledTimes(4);
+    expect(Request.updateOne).toHaveBeenCalledWith(
+      { _id: openRequests.critical[0], 'matchingLock.owner': 'instance-a' },
+      expect.objectContaining({ $unset: { matchingLock: 1 } })
+    );
+  });
+
+  it('stops once the batch limit is reached', async () => {
+    const result = await matchingAlgorithm.processAllPendingRequests({ owner: 'test', limit: 2 });
+
+    expect(result.processed).toBe(2);
+    expect(Request.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
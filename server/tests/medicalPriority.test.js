@@ -0,0 +1,115 @@
+const {
+  calculateMeld,
+  calculatePeld,
+  calculateLas,
+  calculateKidneyWaitingYears,
+  calculatePriority
+} = require('../utils/medicalPriority');
+
+describe('calculateMeld', () => {
+  it('rounds MELD(i) to a tenth before multiplying by 10, then applies sodium', () => {
+    // MELD(i) = 1.2515 -> 1.3 -> 13; MELD-Na = 13 + 1.32 * 12 - 0.033 * 13 * 12 = 23.69
+    expect(calculateMeld({ bilirubin: 1.5, inr: 1.2, creatinine: 1.3, sodium: 125 })).toBe(24);
+  });
+
+  it('skips the sodium adjustment when MELD(i) is 11 or less', () => {
+    expect(calculateMeld({ bilirubin: 1, inr: 1, creatinine: 1, sodium: 125 })).toBe(6);
+  });
+
+  it('raises lab values below 1.0 to 1.0 and floors the score at 6', () => {
+    expect(calculateMeld({ bilirubin: 0.4, inr: 0.9, creatinine: 0.5 })).toBe(6);
+  });
+
+  it('caps creatinine at 4.0 and sets it to 4.0 after dialysis', () => {
+    const labs = { bilirubin: 3, inr: 1.5, sodium: 137 };
+    expect(calculateMeld({ ...labs, creatinine: 8 })).toBe(calculateMeld({ ...labs, creatinine: 4 }));
+    expect(calculateMeld({ ...labs, creatinine: 1, dialysisTwiceInPastWeek: true }))
+      .toBe(calculateMeld({ ...labs, creatinine: 4 }));
+  });
+
+  it('caps the score at 40', () => {
+    expect(calculateMeld({ bilirubin: 40, inr: 8, creatinine: 4, sodium: 120 })).toBe(40);
+  });
+
+  it('returns null when a required lab is missing', () => {
+    expect(calculateMeld({ bilirubin: 2, creatinine: 1 })).toBeNull();
+    expect(calculateMeld({ bilirubin: 2, inr: 1.5 })).toBeNull();
+  });
+});
+
+describe('calculatePeld', () => {
+  it('adds the infant and growth failure terms', () => {
+    // 10 * (0.480 ln 5 + 1.857 ln 2 - 0.687 ln 2.5 + 0.436 + 0.667) = 25.3
+    expect(calculatePeld({ bilirubin: 5, inr: 2, albumin: 2.5, growthFailure: true }, 0.5)).toBe(25);
+  });
+
+  it('can be negative', () => {
+    expect(calculatePeld({ bilirubin: 1, inr: 1, albumin: 3.5 }, 5)).toBe(-9);
+  });
+
+  it('returns null without albumin', () => {
+    expect(calculatePeld({ bilirubin: 1, inr: 1 }, 5)).toBeNull();
+  });
+});
+
+describe('calculateLas', () => {
+  it('scales post-transplant minus twice waitlist survival to 0-100', () => {
+    expect(calculateLas({ waitlistSurvivalDays: 300, posttransplantSurvivalDays: 330 })).toBe(42);
+    expect(calculateLas({ waitlistSurvivalDays: 0, posttransplantSurvivalDays: 365 })).toBe(100);
+    expect(calculateLas({ waitlistSurvivalDays: 365, posttransplantSurvivalDays: 0 })).toBe(0);
+  });
+
+  it('bounds survival inputs to one year', () => {
+    expect(calculateLas({ waitlistSurvivalDays: -20, posttransplantSurvivalDays: 500 })).toBe(100);
+  });
+
+  it('returns null when an input is missing', () => {
+    expect(calculateLas({ waitlistSurvivalDays: 300 })).toBeNull();
+  });
+});
+
+describe('calculateKidneyWaitingYears', () => {
+  it('counts years since dialysis started', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    expect(calculateKidneyWaitingYears({ dialysisStartDate: '2024-01-01T00:00:00Z' }, now)).toBe(2);
+    expect(calculateKidneyWaitingYears({ dialysisStartDate: '2027-01-01T00:00:00Z' }, now)).toBe(0);
+    expect(calculateKidneyWaitingYears({}, now)).toBeNull();
+  });
+});
+
+describe('calculatePriority', () => {
+  const liverRequest = (age, liver) => ({
+    requestType: 'organ',
+    organType: 'liver',
+    recipientDetails: { age, clinical: { liver } }
+  });
+
+  it('uses MELD from age 12 and normalizes it over 6-40', () => {
+    const result = calculatePriority(liverRequest(40, { bilirubin: 1.5, inr: 1.2, creatinine: 1.3, sodium: 125 }));
+    expect(result).toEqual({ scoreType: 'MELD', score: 24, normalized: 18 / 34 });
+  });
+
+  it('uses PELD under 12 on the MELD scale, clamped to 0-1', () => {
+    const result = calculatePriority(liverRequest(5, { bilirubin: 1, inr: 1, albumin: 3.5 }));
+    expect(result).toEqual({ scoreType: 'PELD', score: -9, normalized: 0 });
+  });
+
+  it('normalizes LAS and kidney waiting time', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    expect(calculatePriority({
+      requestType: 'organ',
+      organType: 'lung',
+      recipientDetails: { clinical: { lung: { waitlistSurvivalDays: 300, posttransplantSurvivalDays: 330 } } }
+    })).toEqual({ scoreType: 'LAS', score: 42, normalized: 0.42 });
+    expect(calculatePriority({
+      requestType: 'organ',
+      organType: 'kidney',
+      recipientDetails: { clinical: { kidney: { dialysisStartDate: '2021-01-01T00:00:00Z' } } }
+    }, now)).toEqual({ scoreType: 'waiting_time', score: 5, normalized: 0.5 });
+  });
+
+  it('returns null for blood requests and missing clinical data', () => {
+    expect(calculatePriority({ requestType: 'blood', recipientDetails: {} })).toBeNull();
+    expect(calculatePriority({ requestType: 'organ', organType: 'heart', recipientDetails: { clinical: {} } })).toBeNull();
+  });
+});
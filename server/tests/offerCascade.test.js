@@ -0,0 +1,209 @@
+jest.mock('../utils/notifications', () => ({
+  notifyDonorOffer: jest.fn()
+}));
+jest.mock('../utils/matchingAlgorithm', () => ({
+  createMatch: jest.fn()
+}));
+jest.mock('../utils/fulfillment', () => ({
+  getFulfillment: jest.fn(),
+  syncRequestFulfillment: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const OfferCascade = require('../models/OfferCascade');
+const Donor = require('../models/Donor');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { notifyDonorOffer } = require('../utils/notifications');
+const { createMatch } = require('../utils/matchingAlgorithm');
+const { getFulfillment } = require('../utils/fulfillment');
+const {
+  getResponseWindowMinutes,
+  startCascade,
+  handleOfferResponse,
+  expireOverdueOffers,
+  cancelCascade
+} = require('../utils/offerCascade');
+
+const MINUTE = 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+let request;
+let donors;
+let openMatches;
+
+const candidates = () => donors.map((donor, index) => ({ donor: donor._id, matchScore: 90 - index * 10 }));
+const outcomes = cascade => cascade.steps.map(step => step.outcome);
+
+// Answer the current offer the way the match status change would
+const respond = (cascade, status) => handleOfferResponse({ _id: cascade.currentMatch, cascade: cascade._id, status });
+
+beforeEach(() => {
+  request = Request.hydrate({
+    _id: id(),
+    hospital: id(),
+    requestType: 'blood',
+    bloodType: 'O-',
+    status: 'searching',
+    requiredBy: new Date(Date.now() + 2 * 24 * 60 * MINUTE),
+    recipientDetails: { urgencyLevel: 'urgent' },
+    statusHistory: []
+  });
+  donors = [0, 1, 2].map(() => ({ _id: id(), user: id(), isAvailable: true }));
+  openMatches = new Set();
+
+  jest.spyOn(Request, 'findById').mockImplementation(async () => request);
+  jest.spyOn(Donor, 'findById').mockImplementation(donorId => ({
+    select: async () => donors.find(donor => donor._id.equals(donorId)) || null
+  }));
+  jest.spyOn(Match, 'exists').mockImplementation(async filter => (openMatches.has(filter.donor.toString()) ? { _id: id() } : null));
+  jest.spyOn(OfferCascade.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  createMatch.mockImplementation(async (req, data) => ({ _id: id(), ...data }));
+  getFulfillment.mockResolvedValue({ isFulfilled: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('getResponseWindowMinutes', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const withTimeLeft = (urgencyLevel, minutes) => ({
+    recipientDetails: { urgencyLevel },
+    requiredBy: new Date(now.getTime() + minutes * MINUTE)
+  });
+
+  it('uses the urgency level’s window when there is time', () => {
+    expect(getResponseWindowMinutes(withTimeLeft('critical', 600), now)).toBe(15);
+    expect(getResponseWindowMinutes(withTimeLeft('routine', 10000), now)).toBe(720);
+  });
+
+  it('leaves half the remaining time for the next donor, but at least five minutes', () => {
+    expect(getResponseWindowMinutes(withTimeLeft('urgent', 60), now)).toBe(30);
+    expect(getResponseWindowMinutes(withTimeLeft('urgent', 4), now)).toBe(5);
+  });
+});
+
+describe('startCascade', () => {
+  it('offers the request to the best-ranked donor with a deadline', async () => {
+    const cascade = await startCascade(request, candidates(), { startedBy: id() });
+
+    expect(cascade.responseWindowMinutes).toBe(120);
+    expect(createMatch).toHaveBeenCalledTimes(1);
+    const [, offer] = createMatch.mock.calls[0];
+    expect(offer).toMatchObject({ donor: donors[0]._id, matchScore: 90, cascade: cascade._id, status: 'pending_confirmation' });
+    expect(offer.offerExpiresAt.getTime() - Date.now()).toBeGreaterThan(119 * MINUTE);
+    expect(outcomes(cascade)).toEqual(['offered']);
+    expect(cascade.currentDeadline).toEqual(offer.offerExpiresAt);
+    expect(notifyDonorOffer).toHaveBeenCalledWith(donors[0].user, request, expect.objectContaining({ donor: donors[0]._id }));
+  });
+
+  it('skips donors who became unavailable or already have a match', async () => {
+    donors[0].isAvailable = false;
+    openMatches.add(donors[1]._id.toString());
+
+    const cascade = await startCascade(request, candidates());
+
+    expect(cascade.steps.map(step => [step.outcome, step.reason])).toEqual([
+      ['skipped', 'Donor is no longer available'],
+      ['skipped', 'Donor already has a match for this request'],
+      ['offered', undefined]
+    ]);
+    expect(createMatch.mock.calls[0][1].donor).toEqual(donors[2]._id);
+  });
+
+  it('is cancelled straight away for a closed request', async () => {
+    request.status = 'completed';
+
+    const cascade = await startCascade(request, candidates());
+
+    expect(cascade).toMatchObject({ status: 'cancelled', endReason: 'Request is completed' });
+    expect(createMatch).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleOfferResponse', () => {
+  let cascade;
+
+  beforeEach(async () => {
+    cascade = await startCascade(request, candidates());
+    jest.spyOn(OfferCascade, 'findById').mockResolvedValue(cascade);
+  });
+
+  it('moves on to the next donor after a decline', async () => {
+    await respond(cascade, 'rejected');
+
+    expect(outcomes(cascade)).toEqual(['declined', 'offered']);
+    expect(cascade.steps[0].reason).toBe('Donor declined the offer');
+    expect(createMatch.mock.calls[1][1].donor).toEqual(donors[1]._id);
+  });
+
+  it('completes the cascade once an accepted offer covers the request', async () => {
+    await respond(cascade, 'confirmed');
+
+    expect(outcomes(cascade)).toEqual(['accepted']);
+    expect(cascade).toMatchObject({ status: 'completed', endReason: 'Request is covered' });
+    expect(cascade.currentMatch).toBeUndefined();
+  });
+
+  it('keeps offering while units are still needed', async () => {
+    getFulfillment.mockResolvedValue({ isFulfilled: false });
+
+    await respond(cascade, 'confirmed');
+
+    expect(outcomes(cascade)).toEqual(['accepted', 'offered']);
+    expect(cascade.status).toBe('active');
+  });
+
+  it('is exhausted when every donor declines', async () => {
+    await respond(cascade, 'rejected');
+    await respond(cascade, 'rejected');
+    await respond(cascade, 'rejected');
+
+    expect(outcomes(cascade)).toEqual(['declined', 'declined', 'declined']);
+    expect(cascade.status).toBe('exhausted');
+  });
+
+  it('ignores matches that are not the current offer', async () => {
+    expect(await handleOfferResponse({ _id: id(), cascade: cascade._id, status: 'rejected' })).toBeNull();
+    expect(await handleOfferResponse({ _id: cascade.currentMatch, status: 'rejected' })).toBeNull();
+    expect(outcomes(cascade)).toEqual(['offered']);
+  });
+});
+
+describe('expireOverdueOffers', () => {
+  it('expires unanswered offers and offers the next donor', async () => {
+    const cascade = await startCascade(request, candidates());
+    jest.spyOn(OfferCascade, 'find').mockResolvedValue([cascade]);
+    jest.spyOn(Match, 'findOneAndUpdate').mockResolvedValue({ _id: cascade.currentMatch, request: request._id });
+
+    expect(await expireOverdueOffers()).toBe(1);
+    expect(outcomes(cascade)).toEqual(['expired', 'offered']);
+  });
+
+  it('leaves offers the donor answered in the meantime', async () => {
+    const cascade = await startCascade(request, candidates());
+    jest.spyOn(OfferCascade, 'find').mockResolvedValue([cascade]);
+    jest.spyOn(Match, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await expireOverdueOffers()).toBe(0);
+    expect(outcomes(cascade)).toEqual(['offered']);
+  });
+});
+
+describe('cancelCascade', () => {
+  it('withdraws the offer that is out and ends the cascade', async () => {
+    const cascade = await startCascade(request, candidates());
+    const offer = cascade.currentMatch;
+    jest.spyOn(Match, 'updateOne').mockResolvedValue({});
+
+    await cancelCascade(cascade, 'Request filled elsewhere');
+
+    expect(Match.updateOne.mock.calls[0][0]._id).toEqual(offer);
+    expect(outcomes(cascade)).toEqual(['withdrawn']);
+    expect(cascade).toMatchObject({ status: 'cancelled', endReason: 'Request filled elsewhere' });
+  });
+});
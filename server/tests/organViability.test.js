@@ -0,0 +1,69 @@
+const {
+  ORGAN_VIABILITY_HOURS,
+  estimateTransportMinutes,
+  fastestTransport,
+  assessViability
+} = require('../utils/organViability');
+
+describe('estimateTransportMinutes', () => {
+  it('adds handling time to travel over the route distance', () => {
+    // 80 km straight line is 104 km of road at 80 km/h: 78 minutes plus 15 handling
+    expect(estimateTransportMinutes(80, 'ground')).toBe(93);
+  });
+
+  it('refuses legs past the method range', () => {
+    expect(estimateTransportMinutes(41, 'drone')).toBeNull();
+    expect(estimateTransportMinutes(601, 'helicopter')).toBeNull();
+    expect(estimateTransportMinutes(5000, 'airplane')).not.toBeNull();
+  });
+
+  it('refuses unknown methods', () => {
+    expect(estimateTransportMinutes(10, 'boat')).toBeNull();
+  });
+});
+
+describe('fastestTransport', () => {
+  it('uses the drone for short hops and the airplane for long distances', () => {
+    expect(fastestTransport(10).method).toBe('drone');
+    expect(fastestTransport(1500).method).toBe('airplane');
+  });
+
+  it('only considers the methods offered', () => {
+    expect(fastestTransport(1500, ['ground'])).toMatchObject({ method: 'ground' });
+    expect(fastestTransport(100, ['drone'])).toBeNull();
+  });
+});
+
+describe('assessViability', () => {
+  it('replaces a fixed distance cutoff with each organ’s cold ischemia limit', () => {
+    // About 2.5 hours by plane: fine for a kidney, past the ideal window for a heart but still viable
+    const kidney = assessViability('kidney', 1500);
+    const heart = assessViability('heart', 1500);
+
+    expect(kidney).toMatchObject({ viable: true, withinIdeal: true, method: 'airplane' });
+    expect(heart.viable).toBe(true);
+    expect(heart.remainingRatio).toBeLessThan(kidney.remainingRatio);
+  });
+
+  it('rejects organs that would expire in transit', () => {
+    const heart = assessViability('heart', 600, ['ground']);
+
+    expect(heart.viable).toBe(false);
+    expect(heart.remainingMinutes).toBe(0);
+    expect(heart.maxViabilityMinutes).toBe(ORGAN_VIABILITY_HOURS.heart.max * 60);
+  });
+
+  it('accepts long distances for tissues that keep for days', () => {
+    expect(assessViability('cornea', 3000, ['ground']).viable).toBe(true);
+  });
+
+  it('reports the remaining share of the viability window', () => {
+    const result = assessViability('liver', 50, ['ground']);
+    expect(result.remainingRatio).toBeCloseTo(result.remainingMinutes / (12 * 60));
+  });
+
+  it('is not viable for unknown organs or when no transport reaches', () => {
+    expect(assessViability('spleen', 10)).toMatchObject({ viable: false, maxViabilityMinutes: null });
+    expect(assessViability('kidney', 100, ['drone'])).toMatchObject({ viable: false, method: null });
+  });
+});
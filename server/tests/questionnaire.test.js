@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireResponse = require('../models/QuestionnaireResponse');
+const {
+  DEFAULT_QUESTIONNAIRE,
+  validateAnswers,
+  evaluateAnswers,
+  loadQuestionnaireDeferrals,
+  getQuestionnaireDeferrals
+} = require('../utils/questionnaire');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T09:00:00Z');
+
+// As stored, with the schema defaults (questions are required unless marked otherwise)
+const questionnaire = new Questionnaire(DEFAULT_QUESTIONNAIRE);
+
+const clearAnswers = {
+  feeling_well: true,
+  recent_infection: false,
+  anticoagulants: false,
+  recent_tattoo: false,
+  recent_pregnancy: false,
+  weight_kg: 72
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateAnswers', () => {
+  it('converts answers to their types and allows optional questions to be skipped', () => {
+    const { errors, answers } = validateAnswers(questionnaire, { ...clearAnswers, weight_kg: '72' });
+
+    expect(errors).toEqual([]);
+    expect(answers.find(answer => answer.key === 'weight_kg').value).toBe(72);
+    expect(answers.some(answer => answer.key === 'notes')).toBe(false);
+  });
+
+  it('reports missing, mistyped and unknown answers', () => {
+    const { errors } = validateAnswers(questionnaire, {
+      ...clearAnswers,
+      feeling_well: 'yes',
+      weight_kg: 'heavy',
+      recent_pregnancy: undefined,
+      blood_pressure: '120/80'
+    });
+
+    expect(errors).toEqual([
+      'Answer yes or no for: Are you feeling well and healthy today?',
+      'An answer is required for: Are you pregnant, or have you been pregnant in the last 6 months?',
+      'Answer with a number for: What is your current weight in kg?',
+      'Unknown question: blood_pressure'
+    ]);
+  });
+
+  it('checks choice and date answers', () => {
+    const travel = {
+      questions: [
+        { key: 'travel', text: 'Where did you travel?', answerType: 'choice', options: ['nowhere', 'abroad'], required: true },
+        { key: 'last_meal', text: 'When did you last eat?', answerType: 'date', required: true }
+      ]
+    };
+
+    expect(validateAnswers(travel, { travel: 'moon', last_meal: 'soon' }).errors).toEqual([
+      'Choose one of the options for: Where did you travel?',
+      'Answer with a date for: When did you last eat?'
+    ]);
+    expect(validateAnswers(travel, { travel: 'abroad', last_meal: '2026-06-01T07:00:00Z' }).answers[1].value)
+      .toEqual(new Date('2026-06-01T07:00:00Z'));
+  });
+});
+
+describe('evaluateAnswers', () => {
+  const evaluate = answers => evaluateAnswers(DEFAULT_QUESTIONNAIRE, validateAnswers(questionnaire, answers).answers, now);
+
+  it('clears a donor whose answers raise nothing', () => {
+    expect(evaluate(clearAnswers)).toEqual([]);
+  });
+
+  it('defers temporarily for the question’s period and open-ended while a condition lasts', () => {
+    const deferrals = evaluate({ ...clearAnswers, recent_tattoo: true, weight_kg: 45 });
+
+    expect(deferrals).toEqual([
+      expect.objectContaining({ questionKey: 'recent_tattoo', deferralType: 'temporary', until: new Date(now.getTime() + 183 * DAY) }),
+      expect.objectContaining({ questionKey: 'weight_kg', deferralType: 'while_present', until: undefined })
+    ]);
+    deferrals.forEach(deferral => expect(deferral.donationTypes).toEqual(DEFAULT_QUESTIONNAIRE.donationTypes));
+  });
+
+  it('defers a donor who is not feeling well', () => {
+    expect(evaluate({ ...clearAnswers, feeling_well: false }).map(deferral => deferral.questionKey)).toEqual(['feeling_well']);
+  });
+});
+
+describe('loadQuestionnaireDeferrals', () => {
+  it('keeps open-ended deferrals from the latest response and dated ones still in force', async () => {
+    const donor = new mongoose.Types.ObjectId();
+    jest.spyOn(QuestionnaireResponse, 'aggregate').mockResolvedValue([{
+      _id: donor,
+      deferrals: [
+        { questionKey: 'weight_kg', deferralType: 'while_present' },
+        { questionKey: 'recent_infection', deferralType: 'temporary', until: new Date(now.getTime() + DAY) }
+      ]
+    }]);
+    jest.spyOn(QuestionnaireResponse, 'find').mockReturnValue({
+      select() { return this; },
+      lean: async () => [{
+        donor,
+        deferrals: [
+          { questionKey: 'recent_tattoo', deferralType: 'temporary', until: new Date(now.getTime() + 90 * DAY) },
+          { questionKey: 'feeling_well', deferralType: 'temporary', until: new Date(now.getTime() - DAY) }
+        ]
+      }]
+    });
+
+    const byDonor = await loadQuestionnaireDeferrals([donor], now);
+
+    expect(byDonor.get(donor.toString()).map(deferral => deferral.questionKey)).toEqual(['weight_kg', 'recent_tattoo']);
+  });
+
+  it('skips the queries when there are no donors', async () => {
+    const aggregate = jest.spyOn(QuestionnaireResponse, 'aggregate');
+    expect((await loadQuestionnaireDeferrals([], now)).size).toBe(0);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('getQuestionnaireDeferrals', () => {
+  it('turns stored deferrals into eligibility deferrals for the donation types they cover', () => {
+    const stored = [
+      { questionKey: 'recent_tattoo', reason: 'Tattoo', deferralType: 'temporary', until: '2026-12-01T00:00:00Z', donationTypes: ['blood', 'plasma'] },
+      { questionKey: 'weight_kg', reason: 'Low weight', deferralType: 'while_present', donationTypes: [] }
+    ];
+
+    expect(getQuestionnaireDeferrals(stored, 'plasma')).toEqual([
+      { code: 'questionnaire:recent_tattoo', name: 'Pre-donation questionnaire', reason: 'Tattoo', deferralType: 'temporary', until: new Date('2026-12-01T00:00:00Z') },
+      { code: 'questionnaire:weight_kg', name: 'Pre-donation questionnaire', reason: 'Low weight', deferralType: 'while_present', until: null }
+    ]);
+    expect(getQuestionnaireDeferrals(stored, 'organ').map(deferral => deferral.code)).toEqual(['questionnaire:weight_kg']);
+  });
+});
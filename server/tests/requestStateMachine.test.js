@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const { TransitionError, SYSTEM_ROLE } = require('../utils/matchStateMachine');
+const {
+  REQUEST_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  CLOSED_REQUEST_STATUSES,
+  REQUEST_TRANSITIONS,
+  getRequestSourceStatuses,
+  applyRequestTransition
+} = require('../utils/requestStateMachine');
+
+const newRequest = (status = 'pending') => new Request({
+  hospital: new mongoose.Types.ObjectId(),
+  requestType: 'blood',
+  status
+});
+
+describe('REQUEST_TRANSITIONS', () => {
+  it('has an entry for every status and only targets known statuses', () => {
+    expect(Object.keys(REQUEST_TRANSITIONS).sort()).toEqual([...REQUEST_STATUSES].sort());
+    for (const targets of Object.values(REQUEST_TRANSITIONS)) {
+      Object.keys(targets).forEach(to => expect(REQUEST_STATUSES).toContain(to));
+    }
+  });
+
+  it('splits statuses into open and closed', () => {
+    expect([...OPEN_REQUEST_STATUSES, ...CLOSED_REQUEST_STATUSES].sort()).toEqual([...REQUEST_STATUSES].sort());
+    CLOSED_REQUEST_STATUSES.forEach(status => expect(REQUEST_TRANSITIONS[status]).toEqual({}));
+  });
+
+  it('expires open requests that are not yet in progress', () => {
+    expect(getRequestSourceStatuses('expired', SYSTEM_ROLE)).toEqual(['pending', 'searching', 'matched']);
+    expect(REQUEST_TRANSITIONS.in_progress.expired).toBeUndefined();
+  });
+
+  it('lets the fulfillment sync move requests between searching and matched', () => {
+    expect(getRequestSourceStatuses('matched', SYSTEM_ROLE)).toEqual(['pending', 'searching']);
+    expect(getRequestSourceStatuses('searching', SYSTEM_ROLE)).toEqual(['pending', 'matched', 'in_progress']);
+  });
+});
+
+describe('applyRequestTransition', () => {
+  it('changes the status and records the change', async () => {
+    const request = newRequest();
+    await applyRequestTransition(request, 'searching', { role: SYSTEM_ROLE, notes: 'Fulfillment recounted' });
+
+    expect(request.status).toBe('searching');
+    expect(request.closedAt).toBeUndefined();
+    expect(request.statusHistory[0]).toMatchObject({ from: 'pending', to: 'searching', role: SYSTEM_ROLE, channel: 'system' });
+  });
+
+  it('requires a reason to cancel and sets closedAt', async () => {
+    await expect(applyRequestTransition(newRequest(), 'cancelled', { role: 'hospital' }))
+      .rejects.toThrow('requires a reason');
+
+    const request = newRequest('matched');
+    await applyRequestTransition(request, 'cancelled', { role: 'hospital', reason: 'Patient transferred' });
+    expect(request.cancellationReason).toBe('Patient transferred');
+    expect(request.closedAt).toBeInstanceOf(Date);
+  });
+
+  it('refuses roles the transition does not allow with a 403', async () => {
+    const error = await applyRequestTransition(newRequest('searching'), 'matched', { role: 'hospital' }).catch(err => err);
+    expect(error).toBeInstanceOf(TransitionError);
+    expect(error.status).toBe(403);
+  });
+
+  it('refuses transitions out of closed statuses', async () => {
+    await expect(applyRequestTransition(newRequest('expired'), 'searching', { role: SYSTEM_ROLE }))
+      .rejects.toThrow('can no longer change status');
+    await expect(applyRequestTransition(newRequest('in_progress'), 'expired', { role: SYSTEM_ROLE }))
+      .rejects.toThrow('allowed next statuses are searching, completed, cancelled');
+  });
+});
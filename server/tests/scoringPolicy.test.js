@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const ScoringPolicy = require('../models/ScoringPolicy');
+const {
+  DEFAULT_WEIGHT_VERSIONS,
+  CURRENT_DEFAULTS_VERSION,
+  getDefaultWeights,
+  validateWeights,
+  resolveScoringPolicy
+} = require('../utils/scoringPolicy');
+
+const organRequest = (organType = 'liver') => ({
+  requestType: 'organ',
+  organType,
+  hospital: new mongoose.Types.ObjectId()
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('built-in default weights', () => {
+  it('keeps the original weights as version 0, without a priority boost', () => {
+    expect(getDefaultWeights('organ', 'liver', 0)).toEqual({
+      bloodTypeCompatibility: 25,
+      sizeMatch: 25,
+      viability: 20,
+      ageMatch: 15,
+      ageYearsPerPoint: 2,
+      tissueMatch: 0,
+      urgencyBoost: 0.15
+    });
+  });
+
+  it('adds the priority boost in version 1 and uses the latest version by default', () => {
+    expect(CURRENT_DEFAULTS_VERSION).toBe(DEFAULT_WEIGHT_VERSIONS.length - 1);
+    expect(getDefaultWeights('organ', 'liver', 1).priorityBoost).toBe(0.3);
+    expect(getDefaultWeights('organ', 'liver')).toEqual(getDefaultWeights('organ', 'liver', CURRENT_DEFAULTS_VERSION));
+  });
+
+  it('applies organ overrides in every version', () => {
+    expect(getDefaultWeights('organ', 'kidney', 0).tissueMatch).toBe(15);
+    expect(getDefaultWeights('organ', 'kidney', 1).tissueMatch).toBe(15);
+  });
+});
+
+describe('validateWeights', () => {
+  it('accepts known non-negative weights', () => {
+    expect(validateWeights('blood', { proximity: 40, nonSmoker: 0 })).toEqual([]);
+  });
+
+  it('rejects unknown, negative and non-numeric weights', () => {
+    expect(validateWeights('organ', { proximity: 10, sizeMatch: -1, viability: '20' })).toEqual([
+      'Unknown weight for organ scoring: proximity',
+      'sizeMatch must be a non-negative number',
+      'viability must be a non-negative number'
+    ]);
+    expect(validateWeights('blood', [1, 2])).toEqual(['Weights must be an object']);
+  });
+
+  it('keeps rate weights above zero so they can divide', () => {
+    expect(validateWeights('organ', { ageYearsPerPoint: 0 })).toEqual(['ageYearsPerPoint must be greater than 0']);
+  });
+});
+
+describe('resolveScoringPolicy', () => {
+  it('reports the current defaults version when no policy applies', async () => {
+    jest.spyOn(ScoringPolicy, 'find').mockResolvedValue([]);
+
+    const resolved = await resolveScoringPolicy(organRequest());
+    expect(resolved).toMatchObject({ policy: null, version: CURRENT_DEFAULTS_VERSION, name: 'default' });
+    expect(resolved.weights).toEqual(getDefaultWeights('organ', 'liver'));
+  });
+
+  it('fills a stored policy from the defaults version it was published against', async () => {
+    const policy = new ScoringPolicy({
+      name: 'Liver 2024',
+      requestType: 'organ',
+      organType: 'liver',
+      version: 3,
+      weights: { sizeMatch: 40 },
+      createdBy: new mongoose.Types.ObjectId()
+    });
+    jest.spyOn(ScoringPolicy, 'find').mockResolvedValue([policy]);
+
+    const resolved = await resolveScoringPolicy(organRequest());
+    expect(resolved).toMatchObject({ policy: policy._id, version: 3 });
+    expect(resolved.weights).toEqual({ ...getDefaultWeights('organ', 'liver', 0), sizeMatch: 40 });
+    expect(resolved.weights.priorityBoost).toBeUndefined();
+  });
+
+  it('prefers a hospital policy over a system-wide one, then organ-specific over generic', async () => {
+    const request = organRequest();
+    const policy = (name, scope) => new ScoringPolicy({
+      name,
+      requestType: 'organ',
+      version: 1,
+      weights: {},
+      createdBy: new mongoose.Types.ObjectId(),
+      ...scope
+    });
+    const systemLiver = policy('System liver', { organType: 'liver' });
+    const hospitalGeneric = policy('Hospital generic', { hospital: request.hospital });
+    const hospitalLiver = policy('Hospital liver', { hospital: request.hospital, organType: 'liver' });
+
+    jest.spyOn(ScoringPolicy, 'find').mockResolvedValue([systemLiver, hospitalGeneric]);
+    expect((await resolveScoringPolicy(request)).name).toBe('Hospital generic');
+
+    ScoringPolicy.find.mockResolvedValue([systemLiver, hospitalLiver, hospitalGeneric]);
+    expect((await resolveScoringPolicy(request)).name).toBe('Hospital liver');
+  });
+});
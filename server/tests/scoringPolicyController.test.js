@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const ScoringPolicy = require('../models/ScoringPolicy');
+const { CURRENT_DEFAULTS_VERSION } = require('../utils/scoringPolicy');
+const { createScoringPolicy, activateScoringPolicy } = require('../controllers/scoringPolicyController');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+const publish = (body = {}) => {
+  const res = mockResponse();
+  return createScoringPolicy({
+    body: { name: 'Kidney 2025', requestType: 'organ', organType: 'kidney', weights: { tissueMatch: 25 }, ...body },
+    user: admin
+  }, res).then(() => res);
+};
+
+let previous;
+
+beforeEach(() => {
+  previous = new ScoringPolicy({
+    name: 'Kidney 2024',
+    requestType: 'organ',
+    organType: 'kidney',
+    version: 2,
+    weights: { tissueMatch: 20 },
+    createdBy: admin.id
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(ScoringPolicy, 'findOneAndUpdate').mockResolvedValue(previous);
+  jest.spyOn(ScoringPolicy, 'findOne').mockReturnValue({ sort: async () => previous });
+  jest.spyOn(ScoringPolicy, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ScoringPolicy indexes', () => {
+  it('allow one active version per scope', () => {
+    const index = ScoringPolicy.schema.indexes().find(([fields, options]) => options.partialFilterExpression);
+    expect(index).toEqual([
+      { requestType: 1, organType: 1, hospital: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { isActive: true } })
+    ]);
+  });
+});
+
+describe('createScoringPolicy', () => {
+  it('deactivates the active version before publishing the next one', async () => {
+    const save = jest.spyOn(ScoringPolicy.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const res = await publish();
+
+    expect(ScoringPolicy.findOneAndUpdate).toHaveBeenCalledWith(
+      { requestType: 'organ', organType: 'kidney', hospital: null, isActive: true },
+      { isActive: false }
+    );
+    expect(ScoringPolicy.findOneAndUpdate.mock.invocationCallOrder[0]).toBeLessThan(save.mock.invocationCallOrder[0]);
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    const policy = res.json.mock.calls[0][0];
+    expect(policy).toMatchObject({ version: 3, isActive: true, defaultsVersion: CURRENT_DEFAULTS_VERSION });
+    expect(policy.supersedes).toEqual(previous._id);
+  });
+
+  it('reactivates the replaced version when a concurrent publish wins', async () => {
+    jest.spyOn(ScoringPolicy.prototype, 'save').mockRejectedValue(duplicateKey());
+
+    const res = await publish();
+
+    expect(ScoringPolicy.updateOne).toHaveBeenCalledWith({ _id: previous._id }, { isActive: true });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('rejects unknown weights without touching the active version', async () => {
+    const res = await publish({ weights: { proximity: 10 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(ScoringPolicy.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('activateScoringPolicy', () => {
+  it('answers 409 when another version was activated at the same time', async () => {
+    jest.spyOn(ScoringPolicy, 'findById').mockResolvedValue(previous);
+    jest.spyOn(ScoringPolicy, 'updateMany').mockResolvedValue({});
+    jest.spyOn(previous, 'save').mockRejectedValue(duplicateKey());
+
+    const res = mockResponse();
+    await activateScoringPolicy({ params: { id: previous._id.toString() }, user: admin }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
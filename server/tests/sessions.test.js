@@ -0,0 +1,172 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const SocketManager = require('../websocket/socketManager');
+const {
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken
+} = require('../utils/sessions');
+
+const DAY = 24 * 60 * 60 * 1000;
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+// Sessions live in an in-memory collection behind the model's query methods
+let stored;
+
+const find = (filter) => [...stored.values()].filter(session =>
+  (!filter._id || (filter._id.$in ? filter._id.$in.some(id => id.equals(session._id)) : session._id.equals(filter._id))) &&
+  (!filter.user || session.user.equals(filter.user)) &&
+  (filter.revokedAt !== null || !session.revokedAt) &&
+  (!filter.refreshTokenHash || session.refreshTokenHash === filter.refreshTokenHash) &&
+  (!filter.expiresAt || session.expiresAt > filter.expiresAt.$gt)
+);
+
+const apply = (session, update) => {
+  Object.assign(session, update.$set);
+  Object.entries(update.$push || {}).forEach(([field, value]) => session[field].push(value));
+  return session;
+};
+
+let user;
+let socketManager;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  stored = new Map();
+  user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'donor' });
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    stored.set(this._id.toString(), this.toObject());
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const [session] = find(filter);
+    return session ? Session.hydrate(apply(session, update)) : null;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(id => ({
+    select: async () => (stored.has(id.toString()) ? Session.hydrate(stored.get(id.toString())) : null)
+  }));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const [session] = find(filter);
+    return { modifiedCount: session ? (apply(session, update), 1) : 0 };
+  });
+  jest.spyOn(Session, 'find').mockImplementation(filter => ({ select: async () => find(filter) }));
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+    find(filter).forEach(session => apply(session, update));
+  });
+  jest.spyOn(Session, 'exists').mockImplementation(async filter => (find(filter).length ? { _id: filter._id } : null));
+  jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => user }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  socketManager = { disconnectSession: jest.fn() };
+  SocketManager.instance = socketManager;
+});
+
+afterEach(() => {
+  SocketManager.instance = null;
+  jest.restoreAllMocks();
+});
+
+describe('createSession', () => {
+  it('issues an access token naming the session and stores only a hash of the refresh token', async () => {
+    const { token, refreshToken, session } = await createSession(user, req);
+
+    expect(jwt.verify(token, 'test-secret')).toMatchObject({ user: { id: user.id, role: 'donor' }, sid: session.id });
+    const [sessionId, secret] = refreshToken.split('.');
+    expect(sessionId).toBe(session.id);
+    expect(JSON.stringify(stored.get(session.id))).not.toContain(secret);
+    expect(stored.get(session.id)).toMatchObject({ ip: '203.0.113.7', userAgent: 'jest' });
+  });
+});
+
+describe('refreshSession', () => {
+  it('replaces the refresh token on every exchange', async () => {
+    const first = await createSession(user, req);
+
+    const second = await refreshSession(first.refreshToken);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.session._id).toEqual(first.session._id);
+    expect(jwt.decode(second.token).sid).toBe(first.session.id);
+
+    const third = await refreshSession(second.refreshToken);
+    expect(third.refreshToken).not.toBe(second.refreshToken);
+  });
+
+  it('revokes the whole session when an exchanged token is presented again', async () => {
+    const login = await createSession(user, req);
+    const rotated = await refreshSession(login.refreshToken);
+
+    const error = await refreshSession(login.refreshToken).catch(err => err);
+    expect(error).toBeInstanceOf(SessionError);
+    expect(error.status).toBe(401);
+
+    expect(stored.get(login.session.id)).toMatchObject({ revokedReason: 'token_reuse' });
+    expect(socketManager.disconnectSession).toHaveBeenCalledWith(login.session._id);
+    // The token the legitimate client holds stops working too
+    await expect(refreshSession(rotated.refreshToken)).rejects.toThrow('not valid or has expired');
+    await expect(verifyAccessToken(rotated.token)).rejects.toThrow('Session has ended');
+  });
+
+  it('refuses malformed, unknown and expired tokens', async () => {
+    await expect(refreshSession('nonsense')).rejects.toThrow('Refresh token is not valid');
+    await expect(refreshSession(undefined)).rejects.toThrow(SessionError);
+    await expect(refreshSession(`${new mongoose.Types.ObjectId()}.abc`)).rejects.toThrow('not valid or has expired');
+
+    const { refreshToken, session } = await createSession(user, req);
+    stored.get(session.id).expiresAt = new Date(Date.now() - DAY);
+    await expect(refreshSession(refreshToken)).rejects.toThrow('not valid or has expired');
+    expect(stored.get(session.id).revokedAt).toBeUndefined();
+  });
+
+  it('ends the session of a user who no longer exists', async () => {
+    const { refreshToken, session } = await createSession(user, req);
+    user = null;
+
+    await expect(refreshSession(refreshToken)).rejects.toThrow('User not found');
+    expect(stored.get(session.id).revokedReason).toBe('user_removed');
+  });
+});
+
+describe('verifyAccessToken', () => {
+  it('accepts tokens while their session is active', async () => {
+    const { token, session } = await createSession(user, req);
+
+    expect((await verifyAccessToken(token)).sid).toBe(session.id);
+
+    expect(await revokeSession(session._id, 'logout')).toBe(true);
+    await expect(verifyAccessToken(token)).rejects.toThrow('Session has ended');
+    expect(await revokeSession(session._id, 'logout')).toBe(false);
+  });
+
+  it('refuses tokens without a session, with a bad signature or past their expiry', async () => {
+    const legacy = jwt.sign({ user: { id: user.id, role: 'donor' } }, 'test-secret');
+    await expect(verifyAccessToken(legacy)).rejects.toThrow('Token is not valid');
+
+    const forged = jwt.sign({ user: { id: user.id, role: 'admin' }, sid: new mongoose.Types.ObjectId().toString() }, 'other');
+    await expect(verifyAccessToken(forged)).rejects.toThrow('Token is not valid');
+
+    const expired = jwt.sign({ user: { id: user.id }, sid: 'x', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+    await expect(verifyAccessToken(expired)).rejects.toThrow('Token has expired');
+  });
+});
+
+describe('revokeUserSessions', () => {
+  it('ends every active session of the user and disconnects them', async () => {
+    const phone = await createSession(user, req);
+    const laptop = await createSession(user, req);
+    const other = await createSession(new User({ name: 'Bo', email: 'bo@example.com', password: 'secret123', role: 'donor' }), req);
+
+    expect(await revokeUserSessions(user._id, 'password_reset')).toBe(2);
+
+    await expect(verifyAccessToken(phone.token)).rejects.toThrow('Session has ended');
+    await expect(verifyAccessToken(laptop.token)).rejects.toThrow('Session has ended');
+    await expect(verifyAccessToken(other.token)).resolves.toBeDefined();
+    expect(socketManager.disconnectSession).toHaveBeenCalledTimes(2);
+    expect(await revokeUserSessions(user._id, 'password_reset')).toBe(0);
+  });
+});
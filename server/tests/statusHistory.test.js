@@ -0,0 +1,137 @@
+jest.mock('../utils/hospitalMembership', () => ({
+  ...jest.requireActual('../utils/hospitalMembership'),
+  getUserHospital: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { buildStatusEntry, statusChangePipeline } = require('../models/statusHistory');
+const { getUserHospital } = require('../utils/hospitalMembership');
+const { getRequestHistory } = require('../controllers/requestController');
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('buildStatusEntry', () => {
+  it('records who changed the status, how and when', () => {
+    const entry = buildStatusEntry({ from: 'proposed', to: 'confirmed', changedBy: userId, role: 'donor', channel: 'socket', notes: 'Yes' });
+
+    expect(entry).toMatchObject({ from: 'proposed', to: 'confirmed', changedBy: userId, role: 'donor', channel: 'socket', notes: 'Yes' });
+    expect(entry._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(entry.changedAt).toBeInstanceOf(Date);
+  });
+
+  it('defaults the channel to system for system changes and rest otherwise', () => {
+    expect(buildStatusEntry({ to: 'expired', role: 'system' }).channel).toBe('system');
+    expect(buildStatusEntry({ to: 'confirmed', role: 'admin' }).channel).toBe('rest');
+  });
+});
+
+describe('statusChangePipeline', () => {
+  it('sets the status and appends the entry in one stage, reading from from the stored status', () => {
+    const [stage] = statusChangePipeline('expired', { role: 'system', notes: 'Deadline passed' }, { rejectionReason: 'No answer' });
+
+    expect(stage.$set.status).toEqual({ $literal: 'expired' });
+    expect(stage.$set.rejectionReason).toEqual({ $literal: 'No answer' });
+
+    const [existing, [entry]] = stage.$set.statusHistory.$concatArrays;
+    expect(existing).toEqual({ $ifNull: ['$statusHistory', []] });
+    expect(entry.from).toBe('$status');
+    expect(entry.to).toEqual({ $literal: 'expired' });
+    expect(entry.channel).toEqual({ $literal: 'system' });
+    expect(entry.notes).toEqual({ $literal: 'Deadline passed' });
+  });
+
+  it('stores user text starting with $ as given instead of reading it as a field path', () => {
+    const [stage] = statusChangePipeline('withdrawn', { role: 'system', notes: '$donor.user' }, { withdrawalReason: '$$ROOT' });
+
+    expect(stage.$set.withdrawalReason).toEqual({ $literal: '$$ROOT' });
+    expect(stage.$set.statusHistory.$concatArrays[1][0].notes).toEqual({ $literal: '$donor.user' });
+  });
+
+  it('leaves out undefined values', () => {
+    const [stage] = statusChangePipeline('expired', { role: 'system' }, { rejectionReason: undefined });
+
+    expect(stage.$set).not.toHaveProperty('rejectionReason');
+    expect(stage.$set.statusHistory.$concatArrays[1][0]).not.toHaveProperty('changedBy');
+  });
+});
+
+describe('StatusHistorySchema', () => {
+  it('keeps saved entries from being edited', () => {
+    const match = Match.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      request: new mongoose.Types.ObjectId(),
+      donor: new mongoose.Types.ObjectId(),
+      status: 'confirmed',
+      statusHistory: [buildStatusEntry({ from: 'proposed', to: 'confirmed', changedBy: userId, role: 'donor' })]
+    });
+
+    const [entry] = match.statusHistory;
+    entry.to = 'rejected';
+    entry.notes = 'Changed afterwards';
+    entry.changedBy = new mongoose.Types.ObjectId();
+
+    expect(entry.to).toBe('confirmed');
+    expect(entry.notes).toBeUndefined();
+    expect(entry.changedBy).toEqual(userId);
+    expect(match.isModified('statusHistory')).toBe(false);
+  });
+
+  it('requires a target status and a known channel', () => {
+    const match = new Match({
+      request: new mongoose.Types.ObjectId(),
+      donor: new mongoose.Types.ObjectId(),
+      statusHistory: [{ channel: 'email' }]
+    });
+
+    const { errors } = match.validateSync();
+    expect(errors['statusHistory.0.to']).toBeDefined();
+    expect(errors['statusHistory.0.channel']).toBeDefined();
+  });
+});
+
+describe('GET /api/requests/:id/history', () => {
+  const hospitalId = new mongoose.Types.ObjectId();
+  let request;
+
+  const getHistory = async (user) => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    await getRequestHistory({ params: { id: request._id.toString() }, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    request = Request.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      hospital: hospitalId,
+      status: 'searching',
+      statusHistory: [buildStatusEntry({ from: 'pending', to: 'searching', role: 'system' })]
+    });
+    jest.spyOn(Request, 'findById').mockReturnValue({
+      select() { return this; },
+      populate: async () => request
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the history to staff of the request’s hospital, whatever their permissions', async () => {
+    getUserHospital.mockResolvedValue({ _id: hospitalId });
+
+    const res = await getHistory({ id: userId.toString(), role: 'hospital' });
+
+    expect(getUserHospital).toHaveBeenCalledWith(userId.toString(), null);
+    expect(res.json).toHaveBeenCalledWith({ requestId: request._id, status: 'searching', history: request.statusHistory });
+  });
+
+  it('refuses other hospitals and donors', async () => {
+    getUserHospital.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    expect((await getHistory({ id: userId.toString(), role: 'hospital' })).status).toHaveBeenCalledWith(403);
+    expect((await getHistory({ id: userId.toString(), role: 'donor' })).status).toHaveBeenCalledWith(403);
+  });
+});
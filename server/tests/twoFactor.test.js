@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const { reloadKeyring, isEncrypted } = require('../utils/fieldEncryption');
+const {
+  CHALLENGE_PURPOSES,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+
+// The user's stored document, behind the model's query methods
+let stored;
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value[key] = value[key] || {}), doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const matches = (filter) => Object.entries(filter).every(([path, expected]) => {
+  if (path === '_id') {
+    return stored._id.equals(expected);
+  }
+  if (path === '$or') {
+    return expected.some(matches);
+  }
+  const value = getPath(stored, path);
+  if (expected && expected.$lt !== undefined) {
+    return value != null && value < expected.$lt;
+  }
+  if (expected === null) {
+    return value == null;
+  }
+  return Array.isArray(value) ? value.includes(expected) : value === expected;
+});
+
+const originalKeys = process.env.FIELD_ENCRYPTION_KEYS;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.FIELD_ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+  reloadKeyring();
+});
+
+afterAll(() => {
+  process.env.FIELD_ENCRYPTION_KEYS = originalKeys;
+});
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Grace',
+    email: 'grace@example.com',
+    role: 'coordinator',
+    twoFactor: { enabled: false }
+  };
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) {
+      return { modifiedCount: 0 };
+    }
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(stored, path, value));
+    Object.keys(update.$unset || {}).forEach(path => setPath(stored, path, undefined));
+    Object.entries(update.$pull || {}).forEach(([path, value]) => setPath(stored, path, getPath(stored, path).filter(item => item !== value)));
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User, 'findById').mockImplementation(() => ({
+    select: async () => User.hydrate(JSON.parse(JSON.stringify(stored)))
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Enroll the stored user and return their secret and recovery codes
+const enroll = async () => {
+  const { secret } = await startEnrollment(stored);
+  const code = authenticator.generate(secret);
+  const recoveryCodes = await confirmEnrollment(stored._id, code);
+  // Move on to the next 30-second step, whose codes haven't been used yet
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + 30 * 1000);
+  return { secret, recoveryCodes, enrollmentCode: code };
+};
+
+describe('challenge tokens', () => {
+  it('carry the user to the step they were issued for only', () => {
+    const user = User.hydrate(stored);
+    const token = signChallengeToken(user, CHALLENGE_PURPOSES.VERIFY);
+
+    expect(verifyChallengeToken(token, CHALLENGE_PURPOSES.VERIFY)).toEqual({ user: user.id, role: 'coordinator' });
+    expect(verifyChallengeToken(token, CHALLENGE_PURPOSES.SETUP)).toBeNull();
+    expect(verifyChallengeToken(`${token}x`, CHALLENGE_PURPOSES.VERIFY)).toBeNull();
+  });
+
+  it('are required for staff and hospital accounts only', () => {
+    expect(['admin', 'coordinator', 'hospital', 'donor'].map(role => isTwoFactorRequired({ role })))
+      .toEqual([true, true, true, false]);
+  });
+});
+
+describe('enrollment', () => {
+  it('keeps the new secret pending and encrypted until a code from it is confirmed', async () => {
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(stored);
+
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(isEncrypted(stored.twoFactor.pendingSecret)).toBe(true);
+    expect(stored.twoFactor.enabled).toBe(false);
+
+    expect(await confirmEnrollment(stored._id, '000000')).toBeNull();
+    expect(stored.twoFactor.enabled).toBe(false);
+
+    const recoveryCodes = await confirmEnrollment(stored._id, authenticator.generate(secret));
+    expect(recoveryCodes).toHaveLength(10);
+    expect(stored.twoFactor).toMatchObject({ enabled: true, pendingSecret: undefined });
+    expect(isEncrypted(stored.twoFactor.secret)).toBe(true);
+  });
+
+  it('stores recovery codes as hashes', async () => {
+    const { recoveryCodes } = await enroll();
+
+    recoveryCodes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    expect(stored.twoFactor.recoveryCodes).toHaveLength(10);
+    expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts a current code once', async () => {
+    const { secret } = await enroll();
+    const code = authenticator.generate(secret);
+
+    expect(await verifySecondFactor(stored._id, { code })).toBe(true);
+    expect(await verifySecondFactor(stored._id, { code })).toBe(false);
+  });
+
+  it('refuses the code that confirmed enrollment', async () => {
+    const { enrollmentCode } = await enroll();
+    expect(await verifySecondFactor(stored._id, { code: enrollmentCode })).toBe(false);
+  });
+
+  it('refuses wrong codes and users without an enabled factor', async () => {
+    expect(await verifySecondFactor(stored._id, { code: '123456' })).toBe(false);
+
+    await enroll();
+    expect(await verifySecondFactor(stored._id, { code: 'abcdef' })).toBe(false);
+    expect(await verifySecondFactor(stored._id, { code: '12345' })).toBe(false);
+  });
+
+  it('uses up a recovery code, ignoring dashes and case', async () => {
+    const { recoveryCodes } = await enroll();
+    const [first, second] = recoveryCodes;
+
+    expect(await verifySecondFactor(stored._id, { recoveryCode: first.toUpperCase().replace('-', '') })).toBe(true);
+    expect(await verifySecondFactor(stored._id, { recoveryCode: first })).toBe(false);
+    expect(stored.twoFactor.recoveryCodes).toHaveLength(9);
+    expect(await verifySecondFactor(stored._id, { recoveryCode: second })).toBe(true);
+  });
+
+  it('replaces every recovery code when they are regenerated', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const fresh = await regenerateRecoveryCodes(stored._id);
+
+    expect(await verifySecondFactor(stored._id, { recoveryCode: recoveryCodes[0] })).toBe(false);
+    expect(await verifySecondFactor(stored._id, { recoveryCode: fresh[0] })).toBe(true);
+  });
+
+  it('stops accepting codes once the factor is disabled', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    await disableTwoFactor(stored._id);
+
+    expect(stored.twoFactor).toEqual({ enabled: false });
+    expect(await verifySecondFactor(stored._id, { code: authenticator.generate(secret) })).toBe(false);
+    expect(await verifySecondFactor(stored._id, { recoveryCode: recoveryCodes[0] })).toBe(false);
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Audit Log Utility
+ *
+ * This file writes and checks the system-wide audit log:
+ * - Every record stores the hash of the record before it, and its own hash
+ *   covers all of its fields plus that link, so editing or deleting any record
+ *   breaks the chain from that point on
+ * - Records queued in the same tick are linked in memory and inserted as one
+ *   batch, so busy periods cost a few writes per batch instead of per record
+ * - Appends are serialized through the chain head (AuditChainHead): a batch is
+ *   linked onto the head and claims its sequence numbers by moving the head with
+ *   a conditional update. An instance that loses the race re-links onto the new
+ *   head, so any number of instances share one chain without dropping records
+ * - The head also anchors verification: the log has to reach it, so records
+ *   deleted from the end of the chain are caught too
+ * - Records are never dropped. A batch that can't be saved is retried with the
+ *   same links, and while the queue is full new API calls and socket events are
+ *   refused (see isAuditQueueFull) until it drains
+ * - Filters and CSV formatting shared by the admin list and export endpoints
+ *
+ * AUDIT_MAX_PENDING sets how many records may wait to be written before calls
+ * are refused (default 10000).
+ */
+
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const AuditChainHead = require('../models/AuditChainHead');
+
+// prevHash of the first record
+const GENESIS_HASH = '0'.repeat(64);
+
+// ID of the chain head document
+const CHAIN_HEAD_ID = 'audit';
+
+// Wait before retrying a batch that couldn't be saved
+const RETRY_DELAY_MS = 5000;
+
+// Most records inserted in one write
+const AUDIT_BATCH_SIZE = 500;
+
+const MAX_PENDING_RECORDS = parseInt(process.env.AUDIT_MAX_PENDING) || 10000;
+
+const CSV_COLUMNS = ['sequence', 'timestamp', 'actorUser', 'actorRole', 'action', 'channel', 'method', 'path', 'resourceType', 'resourceId', 'statusCode', 'ip', 'userAgent', 'prevHash', 'hash'];
+
+// Records waiting to be written, as { entry, resolve }
+const pending = [];
+// Batch linked onto the chain but not saved yet, as { batch, records }; it's retried as is
+let reserved = null;
+let flushScheduled = false;
+let flushing = false;
+
+/**
+ * Compute the hash of an audit record
+ * The fields are hashed in a fixed order so stored records hash the same when read back.
+ * @param {Object} record - Audit record (document or plain object)
+ * @returns {String} - Hex SHA-256 hash
+ */
+const computeAuditHash = (record) => {
+  const actor = record.actor || {};
+  const resource = record.resource || {};
+  const payload = JSON.stringify([
+    record.sequence,
+    new Date(record.timestamp).toISOString(),
+    actor.user ? actor.user.toString() : null,
+    actor.role || null,
+    record.action,
+    record.channel,
+    record.method || null,
+    record.path || null,
+    resource.type || null,
+    resource.id || null,
+    record.statusCode === undefined || record.statusCode === null ? null : record.statusCode,
+    record.ip || null,
+    record.userAgent || null,
+    record.prevHash
+  ]);
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Get the last record reserved on the chain
+ * @returns {Promise<Object>} - { sequence, hash } (sequence 0 before the first record)
+ */
+const getChainHead = async () => {
+  const head = await AuditChainHead.findById(CHAIN_HEAD_ID).lean();
+  return head ? { sequence: head.sequence, hash: head.hash } : { sequence: 0, hash: GENESIS_HASH };
+};
+
+/**
+ * Link entries onto the end of the chain and claim their sequence numbers
+ * The head only moves if no other instance moved it since it was read; otherwise
+ * the entries are linked onto the new head and the claim is tried again.
+ * @param {Array} entries - Audit fields without sequence or hashes
+ * @returns {Promise<Array>} - Linked records, in the order of the entries
+ */
+const reserveRecords = async (entries) => {
+  for (;;) {
+    const head = await getChainHead();
+
+    let previous = head;
+    const records = entries.map(entry => {
+      const record = { ...entry, sequence: previous.sequence + 1, prevHash: previous.hash };
+      record.hash = computeAuditHash(record);
+      previous = record;
+      return record;
+    });
+
+    try {
+      // Matching an outdated head inserts a second document with the same ID, which fails
+      await AuditChainHead.findOneAndUpdate(
+        { _id: CHAIN_HEAD_ID, sequence: head.sequence, hash: head.hash },
+        { $set: { sequence: previous.sequence, hash: previous.hash, updatedAt: new Date() } },
+        { upsert: true }
+      );
+      return records;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Save reserved records, skipping any an earlier attempt already saved
+ * @param {Array} records - Linked records from reserveRecords
+ */
+const saveRecords = async (records) => {
+  try {
+    await AuditLog.insertMany(records, { ordered: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const saved = await AuditLog.find({ hash: { $in: records.map(record => record.hash) } }).distinct('hash');
+    const missing = records.filter(record => !saved.includes(record.hash));
+    // Something other than these records holds their sequence numbers
+    if (missing.length === records.length) {
+      throw error;
+    }
+    await AuditLog.insertMany(missing, { ordered: true });
+  }
+};
+
+/**
+ * Schedule a flush of the queue
+ * @param {Number} delayMs - Wait before flushing (0 flushes after the current tick)
+ */
+const scheduleFlush = (delayMs = 0) => {
+  if (flushScheduled) {
+    return;
+  }
+  flushScheduled = true;
+  if (delayMs) {
+    setTimeout(flushPending, delayMs).unref();
+  } else {
+    setImmediate(flushPending);
+  }
+};
+
+/**
+ * Write the queued records, one batch at a time, until the queue is empty
+ * A batch that fails keeps its place and links, and is retried after RETRY_DELAY_MS.
+ */
+const flushPending = async () => {
+  flushScheduled = false;
+  if (flushing) {
+    return;
+  }
+
+  flushing = true;
+  try {
+    while (reserved || pending.length > 0) {
+      if (!reserved) {
+        const batch = pending.slice(0, AUDIT_BATCH_SIZE);
+        reserved = { batch, records: await reserveRecords(batch.map(item => item.entry)) };
+        pending.splice(0, batch.length);
+      }
+
+      await saveRecords(reserved.records);
+      reserved.batch.forEach((item, index) => item.resolve(reserved.records[index]));
+      reserved = null;
+    }
+  } catch (error) {
+    console.error(`Error writing audit log records (${countQueued()} waiting); retrying in ${RETRY_DELAY_MS / 1000} seconds:`, error);
+    scheduleFlush(RETRY_DELAY_MS);
+  } finally {
+    flushing = false;
+  }
+};
+
+/**
+ * Count the records waiting to be written
+ * @returns {Number} - Queued and reserved records
+ */
+const countQueued = () => pending.length + (reserved ? reserved.batch.length : 0);
+
+/**
+ * Check whether the queue is full, in which case callers refuse new audited work
+ * @returns {Boolean} - Whether AUDIT_MAX_PENDING records are waiting
+ */
+const isAuditQueueFull = () => countQueued() >= MAX_PENDING_RECORDS;
+
+/**
+ * Write an audit record
+ * Records are written in batches and retried until they're saved. Callers check
+ * isAuditQueueFull before accepting work, so the queue only passes its limit by
+ * the calls already under way.
+ * @param {Object} entry - { actor: { user, role }, action, channel, method, path, resource: { type, id }, statusCode, ip, userAgent }
+ * @returns {Promise<Object>} - Saved record
+ */
+const recordAudit = (entry) => {
+  return new Promise(resolve => {
+    pending.push({ entry: { ...entry, timestamp: entry.timestamp || new Date() }, resolve });
+
+    // Everything queued in this tick goes out in the same batch
+    scheduleFlush();
+  });
+};
+
+/**
+ * Walk the chain and check every link and hash, and that it reaches the chain head
+ * Records still being written when the check starts can show up as missing; run it again to confirm.
+ * @returns {Promise<Object>} - { valid, checked, lastSequence, head: { sequence, hash }, brokenAt: { sequence, reason } }
+ */
+const verifyAuditChain = async () => {
+  const head = await getChainHead();
+  const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+
+  let expectedSequence = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    let reason = null;
+    if (record.sequence !== expectedSequence) {
+      reason = `Expected record ${expectedSequence} but found ${record.sequence}; records are missing`;
+    } else if (record.prevHash !== prevHash) {
+      reason = 'Record does not link to the record before it';
+    } else if (computeAuditHash(record) !== record.hash) {
+      reason = 'Record contents do not match its hash';
+    } else if (record.sequence === head.sequence && record.hash !== head.hash) {
+      reason = 'Record does not match the chain head';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return { valid: false, checked, lastSequence: expectedSequence - 1, head, brokenAt: { sequence: record.sequence, reason } };
+    }
+
+    prevHash = record.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  const lastSequence = expectedSequence - 1;
+  if (lastSequence < head.sequence) {
+    return {
+      valid: false,
+      checked,
+      lastSequence,
+      head,
+      brokenAt: { sequence: lastSequence + 1, reason: `The chain head is at record ${head.sequence} but the log ends at ${lastSequence}; records are missing from the end` }
+    };
+  }
+
+  return { valid: true, checked, lastSequence, head, brokenAt: null };
+};
+
+/**
+ * Build an AuditLog query filter from request query parameters
+ * @param {Object} query - { user, role, action, channel, resourceType, resourceId, statusCode, from, to }
+ * @returns {Object} - Mongo filter
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.user) filter['actor.user'] = query.user;
+  if (query.role) filter['actor.role'] = query.role;
+  if (query.action) filter.action = query.action;
+  if (query.channel) filter.channel = query.channel;
+  if (query.resourceType) filter['resource.type'] = query.resourceType;
+  if (query.resourceId) filter['resource.id'] = query.resourceId;
+  if (query.statusCode) filter.statusCode = parseInt(query.statusCode);
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) {
+      filter.timestamp.$gte = new Date(query.from);
+    }
+    if (query.to) {
+      filter.timestamp.$lte = new Date(query.to);
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {String} - Escaped cell
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format audit records as CSV
+ * @param {Array} records - Audit records
+ * @returns {String} - CSV with a header row
+ */
+const formatAuditCsv = (records) => {
+  const rows = records.map(record => {
+    const actor = record.actor || {};
+    const resource = record.resource || {};
+    return [
+      record.sequence,
+      record.timestamp,
+      actor.user,
+      actor.role,
+      record.action,
+      record.channel,
+      record.method,
+      record.path,
+      resource.type,
+      resource.id,
+      record.statusCode,
+      record.ip,
+      record.userAgent,
+      record.prevHash,
+      record.hash
+    ].map(csvCell).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeAuditHash,
+  recordAudit,
+  isAuditQueueFull,
+  verifyAuditChain,
+  buildAuditFilter,
+  formatAuditCsv
+};
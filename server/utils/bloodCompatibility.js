@@ -0,0 +1,141 @@
+/**
+ * Blood Compatibility Utility
+ *
+ * This file contains the ABO/Rh compatibility rules for each blood component
+ * and the minimum intervals donors must wait between donations.
+ *
+ * All matrices are keyed by donor blood type and list the recipient blood
+ * types that donor can give to.
+ */
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Red cell compatibility (O- is the universal red cell donor)
+const RED_CELL_COMPATIBILITY = {
+  'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+  'O+': ['O+', 'A+', 'B+', 'AB+'],
+  'A-': ['A-', 'A+', 'AB-', 'AB+'],
+  'A+': ['A+', 'AB+'],
+  'B-': ['B-', 'B+', 'AB-', 'AB+'],
+  'B+': ['B+', 'AB+'],
+  'AB-': ['AB-', 'AB+'],
+  'AB+': ['AB+']
+};
+
+// Whole blood carries both red cells and plasma, so ABO must be identical
+const WHOLE_BLOOD_COMPATIBILITY = {
+  'O-': ['O-', 'O+'],
+  'O+': ['O+'],
+  'A-': ['A-', 'A+'],
+  'A+': ['A+'],
+  'B-': ['B-', 'B+'],
+  'B+': ['B+'],
+  'AB-': ['AB-', 'AB+'],
+  'AB+': ['AB+']
+};
+
+// Plasma compatibility is the reverse of red cells (AB is the universal plasma donor).
+// Plasma carries no red cells, so Rh is not considered.
+const PLASMA_COMPATIBILITY = {
+  'AB+': BLOOD_TYPES,
+  'AB-': BLOOD_TYPES,
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'A-': ['A+', 'A-', 'O+', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'B-': ['B+', 'B-', 'O+', 'O-'],
+  'O+': ['O+', 'O-'],
+  'O-': ['O+', 'O-']
+};
+
+// Platelets follow plasma ABO rules (the unit is suspended in donor plasma),
+// but Rh-negative recipients should not receive Rh-positive platelets.
+const PLATELET_COMPATIBILITY = {
+  'AB+': ['A+', 'B+', 'AB+', 'O+'],
+  'AB-': BLOOD_TYPES,
+  'A+': ['A+', 'O+'],
+  'A-': ['A+', 'A-', 'O+', 'O-'],
+  'B+': ['B+', 'O+'],
+  'B-': ['B+', 'B-', 'O+', 'O-'],
+  'O+': ['O+'],
+  'O-': ['O+', 'O-']
+};
+
+// Compatibility matrix per Request.bloodComponent
+const COMPONENT_COMPATIBILITY = {
+  whole: WHOLE_BLOOD_COMPATIBILITY,
+  red_cells: RED_CELL_COMPATIBILITY,
+  plasma: PLASMA_COMPATIBILITY,
+  platelets: PLATELET_COMPATIBILITY
+};
+
+// Donation type recorded in Donor.donationHistory for each requested component
+const COMPONENT_DONATION_TYPE = {
+  whole: 'blood',
+  red_cells: 'red_cells',
+  plasma: 'plasma',
+  platelets: 'platelets'
+};
+
+// Minimum days between donations, keyed by previous donation type then next donation type
+const DONATION_INTERVAL_DAYS = {
+  blood: { blood: 56, red_cells: 56, plasma: 28, platelets: 7 },
+  red_cells: { blood: 112, red_cells: 112, plasma: 28, platelets: 7 },
+  plasma: { blood: 28, red_cells: 28, plasma: 28, platelets: 28 },
+  platelets: { blood: 7, red_cells: 7, plasma: 28, platelets: 7 }
+};
+
+/**
+ * Get the donor blood types that can supply a component to a recipient
+ * @param {String} recipientType - Recipient blood type
+ * @param {String} component - Blood component (whole, red_cells, plasma, platelets)
+ * @returns {Array} - Compatible donor blood types
+ */
+const getCompatibleDonorTypes = (recipientType, component = 'red_cells') => {
+  const matrix = COMPONENT_COMPATIBILITY[component] || RED_CELL_COMPATIBILITY;
+  return Object.keys(matrix).filter(donorType => matrix[donorType].includes(recipientType));
+};
+
+/**
+ * Check whether a donor can supply a component to a recipient
+ * @param {String} donorType - Donor blood type
+ * @param {String} recipientType - Recipient blood type
+ * @param {String} component - Blood component (whole, red_cells, plasma, platelets)
+ * @returns {Boolean} - Whether the donor is compatible
+ */
+const isCompatible = (donorType, recipientType, component = 'red_cells') => {
+  const matrix = COMPONENT_COMPATIBILITY[component] || RED_CELL_COMPATIBILITY;
+  return (matrix[donorType] || []).includes(recipientType);
+};
+
+/**
+ * Find the date a donor may next give a given donation type
+ * @param {Array} donationHistory - Donor.donationHistory entries
+ * @param {String} donationType - Next donation type (blood, red_cells, plasma, platelets)
+ * @returns {Date|null} - Earliest eligible date, or null if no interval applies
+ */
+const getNextEligibleDonationDate = (donationHistory = [], donationType) => {
+  let nextEligible = null;
+
+  for (const entry of donationHistory) {
+    const intervals = DONATION_INTERVAL_DAYS[entry.donationType];
+    if (!intervals || !intervals[donationType] || !entry.date) continue;
+
+    const eligibleFrom = new Date(new Date(entry.date).getTime() + intervals[donationType] * 24 * 60 * 60 * 1000);
+    if (!nextEligible || eligibleFrom > nextEligible) {
+      nextEligible = eligibleFrom;
+    }
+  }
+
+  return nextEligible;
+};
+
+module.exports = {
+  BLOOD_TYPES,
+  RED_CELL_COMPATIBILITY,
+  COMPONENT_COMPATIBILITY,
+  COMPONENT_DONATION_TYPE,
+  DONATION_INTERVAL_DAYS,
+  getCompatibleDonorTypes,
+  isCompatible,
+  getNextEligibleDonationDate
+};
@@ -0,0 +1,56 @@
+/**
+ * Deferral Criteria Utility
+ *
+ * This file holds the deferral criteria shared by the default eligibility rules
+ * and the default pre-donation questionnaire, so a reason or period is defined
+ * once whether it's checked against the donor's record or their answers.
+ * Admin-edited rules and questionnaire versions keep their own copies.
+ */
+
+const BLOOD_DONATION_TYPES = ['blood', 'red_cells', 'plasma', 'platelets'];
+
+const MIN_DONOR_WEIGHT_KG = 50;
+const MIN_DONOR_AGE = 17;
+
+// Reason, deferral type and period for each standard deferral
+const STANDARD_DEFERRALS = {
+  unwell: {
+    reason: 'Donors must feel well on the day they donate',
+    deferralType: 'temporary',
+    durationDays: 1
+  },
+  recentInfection: {
+    reason: 'Donors must be free of infection for 2 weeks',
+    deferralType: 'temporary',
+    durationDays: 14
+  },
+  anticoagulants: {
+    reason: 'Donors taking anticoagulants cannot give blood while on the medication',
+    deferralType: 'while_present'
+  },
+  recentTattoo: {
+    reason: 'A recent tattoo or piercing carries a risk of blood-borne infection',
+    deferralType: 'temporary',
+    durationDays: 183
+  },
+  recentPregnancy: {
+    reason: 'Donors are deferred during and for 6 months after pregnancy',
+    deferralType: 'temporary',
+    durationDays: 183
+  },
+  lowWeight: {
+    reason: `Donors must weigh at least ${MIN_DONOR_WEIGHT_KG} kg to give blood safely`,
+    deferralType: 'while_present'
+  },
+  minimumAge: {
+    reason: `Donors must be at least ${MIN_DONOR_AGE} years old to give blood`,
+    deferralType: 'while_present'
+  }
+};
+
+module.exports = {
+  BLOOD_DONATION_TYPES,
+  MIN_DONOR_WEIGHT_KG,
+  MIN_DONOR_AGE,
+  STANDARD_DEFERRALS
+};
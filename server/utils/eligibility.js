@@ -0,0 +1,279 @@
+/**
+ * Eligibility Utility
+ *
+ * This file decides whether a donor may donate each donation type, and until when
+ * they are deferred, from the editable DeferralRule set:
+ * - Medication, chronic condition and past surgery rules match keywords in the medical history
+ * - Recent event rules (tattoo, surgery, transfusion...) defer for a period after the event
+ * - Weight and age rules compare the donor's physical details with a threshold
+ * - Blood donation types also respect the minimum interval since the last donation
+ * - Answers to the pre-donation questionnaire can add their own deferrals
+ */
+
+const DeferralRule = require('../models/DeferralRule');
+const { getNextEligibleDonationDate } = require('./bloodCompatibility');
+const { getQuestionnaireDeferrals } = require('./questionnaire');
+const { BLOOD_DONATION_TYPES, MIN_DONOR_WEIGHT_KG, MIN_DONOR_AGE, STANDARD_DEFERRALS } = require('./deferralCriteria');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DONATION_TYPES = ['blood', 'red_cells', 'plasma', 'platelets', 'organ'];
+
+// Rules created when the collection is empty; admins edit or deactivate them afterwards
+const DEFAULT_DEFERRAL_RULES = [
+  {
+    code: 'anticoagulants',
+    name: 'Anticoagulant medication',
+    ...STANDARD_DEFERRALS.anticoagulants,
+    criterion: 'medication',
+    keywords: ['anticoagulant', 'warfarin', 'heparin', 'apixaban', 'rivaroxaban', 'dabigatran', 'edoxaban'],
+    donationTypes: BLOOD_DONATION_TYPES
+  },
+  {
+    code: 'antiplatelets',
+    name: 'Antiplatelet medication',
+    reason: 'Platelets from donors taking antiplatelet medication do not work properly',
+    criterion: 'medication',
+    keywords: ['aspirin', 'clopidogrel', 'prasugrel', 'ticagrelor'],
+    deferralType: 'while_present',
+    donationTypes: ['platelets']
+  },
+  {
+    code: 'recent_tattoo',
+    name: 'Tattoo or piercing in the last 6 months',
+    ...STANDARD_DEFERRALS.recentTattoo,
+    criterion: 'recent_event',
+    keywords: ['tattoo', 'piercing']
+  },
+  {
+    code: 'recent_surgery',
+    name: 'Surgery in the last 6 months',
+    reason: 'Donors need time to recover after surgery',
+    criterion: 'recent_event',
+    keywords: ['surgery'],
+    deferralType: 'temporary',
+    durationDays: 183
+  },
+  {
+    code: 'recent_transfusion',
+    name: 'Transfusion in the last 12 months',
+    reason: 'Donors who received a transfusion are deferred for 12 months',
+    criterion: 'recent_event',
+    keywords: ['transfusion'],
+    deferralType: 'temporary',
+    durationDays: 365
+  },
+  {
+    code: 'low_weight',
+    name: `Weight under ${MIN_DONOR_WEIGHT_KG} kg`,
+    ...STANDARD_DEFERRALS.lowWeight,
+    criterion: 'min_weight',
+    threshold: MIN_DONOR_WEIGHT_KG,
+    donationTypes: BLOOD_DONATION_TYPES
+  },
+  {
+    code: 'minimum_age',
+    name: `Under ${MIN_DONOR_AGE}`,
+    ...STANDARD_DEFERRALS.minimumAge,
+    criterion: 'min_age',
+    threshold: MIN_DONOR_AGE,
+    donationTypes: BLOOD_DONATION_TYPES
+  }
+];
+
+/**
+ * Check whether any value contains one of the rule keywords
+ * @param {Array} values - Medical history entries
+ * @param {Array} keywords - Rule keywords
+ * @returns {Boolean} - Whether a keyword matched
+ */
+const matchesKeyword = (values = [], keywords = []) => {
+  const terms = keywords.map(keyword => keyword.toLowerCase());
+  return values.some(value => {
+    const text = String(value).toLowerCase();
+    return terms.some(term => text.includes(term));
+  });
+};
+
+/**
+ * Check whether a rule defers a donation type
+ * @param {Object} rule - Deferral rule
+ * @param {String} donationType - Donation type
+ * @returns {Boolean} - Whether the rule applies
+ */
+const appliesTo = (rule, donationType) => {
+  return !rule.donationTypes || rule.donationTypes.length === 0 || rule.donationTypes.includes(donationType);
+};
+
+/**
+ * Evaluate one rule against a donor
+ * @param {Object} rule - Deferral rule
+ * @param {Object} donor - Donor object
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { code, name, reason, deferralType, until } or null if the rule doesn't apply
+ */
+const evaluateRule = (rule, donor, now = new Date()) => {
+  const history = donor.medicalHistory || {};
+  const physical = donor.physicalDetails || {};
+  const deferral = {
+    code: rule.code,
+    name: rule.name,
+    reason: rule.reason,
+    deferralType: rule.deferralType,
+    until: null
+  };
+
+  switch (rule.criterion) {
+    case 'medication':
+      return matchesKeyword(history.medications, rule.keywords) ? deferral : null;
+    case 'chronic_condition':
+      return matchesKeyword(history.chronicConditions, rule.keywords) ? deferral : null;
+    case 'past_surgery':
+      return matchesKeyword(history.pastSurgeries, rule.keywords) ? deferral : null;
+    case 'min_weight':
+      return physical.weight != null && physical.weight < rule.threshold ? deferral : null;
+    case 'min_age':
+      return physical.age != null && physical.age < rule.threshold ? deferral : null;
+    case 'max_age':
+      return physical.age != null && physical.age > rule.threshold ? deferral : null;
+    case 'recent_event': {
+      const events = (history.recentEvents || []).filter(event => (rule.keywords || []).includes(event.eventType));
+      if (events.length === 0) {
+        return null;
+      }
+      if (rule.deferralType !== 'temporary') {
+        return deferral;
+      }
+
+      // Deferred until the most recent matching event has aged out
+      const latest = Math.max(...events.map(event => new Date(event.date).getTime()));
+      const until = new Date(latest + rule.durationDays * DAY_MS);
+      return until > now ? { ...deferral, until } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the rule deferrals that stop a donor giving a donation type
+ * @param {Object} donor - Donor object
+ * @param {Array} rules - Active deferral rules
+ * @param {String} donationType - Donation type
+ * @param {Date} now - Current time
+ * @returns {Array} - Deferrals (empty if no rule defers the donor)
+ */
+const getDeferrals = (donor, rules, donationType, now = new Date()) => {
+  return rules
+    .filter(rule => appliesTo(rule, donationType))
+    .map(rule => evaluateRule(rule, donor, now))
+    .filter(Boolean);
+};
+
+/**
+ * Describe a deferral for match exclusions and notifications
+ * @param {Object} deferral - Deferral from getDeferrals
+ * @returns {String} - Reason with the date the donor becomes eligible again
+ */
+const describeDeferral = (deferral) => {
+  if (deferral.deferralType === 'permanent') {
+    return `${deferral.reason} (permanent deferral)`;
+  }
+  if (deferral.until) {
+    return `${deferral.reason} (deferred until ${deferral.until.toISOString().slice(0, 10)})`;
+  }
+  return `${deferral.reason} (deferred while this applies)`;
+};
+
+/**
+ * Get the donation history used for donation intervals
+ * Donors with only a lastDonationDate are treated as having given whole blood.
+ * @param {Object} donor - Donor object
+ * @returns {Array} - Donation history entries
+ */
+const getIntervalHistory = (donor) => {
+  if (donor.donationHistory && donor.donationHistory.length) {
+    return donor.donationHistory;
+  }
+  return donor.lastDonationDate ? [{ donationType: 'blood', date: donor.lastDonationDate }] : [];
+};
+
+/**
+ * Decide a donor's eligibility for every donation type
+ * @param {Object} donor - Donor object
+ * @param {Array} rules - Active deferral rules
+ * @param {Array} questionnaireDeferrals - Donor's questionnaire deferrals still in force
+ * @param {Date} now - Current time
+ * @returns {Array} - [{ donationType, eligible, eligibleFrom, indefinite, deferrals }]
+ */
+const getDonorEligibility = (donor, rules, questionnaireDeferrals = [], now = new Date()) => {
+  const intervalHistory = getIntervalHistory(donor);
+
+  return DONATION_TYPES.map(donationType => {
+    const deferrals = [
+      ...getDeferrals(donor, rules, donationType, now),
+      ...getQuestionnaireDeferrals(questionnaireDeferrals, donationType)
+    ];
+
+    if (BLOOD_DONATION_TYPES.includes(donationType)) {
+      const nextEligible = getNextEligibleDonationDate(intervalHistory, donationType);
+      if (nextEligible && nextEligible > now) {
+        deferrals.push({
+          code: 'donation_interval',
+          name: 'Minimum interval between donations',
+          reason: `Not enough time has passed since the last donation to give ${donationType}`,
+          deferralType: 'temporary',
+          until: nextEligible
+        });
+      }
+    }
+
+    // Without a date on every deferral there is no known date to become eligible again
+    const indefinite = deferrals.some(deferral => !deferral.until);
+    const eligibleFrom = deferrals.length > 0 && !indefinite
+      ? new Date(Math.max(...deferrals.map(deferral => deferral.until.getTime())))
+      : null;
+
+    return {
+      donationType,
+      eligible: deferrals.length === 0,
+      eligibleFrom,
+      indefinite,
+      deferrals
+    };
+  });
+};
+
+/**
+ * Load the active deferral rules
+ * @returns {Promise<Array>} - Active rules
+ */
+const loadActiveRules = async () => {
+  return DeferralRule.find({ isActive: true }).lean();
+};
+
+/**
+ * Create the default deferral rules if no rules exist yet
+ * @returns {Promise<Number>} - Number of rules created
+ */
+const seedDefaultDeferralRules = async () => {
+  const existing = await DeferralRule.estimatedDocumentCount();
+  if (existing > 0) {
+    return 0;
+  }
+
+  const created = await DeferralRule.insertMany(DEFAULT_DEFERRAL_RULES);
+  return created.length;
+};
+
+module.exports = {
+  DONATION_TYPES,
+  DEFAULT_DEFERRAL_RULES,
+  evaluateRule,
+  getDeferrals,
+  describeDeferral,
+  getIntervalHistory,
+  getDonorEligibility,
+  loadActiveRules,
+  seedDefaultDeferralRules
+};
@@ -0,0 +1,192 @@
+/**
+ * Escalation Policy Utility
+ *
+ * This file widens the search for requests that keep finding no donors:
+ * - Radius steps per urgency level (the radius only ever grows)
+ * - Step timing based on urgency and the time left before requiredBy
+ * - Relaxation of optional criteria (preferredAgeRange) at later steps
+ * - Escalation history on the Request and coordinator notifications
+ */
+
+const Request = require('../models/Request');
+const OfferCascade = require('../models/OfferCascade');
+const SocketManager = require('../websocket/socketManager');
+const { notifyRequestEscalation } = require('./notifications');
+
+// Search radius in km for each escalation level (level 1 is the first step)
+const ESCALATION_RADIUS_KM = {
+  critical: [250, 500, 1000, 2000],
+  emergency: [200, 400, 800, 1500],
+  urgent: [150, 300, 500],
+  routine: [150, 250]
+};
+
+// Longest wait at one level before escalating, in minutes
+const STEP_INTERVAL_MINUTES = {
+  critical: 30,
+  emergency: 60,
+  urgent: 240,
+  routine: 720
+};
+
+// Shortest wait at one level, so a request close to requiredBy isn't escalated every run
+const MIN_STEP_INTERVAL_MINUTES = 10;
+
+// Level from which optional criteria are dropped
+const RELAX_CRITERIA_LEVEL = {
+  critical: 1,
+  emergency: 2,
+  urgent: 2,
+  routine: 2
+};
+
+/**
+ * Work out how long a request should wait at its current level
+ * The remaining steps are spread over the time left before requiredBy, so
+ * every step can still run before the request expires.
+ * @param {Object} request - Request object
+ * @param {Date} now - Current time
+ * @returns {Number} - Wait in minutes
+ */
+const getStepIntervalMinutes = (request, now = new Date()) => {
+  const urgency = request.recipientDetails.urgencyLevel;
+  const steps = ESCALATION_RADIUS_KM[urgency] || [];
+  const level = request.escalation ? request.escalation.level || 0 : 0;
+  const stepsRemaining = Math.max(1, steps.length - level);
+  const minutesLeft = (new Date(request.requiredBy) - now) / (60 * 1000);
+
+  const interval = Math.min(STEP_INTERVAL_MINUTES[urgency], minutesLeft / (stepsRemaining + 1));
+  return Math.max(MIN_STEP_INTERVAL_MINUTES, interval);
+};
+
+/**
+ * Determine the next escalation step for a request, if one is due
+ * @param {Object} request - Request object
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { level, radiusKm, relax } or null if no step is due
+ */
+const getNextEscalation = (request, now = new Date()) => {
+  if (request.status !== 'searching' || new Date(request.requiredBy) <= now) {
+    return null;
+  }
+
+  const urgency = request.recipientDetails.urgencyLevel;
+  const steps = ESCALATION_RADIUS_KM[urgency] || [];
+  const level = request.escalation ? request.escalation.level || 0 : 0;
+  if (level >= steps.length) {
+    return null;
+  }
+
+  // Wait at the current level before widening again
+  const since = (request.escalation && request.escalation.lastEscalatedAt) || request.createdAt;
+  const waitedMinutes = (now - new Date(since)) / (60 * 1000);
+  if (waitedMinutes < getStepIntervalMinutes(request, now)) {
+    return null;
+  }
+
+  const nextLevel = level + 1;
+  const relax = [];
+  const ageRange = request.matchCriteria.preferredAgeRange;
+  if (nextLevel >= RELAX_CRITERIA_LEVEL[urgency] && ageRange && (ageRange.min != null || ageRange.max != null)) {
+    relax.push('preferredAgeRange');
+  }
+
+  return {
+    level: nextLevel,
+    radiusKm: Math.max(steps[nextLevel - 1], request.matchCriteria.maxDistanceKm),
+    relax
+  };
+};
+
+/**
+ * Apply an escalation step to a request and record it in the history
+ * @param {Object} request - Request document
+ * @param {Object} step - Step from getNextEscalation
+ * @param {Date} now - Current time
+ * @returns {Object} - The history entry that was recorded
+ */
+const applyEscalation = (request, step, now = new Date()) => {
+  if (!request.escalation || !request.escalation.level) {
+    const ageRange = request.matchCriteria.preferredAgeRange;
+    request.escalation = {
+      level: 0,
+      originalCriteria: {
+        maxDistanceKm: request.matchCriteria.maxDistanceKm,
+        preferredAgeRange: ageRange && (ageRange.min != null || ageRange.max != null)
+          ? { min: ageRange.min, max: ageRange.max }
+          : undefined
+      },
+      history: []
+    };
+  }
+
+  const entry = {
+    level: step.level,
+    fromRadiusKm: request.matchCriteria.maxDistanceKm,
+    toRadiusKm: step.radiusKm,
+    relaxed: step.relax,
+    reason: `No donors found within ${request.matchCriteria.maxDistanceKm} km`,
+    escalatedAt: now
+  };
+
+  request.matchCriteria.maxDistanceKm = step.radiusKm;
+  if (step.relax.includes('preferredAgeRange')) {
+    request.matchCriteria.preferredAgeRange = undefined;
+  }
+
+  request.escalation.level = step.level;
+  request.escalation.lastEscalatedAt = now;
+  request.escalation.history.push(entry);
+
+  return entry;
+};
+
+/**
+ * Escalate a request if its next step is due, then notify coordinators
+ * @param {String} requestId - Request ID
+ * @returns {Promise<Object|null>} - Recorded history entry, or null if nothing was due
+ */
+const escalateIfDue = async (requestId) => {
+  const request = await Request.findById(requestId);
+  if (!request) {
+    return null;
+  }
+
+  const step = getNextEscalation(request);
+  if (!step) {
+    return null;
+  }
+
+  // Requests with an offer cascade running are waiting on donors, not short of them
+  if (await OfferCascade.exists({ request: request._id, status: 'active' })) {
+    return null;
+  }
+
+  const entry = applyEscalation(request, step);
+  await request.save();
+
+  if (SocketManager.instance) {
+    SocketManager.instance.broadcastRequestEscalation(request, entry);
+  }
+
+  try {
+    const notified = await notifyRequestEscalation(request, entry);
+    const saved = request.escalation.history[request.escalation.history.length - 1];
+    saved.coordinatorsNotified = notified;
+    await request.save();
+  } catch (error) {
+    console.error('Error notifying coordinators about escalation:', error);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  ESCALATION_RADIUS_KM,
+  STEP_INTERVAL_MINUTES,
+  RELAX_CRITERIA_LEVEL,
+  getStepIntervalMinutes,
+  getNextEscalation,
+  applyEscalation,
+  escalateIfDue
+};
@@ -0,0 +1,411 @@
+/**
+ * Field Encryption Utility
+ *
+ * This file encrypts sensitive model fields at rest with AES-256-GCM:
+ * - The encryptedFields schema plugin encrypts every string under the configured
+ *   paths before a document is saved or updated, and decrypts them when it loads,
+ *   so application code only ever sees plain values
+ * - Stored values look like enc:v1:<keyId>:<iv>:<tag>:<ciphertext>, so values
+ *   written under an older key still decrypt after the active key is rotated
+ * - JSON responses leave the fields out unless revealEncryptedFields allowed the
+ *   caller to see them
+ * - Queries with .lean() skip decryption and return the stored ciphertext
+ * - A path like medicalHistory.recentEvents.$.notes encrypts one field of every
+ *   array item, so the item's other fields (e.g. enums) stay plain and validate
+ * - Loading a value that doesn't decrypt (unknown or wrong key) fails the query
+ *   instead of handing ciphertext to application code
+ *
+ * Keys are 32 random bytes in base64 (e.g. `openssl rand -base64 32`), read from:
+ * - FIELD_ENCRYPTION_KEY_FILE: JSON file { "activeKeyId": "k2", "keys": { "k1": "...", "k2": "..." } }
+ * - or FIELD_ENCRYPTION_KEYS: comma-separated keyId:key pairs, with FIELD_ENCRYPTION_ACTIVE_KEY
+ *   naming the key to encrypt with (defaults to the last pair)
+ * One of them is required: server.js checks the key ring on boot and exits if it
+ * doesn't load (see .env.example).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+// Roles that may read each model's encrypted fields, besides the record's owner
+const ENCRYPTED_FIELD_READERS = {
+  Donor: ['admin', 'coordinator'],
+  Request: ['admin', 'coordinator']
+};
+
+let keyring = null;
+
+/**
+ * Read the key ring from the key file or environment
+ * @returns {Object} - { activeKeyId, keys: Map of keyId -> Buffer }
+ */
+const loadKeyring = () => {
+  let activeKeyId;
+  let entries = [];
+
+  if (process.env.FIELD_ENCRYPTION_KEY_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.FIELD_ENCRYPTION_KEY_FILE, 'utf8'));
+    entries = Object.entries(file.keys || {});
+    activeKeyId = file.activeKeyId;
+  } else if (process.env.FIELD_ENCRYPTION_KEYS) {
+    entries = process.env.FIELD_ENCRYPTION_KEYS.split(',')
+      .map(pair => pair.trim().split(':'))
+      .filter(([id, key]) => id && key);
+    activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY;
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Field encryption keys are not configured (set FIELD_ENCRYPTION_KEY_FILE or FIELD_ENCRYPTION_KEYS)');
+  }
+
+  const keys = new Map();
+  for (const [id, encoded] of entries) {
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Field encryption key ${id} must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  activeKeyId = activeKeyId || entries[entries.length - 1][0];
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active field encryption key ${activeKeyId} is not in the key ring`);
+  }
+
+  return { activeKeyId, keys };
+};
+
+/**
+ * Get the key ring, loading it on first use
+ * @returns {Object} - { activeKeyId, keys }
+ */
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
+
+/**
+ * Reload keys after the key file or environment changed (before a rotation)
+ * @returns {Object} - { activeKeyId, keyIds }
+ */
+const reloadKeyring = () => {
+  keyring = loadKeyring();
+  return { activeKeyId: keyring.activeKeyId, keyIds: [...keyring.keys.keys()] };
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {Boolean} - Whether the value is an encrypted string
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Get the ID of the key a value was encrypted with
+ * @param {String} value - Encrypted value
+ * @returns {String} - Key ID
+ */
+const getKeyId = (value) => value.slice(PREFIX.length).split(':')[0];
+
+/**
+ * Encrypt a string with the active key
+ * @param {String} value - Plain value
+ * @returns {String} - Encrypted value (already encrypted values are returned unchanged)
+ */
+const encryptValue = (value) => {
+  if (typeof value !== 'string' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { activeKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return `${PREFIX}${activeKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+};
+
+/**
+ * Decrypt a value with the key it names
+ * @param {String} value - Encrypted value
+ * @returns {String} - Plain value (plain values are returned unchanged)
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key ${keyId} is not in the key ring`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Apply a function to every string inside a value
+ * Dates, ObjectIds and other non-plain objects are left alone.
+ * @param {*} value - Value to walk
+ * @param {Function} fn - Applied to each string
+ * @returns {*} - Copy of the value with strings replaced
+ */
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = key === '_id' ? item : mapStrings(item, fn);
+    }
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Apply a function to the value at a dotted path inside an object, if present
+ * A $ segment stands for every item of an array; applied to a single item (or a
+ * { $each } list being pushed) it stands for that item.
+ * @param {Object} target - Object to change
+ * @param {String} path - Dotted path
+ * @param {Function} fn - Applied to the value
+ */
+const mapAtPath = (target, path, fn) => {
+  if (!target || typeof target !== 'object') {
+    return;
+  }
+  const [part, ...rest] = path.split('.');
+
+  if (part === '$') {
+    const items = Array.isArray(target) ? target : (Array.isArray(target.$each) ? target.$each : [target]);
+    items.forEach((item, index) => {
+      if (rest.length > 0) {
+        mapAtPath(item, rest.join('.'), fn);
+      } else {
+        items[index] = fn(item);
+      }
+    });
+    return;
+  }
+
+  if (rest.length > 0) {
+    mapAtPath(target[part], rest.join('.'), fn);
+  } else if (target[part] !== undefined) {
+    target[part] = fn(target[part]);
+  }
+};
+
+/**
+ * Remove the value at a dotted path inside an object
+ * @param {Object} target - Object to change
+ * @param {String} path - Dotted path
+ */
+const removeAtPath = (target, path) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), target);
+  if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+};
+
+/**
+ * Schema plugin that encrypts the given paths at rest
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { paths: dotted paths whose strings are encrypted, hidden: paths left out of JSON unless revealed }
+ */
+const encryptedFields = (schema, options) => {
+  const { paths } = options;
+  const hidden = options.hidden || paths;
+
+  // Replace each configured path's strings in place on a document
+  const transformDocument = (doc, fn) => {
+    for (const path of paths) {
+      const [arrayPath, itemPath] = path.split('.$.');
+      if (itemPath) {
+        for (const item of doc.get(arrayPath) || []) {
+          const value = item.get(itemPath);
+          if (value !== undefined && value !== null) {
+            item.set(itemPath, mapStrings(value, fn));
+          }
+        }
+        continue;
+      }
+
+      const value = doc.get(path);
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+      doc.set(path, mapStrings(plain, fn));
+    }
+  };
+
+  // Decrypt after loading or saving, noting which keys the stored values used.
+  // Throws when a value doesn't decrypt, so a wrong or missing key fails the query
+  // rather than passing ciphertext off as the plain value
+  const decryptDocument = (doc, unmark) => {
+    const keyIds = new Set();
+    try {
+      transformDocument(doc, value => {
+        keyIds.add(isEncrypted(value) ? getKeyId(value) : null);
+        return decryptValue(value);
+      });
+    } catch (error) {
+      throw new Error(`Error decrypting ${doc.constructor.modelName} ${doc._id}: ${error.message}`);
+    }
+    doc.$locals.encryptionKeyIds = keyIds;
+    if (!unmark) {
+      return;
+    }
+    // Decrypting isn't a change to save
+    for (const path of paths) {
+      const [arrayPath, itemPath] = path.split('.$.');
+      if (itemPath) {
+        (doc.get(arrayPath) || []).forEach((item, index) => {
+          item.unmarkModified(itemPath);
+          doc.unmarkModified(`${arrayPath}.${index}.${itemPath}`);
+        });
+      } else {
+        doc.unmarkModified(path);
+      }
+    }
+  };
+
+  schema.pre('save', function (next) {
+    try {
+      transformDocument(this, encryptValue);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Keep the in-memory document readable after it was written
+  schema.post('save', function (doc) {
+    decryptDocument(doc, true);
+  });
+
+  schema.post('init', function (doc) {
+    decryptDocument(doc, true);
+  });
+
+  // Updates that bypass save: encrypt the configured paths wherever they appear in the update
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) {
+      return;
+    }
+
+    for (const target of [update, update.$set, update.$push, update.$addToSet]) {
+      if (!target || typeof target !== 'object') {
+        continue;
+      }
+      for (const key of Object.keys(target)) {
+        // Positional segments (medicalHistory.medications.0, recentEvents.$) are compared as $
+        const normalizedKey = key.replace(/\.(\$|\d+)(?=\.|$)/g, '.$');
+        if (paths.some(path => normalizedKey === path || normalizedKey.startsWith(`${path}.`))) {
+          // $each lists, positional paths and whole paths are encrypted outright
+          target[key] = mapStrings(target[key], encryptValue);
+        } else {
+          // A parent object (e.g. recipientDetails) or array item is encrypted only at the configured paths below it
+          paths
+            .filter(path => path.startsWith(`${normalizedKey}.`))
+            .forEach(path => mapAtPath(target[key], path.slice(normalizedKey.length + 1), value => mapStrings(value, encryptValue)));
+        }
+      }
+    }
+  });
+
+  // Leave the fields out of JSON unless revealEncryptedFields allowed this caller
+  const previousToJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...previousToJSON,
+    transform(doc, ret, transformOptions) {
+      const result = previousToJSON.transform ? previousToJSON.transform(doc, ret, transformOptions) : ret;
+      if (!doc.$isSubdocument && !(doc.$locals && doc.$locals.revealEncrypted)) {
+        hidden.forEach(path => removeAtPath(result, path));
+      }
+      return result;
+    }
+  });
+};
+
+/**
+ * Let a caller see a document's encrypted fields in JSON responses
+ * @param {Object|Array} docs - Document(s), e.g. Donor or Request
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {Boolean|Function} isOwner - Whether the user owns the record, or a function deciding per document
+ * @returns {Object|Array} - The same document(s)
+ */
+const revealEncryptedFields = (docs, user, isOwner = false) => {
+  const reveal = (doc) => {
+    if (!doc || !doc.$locals) {
+      return;
+    }
+    const readers = ENCRYPTED_FIELD_READERS[doc.constructor.modelName] || [];
+    const owner = typeof isOwner === 'function' ? isOwner(doc) : isOwner;
+    if (owner || readers.includes(user.role)) {
+      doc.$locals.revealEncrypted = true;
+    }
+  };
+
+  (Array.isArray(docs) ? docs : [docs]).forEach(reveal);
+  return docs;
+};
+
+/**
+ * Re-encrypt every document of a model still holding plain values or values under an old key
+ * Stops with an error at the first document that doesn't decrypt with the loaded key ring.
+ * @param {Object} Model - Mongoose model using the encryptedFields plugin
+ * @returns {Promise<Object>} - { checked, reencrypted, failed }
+ */
+const reencryptModel = async (Model) => {
+  const { activeKeyId } = getKeyring();
+  const stats = { checked: 0, reencrypted: 0, failed: 0 };
+
+  const cursor = Model.find().cursor();
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    stats.checked++;
+
+    const keyIds = doc.$locals.encryptionKeyIds || new Set();
+    if ([...keyIds].every(keyId => keyId === activeKeyId)) {
+      continue;
+    }
+
+    try {
+      // Saving encrypts every configured path with the active key
+      await doc.save({ validateBeforeSave: false });
+      stats.reencrypted++;
+    } catch (error) {
+      console.error(`Error re-encrypting ${Model.modelName} ${doc._id}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  ENCRYPTED_FIELD_READERS,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  reloadKeyring,
+  encryptedFields,
+  revealEncryptedFields,
+  reencryptModel
+};
@@ -0,0 +1,185 @@
+/**
+ * Fulfillment Utility
+ *
+ * This file tracks how much of a request its matches cover:
+ * - Units secured by confirmed matches (and those already in transit or delivered)
+ * - Units still proposed and awaiting the donor
+ * - Units outstanding, which keep the request in the matching queue
+ * - What follows a match status change, whether it came over REST or the
+ *   socket: recounting, releasing the donors still being asked once every unit
+ *   is secured, and moving an offer cascade on
+ *
+ * Organ requests always need exactly one unit.
+ */
+
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { applyRequestTransition } = require('./requestStateMachine');
+const { applyMatchTransition, SYSTEM_ROLE } = require('./matchStateMachine');
+
+// Match statuses whose units count towards the requested quantity
+const SECURED_MATCH_STATUSES = ['confirmed', 'in_transit', 'delivered', 'transplanted'];
+
+// Match statuses still waiting on the donor
+const PENDING_MATCH_STATUSES = ['proposed', 'pending_confirmation'];
+
+// Request statuses the matcher moves between as units are covered or lost
+const MATCHING_REQUEST_STATUSES = ['pending', 'searching', 'matched'];
+
+/**
+ * Get the number of units a request needs
+ * @param {Object} request - Request object
+ * @returns {Number} - Units requested
+ */
+const getUnitsRequested = (request) => {
+  if (request.requestType === 'blood') {
+    return request.bloodQuantity || 1;
+  }
+  return 1;
+};
+
+/**
+ * Summarize how far a set of matches goes towards a request's quantity
+ * @param {Object} request - Request object
+ * @param {Array} matches - Matches for the request
+ * @returns {Object} - Units requested, secured, delivered, pending and outstanding
+ */
+const summarizeFulfillment = (request, matches) => {
+  const unitsRequested = getUnitsRequested(request);
+  const unitsFor = statuses => matches
+    .filter(match => statuses.includes(match.status))
+    .reduce((sum, match) => sum + (match.unitsCovered || 1), 0);
+
+  const unitsSecured = unitsFor(SECURED_MATCH_STATUSES);
+  const unitsPending = unitsFor(PENDING_MATCH_STATUSES);
+  const unitsOutstanding = Math.max(0, unitsRequested - unitsSecured);
+
+  return {
+    unitsRequested,
+    unitsSecured,
+    unitsDelivered: unitsFor(['delivered', 'transplanted']),
+    unitsPending,
+    unitsOutstanding,
+    // Outstanding units that no open proposal covers yet
+    unitsUncovered: Math.max(0, unitsOutstanding - unitsPending),
+    percentSecured: Math.min(100, Math.round((unitsSecured / unitsRequested) * 100)),
+    isFulfilled: unitsOutstanding === 0
+  };
+};
+
+/**
+ * Get the fulfillment summary for a request from its current matches
+ * @param {Object} request - Request object
+ * @returns {Promise<Object>} - Fulfillment summary
+ */
+const getFulfillment = async (request) => {
+  const matches = await Match.find({ request: request._id }).select('status unitsCovered');
+  return summarizeFulfillment(request, matches);
+};
+
+/**
+ * Recompute a request's fulfillment and move it between searching and matched
+ * A request stays searching until its open and secured matches cover every unit.
+ * @param {String} requestId - Request ID
+ * @returns {Promise<Object|null>} - Fulfillment summary, or null if the request doesn't exist
+ */
+const syncRequestFulfillment = async (requestId) => {
+  const request = await Request.findById(requestId);
+  if (!request) {
+    return null;
+  }
+
+  const summary = await getFulfillment(request);
+
+  request.fulfillment = {
+    unitsSecured: summary.unitsSecured,
+    unitsPending: summary.unitsPending,
+    unitsDelivered: summary.unitsDelivered,
+    updatedAt: new Date()
+  };
+
+  // Leave requests a hospital or coordinator has moved on (in progress, closed) alone
+  if (MATCHING_REQUEST_STATUSES.includes(request.status)) {
+    let nextStatus = request.status;
+    if (summary.unitsUncovered > 0) {
+      nextStatus = 'searching';
+    } else if (summary.unitsPending > 0 || summary.unitsSecured > 0) {
+      nextStatus = 'matched';
+    }
+    if (nextStatus !== request.status) {
+      await applyRequestTransition(request, nextStatus, { role: SYSTEM_ROLE, notes: 'Fulfillment recounted' });
+    }
+  }
+
+  await request.save();
+
+  return summary;
+};
+
+/**
+ * Apply the side effects of a match's status change
+ * Errors are logged rather than thrown, since the status change itself is already saved.
+ * @param {Object} match - Match whose status just changed
+ * @returns {Promise<Object|null>} - Fulfillment summary after the change, or null
+ */
+const handleMatchStatusChange = async (match) => {
+  // Loaded here to avoid require cycles
+  const SocketManager = require('../websocket/socketManager');
+  const { handleOfferResponse } = require('./offerCascade');
+  const io = SocketManager.instance ? SocketManager.instance.io : null;
+
+  try {
+    // Recount units; the request stays searching while any are uncovered
+    let fulfillment = await syncRequestFulfillment(match.request);
+
+    if (match.status === 'confirmed' && fulfillment && fulfillment.isFulfilled) {
+      // Every unit is secured, so release the donors still being asked
+      const otherMatches = await Match.find({
+        request: match.request,
+        _id: { $ne: match._id },
+        status: { $in: PENDING_MATCH_STATUSES }
+      });
+
+      for (const otherMatch of otherMatches) {
+        await applyMatchTransition(otherMatch, 'rejected', {
+          role: SYSTEM_ROLE,
+          reason: 'Another match was confirmed'
+        });
+        await otherMatch.save();
+
+        if (io) {
+          io.to(`match:${otherMatch._id}`).emit('match:updated', otherMatch);
+        }
+      }
+
+      if (otherMatches.length > 0) {
+        fulfillment = await syncRequestFulfillment(match.request);
+      }
+    }
+
+    // Offer the request to the next donor if this was a cascade offer
+    await handleOfferResponse(match);
+
+    if (fulfillment && io) {
+      io.to(`request:${match.request}`).emit('request:fulfillmentUpdated', {
+        requestId: match.request,
+        ...fulfillment
+      });
+    }
+
+    return fulfillment;
+  } catch (err) {
+    console.error('Error handling match side effects:', err);
+    return null;
+  }
+};
+
+module.exports = {
+  SECURED_MATCH_STATUSES,
+  PENDING_MATCH_STATUSES,
+  getUnitsRequested,
+  summarizeFulfillment,
+  getFulfillment,
+  syncRequestFulfillment,
+  handleMatchStatusChange
+};
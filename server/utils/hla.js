@@ -0,0 +1,272 @@
+/**
+ * HLA Tissue Typing Utility
+ *
+ * This file contains helpers for working with HLA (human leukocyte antigen)
+ * typings used in organ matching:
+ * - Parsing the common HLA string notations into a structured typing
+ * - Counting donor/recipient antigen mismatches per locus
+ * - Converting mismatches into a 0-100 tissue match percentage
+ */
+
+// Loci captured on donor and recipient typings
+const HLA_LOCI = ['A', 'B', 'C', 'DR', 'DQ'];
+
+// Loci used for the standard 0-6 antigen mismatch count
+const MISMATCH_LOCI = ['A', 'B', 'DR'];
+
+// Alternative locus names found in lab reports
+const LOCUS_ALIASES = {
+  A: 'A',
+  B: 'B',
+  C: 'C',
+  CW: 'C',
+  DR: 'DR',
+  DRB1: 'DR',
+  DQ: 'DQ',
+  DQB1: 'DQ'
+};
+
+// Matches "A*02:01", "DRB1*15:01:01", "A2", "Cw7", "DR15", "DQ6"
+const ANTIGEN_PATTERN = /^(DRB1|DQB1|DR|DQ|CW|A|B|C)\*?(\d{1,3})(?::\d{2,3})*[A-Z]?$/;
+
+// Matches grouped notation such as "A: 2, 24" or "DR=15,4"
+const GROUPED_PATTERN = /^(DRB1|DQB1|DPB1|DR|DQ|DP|CW|A|B|C)\s*[:=]\s*(.+)$/;
+
+// Position just before a locus label such as "B:" or "DR =", where a new group starts
+const LOCUS_LABEL_PATTERN = /(?=\b(?:DRB1|DQB1|DPB1|DR|DQ|DP|CW|A|B|C)\s*[:=])/;
+
+// DR51/DR52/DR53 are DRB3/4/5 markers, not DRB1 antigens
+const IGNORED_ANTIGENS = ['DR51', 'DR52', 'DR53'];
+
+/**
+ * Create an empty HLA typing
+ * @returns {Object} - Typing object with an empty antigen list per locus
+ */
+const emptyTyping = () => HLA_LOCI.reduce((typing, locus) => {
+  typing[locus] = [];
+  return typing;
+}, {});
+
+/**
+ * Add an antigen to a typing, ignoring anything past two antigens per locus
+ * @param {Object} typing - Typing being built
+ * @param {String} locus - Canonical locus name
+ * @param {String} value - Antigen number (e.g. '2' for A2)
+ */
+const addAntigen = (typing, locus, value) => {
+  const antigen = String(parseInt(value, 10));
+  if (antigen === 'NaN' || typing[locus].length >= 2) {
+    return;
+  }
+  typing[locus].push(antigen);
+};
+
+/**
+ * Parse an HLA typing string into a structured typing
+ *
+ * Supported notations (tokens may be separated by spaces, commas or semicolons):
+ * - Molecular: "A*02:01 A*24:02 B*07:02 B*08:01 DRB1*15:01 DRB1*04:01"
+ * - Serological: "HLA-A2, A24, B7, B8, Cw7, DR15, DR4, DQ6"
+ * - Grouped by locus: "A: 2, 24; B: 7, 8; DR: 15, 4" (the separators between
+ *   groups are optional, e.g. "A: 2, 24 B: 7, 8"); DP groups are skipped
+ *
+ * Molecular alleles are reduced to their first field (allele group), which is
+ * the antigen level used for mismatch counting.
+ * @param {String} value - HLA typing string
+ * @returns {Object|null} - Typing keyed by locus, or null if nothing could be parsed
+ */
+const parseHlaString = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const typing = emptyTyping();
+  let parsedAny = false;
+
+  // Every locus label starts a new group, whether or not ';' or '|' separates it from the last
+  const segments = value.toUpperCase().replace(/HLA-/g, '')
+    .split(/[;|\n]/)
+    .flatMap(segment => segment.split(LOCUS_LABEL_PATTERN));
+
+  for (const rawSegment of segments) {
+    const segment = rawSegment.trim();
+    if (!segment) continue;
+
+    const grouped = segment.match(GROUPED_PATTERN);
+    if (grouped && !segment.includes('*')) {
+      const locus = LOCUS_ALIASES[grouped[1]];
+      if (!locus) continue;
+      grouped[2].split(/[\s,/]+/).filter(Boolean).forEach(antigen => {
+        // Bare numbers belong to the group's locus; labelled antigens (e.g. "B7") to their own
+        const match = antigen.match(ANTIGEN_PATTERN);
+        if (/^\d/.test(antigen)) {
+          addAntigen(typing, locus, antigen);
+          parsedAny = true;
+        } else if (match && !IGNORED_ANTIGENS.includes(antigen)) {
+          addAntigen(typing, LOCUS_ALIASES[match[1]], match[2]);
+          parsedAny = true;
+        }
+      });
+      continue;
+    }
+
+    for (const token of segment.split(/[\s,]+/).filter(Boolean)) {
+      const match = token.match(ANTIGEN_PATTERN);
+      if (!match || IGNORED_ANTIGENS.includes(token)) continue;
+      addAntigen(typing, LOCUS_ALIASES[match[1]], match[2]);
+      parsedAny = true;
+    }
+  }
+
+  return parsedAny ? typing : null;
+};
+
+/**
+ * Normalize a typing given either as a string or as a structured object
+ * @param {String|Object} value - HLA typing string or object keyed by locus
+ * @returns {Object|null} - Structured typing, or null if no antigens are present
+ */
+const normalizeTyping = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return parseHlaString(value);
+  }
+
+  const typing = emptyTyping();
+  let hasAntigens = false;
+
+  for (const locus of HLA_LOCI) {
+    const antigens = value[locus] || [];
+    antigens.forEach(antigen => {
+      // Accept "2", "A2", "A*02:01" or "DRB1*15:01" inside a locus list
+      const token = String(antigen).trim().toUpperCase();
+      const labelled = token.match(ANTIGEN_PATTERN);
+      const number = labelled ? labelled[2] : (token.match(/\d{1,3}/) || [])[0];
+      if (number) {
+        addAntigen(typing, locus, number);
+        hasAntigens = true;
+      }
+    });
+  }
+
+  return hasAntigens ? typing : null;
+};
+
+/**
+ * Format a structured typing as a serological string (e.g. "A2 A24 B7 B8 DR15 DR4")
+ * @param {Object} typing - Structured typing
+ * @returns {String} - Serological notation
+ */
+const formatTyping = (typing) => {
+  if (!typing) {
+    return '';
+  }
+  return HLA_LOCI
+    .flatMap(locus => (typing[locus] || []).map(antigen => `${locus}${antigen}`))
+    .join(' ');
+};
+
+/**
+ * Count donor antigens not present in the recipient for each typed locus
+ *
+ * A locus typed with a single antigen is treated as homozygous, so it can
+ * contribute at most one mismatch. Loci missing from either typing are skipped.
+ * @param {String|Object} donorTyping - Donor HLA typing
+ * @param {String|Object} recipientTyping - Recipient HLA typing
+ * @returns {Object|null} - { total, maxPossible, byLocus }, or null if either typing is missing
+ */
+const countHlaMismatches = (donorTyping, recipientTyping) => {
+  const donor = normalizeTyping(donorTyping);
+  const recipient = normalizeTyping(recipientTyping);
+  if (!donor || !recipient) {
+    return null;
+  }
+
+  const byLocus = {};
+  let total = 0;
+  let maxPossible = 0;
+
+  for (const locus of HLA_LOCI) {
+    if (!donor[locus].length || !recipient[locus].length) continue;
+
+    const donorAntigens = [...new Set(donor[locus])];
+    const mismatches = donorAntigens.filter(antigen => !recipient[locus].includes(antigen)).length;
+    byLocus[locus] = mismatches;
+
+    if (MISMATCH_LOCI.includes(locus)) {
+      total += mismatches;
+      maxPossible += 2;
+    }
+  }
+
+  if (maxPossible === 0) {
+    return null;
+  }
+
+  return { total, maxPossible, byLocus };
+};
+
+/**
+ * Parse a list of antigens such as a recipient's unacceptable antigens
+ * Unlike a typing, the list is not limited to two antigens per locus.
+ * @param {String|Array} value - Antigens as a string ("A2, B44, DR4") or array
+ * @returns {Array} - Unique antigens in serological notation (e.g. ['A2', 'B44', 'DR4'])
+ */
+const parseAntigenList = (value) => {
+  const tokens = Array.isArray(value)
+    ? value.map(String)
+    : String(value || '').split(/[\s,;|]+/);
+  const antigens = new Set();
+
+  for (const rawToken of tokens) {
+    const token = rawToken.trim().toUpperCase().replace(/^HLA-/, '');
+    const match = token.match(ANTIGEN_PATTERN);
+    if (!match || IGNORED_ANTIGENS.includes(token)) continue;
+    antigens.add(`${LOCUS_ALIASES[match[1]]}${parseInt(match[2], 10)}`);
+  }
+
+  return [...antigens];
+};
+
+/**
+ * Find donor antigens the recipient has antibodies against (virtual crossmatch)
+ * @param {String|Object} donorTyping - Donor HLA typing
+ * @param {String|Array} unacceptableAntigens - Recipient's unacceptable antigens
+ * @returns {Array|null} - Conflicting antigens, or null if the donor is untyped
+ */
+const findUnacceptableAntigens = (donorTyping, unacceptableAntigens) => {
+  const donor = normalizeTyping(donorTyping);
+  if (!donor) {
+    return null;
+  }
+
+  const unacceptable = parseAntigenList(unacceptableAntigens);
+  const donorAntigens = HLA_LOCI.flatMap(locus => donor[locus].map(antigen => `${locus}${antigen}`));
+  return [...new Set(donorAntigens)].filter(antigen => unacceptable.includes(antigen));
+};
+
+/**
+ * Convert a mismatch count into a tissue match percentage (0 mismatches = 100)
+ * @param {Object} mismatches - Result of countHlaMismatches
+ * @returns {Number|null} - Tissue match percentage, or null if unavailable
+ */
+const tissueMatchPercentage = (mismatches) => {
+  if (!mismatches || !mismatches.maxPossible) {
+    return null;
+  }
+  return Math.round((1 - mismatches.total / mismatches.maxPossible) * 100);
+};
+
+module.exports = {
+  HLA_LOCI,
+  MISMATCH_LOCI,
+  parseHlaString,
+  normalizeTyping,
+  formatTyping,
+  parseAntigenList,
+  findUnacceptableAntigens,
+  countHlaMismatches,
+  tissueMatchPercentage
+};
@@ -0,0 +1,298 @@
+/**
+ * Hospital Membership Utility
+ *
+ * This file resolves which hospital a user works for and what they may do there:
+ * - Each hospital is an organization with staff memberships; every staff role
+ *   grants a set of permissions (administrators hold all of them)
+ * - The account that created the hospital is its owner and always stays an
+ *   administrator. Hospitals created before memberships existed get the owner's
+ *   membership the first time it's looked up
+ * - Administrators invite staff by email. The invitation token is only sent in
+ *   the email; it's stored as a hash and can be used once
+ *
+ * HOSPITAL_INVITATION_TTL_DAYS sets how long an invitation stays valid (default 7).
+ */
+
+const crypto = require('crypto');
+const Hospital = require('../models/Hospital');
+const HospitalMembership = require('../models/HospitalMembership');
+const HospitalInvitation = require('../models/HospitalInvitation');
+
+const STAFF_ROLES = ['administrator', 'transplant_coordinator', 'blood_bank_tech', 'surgeon', 'read_only'];
+
+const HOSPITAL_PERMISSIONS = {
+  // Invite, re-role and remove staff
+  MANAGE_STAFF: 'manage_staff',
+  // Edit the hospital profile and submit license documents
+  MANAGE_PROFILE: 'manage_profile',
+  UPDATE_CAPACITY: 'update_capacity',
+  // Create, edit and change the status of requests
+  MANAGE_REQUESTS: 'manage_requests',
+  // Run matching, confirm matches, move them through their statuses and run cascades and exchanges
+  MANAGE_MATCHES: 'manage_matches',
+  RECORD_DONATIONS: 'record_donations',
+  RECORD_OUTCOMES: 'record_outcomes'
+};
+
+// Permissions held by each staff role; every member can view their hospital's data
+const STAFF_PERMISSIONS = {
+  administrator: Object.values(HOSPITAL_PERMISSIONS),
+  transplant_coordinator: [
+    HOSPITAL_PERMISSIONS.UPDATE_CAPACITY,
+    HOSPITAL_PERMISSIONS.MANAGE_REQUESTS,
+    HOSPITAL_PERMISSIONS.MANAGE_MATCHES,
+    HOSPITAL_PERMISSIONS.RECORD_OUTCOMES
+  ],
+  blood_bank_tech: [
+    HOSPITAL_PERMISSIONS.UPDATE_CAPACITY,
+    HOSPITAL_PERMISSIONS.MANAGE_REQUESTS,
+    HOSPITAL_PERMISSIONS.RECORD_DONATIONS
+  ],
+  surgeon: [
+    HOSPITAL_PERMISSIONS.MANAGE_MATCHES,
+    HOSPITAL_PERMISSIONS.RECORD_OUTCOMES
+  ],
+  read_only: []
+};
+
+const INVITATION_TTL_DAYS = parseInt(process.env.HOSPITAL_INVITATION_TTL_DAYS) || 7;
+
+/**
+ * Error raised when a membership or invitation change isn't allowed, carrying the HTTP status to respond with
+ */
+class MembershipError extends Error {
+  /**
+   * @param {String} message - Explanation for the caller
+   * @param {Number} status - HTTP status code
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MembershipError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash an invitation token for storage
+ * @param {String} token - Invitation token
+ * @returns {String} - Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check whether a membership grants a permission
+ * @param {Object} membership - HospitalMembership object
+ * @param {String} permission - One of HOSPITAL_PERMISSIONS (omit to only require membership)
+ * @returns {Boolean} - Whether the permission is granted
+ */
+const hasHospitalPermission = (membership, permission) => {
+  if (!membership) {
+    return false;
+  }
+  return !permission || (STAFF_PERMISSIONS[membership.staffRole] || []).includes(permission);
+};
+
+/**
+ * Make a hospital's owner an administrator of it
+ * @param {Object} hospital - Hospital object
+ * @returns {Promise<Object>} - The owner's active membership
+ */
+const addOwnerMembership = async (hospital) => {
+  return HospitalMembership.findOneAndUpdate(
+    { user: hospital.user, status: 'active' },
+    { $setOnInsert: { hospital: hospital._id, staffRole: 'administrator', joinedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get a user's active hospital membership
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - Membership with its hospital populated, or null
+ */
+const getHospitalMembership = async (userId) => {
+  let membership = await HospitalMembership.findOne({ user: userId, status: 'active' }).populate('hospital');
+
+  if (!membership) {
+    // Owner of a hospital created before memberships existed
+    const hospital = await Hospital.findOne({ user: userId });
+    if (!hospital) {
+      return null;
+    }
+    membership = await addOwnerMembership(hospital);
+    membership.hospital = hospital;
+  }
+
+  return membership.hospital ? membership : null;
+};
+
+/**
+ * Get the hospital a user works for
+ * @param {String} userId - User ID
+ * @param {String} permission - Permission the user must hold there (optional)
+ * @returns {Promise<Object|null>} - Hospital, or null if the user has no hospital or lacks the permission
+ */
+const getUserHospital = async (userId, permission) => {
+  const membership = await getHospitalMembership(userId);
+  return hasHospitalPermission(membership, permission) ? membership.hospital : null;
+};
+
+/**
+ * Check whether a user may act on a hospital: admins always, hospital staff with the permission
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {String} hospitalId - Hospital ID
+ * @param {String} permission - One of HOSPITAL_PERMISSIONS (omit to allow any member)
+ * @returns {Promise<Boolean>} - Whether the user may act
+ */
+const canAccessHospital = async (user, hospitalId, permission) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (user.role !== 'hospital') {
+    return false;
+  }
+  const hospital = await getUserHospital(user.id, permission);
+  return Boolean(hospital && hospital._id.toString() === hospitalId.toString());
+};
+
+/**
+ * Invite someone to a hospital's staff
+ * Replaces any pending invitation for the same email.
+ * @param {Object} hospital - Hospital object
+ * @param {Object} details - { email, staffRole }
+ * @param {Object} invitedBy - Authenticated user
+ * @returns {Promise<Object>} - { invitation, token } where token goes in the invitation email
+ */
+const createInvitation = async (hospital, { email, staffRole }, invitedBy) => {
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const members = await HospitalMembership.find({ hospital: hospital._id, status: 'active' }).populate('user', 'email');
+  if (members.some(member => member.user && member.user.email.toLowerCase() === normalizedEmail)) {
+    throw new MembershipError('This person is already on the hospital staff', 409);
+  }
+
+  await HospitalInvitation.updateMany(
+    { hospital: hospital._id, email: normalizedEmail, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await HospitalInvitation.create({
+    hospital: hospital._id,
+    email: normalizedEmail,
+    staffRole,
+    tokenHash: hashToken(token),
+    invitedBy: invitedBy.id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Accept an invitation, adding the user to the hospital's staff
+ * @param {String} token - Invitation token from the email
+ * @param {Object} user - User object accepting it
+ * @returns {Promise<Object>} - New membership
+ */
+const acceptInvitation = async (token, user) => {
+  const invitation = await HospitalInvitation.findOne({ tokenHash: hashToken(token) });
+  if (!invitation || invitation.status !== 'pending') {
+    throw new MembershipError('Invitation is not valid', 404);
+  }
+  if (invitation.expiresAt <= new Date()) {
+    throw new MembershipError('Invitation has expired', 410);
+  }
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new MembershipError('Invitation was sent to a different email address', 403);
+  }
+  if (user.role !== 'hospital') {
+    throw new MembershipError('Only hospital accounts can join a hospital staff', 403);
+  }
+  if (await getHospitalMembership(user._id)) {
+    throw new MembershipError('You already belong to a hospital', 409);
+  }
+
+  // Claim the invitation in one update so it can only be used once
+  const claimed = await HospitalInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new MembershipError('Invitation is not valid', 404);
+  }
+
+  try {
+    return await HospitalMembership.create({
+      hospital: invitation.hospital,
+      user: user._id,
+      staffRole: invitation.staffRole,
+      invitedBy: invitation.invitedBy
+    });
+  } catch (err) {
+    await HospitalInvitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: 'pending' }, $unset: { acceptedBy: '', acceptedAt: '' } }
+    );
+    if (err.code === 11000) {
+      throw new MembershipError('You already belong to a hospital', 409);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Make sure a membership change doesn't touch the hospital's owner
+ * @param {Object} hospital - Hospital object
+ * @param {Object} membership - Membership being changed
+ */
+const assertNotOwner = (hospital, membership) => {
+  if (hospital.user.toString() === membership.user.toString()) {
+    throw new MembershipError('The hospital owner must stay an administrator', 400);
+  }
+};
+
+/**
+ * Change a staff member's role
+ * @param {Object} hospital - Hospital object
+ * @param {Object} membership - Active membership in the hospital
+ * @param {String} staffRole - New staff role
+ * @returns {Promise<Object>} - Updated membership
+ */
+const changeStaffRole = async (hospital, membership, staffRole) => {
+  assertNotOwner(hospital, membership);
+  membership.staffRole = staffRole;
+  return membership.save();
+};
+
+/**
+ * Remove a staff member from a hospital
+ * @param {Object} hospital - Hospital object
+ * @param {Object} membership - Active membership in the hospital
+ * @param {Object} removedBy - Authenticated user
+ * @returns {Promise<Object>} - Updated membership
+ */
+const removeStaffMember = async (hospital, membership, removedBy) => {
+  assertNotOwner(hospital, membership);
+  membership.status = 'removed';
+  membership.removedBy = removedBy.id;
+  membership.removedAt = new Date();
+  return membership.save();
+};
+
+module.exports = {
+  STAFF_ROLES,
+  HOSPITAL_PERMISSIONS,
+  STAFF_PERMISSIONS,
+  MembershipError,
+  hasHospitalPermission,
+  addOwnerMembership,
+  getHospitalMembership,
+  getUserHospital,
+  canAccessHospital,
+  createInvitation,
+  acceptInvitation,
+  changeStaffRole,
+  removeStaffMember
+};
@@ -0,0 +1,153 @@
+/**
+ * Hospital Verification Utility
+ *
+ * This file holds the hospital license verification workflow:
+ * - Hospitals start pending and upload license documents
+ * - Admins approve or reject them, with a reason; a rejected hospital can upload
+ *   new documents, which puts it back in the review queue
+ * - Only approved hospitals can reach donor and match data or create and change
+ *   requests, and only their requests are matched against donors
+ * - Hospitals that existed before verification was introduced are moved to
+ *   pending by a one-off migration (npm run migrate:hospital-verification), so
+ *   they join the review queue like new ones
+ *
+ * Documents are stored on disk in HOSPITAL_DOCUMENTS_DIR (default uploads/hospital-licenses).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Hospital = require('../models/Hospital');
+
+const DOCUMENTS_DIR = process.env.HOSPITAL_DOCUMENTS_DIR || path.join(__dirname, '..', 'uploads', 'hospital-licenses');
+
+// Accepted license document types and the extension they're stored with
+const DOCUMENT_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+const MAX_DOCUMENTS_PER_UPLOAD = 5;
+
+/**
+ * Check whether a hospital may use donor and match endpoints
+ * @param {Object} hospital - Hospital object
+ * @returns {Boolean} - Whether the hospital is approved
+ */
+const isHospitalVerified = (hospital) => Boolean(hospital && hospital.verification && hospital.verification.status === 'approved');
+
+/**
+ * Get the path of a stored license document
+ * @param {Object} document - Entry of hospital.verification.documents
+ * @returns {String} - Absolute file path
+ */
+const getDocumentPath = (document) => path.join(DOCUMENTS_DIR, path.basename(document.fileName));
+
+/**
+ * Make sure the document directory exists
+ * @returns {String} - Document directory
+ */
+const ensureDocumentsDir = () => {
+  fs.mkdirSync(DOCUMENTS_DIR, { recursive: true });
+  return DOCUMENTS_DIR;
+};
+
+/**
+ * Delete uploaded files that weren't attached to a hospital
+ * @param {Array} files - Files saved by the upload middleware
+ */
+const discardUploadedFiles = async (files = []) => {
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(err => {
+    console.error(`Failed to remove uploaded file ${file.path}:`, err);
+  })));
+};
+
+/**
+ * Attach uploaded license documents to a hospital
+ * A rejected hospital goes back to pending so its new documents are reviewed.
+ * @param {Object} hospital - Hospital object (not saved)
+ * @param {Array} files - Files saved by the upload middleware
+ * @param {Object} user - User who uploaded them
+ */
+const addLicenseDocuments = (hospital, files, user) => {
+  const now = new Date();
+
+  files.forEach(file => {
+    hospital.verification.documents.push({
+      originalName: file.originalname,
+      fileName: file.filename,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: user.id,
+      uploadedAt: now
+    });
+  });
+
+  if (hospital.verification.status !== 'approved') {
+    if (hospital.verification.status === 'rejected') {
+      setVerificationStatus(hospital, 'pending', { user, reason: 'New license documents submitted' });
+    }
+    hospital.verification.submittedAt = now;
+  }
+};
+
+/**
+ * Change a hospital's verification status and record it
+ * @param {Object} hospital - Hospital object (not saved)
+ * @param {String} status - pending, approved or rejected
+ * @param {Object} options - { user: who made the change, reason }
+ */
+const setVerificationStatus = (hospital, status, { user, reason }) => {
+  const now = new Date();
+
+  hospital.verification.status = status;
+  hospital.verification.reason = reason;
+  if (status !== 'pending') {
+    hospital.verification.reviewedBy = user.id;
+    hospital.verification.reviewedAt = now;
+  }
+
+  hospital.verification.history.push({
+    status,
+    reason,
+    changedBy: user.id,
+    changedAt: now
+  });
+};
+
+/**
+ * Queue hospitals created before license verification existed for admin review
+ * Only hospitals with no stored verification status are touched; new ones are saved as pending.
+ * @returns {Promise<Number>} - Number of hospitals moved to pending
+ */
+const queueLegacyHospitalsForReview = async () => {
+  const now = new Date();
+  const reason = 'Registered before license verification was introduced';
+
+  const result = await Hospital.updateMany(
+    { 'verification.status': { $exists: false } },
+    {
+      $set: {
+        'verification.status': 'pending',
+        'verification.reason': reason,
+        'verification.submittedAt': now
+      },
+      $push: { 'verification.history': { status: 'pending', reason, changedAt: now } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  MAX_DOCUMENTS_PER_UPLOAD,
+  isHospitalVerified,
+  getDocumentPath,
+  ensureDocumentsDir,
+  discardUploadedFiles,
+  addLicenseDocuments,
+  setVerificationStatus,
+  queueLegacyHospitalsForReview
+};
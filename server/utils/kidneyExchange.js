@@ -0,0 +1,336 @@
+/**
+ * Kidney Exchange Utility
+ *
+ * This file finds paired kidney exchanges among registered donor-recipient pairs:
+ * - Compatibility graph built from ABO and HLA (virtual crossmatch) rules
+ * - 2-way and 3-way swap cycles between incompatible pairs
+ * - Chains started by non-directed donors
+ * - Greedy selection of disjoint exchanges (most transplants, then best tissue match)
+ * - Creation of the linked Match records for a proposed exchange
+ */
+
+const ExchangePair = require('../models/ExchangePair');
+const KidneyExchange = require('../models/KidneyExchange');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const { isCompatible } = require('./bloodCompatibility');
+const { countHlaMismatches, tissueMatchPercentage, findUnacceptableAntigens } = require('./hla');
+const { applyMatchTransition, getSourceStatuses, SYSTEM_ROLE } = require('./matchStateMachine');
+const { applyRequestTransition, getRequestSourceStatuses } = require('./requestStateMachine');
+const { buildStatusEntry } = require('../models/statusHistory');
+
+// Longest swap cycle (pairs) and chain (transplants) the search will propose
+const MAX_CYCLE_LENGTH = 3;
+const MAX_CHAIN_LENGTH = 3;
+
+/**
+ * Check whether a donor can give a kidney to a recipient
+ * @param {Object} donor - Donor document
+ * @param {Object} request - Recipient's kidney request
+ * @param {Array} unacceptableAntigens - Recipient's unacceptable antigens
+ * @returns {Object|null} - { tissueTypeMatch, hlaMismatchCount, score } or null if incompatible
+ */
+const evaluateTransplant = (donor, request, unacceptableAntigens = []) => {
+  if (!donor || !request || !request.recipientDetails) {
+    return null;
+  }
+
+  // ABO compatibility (same red cell rules as the organ matcher)
+  if (!isCompatible(donor.bloodType, request.recipientDetails.bloodType, 'red_cells')) {
+    return null;
+  }
+
+  // Virtual crossmatch: the donor must be typed and carry no unacceptable antigen
+  const conflicts = findUnacceptableAntigens(donor.hlaTyping, unacceptableAntigens);
+  if (!conflicts || conflicts.length > 0) {
+    return null;
+  }
+
+  const mismatches = countHlaMismatches(donor.hlaTyping, request.recipientDetails.hlaType);
+  const tissueTypeMatch = tissueMatchPercentage(mismatches);
+
+  return {
+    tissueTypeMatch,
+    hlaMismatchCount: mismatches ? mismatches.total : null,
+    // Every transplant counts 1, better tissue matches break ties
+    score: 1 + (tissueTypeMatch || 0) / 100
+  };
+};
+
+/**
+ * Build the compatibility graph between pairs
+ * An edge i -> j means the donor of pair i can give to the recipient of pair j.
+ * @param {Array} pairs - ExchangePairs with donor and request populated
+ * @returns {Array} - Adjacency list: edges[i] = [{ to, tissueTypeMatch, hlaMismatchCount, score }]
+ */
+const buildCompatibilityGraph = (pairs) => {
+  return pairs.map((donorPair, i) => {
+    const edges = [];
+    pairs.forEach((recipientPair, j) => {
+      if (i === j || recipientPair.isNonDirected || !recipientPair.request) return;
+
+      const result = evaluateTransplant(donorPair.donor, recipientPair.request, recipientPair.unacceptableAntigens);
+      if (result) {
+        edges.push({ to: j, ...result });
+      }
+    });
+    return edges;
+  });
+};
+
+/**
+ * Turn a sequence of pair indexes into a candidate exchange
+ * @param {String} type - 'cycle' or 'chain'
+ * @param {Array} path - Pair indexes in giving order
+ * @param {Array} graph - Compatibility graph
+ * @returns {Object} - { type, pairs, transplants, bridge, totalScore }
+ */
+const buildCandidate = (type, path, graph) => {
+  const steps = type === 'cycle' ? path.length : path.length - 1;
+  const transplants = [];
+
+  for (let k = 0; k < steps; k++) {
+    const from = path[k];
+    const to = path[(k + 1) % path.length];
+    const edge = graph[from].find(e => e.to === to);
+    transplants.push({ from, to, ...edge });
+  }
+
+  return {
+    type,
+    pairs: path,
+    transplants,
+    bridge: type === 'chain' ? path[path.length - 1] : null,
+    totalScore: transplants.reduce((sum, t) => sum + t.score, 0)
+  };
+};
+
+/**
+ * Find all 2-way and 3-way swap cycles
+ * Each cycle is reported once, starting from its lowest pair index.
+ * @param {Array} pairs - ExchangePairs
+ * @param {Array} graph - Compatibility graph
+ * @returns {Array} - Candidate cycles
+ */
+const findCycles = (pairs, graph) => {
+  const cycles = [];
+
+  const extend = (path) => {
+    const last = path[path.length - 1];
+    for (const edge of graph[last]) {
+      if (edge.to === path[0] && path.length >= 2) {
+        cycles.push(buildCandidate('cycle', [...path], graph));
+      } else if (edge.to > path[0] && !path.includes(edge.to) && path.length < MAX_CYCLE_LENGTH) {
+        extend([...path, edge.to]);
+      }
+    }
+  };
+
+  pairs.forEach((pair, i) => {
+    if (!pair.isNonDirected && pair.request) {
+      extend([i]);
+    }
+  });
+
+  return cycles;
+};
+
+/**
+ * Find chains started by non-directed donors
+ * Every prefix of a chain is a candidate, since a chain may stop at any pair.
+ * @param {Array} pairs - ExchangePairs
+ * @param {Array} graph - Compatibility graph
+ * @returns {Array} - Candidate chains
+ */
+const findChains = (pairs, graph) => {
+  const chains = [];
+
+  const extend = (path) => {
+    const last = path[path.length - 1];
+    for (const edge of graph[last]) {
+      if (path.includes(edge.to)) continue;
+
+      const next = [...path, edge.to];
+      chains.push(buildCandidate('chain', next, graph));
+      if (next.length - 1 < MAX_CHAIN_LENGTH) {
+        extend(next);
+      }
+    }
+  };
+
+  pairs.forEach((pair, i) => {
+    if (pair.isNonDirected) {
+      extend([i]);
+    }
+  });
+
+  return chains;
+};
+
+/**
+ * Pick disjoint exchanges, preferring more transplants and then higher scores
+ * @param {Array} candidates - Candidate cycles and chains
+ * @returns {Array} - Selected exchanges
+ */
+const selectExchanges = (candidates) => {
+  const used = new Set();
+  const sorted = [...candidates].sort((a, b) =>
+    b.transplants.length - a.transplants.length || b.totalScore - a.totalScore
+  );
+
+  return sorted.filter(candidate => {
+    if (candidate.pairs.some(index => used.has(index))) {
+      return false;
+    }
+    candidate.pairs.forEach(index => used.add(index));
+    return true;
+  });
+};
+
+/**
+ * Run the cycle-and-chain search over all active pairs
+ * @returns {Promise<Object>} - { pairs, candidates, selected }
+ */
+const runExchangeSearch = async () => {
+  const pairs = await ExchangePair.find({ status: 'active' })
+    .populate('donor')
+    .populate('request');
+
+  const graph = buildCompatibilityGraph(pairs);
+  const candidates = [...findCycles(pairs, graph), ...findChains(pairs, graph)];
+
+  return {
+    pairs,
+    candidates,
+    selected: selectExchanges(candidates)
+  };
+};
+
+/**
+ * Describe a candidate exchange with pair, donor and request IDs
+ * @param {Object} candidate - Candidate from the search
+ * @param {Array} pairs - ExchangePairs the candidate indexes into
+ * @returns {Object} - Exchange summary
+ */
+const describeExchange = (candidate, pairs) => ({
+  type: candidate.type,
+  pairs: candidate.pairs.map(index => pairs[index]._id),
+  transplants: candidate.transplants.map(t => ({
+    donorPair: pairs[t.from]._id,
+    donor: pairs[t.from].donor._id,
+    recipientPair: pairs[t.to]._id,
+    request: pairs[t.to].request._id,
+    tissueTypeMatch: t.tissueTypeMatch,
+    hlaMismatchCount: t.hlaMismatchCount
+  })),
+  bridgeDonorPair: candidate.bridge !== null ? pairs[candidate.bridge]._id : undefined,
+  totalScore: Math.round(candidate.totalScore * 100) / 100
+});
+
+/**
+ * Persist a proposed exchange with one Match per transplant
+ * The pairs are reserved first so a concurrent search can't claim them.
+ * @param {Object} summary - Exchange summary from describeExchange
+ * @param {String} userId - User proposing the exchange
+ * @returns {Promise<Object|null>} - Created KidneyExchange, or null if a pair was already taken
+ */
+const createExchange = async (summary, userId) => {
+  const exchange = new KidneyExchange({ ...summary, proposedBy: userId });
+
+  const reserved = await ExchangePair.updateMany(
+    { _id: { $in: summary.pairs }, status: 'active' },
+    { status: 'reserved', exchange: exchange._id }
+  );
+  if (reserved.modifiedCount !== summary.pairs.length) {
+    await ExchangePair.updateMany(
+      { _id: { $in: summary.pairs }, exchange: exchange._id },
+      { status: 'active', $unset: { exchange: 1 } }
+    );
+    return null;
+  }
+
+  try {
+    const matches = await Match.insertMany(summary.transplants.map(t => ({
+      request: t.request,
+      donor: t.donor,
+      matchScore: t.tissueTypeMatch || 0,
+      matchFactors: {
+        bloodTypeCompatibility: true,
+        tissueTypeMatch: t.tissueTypeMatch,
+        hlaMismatchCount: t.hlaMismatchCount
+      },
+      scoreBreakdown: [{
+        factor: 'tissueMatch',
+        rawValue: t.hlaMismatchCount,
+        weight: 100,
+        points: t.tissueTypeMatch || 0
+      }],
+      exchange: exchange._id,
+      status: 'proposed',
+      statusHistory: [buildStatusEntry({ to: 'proposed', role: SYSTEM_ROLE, notes: 'Kidney exchange proposed' })]
+    })));
+
+    exchange.transplants.forEach((transplant, k) => {
+      transplant.match = matches[k]._id;
+    });
+    await exchange.save();
+
+    const requests = await Request.find({
+      _id: { $in: summary.transplants.map(t => t.request) },
+      status: { $in: getRequestSourceStatuses('matched', SYSTEM_ROLE) }
+    });
+    for (const request of requests) {
+      await applyRequestTransition(request, 'matched', { role: SYSTEM_ROLE, notes: 'Kidney exchange proposed' });
+      await request.save();
+    }
+
+    return exchange;
+  } catch (error) {
+    await Match.deleteMany({ exchange: exchange._id });
+    await ExchangePair.updateMany(
+      { exchange: exchange._id },
+      { status: 'active', $unset: { exchange: 1 } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Cancel a proposed exchange, rejecting its matches and releasing its pairs
+ * @param {Object} exchange - KidneyExchange document
+ * @param {String} reason - Cancellation reason
+ * @returns {Promise<Object>} - Updated exchange
+ */
+const cancelExchange = async (exchange, reason) => {
+  const matches = await Match.find({
+    exchange: exchange._id,
+    status: { $in: getSourceStatuses('rejected', SYSTEM_ROLE) }
+  });
+  for (const match of matches) {
+    await applyMatchTransition(match, 'rejected', { role: SYSTEM_ROLE, reason: reason || 'Exchange cancelled' });
+    await match.save();
+  }
+
+  await ExchangePair.updateMany(
+    { exchange: exchange._id, status: 'reserved' },
+    { status: 'active', $unset: { exchange: 1 } }
+  );
+
+  exchange.status = 'cancelled';
+  exchange.cancellationReason = reason;
+  return exchange.save();
+};
+
+module.exports = {
+  MAX_CYCLE_LENGTH,
+  MAX_CHAIN_LENGTH,
+  evaluateTransplant,
+  buildCompatibilityGraph,
+  findCycles,
+  findChains,
+  selectExchanges,
+  runExchangeSearch,
+  describeExchange,
+  createExchange,
+  cancelExchange
+};
@@ -0,0 +1,291 @@
+/**
+ * Login Throttle Utility
+ *
+ * This file limits repeated sign-in and password reset attempts:
+ * - Failures are counted per account (email) and per client IP within a window
+ * - After a few free attempts, each further attempt must wait twice as long as
+ *   the one before, up to a cap
+ * - Enough failures lock the account or IP until the lock runs out or an admin
+ *   unlocks the account
+ *
+ * Counters live in a store. The in-memory store suits a single instance; the Mongo
+ * store shares counters between instances. LOGIN_THROTTLE_STORE picks one
+ * (memory or mongo, default memory), and setThrottleStore plugs in any other
+ * object with the same methods (e.g. backed by Redis).
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MINUTE = 60 * 1000;
+
+// Limits for each throttled action
+const THROTTLE_POLICIES = {
+  login: {
+    windowMs: 15 * MINUTE,
+    lockMs: 15 * MINUTE,
+    maxDelayMs: 30 * 1000,
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+  },
+  // Every password reset request counts, since success can't be told apart from abuse
+  forgotPassword: {
+    windowMs: 60 * MINUTE,
+    lockMs: 60 * MINUTE,
+    maxDelayMs: 5 * MINUTE,
+    account: { freeAttempts: 3, lockAfter: 5 },
+    ip: { freeAttempts: 10, lockAfter: 20 }
+  }
+};
+
+// Entries kept in memory before expired ones are swept out
+const MEMORY_SWEEP_SIZE = 10000;
+
+/**
+ * Counters kept in this process
+ */
+class MemoryThrottleStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get a counter if it hasn't expired
+   * @param {String} key - Counter key
+   * @returns {Promise<Object|null>} - { count, lastFailureAt, lockedUntil, expiresAt }
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  /**
+   * Count a failure, starting a new window if the last one ended
+   * @param {String} key - Counter key
+   * @param {Number} windowMs - Window length
+   * @returns {Promise<Object>} - Updated counter
+   */
+  async increment(key, windowMs) {
+    const now = new Date();
+    const record = (await this.get(key)) || { count: 0, lockedUntil: null };
+
+    record.count += 1;
+    record.lastFailureAt = now;
+    record.expiresAt = new Date(Math.max(now.getTime() + windowMs, record.lockedUntil ? record.lockedUntil.getTime() : 0));
+    this.records.set(key, record);
+
+    if (this.records.size > MEMORY_SWEEP_SIZE) {
+      this.sweep();
+    }
+    return record;
+  }
+
+  /**
+   * Lock a key until a given time
+   * @param {String} key - Counter key
+   * @param {Date} until - End of the lock
+   */
+  async lock(key, until) {
+    const record = (await this.get(key)) || { count: 0, lastFailureAt: new Date(), expiresAt: until };
+    record.lockedUntil = until;
+    record.expiresAt = new Date(Math.max(record.expiresAt.getTime(), until.getTime()));
+    this.records.set(key, record);
+  }
+
+  /**
+   * Forget a counter
+   * @param {String} key - Counter key
+   */
+  async reset(key) {
+    this.records.delete(key);
+  }
+
+  // Drop expired counters
+  sweep() {
+    const now = new Date();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Counters kept in MongoDB, shared by every instance
+ */
+class MongoThrottleStore {
+  async get(key) {
+    return LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + windowMs);
+    const live = { $gt: [{ $ifNull: ['$expiresAt', now] }, now] };
+
+    // One pipeline update, so concurrent failures on other instances all count
+    return LoginThrottle.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [live, { $add: [{ $ifNull: ['$count', 0] }, 1] }, 1] },
+          lockedUntil: { $cond: [live, '$lockedUntil', null] },
+          lastFailureAt: now,
+          expiresAt: { $max: [windowEnd, { $cond: [live, { $ifNull: ['$lockedUntil', now] }, now] }] }
+        }
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+  }
+
+  async lock(key, until) {
+    await LoginThrottle.updateOne(
+      { key },
+      { $set: { lockedUntil: until }, $max: { expiresAt: until }, $setOnInsert: { count: 0, lastFailureAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async reset(key) {
+    await LoginThrottle.deleteOne({ key });
+  }
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'mongo' ? new MongoThrottleStore() : new MemoryThrottleStore();
+
+/**
+ * Replace the counter store
+ * @param {Object} nextStore - Object with get, increment, lock and reset methods
+ */
+const setThrottleStore = (nextStore) => {
+  store = nextStore;
+};
+
+/**
+ * Build the counter keys for an attempt
+ * @param {String} scope - Key of THROTTLE_POLICIES
+ * @param {Object} subject - { account: email, ip }
+ * @returns {Array} - [{ kind: 'account' | 'ip', key }]
+ */
+const getKeys = (scope, { account, ip }) => {
+  const keys = [];
+  if (account) {
+    keys.push({ kind: 'account', key: `${scope}:account:${String(account).trim().toLowerCase()}` });
+  }
+  if (ip) {
+    keys.push({ kind: 'ip', key: `${scope}:ip:${ip}` });
+  }
+  return keys;
+};
+
+/**
+ * Work out how long a counter makes the next attempt wait
+ * @param {Object} record - Counter
+ * @param {Object} limits - { freeAttempts }
+ * @param {Object} policy - Scope policy
+ * @param {Date} now - Current time
+ * @returns {Number} - Milliseconds to wait (0 if the attempt may go ahead)
+ */
+const getWaitMs = (record, limits, policy, now) => {
+  if (!record) {
+    return 0;
+  }
+  if (record.lockedUntil && new Date(record.lockedUntil) > now) {
+    return new Date(record.lockedUntil) - now;
+  }
+  if (record.count < limits.freeAttempts) {
+    return 0;
+  }
+
+  // 1s after the last free attempt, then 2s, 4s... up to the cap
+  const delayMs = Math.min(1000 * 2 ** (record.count - limits.freeAttempts), policy.maxDelayMs);
+  return Math.max(0, new Date(record.lastFailureAt).getTime() + delayMs - now.getTime());
+};
+
+/**
+ * Check whether an attempt may go ahead
+ * @param {String} scope - Key of THROTTLE_POLICIES
+ * @param {Object} subject - { account: email, ip }
+ * @returns {Promise<Object|null>} - null if allowed, else { locked, retryAfter } with retryAfter in seconds
+ */
+const checkThrottle = async (scope, subject) => {
+  const policy = THROTTLE_POLICIES[scope];
+  const now = new Date();
+
+  let blocked = null;
+  for (const { kind, key } of getKeys(scope, subject)) {
+    const record = await store.get(key);
+    const waitMs = getWaitMs(record, policy[kind], policy, now);
+    if (waitMs > 0) {
+      const locked = Boolean(record.lockedUntil && new Date(record.lockedUntil) > now);
+      const retryAfter = Math.ceil(waitMs / 1000);
+      if (!blocked || retryAfter > blocked.retryAfter) {
+        blocked = { locked, retryAfter };
+      }
+    }
+  }
+  return blocked;
+};
+
+/**
+ * Count a failed attempt, locking the account or IP once it reaches its limit
+ * @param {String} scope - Key of THROTTLE_POLICIES
+ * @param {Object} subject - { account: email, ip }
+ * @returns {Promise<Object>} - { accountLockedUntil } set when this failure locked the account
+ */
+const recordFailure = async (scope, subject) => {
+  const policy = THROTTLE_POLICIES[scope];
+  const result = { accountLockedUntil: null };
+
+  for (const { kind, key } of getKeys(scope, subject)) {
+    const record = await store.increment(key, policy.windowMs);
+    const alreadyLocked = record.lockedUntil && new Date(record.lockedUntil) > new Date();
+
+    if (!alreadyLocked && record.count >= policy[kind].lockAfter) {
+      const until = new Date(Date.now() + policy.lockMs);
+      await store.lock(key, until);
+      console.warn(`${scope} locked for ${kind} ${kind === 'account' ? subject.account : subject.ip} until ${until.toISOString()}`);
+      if (kind === 'account') {
+        result.accountLockedUntil = until;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Clear an account's counter after a successful attempt
+ * The IP counter is left alone so one good login doesn't hide guessing at other accounts.
+ * @param {String} scope - Key of THROTTLE_POLICIES
+ * @param {String} account - Email
+ */
+const clearAccountFailures = async (scope, account) => {
+  const [{ key }] = getKeys(scope, { account });
+  await store.reset(key);
+};
+
+/**
+ * Remove every counter and lock on an account
+ * @param {String} account - Email
+ */
+const unlockAccount = async (account) => {
+  for (const scope of Object.keys(THROTTLE_POLICIES)) {
+    await clearAccountFailures(scope, account);
+  }
+};
+
+module.exports = {
+  THROTTLE_POLICIES,
+  MemoryThrottleStore,
+  MongoThrottleStore,
+  setThrottleStore,
+  checkThrottle,
+  recordFailure,
+  clearAccountFailures,
+  unlockAccount
+};
@@ -0,0 +1,230 @@
+/**
+ * Match State Machine Utility
+ *
+ * This file holds the one table of allowed Match status transitions, shared by
+ * the REST routes, the socket handlers and the background jobs:
+ * - Which roles may perform each transition ('system' for scheduler and cascade jobs)
+ * - Which fields each transition requires, and where they are stored on the match
+ * - Which request types a transition applies to (only organs are transplanted)
+ */
+
+const Request = require('../models/Request');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('./hospitalMembership');
+const Donor = require('../models/Donor');
+const { ROLES } = require('../middleware/roles');
+const { buildStatusEntry } = require('../models/statusHistory');
+const { isHospitalVerified } = require('./hospitalVerification');
+
+// Role used for transitions made by the server itself
+const SYSTEM_ROLE = 'system';
+
+const MATCH_STATUSES = ['proposed', 'pending_confirmation', 'confirmed', 'rejected', 'expired', 'withdrawn', 'in_transit', 'delivered', 'transplanted', 'failed'];
+
+const STAFF = [ROLES.HOSPITAL, ROLES.COORDINATOR, ROLES.ADMIN];
+
+// Fields a transition can require, as they are described in errors
+const TRANSITION_FIELDS = {
+  reason: { label: 'a reason' },
+  departureTime: { label: 'a departure time', isDate: true },
+  arrivalTime: { label: 'an arrival time', isDate: true }
+};
+
+const REJECT = { roles: [ROLES.DONOR, ...STAFF, SYSTEM_ROLE], requires: { reason: 'rejectionReason' } };
+const FAIL = { roles: STAFF, requires: { reason: 'failureReason' } };
+// The request closed or the offer was pulled before the donor gave the donation
+const WITHDRAW = { roles: [SYSTEM_ROLE], requires: { reason: 'withdrawalReason' } };
+
+// from status -> to status -> { roles, requires: { field: matchPath }, requestTypes }
+const MATCH_TRANSITIONS = {
+  proposed: {
+    pending_confirmation: { roles: [...STAFF, SYSTEM_ROLE] },
+    confirmed: { roles: [ROLES.DONOR, ROLES.COORDINATOR, ROLES.ADMIN] },
+    rejected: REJECT,
+    expired: { roles: [SYSTEM_ROLE] },
+    withdrawn: WITHDRAW
+  },
+  pending_confirmation: {
+    confirmed: { roles: [ROLES.DONOR, ROLES.COORDINATOR, ROLES.ADMIN] },
+    rejected: REJECT,
+    expired: { roles: [SYSTEM_ROLE] },
+    withdrawn: WITHDRAW
+  },
+  confirmed: {
+    in_transit: { roles: STAFF, requires: { departureTime: 'logistics.actualDepartureTime' } },
+    // A donor can still withdraw before collection
+    rejected: { roles: [ROLES.DONOR, ...STAFF], requires: { reason: 'rejectionReason' } },
+    failed: FAIL,
+    withdrawn: WITHDRAW
+  },
+  in_transit: {
+    delivered: { roles: STAFF, requires: { arrivalTime: 'logistics.actualArrivalTime' } },
+    failed: FAIL
+  },
+  delivered: {
+    transplanted: { roles: STAFF, requestTypes: ['organ'] },
+    failed: FAIL
+  },
+  transplanted: {},
+  rejected: {},
+  expired: {},
+  withdrawn: {},
+  failed: {}
+};
+
+/**
+ * Error raised when a status change is not allowed
+ */
+class TransitionError extends Error {
+  /**
+   * @param {String} message - Explanation for the caller
+   * @param {Number} status - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransitionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Work out which role a user acts in for a match
+ * Hospital staff only act on matches for their own hospital's requests (once its license is approved, and with a staff
+ * role that manages matches) and donors only on their own matches.
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {Object} match - Match object
+ * @param {String|null} permission - Staff permission hospital users need (null lets any member through, e.g. to read history)
+ * @returns {Promise<String|null>} - Role to check transitions against, or null if the user has no part in the match
+ */
+const getMatchActorRole = async (user, match, permission = HOSPITAL_PERMISSIONS.MANAGE_MATCHES) => {
+  if ([ROLES.ADMIN, ROLES.COORDINATOR].includes(user.role)) {
+    return user.role;
+  }
+
+  if (user.role === ROLES.HOSPITAL) {
+    const [hospital, request] = await Promise.all([
+      getUserHospital(user.id, permission),
+      Request.findById(match.request._id || match.request).select('hospital')
+    ]);
+    return isHospitalVerified(hospital) && request && hospital._id.equals(request.hospital) ? ROLES.HOSPITAL : null;
+  }
+
+  if (user.role === ROLES.DONOR) {
+    const donor = await Donor.findOne({ user: user.id });
+    return donor && donor._id.equals(match.donor._id || match.donor) ? ROLES.DONOR : null;
+  }
+
+  return null;
+};
+
+/**
+ * Get the statuses a role can move a match from into a target status
+ * Used to guard bulk updates made outside a loaded document.
+ * @param {String} to - Target status
+ * @param {String} role - Acting role
+ * @returns {Array} - Source statuses
+ */
+const getSourceStatuses = (to, role = SYSTEM_ROLE) => {
+  return Object.keys(MATCH_TRANSITIONS).filter(from => {
+    const transition = MATCH_TRANSITIONS[from][to];
+    return transition && transition.roles.includes(role);
+  });
+};
+
+/**
+ * Check a transition against the table, apply it to the match and record it in statusHistory
+ * The match is changed in memory only; the caller saves it.
+ * @param {Object} match - Match document
+ * @param {String} to - Target status
+ * @param {Object} options - { user, role, channel, notes, requestType, reason, departureTime, arrivalTime }
+ *   role overrides the role resolved from user (pass SYSTEM_ROLE for server jobs);
+ *   channel is 'rest', 'socket' or 'system'
+ * @returns {Promise<Object>} - The match, with the new status and required fields set
+ * @throws {TransitionError} - If the role, status change or fields are not allowed
+ */
+const applyMatchTransition = async (match, to, options = {}) => {
+  const from = match.status;
+
+  if (!MATCH_STATUSES.includes(to)) {
+    throw new TransitionError(`Unknown match status: ${to}`);
+  }
+
+  const role = options.role || (options.user ? await getMatchActorRole(options.user, match) : null);
+  if (!role) {
+    throw new TransitionError('Not authorized to update this match', 403);
+  }
+
+  if (from === to) {
+    throw new TransitionError(`Match is already ${from}`);
+  }
+
+  const transition = MATCH_TRANSITIONS[from] && MATCH_TRANSITIONS[from][to];
+  if (!transition) {
+    const allowed = Object.keys(MATCH_TRANSITIONS[from] || {});
+    throw new TransitionError(allowed.length > 0
+      ? `Cannot change a match from ${from} to ${to}; allowed next statuses are ${allowed.join(', ')}`
+      : `Match is ${from} and can no longer change status`);
+  }
+
+  if (!transition.roles.includes(role)) {
+    throw new TransitionError(`The ${role} role cannot change a match from ${from} to ${to}`, 403);
+  }
+
+  if (transition.requestTypes) {
+    let requestType = options.requestType;
+    if (!requestType) {
+      const request = await Request.findById(match.request._id || match.request).select('requestType');
+      requestType = request && request.requestType;
+    }
+    if (!transition.requestTypes.includes(requestType)) {
+      throw new TransitionError(`Only ${transition.requestTypes.join(', ')} matches can be ${to}`);
+    }
+  }
+
+  // Check every required field before changing anything
+  const values = {};
+  for (const [field, path] of Object.entries(transition.requires || {})) {
+    const given = options[field];
+    if (given === undefined || given === null || given === '') {
+      if (match.get(path)) {
+        continue;
+      }
+      throw new TransitionError(`Changing a match to ${to} requires ${TRANSITION_FIELDS[field].label}`);
+    }
+
+    const value = TRANSITION_FIELDS[field].isDate ? new Date(given) : given;
+    if (TRANSITION_FIELDS[field].isDate && isNaN(value.getTime())) {
+      throw new TransitionError(`${field} must be a valid date`);
+    }
+    values[path] = value;
+  }
+
+  for (const [path, value] of Object.entries(values)) {
+    match.set(path, value);
+  }
+
+  match.status = to;
+  if (to === 'confirmed') {
+    match.confirmedAt = new Date();
+  }
+
+  match.statusHistory.push(buildStatusEntry({
+    from,
+    to,
+    changedBy: options.user ? options.user.id : undefined,
+    role,
+    channel: options.channel,
+    notes: options.notes || options.reason
+  }));
+
+  return match;
+};
+
+module.exports = {
+  SYSTEM_ROLE,
+  MATCH_STATUSES,
+  MATCH_TRANSITIONS,
+  TransitionError,
+  getMatchActorRole,
+  getSourceStatuses,
+  applyMatchTransition
+};
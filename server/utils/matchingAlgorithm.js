@@ -9,22 +9,39 @@
  * - Urgency level
  */
 
+const os = require('os');
 const Donor = require('../models/Donor');
 const Request = require('../models/Request');
 const Hospital = require('../models/Hospital');
+const User = require('../models/User');
 const Match = require('../models/Match');
+const OfferCascade = require('../models/OfferCascade');
+const { countHlaMismatches, tissueMatchPercentage } = require('./hla');
+const { assessViability } = require('./organViability');
+const {
+  RED_CELL_COMPATIBILITY: BLOOD_COMPATIBILITY,
+  COMPONENT_DONATION_TYPE,
+  getCompatibleDonorTypes,
+  getNextEligibleDonationDate
+} = require('./bloodCompatibility');
+const { resolveScoringPolicy } = require('./scoringPolicy');
+const { escalateIfDue } = require('./escalationPolicy');
+const { calculatePriority } = require('./medicalPriority');
+const { getFulfillment, syncRequestFulfillment } = require('./fulfillment');
+const { loadActiveRules, getDeferrals, describeDeferral, getIntervalHistory } = require('./eligibility');
+const { loadQuestionnaireDeferrals, getQuestionnaireDeferrals } = require('./questionnaire');
+const { applyRequestTransition } = require('./requestStateMachine');
+const { SYSTEM_ROLE } = require('./matchStateMachine');
+const { buildStatusEntry } = require('../models/statusHistory');
 
-// Blood type compatibility matrix
-const BLOOD_COMPATIBILITY = {
-  'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
-  'O+': ['O+', 'A+', 'B+', 'AB+'],
-  'A-': ['A-', 'A+', 'AB-', 'AB+'],
-  'A+': ['A+', 'AB+'],
-  'B-': ['B-', 'B+', 'AB-', 'AB+'],
-  'B+': ['B+', 'AB+'],
-  'AB-': ['AB-', 'AB+'],
-  'AB+': ['AB+']
-};
+// Organs where an HLA typing is required before a donor can be offered
+const HLA_WEIGHTED_ORGANS = ['kidney', 'pancreas'];
+
+// Order in which the scheduler works through open requests
+const URGENCY_ORDER = ['critical', 'emergency', 'urgent', 'routine'];
+
+// Matching locks expire so a crashed instance can't block a request forever
+const MATCHING_LOCK_TTL_MS = 5 * 60 * 1000;
 
 /**
  * Calculate distance between two geographic coordinates
@@ -49,89 +66,234 @@ const calculateDistance = (coord1, coord2) => {
   return R * c;
 };
 
+/**
+ * Find donors within range of a hospital with a single $geoNear aggregation
+ * Uses the User.location 2dsphere index, so the radius and distances are
+ * computed by MongoDB instead of loading every donor into memory.
+ * @param {Object} hospital - Hospital with location.coordinates
+ * @param {Number} maxDistanceKm - Search radius in kilometers
+ * @param {Object} donorQuery - Donor filter applied to the in-range donor profiles
+ * @returns {Promise<Array>} - [{ donor, distance }] nearest first, donor.user populated, distance in km
+ */
+const findCandidateDonors = async (hospital, maxDistanceKm, donorQuery) => {
+  const results = await User.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: hospital.location.coordinates },
+        key: 'location.coordinates',
+        distanceField: 'distanceMeters',
+        maxDistance: maxDistanceKm * 1000,
+        spherical: true,
+        query: { role: 'donor' }
+      }
+    },
+    {
+      $lookup: {
+        from: Donor.collection.name,
+        localField: '_id',
+        foreignField: 'user',
+        pipeline: [{ $match: donorQuery }],
+        as: 'donorProfile'
+      }
+    },
+    { $unwind: '$donorProfile' },
+    // Allow-list the user fields matching needs, so credentials, tokens and second-factor secrets never leave the database
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        phone: 1,
+        role: 1,
+        location: 1,
+        isVerified: 1,
+        createdAt: 1,
+        distanceMeters: 1,
+        donorProfile: 1
+      }
+    }
+  ]);
+  
+  return results.map(({ donorProfile, distanceMeters, ...user }) => {
+    const donor = Donor.hydrate(donorProfile);
+    donor.user = User.hydrate(user);
+    return { donor, distance: distanceMeters / 1000 };
+  });
+};
+
+/**
+ * Build one line of a score breakdown
+ * @param {String} factor - Factor name
+ * @param {*} rawValue - Measured value the points were derived from
+ * @param {Number} weight - Policy weight applied to the factor
+ * @param {Number} points - Points contributed to the match score
+ * @returns {Object} - Breakdown line
+ */
+const scoreLine = (factor, rawValue, weight, points) => ({
+  factor,
+  rawValue: rawValue === undefined ? null : rawValue,
+  weight,
+  points: Math.round(points * 100) / 100
+});
+
+/**
+ * Total a score breakdown into a 0-100 match score
+ * A capping line is added when the raw total exceeds 100 so the breakdown
+ * always sums to the stored score.
+ * @param {Array} breakdown - Score breakdown lines (mutated)
+ * @returns {Number} - Match score
+ */
+const totalScore = (breakdown) => {
+  const total = breakdown.reduce((sum, line) => sum + line.points, 0);
+  if (total > 100) {
+    breakdown.push(scoreLine('scoreCap', Math.round(total * 100) / 100, 100, 100 - total));
+  }
+  return Math.min(100, Math.round(total));
+};
+
+/**
+ * Count excluded donors by the filters they failed, without naming them or giving reasons
+ * The reasons can carry a donor's medical details, so only admins and coordinators see them.
+ * @param {Array} excluded - Excluded donors from partitionResults
+ * @returns {Object} - { total, byFilter } where byFilter counts donors per filter code
+ */
+const summarizeExclusions = (excluded) => {
+  const byFilter = {};
+  for (const entry of excluded) {
+    for (const filter of new Set(entry.failedFilters.map(failed => failed.filter))) {
+      byFilter[filter] = (byFilter[filter] || 0) + 1;
+    }
+  }
+  return { total: excluded.length, byFilter };
+};
+
+/**
+ * Split evaluated donors into ranked matches and excluded donors
+ * @param {Array} results - Per-donor results with either a match or failedFilters
+ * @returns {Object} - { matches, excluded }
+ */
+const partitionResults = (results) => {
+  const matches = [];
+  const excluded = [];
+  
+  for (const result of results) {
+    if (result.failedFilters.length > 0) {
+      excluded.push({ donor: result.donor, failedFilters: result.failedFilters });
+    } else {
+      matches.push(result.match);
+    }
+  }
+  
+  return {
+    matches: matches.sort((a, b) => b.matchScore - a.matchScore),
+    excluded
+  };
+};
+
 /**
  * Find potential blood donors for a request
  * @param {Object} request - Request object
- * @returns {Promise<Array>} - Array of potential donors with match scores
+ * @param {Object} scoringPolicy - Resolved scoring policy (optional, resolved from the request otherwise)
+ * @returns {Promise<Object>} - { matches, excluded } ranked matches with score breakdowns and donors that failed a filter
  */
-const findBloodDonorMatches = async (request) => {
+const findBloodDonorMatches = async (request, scoringPolicy) => {
   try {
+    const policy = scoringPolicy || await resolveScoringPolicy(request);
+    const weights = policy.weights;
+    
     const hospital = await Hospital.findById(request.hospital);
     if (!hospital || !hospital.location.coordinates) {
       throw new Error('Hospital location not found');
     }
     
-    // Find donors with compatible blood type
-    const compatibleDonors = await Donor.find({
-      bloodType: { $in: BLOOD_COMPATIBILITY[request.bloodType] || [] },
-      isAvailable: true,
-      'donationHistory.donationType': { $ne: 'blood' } // Filter out donors who haven't donated blood recently
-    }).populate('user');
+    // Find donors in range whose blood type is compatible for the requested component
+    const component = request.bloodComponent || 'whole';
+    const donationType = COMPONENT_DONATION_TYPE[component] || 'blood';
+    const candidates = await findCandidateDonors(hospital, request.matchCriteria.maxDistanceKm, {
+      bloodType: { $in: getCompatibleDonorTypes(request.bloodType, component) },
+      isAvailable: true
+    });
+    const deferralRules = await loadActiveRules();
+    const questionnaireDeferrals = await loadQuestionnaireDeferrals(candidates.map(({ donor }) => donor._id));
     
-    // Calculate match scores for each donor
-    const potentialMatches = await Promise.all(compatibleDonors.map(async donor => {
-      const user = donor.user;
-      if (!user || !user.location || !user.location.coordinates) {
-        return null;
-      }
-      
-      const distance = calculateDistance(
-        hospital.location.coordinates, 
-        user.location.coordinates
-      );
-      
-      // Skip if beyond max distance criteria
-      if (distance > request.matchCriteria.maxDistanceKm) {
-        return null;
-      }
+    // Evaluate every filter, then score the donors that pass all of them
+    const results = candidates.map(({ donor, distance }) => {
+      const failedFilters = [];
       
       // Calculate days since last donation
       const daysSinceLastDonation = donor.lastDonationDate 
         ? Math.floor((new Date() - donor.lastDonationDate) / (1000 * 60 * 60 * 24))
         : 365; // If never donated, set to a large number
       
-      // Minimum 56 days (8 weeks) between whole blood donations
-      if (request.bloodComponent === 'whole' && daysSinceLastDonation < 56) {
-        return null;
+      // Apply the deferral interval between the previous donation and this donation type
+      const nextEligibleDate = getNextEligibleDonationDate(getIntervalHistory(donor), donationType);
+      if (nextEligibleDate && nextEligibleDate > new Date()) {
+        failedFilters.push({
+          filter: 'donationInterval',
+          reason: `Donor is not eligible to donate ${donationType} until ${nextEligibleDate.toISOString().slice(0, 10)}`
+        });
+      }
+      
+      // Leave out donors deferred by an eligibility rule or their questionnaire answers
+      getDeferrals(donor, deferralRules, donationType).forEach(deferral => {
+        failedFilters.push({ filter: 'deferral', reason: describeDeferral(deferral) });
+      });
+      getQuestionnaireDeferrals(questionnaireDeferrals.get(donor._id.toString()), donationType).forEach(deferral => {
+        failedFilters.push({ filter: 'questionnaire', reason: describeDeferral(deferral) });
+      });
+      
+      if (failedFilters.length > 0) {
+        return { donor: donor._id, failedFilters };
       }
       
-      // Calculate match score (0-100)
-      let matchScore = 0;
+      // Calculate match score (0-100), one breakdown line per factor
+      const breakdown = [];
       
       // Exact blood type match scores higher
-      matchScore += donor.bloodType === request.bloodType ? 30 : 15;
+      const exactType = donor.bloodType === request.bloodType;
+      const bloodTypeWeight = exactType ? weights.exactBloodType : weights.compatibleBloodType;
+      breakdown.push(scoreLine(exactType ? 'exactBloodType' : 'compatibleBloodType', donor.bloodType, bloodTypeWeight, bloodTypeWeight));
       
       // Distance factor (closer is better)
-      matchScore += Math.max(0, 30 - (distance / 5)); // Up to 30 points for proximity
+      breakdown.push(scoreLine('proximity', Math.round(distance * 10) / 10, weights.proximity,
+        Math.max(0, weights.proximity - (distance / weights.proximityKmPerPoint))));
       
       // Availability factor
-      matchScore += 20;
+      breakdown.push(scoreLine('availability', donor.isAvailable, weights.availability, weights.availability));
       
       // Donor health factors
-      if (donor.medicalHistory.smokingStatus === 'never') matchScore += 5;
-      if (donor.medicalHistory.alcoholConsumption === 'none' || donor.medicalHistory.alcoholConsumption === 'light') matchScore += 5;
-      if (donor.physicalDetails.bmi >= 18 && donor.physicalDetails.bmi <= 30) matchScore += 5;
+      const { smokingStatus, alcoholConsumption } = donor.medicalHistory;
+      const bmi = donor.physicalDetails.bmi;
+      breakdown.push(scoreLine('nonSmoker', smokingStatus, weights.nonSmoker,
+        smokingStatus === 'never' ? weights.nonSmoker : 0));
+      breakdown.push(scoreLine('lowAlcohol', alcoholConsumption, weights.lowAlcohol,
+        alcoholConsumption === 'none' || alcoholConsumption === 'light' ? weights.lowAlcohol : 0));
+      breakdown.push(scoreLine('healthyBmi', bmi, weights.healthyBmi,
+        bmi >= 18 && bmi <= 30 ? weights.healthyBmi : 0));
       
       // Time since last donation (more time = better)
-      matchScore += Math.min(10, daysSinceLastDonation / 30); // Up to 10 points
+      breakdown.push(scoreLine('donationRecency', daysSinceLastDonation, weights.donationRecency,
+        Math.min(weights.donationRecency, daysSinceLastDonation / weights.donationRecencyDaysPerPoint)));
       
       return {
         donor: donor._id,
-        matchScore: Math.min(100, Math.round(matchScore)),
-        matchFactors: {
-          bloodTypeCompatibility: true,
-          distanceKm: Math.round(distance * 10) / 10,
-          timeToTransport: Math.round(distance / 50 * 60), // Rough estimate of minutes to transport
-          ageDifference: Math.abs((donor.physicalDetails.age || 0) - (request.recipientDetails.age || 0))
+        failedFilters,
+        match: {
+          donor: donor._id,
+          matchScore: totalScore(breakdown),
+          scoreBreakdown: breakdown,
+          scoringPolicy: { policy: policy.policy, version: policy.version },
+          matchFactors: {
+            bloodTypeCompatibility: true,
+            distanceKm: Math.round(distance * 10) / 10,
+            timeToTransport: Math.round(distance / 50 * 60), // Rough estimate of minutes to transport
+            ageDifference: Math.abs((donor.physicalDetails.age || 0) - (request.recipientDetails.age || 0))
+          }
         }
       };
-    }));
-    
-    // Filter out null matches and sort by match score (highest first)
-    return potentialMatches
-      .filter(match => match !== null)
-      .sort((a, b) => b.matchScore - a.matchScore);
+    });
     
+    return partitionResults(results);
+  
   } catch (error) {
     console.error('Error finding blood donor matches:', error);
     throw error;
@@ -141,10 +303,14 @@ const findBloodDonorMatches = async (request) => {
 /**
  * Find potential organ donors for a request
  * @param {Object} request - Request object
- * @returns {Promise<Array>} - Array of potential donors with match scores
+ * @param {Object} scoringPolicy - Resolved scoring policy (optional, resolved from the request otherwise)
+ * @returns {Promise<Object>} - { matches, excluded } ranked matches with score breakdowns and donors that failed a filter
  */
-const findOrganDonorMatches = async (request) => {
+const findOrganDonorMatches = async (request, scoringPolicy) => {
   try {
+    const policy = scoringPolicy || await resolveScoringPolicy(request);
+    const weights = policy.weights;
+    
     const hospital = await Hospital.findById(request.hospital);
     if (!hospital || !hospital.location.coordinates) {
       throw new Error('Hospital location not found');
@@ -154,8 +320,11 @@ const findOrganDonorMatches = async (request) => {
     const organType = request.organType;
     const recipientBloodType = request.recipientDetails.bloodType;
     
-    // Find donors with the right organ type available
-    const compatibleDonors = await Donor.find({
+    // Standard priority score (MELD/PELD, LAS, kidney waiting time) when clinical inputs exist
+    const priority = calculatePriority(request);
+    
+    // Find donors in range with the right organ type available
+    const candidates = await findCandidateDonors(hospital, request.matchCriteria.maxDistanceKm, {
       'organDonatable': {
         $elemMatch: {
           organType: organType,
@@ -163,40 +332,62 @@ const findOrganDonorMatches = async (request) => {
         }
       },
       isAvailable: true
-    }).populate('user');
+    });
+    const deferralRules = await loadActiveRules();
     
-    // Calculate match scores for each donor
-    const potentialMatches = await Promise.all(compatibleDonors.map(async donor => {
-      const user = donor.user;
-      if (!user || !user.location || !user.location.coordinates) {
-        return null;
-      }
+    // Evaluate every filter, then score the donors that pass all of them
+    const results = candidates.map(({ donor, distance }) => {
+      const failedFilters = [];
+      
+      // Leave out donors deferred by an eligibility rule
+      getDeferrals(donor, deferralRules, 'organ').forEach(deferral => {
+        failedFilters.push({ filter: 'deferral', reason: describeDeferral(deferral) });
+      });
       
       // Check blood compatibility for organ donation
       const isBloodCompatible = BLOOD_COMPATIBILITY[donor.bloodType]?.includes(recipientBloodType);
       if (!isBloodCompatible) {
-        return null;
+        failedFilters.push({
+          filter: 'bloodTypeCompatibility',
+          reason: `Donor blood type ${donor.bloodType} is not compatible with recipient ${recipientBloodType}`
+        });
       }
       
-      const distance = calculateDistance(
-        hospital.location.coordinates, 
-        user.location.coordinates
-      );
-      
-      // Skip if beyond max distance criteria
-      if (distance > request.matchCriteria.maxDistanceKm) {
-        return null;
+      // The organ must arrive within its cold ischemia limit
+      const viability = assessViability(organType, distance, request.matchCriteria.transportMethods);
+      if (!viability.viable) {
+        failedFilters.push({
+          filter: 'viability',
+          reason: viability.method
+            ? `Transport takes ${viability.transportMinutes} min, beyond the ${viability.maxViabilityMinutes} min viability limit`
+            : 'No available transport method can cover the distance'
+        });
       }
       
       // Age criteria check
       const donorAge = donor.physicalDetails.age || 0;
       const recipientAge = request.recipientDetails.age || 0;
       
-      if (request.matchCriteria.preferredAgeRange) {
-        if (donorAge < request.matchCriteria.preferredAgeRange.min || 
-            donorAge > request.matchCriteria.preferredAgeRange.max) {
-          return null;
-        }
+      const ageRange = request.matchCriteria.preferredAgeRange;
+      if (ageRange && (donorAge < ageRange.min || donorAge > ageRange.max)) {
+        failedFilters.push({
+          filter: 'preferredAgeRange',
+          reason: `Donor age ${donorAge} is outside ${ageRange.min}-${ageRange.max}`
+        });
+      }
+      
+      // HLA tissue typing (antigen mismatches at A, B and DR)
+      const hlaMismatches = countHlaMismatches(donor.hlaTyping, request.recipientDetails.hlaType);
+      const tissueTypeMatch = tissueMatchPercentage(hlaMismatches);
+      const isHlaWeighted = HLA_WEIGHTED_ORGANS.includes(organType);
+      
+      // Untyped donors can't be offered for HLA-sensitive organs when the recipient is typed
+      if (isHlaWeighted && request.recipientDetails.hlaType && tissueTypeMatch === null) {
+        failedFilters.push({ filter: 'hlaTyping', reason: `Donor has no HLA typing, required for ${organType}` });
+      }
+      
+      if (failedFilters.length > 0) {
+        return { donor: donor._id, failedFilters };
       }
       
       // Calculate size match (based on height/weight)
@@ -224,63 +415,88 @@ const findOrganDonorMatches = async (request) => {
       // Normalize to 0-100
       sizeMatch = sizeMatch / 100;
       
-      // Calculate urgency factor
+      // Calculate urgency factor (the medical priority score replaces urgencyLevel when available)
       let urgencyFactor = 0;
-      switch (request.recipientDetails.urgencyLevel) {
-        case 'critical':
-          urgencyFactor = 1.0;
-          break;
-        case 'emergency':
-          urgencyFactor = 0.8;
-          break;
-        case 'urgent':
-          urgencyFactor = 0.6;
-          break;
-        case 'routine':
-          urgencyFactor = 0.3;
-          break;
+      if (priority) {
+        urgencyFactor = priority.normalized;
+      } else {
+        switch (request.recipientDetails.urgencyLevel) {
+          case 'critical':
+            urgencyFactor = 1.0;
+            break;
+          case 'emergency':
+            urgencyFactor = 0.8;
+            break;
+          case 'urgent':
+            urgencyFactor = 0.6;
+            break;
+          case 'routine':
+            urgencyFactor = 0.3;
+            break;
+        }
       }
       
-      // Calculate match score (0-100)
-      let matchScore = 0;
+      // Calculate match score (0-100), one breakdown line per factor
+      const breakdown = [];
       
-      // Blood type compatibility (25 points)
-      matchScore += 25;
+      // Blood type compatibility
+      breakdown.push(scoreLine('bloodTypeCompatibility', donor.bloodType, weights.bloodTypeCompatibility, weights.bloodTypeCompatibility));
       
-      // Size match (up to 25 points)
-      matchScore += sizeMatch * 25;
+      // Size match
+      breakdown.push(scoreLine('sizeMatch', Math.round(sizeMatch * 100), weights.sizeMatch, sizeMatch * weights.sizeMatch));
       
-      // Distance factor (up to 20 points, closer is better)
-      // For organs, we have stricter distance requirements (cold ischemia time)
-      const maxTransportDistance = 500; // km
-      matchScore += Math.max(0, 20 * (1 - distance / maxTransportDistance));
+      // Viability factor (more cold ischemia time left is better)
+      breakdown.push(scoreLine('viability', viability.remainingMinutes, weights.viability, weights.viability * viability.remainingRatio));
       
-      // Age difference factor (up to 15 points)
+      // Age difference factor
       const ageDifference = Math.abs(donorAge - recipientAge);
-      matchScore += Math.max(0, 15 - (ageDifference / 2));
+      breakdown.push(scoreLine('ageMatch', ageDifference, weights.ageMatch,
+        Math.max(0, weights.ageMatch - (ageDifference / weights.ageYearsPerPoint))));
+      
+      // Tissue match factor (weighted for HLA-sensitive organs by default)
+      if (tissueTypeMatch !== null) {
+        breakdown.push(scoreLine('tissueMatch', tissueTypeMatch, weights.tissueMatch, (tissueTypeMatch / 100) * weights.tissueMatch));
+      }
       
-      // Urgency adjustment (can boost score by up to 15%)
-      matchScore = matchScore * (1 + (urgencyFactor * 0.15));
+      // Urgency adjustment (boosts the subtotal by up to the policy's urgency or priority boost;
+      // weights from before priority scoring have no priorityBoost and keep using urgency)
+      const subtotal = breakdown.reduce((sum, line) => sum + line.points, 0);
+      if (priority && weights.priorityBoost !== undefined) {
+        breakdown.push(scoreLine('medicalPriority', `${priority.scoreType} ${priority.score}`, weights.priorityBoost,
+          subtotal * urgencyFactor * weights.priorityBoost));
+      } else {
+        breakdown.push(scoreLine('urgency', request.recipientDetails.urgencyLevel, weights.urgencyBoost,
+          subtotal * urgencyFactor * weights.urgencyBoost));
+      }
       
       return {
         donor: donor._id,
-        matchScore: Math.min(100, Math.round(matchScore)),
-        matchFactors: {
-          bloodTypeCompatibility: true,
-          distanceKm: Math.round(distance * 10) / 10,
-          ageDifference: ageDifference,
-          sizeMatch: Math.round(sizeMatch * 100),
-          urgencyFactor: Math.round(urgencyFactor * 100),
-          timeToTransport: Math.round(distance / 80 * 60) // Estimated minutes (80km/h)
+        failedFilters,
+        match: {
+          donor: donor._id,
+          matchScore: totalScore(breakdown),
+          scoreBreakdown: breakdown,
+          scoringPolicy: { policy: policy.policy, version: policy.version },
+          matchFactors: {
+            bloodTypeCompatibility: true,
+            distanceKm: Math.round(distance * 10) / 10,
+            ageDifference: ageDifference,
+            sizeMatch: Math.round(sizeMatch * 100),
+            tissueTypeMatch: tissueTypeMatch === null ? undefined : tissueTypeMatch,
+            hlaMismatchCount: hlaMismatches ? hlaMismatches.total : undefined,
+            urgencyFactor: Math.round(urgencyFactor * 100),
+            priorityScoreType: priority ? priority.scoreType : undefined,
+            priorityScore: priority ? priority.score : undefined,
+            timeToTransport: viability.transportMinutes,
+            transportMethod: viability.method,
+            viabilityRemainingMinutes: viability.remainingMinutes
+          }
         }
       };
-    }));
-    
-    // Filter out null matches and sort by match score (highest first)
-    return potentialMatches
-      .filter(match => match !== null)
-      .sort((a, b) => b.matchScore - a.matchScore);
+    });
     
+    return partitionResults(results);
+  
   } catch (error) {
     console.error('Error finding organ donor matches:', error);
     throw error;
@@ -300,15 +516,19 @@ const createMatch = async (request, matchData) => {
       donor: matchData.donor,
       matchScore: matchData.matchScore,
       matchFactors: matchData.matchFactors,
-      status: 'proposed'
+      scoreBreakdown: matchData.scoreBreakdown,
+      scoringPolicy: matchData.scoringPolicy,
+      unitsCovered: matchData.unitsCovered || 1,
+      cascade: matchData.cascade,
+      offerExpiresAt: matchData.offerExpiresAt,
+      status: matchData.status || 'proposed',
+      statusHistory: [buildStatusEntry({ to: matchData.status || 'proposed', role: SYSTEM_ROLE, notes: 'Match created' })]
     });
     
     await match.save();
     
-    // Update request status
-    await Request.findByIdAndUpdate(request._id, {
-      status: 'matched'
-    });
+    // Update request status (stays searching until every unit is covered)
+    await syncRequestFulfillment(request._id);
     
     return match;
   } catch (error) {
@@ -317,8 +537,51 @@ const createMatch = async (request, matchData) => {
   }
 };
 
+/**
+ * Find and rank potential donors for a request using the matcher for its type
+ * @param {Object} request - Request object
+ * @returns {Promise<Object>} - { matches, excluded } ranked candidates and donors that failed a filter
+ */
+const findPotentialMatches = async (request) => {
+  if (request.requestType === 'blood') {
+    return findBloodDonorMatches(request, await resolveScoringPolicy(request));
+  }
+  if (request.requestType === 'organ') {
+    return findOrganDonorMatches(request, await resolveScoringPolicy(request));
+  }
+  return { matches: [], excluded: [] };
+};
+
+/**
+ * Persist the top candidates for a request as proposed matches
+ * Donors who already have an open match for the request are skipped.
+ * @param {Object} request - Request object
+ * @param {Array} candidates - Ranked matches from findPotentialMatches
+ * @param {Number} limit - Maximum number of matches to create
+ * @returns {Promise<Array>} - Array of created matches
+ */
+const commitMatches = async (request, candidates, limit) => {
+  const matchedDonors = await Match.find({
+    request: request._id,
+    status: { $nin: ['rejected', 'expired', 'withdrawn', 'failed'] }
+  }).distinct('donor');
+  const matchedDonorIds = matchedDonors.map(id => id.toString());
+  
+  const toCreate = candidates
+    .filter(candidate => !matchedDonorIds.includes(candidate.donor.toString()))
+    .slice(0, limit);
+  
+  // One at a time, so each match sees the request fulfillment left by the previous one
+  const created = [];
+  for (const matchData of toCreate) {
+    created.push(await createMatch(request, matchData));
+  }
+  return created;
+};
+
 /**
  * Find the best matches for a request
+ * Multi-unit blood requests get at least one proposal per uncovered unit.
  * @param {String} requestId - Request ID to find matches for
  * @param {Number} limit - Maximum number of matches to return
  * @returns {Promise<Array>} - Array of created matches
@@ -335,28 +598,31 @@ const findBestMatches = async (requestId, limit = 5) => {
       return [];
     }
     
+    // Donors are only contacted for hospitals an admin has approved
+    if (!(await Hospital.exists({ _id: request.hospital, 'verification.status': 'approved' }))) {
+      return [];
+    }
+    
     // Update request status to searching
     if (request.status === 'pending') {
-      await Request.findByIdAndUpdate(requestId, { status: 'searching' });
+      await applyRequestTransition(request, 'searching', { role: SYSTEM_ROLE, notes: 'Matching started' });
+      await request.save();
     }
     
-    // Find potential matches based on request type
-    let potentialMatches = [];
-    if (request.requestType === 'blood') {
-      potentialMatches = await findBloodDonorMatches(request);
-    } else if (request.requestType === 'organ') {
-      potentialMatches = await findOrganDonorMatches(request);
+    // Donors are being asked one at a time by an offer cascade
+    if (await OfferCascade.exists({ request: request._id, status: 'active' })) {
+      return [];
     }
     
-    // Limit the number of matches
-    potentialMatches = potentialMatches.slice(0, limit);
-    
-    // Create match records in the database
-    const createdMatches = await Promise.all(
-      potentialMatches.map(matchData => createMatch(request, matchData))
-    );
+    // Nothing to do while open proposals already cover every outstanding unit
+    const { unitsUncovered } = await getFulfillment(request);
+    if (unitsUncovered === 0) {
+      return [];
+    }
     
-    return createdMatches;
+    // Find potential matches and create records for the best ones
+    const { matches } = await findPotentialMatches(request);
+    return await commitMatches(request, matches, Math.max(limit, unitsUncovered));
   } catch (error) {
     console.error('Error finding best matches:', error);
     throw error;
@@ -364,31 +630,106 @@ const findBestMatches = async (requestId, limit = 5) => {
 };
 
 /**
- * Process all pending requests to find matches
+ * Take the matching lock on a request so no other instance processes it concurrently
+ * @param {String} requestId - Request ID
+ * @param {String} owner - Identifier of the instance taking the lock
+ * @param {Number} ttlMs - How long the lock is held before another instance may take it over
+ * @returns {Promise<Object|null>} - Locked request, or null if another instance holds the lock
+ */
+const acquireMatchingLock = async (requestId, owner, ttlMs = MATCHING_LOCK_TTL_MS) => {
+  const now = new Date();
+  return Request.findOneAndUpdate(
+    {
+      _id: requestId,
+      $or: [
+        { 'matchingLock.expiresAt': null },
+        { 'matchingLock.expiresAt': { $lte: now } }
+      ]
+    },
+    { $set: { matchingLock: { owner, expiresAt: new Date(now.getTime() + ttlMs) } } },
+    { new: true }
+  );
+};
+
+/**
+ * Release a matching lock held by an instance
+ * @param {String} requestId - Request ID
+ * @param {String} owner - Identifier of the instance holding the lock
+ * @returns {Promise<Object>} - Update result
+ */
+const releaseMatchingLock = async (requestId, owner) => {
+  return Request.updateOne(
+    { _id: requestId, 'matchingLock.owner': owner },
+    { $unset: { matchingLock: 1 }, $set: { lastMatchedAt: new Date() } }
+  );
+};
+
+/**
+ * Process all open requests to find matches
+ * Requests are handled most urgent first (then by earliest requiredBy), and each
+ * request is locked while it is processed so concurrent instances skip it.
+ * Requests that still find nobody are escalated when their next step is due.
+ * @param {Object} options - { owner, limit, lockTtlMs } (limit caps the requests processed per run)
  * @returns {Promise<Object>} - Statistics about processed requests
  */
-const processAllPendingRequests = async () => {
+const processAllPendingRequests = async (options = {}) => {
+  const {
+    owner = `${os.hostname()}:${process.pid}`,
+    limit = 0,
+    lockTtlMs = MATCHING_LOCK_TTL_MS
+  } = options;
+  
   try {
-    const pendingRequests = await Request.find({
-      status: 'pending',
-      requiredBy: { $gt: new Date() } // Only process requests that haven't expired
-    });
-    
     let stats = {
-      total: pendingRequests.length,
+      total: 0,
       processed: 0,
+      skippedLocked: 0,
       matchesFound: 0,
-      errors: 0
+      escalated: 0,
+      errors: 0,
+      byUrgency: {}
     };
     
-    for (const request of pendingRequests) {
-      try {
-        const matches = await findBestMatches(request._id);
-        stats.processed++;
-        stats.matchesFound += matches.length;
-      } catch (error) {
-        console.error(`Error processing request ${request._id}:`, error);
-        stats.errors++;
+    for (const urgencyLevel of URGENCY_ORDER) {
+      const openRequests = await Request.find({
+        status: { $in: ['pending', 'searching'] },
+        'recipientDetails.urgencyLevel': urgencyLevel,
+        requiredBy: { $gt: new Date() } // Only process requests that haven't expired
+      }).select('_id').sort({ requiredBy: 1 });
+      
+      stats.total += openRequests.length;
+      stats.byUrgency[urgencyLevel] = { processed: 0, matchesFound: 0 };
+      
+      for (const request of openRequests) {
+        if (limit && stats.processed >= limit) {
+          break;
+        }
+        
+        const locked = await acquireMatchingLock(request._id, owner, lockTtlMs);
+        if (!locked) {
+          stats.skippedLocked++;
+          continue;
+        }
+        
+        try {
+          let matches = await findBestMatches(request._id);
+          
+          // Widen the search and retry straight away if an escalation step is due
+          if (matches.length === 0 && await escalateIfDue(request._id)) {
+            stats.escalated++;
+            matches = await findBestMatches(request._id);
+          }
+          
+          stats.processed++;
+          stats.matchesFound += matches.length;
+          stats.byUrgency[urgencyLevel].processed++;
+          stats.byUrgency[urgencyLevel].matchesFound += matches.length;
+        } catch (error) {
+          console.error(`Error processing request ${request._id}:`, error);
+          stats.errors++;
+        } finally {
+          await releaseMatchingLock(request._id, owner);
+        }
       }
     }
     
@@ -400,8 +741,17 @@ const processAllPendingRequests = async () => {
 };
 
 module.exports = {
+  findBloodDonorMatches,
+  findOrganDonorMatches,
+  findPotentialMatches,
+  createMatch,
+  commitMatches,
   findBestMatches,
   processAllPendingRequests,
+  acquireMatchingLock,
+  releaseMatchingLock,
+  findCandidateDonors,
+  summarizeExclusions,
   calculateDistance,
   BLOOD_COMPATIBILITY
-};
\ No newline at end of file
+};
@@ -0,0 +1,159 @@
+/**
+ * Matching Scheduler Utility
+ *
+ * This file runs processAllPendingRequests inside the server process on a
+ * fixed interval and records each run as a MatchingRun. It also sweeps offer
+ * cascades for offers whose response deadline has passed, and expires requests
+ * whose required by date has passed. Configuration:
+ * - MATCHING_SCHEDULER_ENABLED: set to 'false' to disable the scheduler
+ * - MATCHING_INTERVAL_MS: delay between runs (default 5 minutes)
+ * - MATCHING_BATCH_SIZE: maximum requests processed per run (default unlimited)
+ * - OFFER_SWEEP_INTERVAL_MS: delay between expired offer and request sweeps (default 1 minute)
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const MatchingRun = require('../models/MatchingRun');
+const { processAllPendingRequests } = require('./matchingAlgorithm');
+const { expireOverdueOffers } = require('./offerCascade');
+const { expireOverdueRequests, flagOverdueInProgressRequests } = require('./requestLifecycle');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_OFFER_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Identifies this process in request locks and run records
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let timer = null;
+let sweepTimer = null;
+let running = false;
+let startedAt = null;
+let lastRunAt = null;
+
+/**
+ * Read the scheduler configuration from the environment
+ * @returns {Object} - { enabled, intervalMs, batchSize, offerSweepIntervalMs }
+ */
+const getSchedulerConfig = () => ({
+  enabled: process.env.MATCHING_SCHEDULER_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.MATCHING_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  batchSize: parseInt(process.env.MATCHING_BATCH_SIZE) || 0,
+  offerSweepIntervalMs: parseInt(process.env.OFFER_SWEEP_INTERVAL_MS) || DEFAULT_OFFER_SWEEP_INTERVAL_MS
+});
+
+/**
+ * Run one matching pass and record its statistics
+ * @param {Object} options - { trigger, triggeredBy }
+ * @returns {Promise<Object|null>} - Finished MatchingRun, or null if a run is already in progress
+ */
+const runMatching = async ({ trigger = 'scheduled', triggeredBy } = {}) => {
+  // Runs never overlap within an instance; request locks cover other instances
+  if (running) {
+    return null;
+  }
+  running = true;
+
+  const run = new MatchingRun({
+    instance: INSTANCE_ID,
+    trigger,
+    triggeredBy
+  });
+
+  try {
+    await run.save();
+
+    const { byUrgency, ...stats } = await processAllPendingRequests({
+      owner: INSTANCE_ID,
+      limit: getSchedulerConfig().batchSize
+    });
+
+    run.stats = stats;
+    run.byUrgency = byUrgency;
+    run.status = 'completed';
+  } catch (error) {
+    console.error('Matching run error:', error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    lastRunAt = run.finishedAt;
+    running = false;
+  }
+
+  try {
+    await run.save();
+  } catch (error) {
+    console.error('Error saving matching run:', error);
+  }
+
+  return run;
+};
+
+/**
+ * Start running matching on the configured interval
+ * @returns {Boolean} - Whether the scheduler was started
+ */
+const startMatchingScheduler = () => {
+  const { enabled, intervalMs, offerSweepIntervalMs } = getSchedulerConfig();
+  if (!enabled || timer) {
+    return false;
+  }
+
+  timer = setInterval(() => {
+    runMatching().catch(error => console.error('Scheduled matching error:', error));
+  }, intervalMs);
+
+  // Offer deadlines are much shorter than the matching interval for urgent requests
+  sweepTimer = setInterval(() => {
+    expireOverdueOffers().catch(error => console.error('Offer sweep error:', error));
+    expireOverdueRequests().catch(error => console.error('Request expiry sweep error:', error));
+    flagOverdueInProgressRequests().catch(error => console.error('Overdue request sweep error:', error));
+  }, offerSweepIntervalMs);
+  startedAt = new Date();
+
+  console.log(`Matching scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  return true;
+};
+
+/**
+ * Stop the matching scheduler
+ */
+const stopMatchingScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    startedAt = null;
+  }
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+/**
+ * Get the scheduler state for this instance
+ * @returns {Object} - Scheduler configuration and state
+ */
+const getSchedulerStatus = () => {
+  const { enabled, intervalMs, batchSize, offerSweepIntervalMs } = getSchedulerConfig();
+  return {
+    instance: INSTANCE_ID,
+    enabled,
+    active: Boolean(timer),
+    running,
+    intervalMs,
+    batchSize,
+    offerSweepIntervalMs,
+    startedAt,
+    lastRunAt
+  };
+};
+
+module.exports = {
+  INSTANCE_ID,
+  runMatching,
+  startMatchingScheduler,
+  stopMatchingScheduler,
+  getSchedulerStatus
+};
@@ -0,0 +1,192 @@
+/**
+ * Medical Priority Utility
+ *
+ * This file computes the standard allocation priority scores for organ
+ * recipients from their clinical inputs:
+ * - Liver: MELD-Na (age 12+) or PELD (under 12)
+ * - Lung: Lung Allocation Score (LAS) from expected survival
+ * - Kidney: waiting time counted from the dialysis start date
+ *
+ * Each score is also normalized to 0-1 so the matcher can use it in place of
+ * the coarse urgencyLevel factor. MELD and PELD share the MELD 6-40 range for
+ * this, as they share one ranking in liver allocation.
+ */
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// MELD runs from 6 to 40, which maps to 0-1
+const MELD_MIN = 6;
+const MELD_MAX = 40;
+
+// Waiting time at which a kidney candidate reaches full priority
+const KIDNEY_MAX_WAITING_YEARS = 10;
+
+/**
+ * Round a value to one decimal place
+ * @param {Number} value - Value to round
+ * @returns {Number} - Rounded value
+ */
+const roundTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Clamp a value to a range
+ * @param {Number} value - Value to clamp
+ * @param {Number} min - Lower bound
+ * @param {Number} max - Upper bound
+ * @returns {Number} - Clamped value
+ */
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Calculate MELD-Na using the UNOS/OPTN formula
+ * Lab values below 1.0 are set to 1.0, creatinine is capped at 4.0 (and set to
+ * 4.0 after dialysis twice in the past week) and sodium is bounded to 125-137.
+ * As published, MELD(i) is rounded to the tenth decimal place before being
+ * multiplied by 10, so it's a whole number; MELD-Na is rounded to the nearest integer.
+ * @param {Object} labs - { bilirubin, inr, creatinine, sodium, dialysisTwiceInPastWeek }
+ * @returns {Number|null} - MELD-Na (6-40), or null if a required lab is missing
+ */
+const calculateMeld = (labs = {}) => {
+  const { bilirubin, inr, creatinine, sodium, dialysisTwiceInPastWeek } = labs;
+  if (!bilirubin || !inr || (!creatinine && !dialysisTwiceInPastWeek)) {
+    return null;
+  }
+
+  const bili = Math.max(1, bilirubin);
+  const inrValue = Math.max(1, inr);
+  const cr = dialysisTwiceInPastWeek ? 4 : clamp(creatinine, 1, 4);
+
+  // Rounding to a tenth and multiplying by 10 is rounding the tenfold value to an integer
+  const meldI = Math.round(
+    (0.957 * Math.log(cr) + 0.378 * Math.log(bili) + 1.120 * Math.log(inrValue) + 0.643) * 10
+  );
+
+  let meld = meldI;
+  if (meldI > 11 && sodium) {
+    const na = clamp(sodium, 125, 137);
+    meld = meldI + 1.32 * (137 - na) - (0.033 * meldI * (137 - na));
+  }
+
+  return clamp(Math.round(meld), MELD_MIN, MELD_MAX);
+};
+
+/**
+ * Calculate PELD for liver candidates under 12
+ * Like MELD(i), the sum is rounded to the tenth decimal place and multiplied by
+ * 10. PELD has no floor or cap and can be negative.
+ * @param {Object} labs - { bilirubin, inr, albumin, growthFailure }
+ * @param {Number} age - Candidate age in years
+ * @returns {Number|null} - PELD, or null if a required lab is missing
+ */
+const calculatePeld = (labs = {}, age = 0) => {
+  const { bilirubin, inr, albumin, growthFailure } = labs;
+  if (!bilirubin || !inr || !albumin) {
+    return null;
+  }
+
+  const peld = (
+    0.480 * Math.log(Math.max(1, bilirubin)) +
+    1.857 * Math.log(Math.max(1, inr)) -
+    0.687 * Math.log(Math.max(1, albumin)) +
+    (age < 1 ? 0.436 : 0) +
+    (growthFailure ? 0.667 : 0)
+  ) * 10;
+
+  return Math.round(peld);
+};
+
+/**
+ * Calculate the Lung Allocation Score from expected survival
+ * Inputs are the waitlist and post-transplant survival areas under the curve
+ * (days of expected survival in the next year) from the registry LAS models.
+ * @param {Object} inputs - { waitlistSurvivalDays, posttransplantSurvivalDays }
+ * @returns {Number|null} - LAS (0-100), or null if an input is missing
+ */
+const calculateLas = (inputs = {}) => {
+  const { waitlistSurvivalDays, posttransplantSurvivalDays } = inputs;
+  if (waitlistSurvivalDays == null || posttransplantSurvivalDays == null) {
+    return null;
+  }
+
+  const wlauc = clamp(waitlistSurvivalDays, 0, 365);
+  const ptauc = clamp(posttransplantSurvivalDays, 0, 365);
+  const raw = ptauc - 2 * wlauc;
+
+  return roundTenth(100 * (raw + 730) / 1095);
+};
+
+/**
+ * Calculate kidney waiting time from the dialysis start date
+ * @param {Object} inputs - { dialysisStartDate }
+ * @param {Date} now - Current time
+ * @returns {Number|null} - Years of waiting time, or null if not on dialysis
+ */
+const calculateKidneyWaitingYears = (inputs = {}, now = new Date()) => {
+  if (!inputs.dialysisStartDate) {
+    return null;
+  }
+  const years = (now - new Date(inputs.dialysisStartDate)) / MS_PER_YEAR;
+  return roundTenth(Math.max(0, years));
+};
+
+/**
+ * Compute the priority score for an organ request from its clinical inputs
+ * @param {Object} request - Request object
+ * @param {Date} now - Current time (kidney waiting time grows over time)
+ * @returns {Object|null} - { scoreType, score, normalized }, or null if no score applies
+ */
+const calculatePriority = (request, now = new Date()) => {
+  const details = request.recipientDetails || {};
+  const clinical = details.clinical || {};
+
+  if (request.requestType !== 'organ') {
+    return null;
+  }
+
+  if (request.organType === 'liver' && clinical.liver) {
+    const pediatric = details.age != null && details.age < 12;
+    const score = pediatric
+      ? calculatePeld(clinical.liver, details.age)
+      : calculateMeld(clinical.liver);
+    if (score === null) {
+      return null;
+    }
+    // OPTN ranks liver candidates by MELD or PELD on one scale (e.g. "MELD/PELD 35 or higher"),
+    // so PELD is normalized like MELD: 6 or below counts as 0 and 40 or above as 1
+    return {
+      scoreType: pediatric ? 'PELD' : 'MELD',
+      score,
+      normalized: clamp((score - MELD_MIN) / (MELD_MAX - MELD_MIN), 0, 1)
+    };
+  }
+
+  if (request.organType === 'lung' && clinical.lung) {
+    const score = calculateLas(clinical.lung);
+    if (score === null) {
+      return null;
+    }
+    return { scoreType: 'LAS', score, normalized: clamp(score / 100, 0, 1) };
+  }
+
+  if (request.organType === 'kidney' && clinical.kidney) {
+    const score = calculateKidneyWaitingYears(clinical.kidney, now);
+    if (score === null) {
+      return null;
+    }
+    return {
+      scoreType: 'waiting_time',
+      score,
+      normalized: clamp(score / KIDNEY_MAX_WAITING_YEARS, 0, 1)
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  calculateMeld,
+  calculatePeld,
+  calculateLas,
+  calculateKidneyWaitingYears,
+  calculatePriority
+};
@@ -320,7 +320,8 @@ const notifyRequestStatusChange = async (request, previousStatus) => {
       matched: 'A potential donor match has been found for your request.',
       in_progress: 'Your request is now in progress. Donation has been confirmed.',
       completed: 'Your request has been completed successfully.',
-      cancelled: 'Your request has been cancelled.'
+      cancelled: 'Your request has been cancelled.',
+      expired: 'Your request passed its required by date before it was fulfilled. Any open matches have been withdrawn.'
     };
     
     const notification = {
@@ -341,6 +342,175 @@ const notifyRequestStatusChange = async (request, previousStatus) => {
   }
 };
 
+/**
+ * Ask the requesting hospital and coordinators to follow up on a request still
+ * in progress after its required by date
+ * @param {Object} request - Request object
+ * @returns {Promise<Number>} - Number of users notified
+ */
+const notifyOverdueRequest = async (request) => {
+  try {
+    const populatedRequest = await request.populate('hospital');
+    const hospital = populatedRequest.hospital;
+
+    const notification = {
+      type: 'urgent',
+      subject: `Request past its required by date: ${request._id}`,
+      message: `Your ${request.requestType} request is still in progress after its required by date ` +
+        `(${new Date(request.requiredBy).toISOString()}). In-progress requests don't expire; ` +
+        'please complete or cancel it, or set a new required by date.',
+      data: {
+        requestId: request._id.toString(),
+        requiredBy: request.requiredBy
+      }
+    };
+
+    const coordinators = await User.find({ role: 'coordinator' }).select('_id');
+    const recipients = [hospital.user, ...coordinators.map(coordinator => coordinator._id)];
+
+    const results = await Promise.allSettled(
+      recipients.map(userId => notifyUser(userId, notification))
+    );
+
+    return results.filter(result => result.status === 'fulfilled').length;
+  } catch (error) {
+    console.error('Error notifying overdue request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify coordinators that a request's search has been escalated
+ * @param {Object} request - Request object
+ * @param {Object} escalation - Escalation history entry
+ * @returns {Promise<Number>} - Number of coordinators notified
+ */
+const notifyRequestEscalation = async (request, escalation) => {
+  try {
+    const subject = request.requestType === 'blood'
+      ? `${request.bloodType} ${request.bloodComponent}`
+      : request.organType;
+    const relaxed = escalation.relaxed && escalation.relaxed.length
+      ? ` Relaxed criteria: ${escalation.relaxed.join(', ')}.`
+      : '';
+    
+    const notification = {
+      type: ['critical', 'emergency'].includes(request.recipientDetails.urgencyLevel) ? 'urgent' : 'status',
+      subject: `Request escalated to level ${escalation.level}: ${subject}`,
+      message: `No donors were found for ${request.recipientDetails.urgencyLevel} ${request.requestType} request ${request._id}. ` +
+        `The search radius was widened from ${escalation.fromRadiusKm} km to ${escalation.toRadiusKm} km.${relaxed}`,
+      data: {
+        requestId: request._id.toString(),
+        level: escalation.level,
+        fromRadiusKm: escalation.fromRadiusKm,
+        toRadiusKm: escalation.toRadiusKm,
+        relaxed: escalation.relaxed
+      }
+    };
+    
+    const coordinators = await User.find({ role: 'coordinator' });
+    
+    const results = await Promise.allSettled(
+      coordinators.map(coordinator => notifyUser(coordinator._id, notification))
+    );
+    
+    return results.filter(result => result.status === 'fulfilled').length;
+  } catch (error) {
+    console.error('Error notifying request escalation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Offer a donor a match that they must answer before a deadline
+ * @param {String} donorUserId - User ID of the donor
+ * @param {Object} request - Request object
+ * @param {Object} match - Offered match
+ * @returns {Promise<Object>} - Notification results
+ */
+const notifyDonorOffer = async (donorUserId, request, match) => {
+  try {
+    const subject = request.requestType === 'blood'
+      ? `${request.bloodType} ${request.bloodComponent} donation`
+      : `${request.organType} donation`;
+    
+    return await notifyUser(donorUserId, {
+      type: ['critical', 'emergency'].includes(request.recipientDetails.urgencyLevel) ? 'urgent' : 'match',
+      subject: `Donation request: ${subject}`,
+      message: `A patient needs your ${subject}. Please accept or decline before ` +
+        `${match.offerExpiresAt.toISOString().replace('T', ' ').slice(0, 16)} UTC, ` +
+        `after which the request will be offered to another donor.`,
+      data: {
+        matchId: match._id.toString(),
+        requestId: request._id.toString(),
+        offerExpiresAt: match.offerExpiresAt
+      },
+      checkPreferences: true
+    });
+  } catch (error) {
+    console.error('Error notifying donor about offer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell admins a hospital has submitted license documents for review
+ * @param {Object} hospital - Hospital object
+ * @returns {Promise<Number>} - Number of admins notified
+ */
+const notifyHospitalVerificationSubmitted = async (hospital) => {
+  try {
+    const notification = {
+      type: 'status',
+      subject: `Hospital license review: ${hospital.name}`,
+      message: `${hospital.name} (license ${hospital.licenseNumber}) has submitted license documents and is waiting for verification.`,
+      data: {
+        hospitalId: hospital._id.toString(),
+        verificationStatus: hospital.verification.status
+      }
+    };
+
+    const admins = await User.find({ role: 'admin' });
+
+    const results = await Promise.allSettled(
+      admins.map(admin => notifyUser(admin._id, notification))
+    );
+
+    return results.filter(result => result.status === 'fulfilled').length;
+  } catch (error) {
+    console.error('Error notifying hospital verification submission:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a hospital an admin has approved or rejected its license
+ * @param {Object} hospital - Hospital object
+ * @returns {Promise<Object>} - Notification results
+ */
+const notifyHospitalVerificationDecision = async (hospital) => {
+  try {
+    const { status, reason } = hospital.verification;
+    const approved = status === 'approved';
+
+    return await notifyUser(hospital.user, {
+      type: 'status',
+      subject: approved ? 'Hospital license approved' : 'Hospital license rejected',
+      message: approved
+        ? `${hospital.name} has been verified and can now access donor and match services.${reason ? ` Note: ${reason}` : ''}`
+        : `Verification of ${hospital.name} was rejected: ${reason}. Upload new license documents to have them reviewed again.`,
+      data: {
+        hospitalId: hospital._id.toString(),
+        verificationStatus: status,
+        reason
+      }
+    });
+  } catch (error) {
+    console.error('Error notifying hospital verification decision:', error);
+    throw error;
+  }
+};
+
 /**
  * Send verification email to user
  * @param {Object} user - User object
@@ -396,6 +566,59 @@ const sendPasswordResetEmail = async (user, token) => {
   );
 };
 
+/**
+ * Send a hospital staff invitation
+ * @param {Object} invitation - HospitalInvitation object
+ * @param {Object} hospital - Hospital object
+ * @param {String} token - Invitation token
+ * @returns {Promise} - Email send result
+ */
+const sendHospitalInvitationEmail = async (invitation, hospital, token) => {
+  const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/hospital/invitations/accept?token=${token}`;
+  const role = invitation.staffRole.replace(/_/g, ' ');
+  const expires = new Date(invitation.expiresAt).toUTCString();
+  
+  return await sendEmail(
+    invitation.email,
+    `You're Invited to Join ${hospital.name}`,
+    `You have been invited to join ${hospital.name} as ${role}. Sign in or register a hospital account with this email address, then accept the invitation at ${acceptUrl}. This invitation expires ${expires}.`,
+    `<h2>Join ${hospital.name}</h2>
+    <p>You have been invited to join <strong>${hospital.name}</strong> as <strong>${role}</strong>.</p>
+    <p>Sign in or register a hospital account with this email address, then accept the invitation:</p>
+    <p>
+      <a href="${acceptUrl}" 
+         style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+         Accept Invitation
+      </a>
+    </p>
+    <p>If the button doesn't work, you can copy and paste the following link into your browser:</p>
+    <p>${acceptUrl}</p>
+    <p>This invitation expires ${expires}.</p>`
+  );
+};
+
+/**
+ * Tell a user their account was locked after repeated failed sign-ins
+ * @param {Object} user - User object
+ * @param {Date} lockedUntil - When sign-in is allowed again
+ * @returns {Promise} - Email send result
+ */
+const sendAccountLockedEmail = async (user, lockedUntil) => {
+  const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/forgot-password`;
+  const until = new Date(lockedUntil).toUTCString();
+  
+  return await sendEmail(
+    user.email,
+    'Your Account Has Been Temporarily Locked',
+    `There were too many failed attempts to sign in to your account, so sign-in is locked until ${until}. If this wasn't you, reset your password at ${resetUrl} once the lock ends, or contact an administrator.`,
+    `<h2>Account Temporarily Locked</h2>
+    <p>There were too many failed attempts to sign in to your account, so sign-in is locked until <strong>${until}</strong>.</p>
+    <p>If this was you, you can try again after that time.</p>
+    <p>If this wasn't you, someone may be trying to guess your password. Reset it once the lock ends, or contact an administrator to unlock your account:</p>
+    <p>${resetUrl}</p>`
+  );
+};
+
 /**
  * Send emergency notification to hospital and coordinators
  * @param {String} hospitalId - Hospital ID
@@ -571,8 +794,15 @@ const sendEmergencyNotification = async (hospitalId, emergency) => {
     notifyUser,
     notifyAboutMatch,
     notifyRequestStatusChange,
+    notifyOverdueRequest,
+    notifyRequestEscalation,
+    notifyDonorOffer,
+    notifyHospitalVerificationSubmitted,
+    notifyHospitalVerificationDecision,
     notifyMatchStatusChange,
     sendVerificationEmail,
     sendPasswordResetEmail,
+    sendHospitalInvitationEmail,
+    sendAccountLockedEmail,
     sendEmergencyNotification
   };
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * Offer Cascade Utility
+ *
+ * This file offers a request to ranked donors one at a time:
+ * - Each offer has a response deadline based on the request's urgency
+ * - A decline or a missed deadline moves the offer to the next-ranked donor
+ * - An accept completes the cascade once the request is covered (multi-unit
+ *   blood requests keep offering until every unit is secured)
+ * - Every offer, skip and response is logged on the cascade and broadcast to
+ *   the request's hospital over the socket
+ */
+
+const OfferCascade = require('../models/OfferCascade');
+const Donor = require('../models/Donor');
+const Match = require('../models/Match');
+const Request = require('../models/Request');
+const SocketManager = require('../websocket/socketManager');
+const { createMatch } = require('./matchingAlgorithm');
+const { getFulfillment, syncRequestFulfillment } = require('./fulfillment');
+const { getSourceStatuses, SYSTEM_ROLE } = require('./matchStateMachine');
+const { statusChangePipeline } = require('../models/statusHistory');
+const { notifyDonorOffer } = require('./notifications');
+
+// Longest time a donor has to answer an offer, in minutes
+const RESPONSE_WINDOW_MINUTES = {
+  critical: 15,
+  emergency: 30,
+  urgent: 120,
+  routine: 720
+};
+
+// Shortest response window, so donors always have a chance to answer
+const MIN_RESPONSE_WINDOW_MINUTES = 5;
+
+/**
+ * Work out how long each donor has to answer an offer
+ * The window is capped at half the time left before requiredBy, so a declined
+ * offer still leaves time for the next candidate.
+ * @param {Object} request - Request object
+ * @param {Date} now - Current time
+ * @returns {Number} - Response window in minutes
+ */
+const getResponseWindowMinutes = (request, now = new Date()) => {
+  const window = RESPONSE_WINDOW_MINUTES[request.recipientDetails.urgencyLevel] || RESPONSE_WINDOW_MINUTES.routine;
+  const minutesLeft = (new Date(request.requiredBy) - now) / (60 * 1000);
+  return Math.round(Math.max(MIN_RESPONSE_WINDOW_MINUTES, Math.min(window, minutesLeft / 2)));
+};
+
+/**
+ * Broadcast the cascade's current state to the request's watchers
+ * @param {Object} cascade - OfferCascade document
+ * @param {Object} request - Request object
+ */
+const broadcastCascade = (cascade, request) => {
+  if (SocketManager.instance) {
+    SocketManager.instance.broadcastCascadeUpdate(cascade, request);
+  }
+};
+
+/**
+ * Record the response to the offer that is currently out
+ * @param {Object} cascade - OfferCascade document
+ * @param {String} outcome - accepted, declined, expired or withdrawn
+ * @param {String} reason - Why the offer ended
+ * @param {Date} now - Current time
+ */
+const closeCurrentStep = (cascade, outcome, reason, now = new Date()) => {
+  const step = cascade.steps.find(entry =>
+    entry.outcome === 'offered' && entry.match && entry.match.equals(cascade.currentMatch)
+  );
+  if (step) {
+    step.outcome = outcome;
+    step.reason = reason;
+    step.respondedAt = now;
+  }
+  cascade.currentMatch = undefined;
+  cascade.currentDeadline = undefined;
+};
+
+/**
+ * End a cascade
+ * @param {Object} cascade - OfferCascade document
+ * @param {String} status - completed, exhausted or cancelled
+ * @param {String} reason - Why the cascade ended
+ * @param {Date} now - Current time
+ */
+const endCascade = (cascade, status, reason, now = new Date()) => {
+  cascade.status = status;
+  cascade.endReason = reason;
+  cascade.endedAt = now;
+  cascade.currentMatch = undefined;
+  cascade.currentDeadline = undefined;
+};
+
+/**
+ * Offer the request to the next candidate who can still take it
+ * Candidates who became unavailable or already hold an open match are skipped.
+ * @param {Object} cascade - OfferCascade document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Updated cascade
+ */
+const offerNext = async (cascade, now = new Date()) => {
+  const request = await Request.findById(cascade.request);
+  if (!request) {
+    endCascade(cascade, 'cancelled', 'Request no longer exists', now);
+    return cascade.save();
+  }
+
+  if (!['pending', 'searching', 'matched'].includes(request.status) || new Date(request.requiredBy) <= now) {
+    endCascade(cascade, 'cancelled', `Request is ${request.status}`, now);
+    await cascade.save();
+    broadcastCascade(cascade, request);
+    return cascade;
+  }
+
+  while (cascade.nextIndex < cascade.candidates.length) {
+    const candidate = cascade.candidates[cascade.nextIndex];
+    const rank = cascade.nextIndex + 1;
+    cascade.nextIndex++;
+
+    const donor = await Donor.findById(candidate.donor).select('user isAvailable');
+    if (!donor || !donor.isAvailable) {
+      cascade.steps.push({ rank, donor: candidate.donor, outcome: 'skipped', reason: 'Donor is no longer available' });
+      continue;
+    }
+
+    const openMatch = await Match.exists({
+      request: request._id,
+      donor: donor._id,
+      status: { $nin: ['rejected', 'expired', 'withdrawn', 'failed'] }
+    });
+    if (openMatch) {
+      cascade.steps.push({ rank, donor: donor._id, outcome: 'skipped', reason: 'Donor already has a match for this request' });
+      continue;
+    }
+
+    const deadline = new Date(now.getTime() + cascade.responseWindowMinutes * 60 * 1000);
+    const match = await createMatch(request, {
+      donor: donor._id,
+      matchScore: candidate.matchScore,
+      matchFactors: candidate.matchFactors,
+      scoreBreakdown: candidate.scoreBreakdown,
+      scoringPolicy: candidate.scoringPolicy,
+      cascade: cascade._id,
+      offerExpiresAt: deadline,
+      status: 'pending_confirmation'
+    });
+
+    cascade.steps.push({
+      rank,
+      donor: donor._id,
+      match: match._id,
+      outcome: 'offered',
+      offeredAt: now,
+      deadline
+    });
+    cascade.currentMatch = match._id;
+    cascade.currentDeadline = deadline;
+    await cascade.save();
+
+    broadcastCascade(cascade, request);
+
+    try {
+      await notifyDonorOffer(donor.user, request, match);
+    } catch (error) {
+      console.error('Error notifying donor about offer:', error);
+    }
+
+    return cascade;
+  }
+
+  endCascade(cascade, 'exhausted', 'Every candidate declined, missed the deadline or was skipped', now);
+  await cascade.save();
+  broadcastCascade(cascade, request);
+  return cascade;
+};
+
+/**
+ * Start a cascade over ranked candidates and send the first offer
+ * @param {Object} request - Request object
+ * @param {Array} candidates - Ranked matches from findPotentialMatches
+ * @param {Object} options - { responseWindowMinutes, startedBy }
+ * @returns {Promise<Object>} - Created cascade
+ */
+const startCascade = async (request, candidates, options = {}) => {
+  const cascade = new OfferCascade({
+    request: request._id,
+    responseWindowMinutes: options.responseWindowMinutes || getResponseWindowMinutes(request),
+    candidates: candidates.map(candidate => ({
+      donor: candidate.donor,
+      matchScore: candidate.matchScore,
+      matchFactors: candidate.matchFactors,
+      scoreBreakdown: candidate.scoreBreakdown,
+      scoringPolicy: candidate.scoringPolicy
+    })),
+    startedBy: options.startedBy
+  });
+
+  await cascade.save();
+
+  return offerNext(cascade);
+};
+
+/**
+ * Move a cascade on after the donor answered its current offer
+ * @param {Object} match - Match whose status just changed
+ * @returns {Promise<Object|null>} - Updated cascade, or null if the match isn't a current offer
+ */
+const handleOfferResponse = async (match) => {
+  if (!match.cascade) {
+    return null;
+  }
+
+  const cascade = await OfferCascade.findById(match.cascade);
+  if (!cascade || cascade.status !== 'active' || !cascade.currentMatch || !cascade.currentMatch.equals(match._id)) {
+    return null;
+  }
+
+  if (match.status === 'confirmed') {
+    closeCurrentStep(cascade, 'accepted', 'Donor accepted the offer');
+
+    const request = await Request.findById(cascade.request);
+    const fulfillment = request ? await getFulfillment(request) : null;
+    if (!fulfillment || fulfillment.isFulfilled) {
+      endCascade(cascade, 'completed', 'Request is covered');
+      await cascade.save();
+      if (request) {
+        broadcastCascade(cascade, request);
+      }
+      return cascade;
+    }
+
+    // More units still needed: keep offering
+    return offerNext(cascade);
+  }
+
+  if (match.status === 'rejected') {
+    closeCurrentStep(cascade, 'declined', match.rejectionReason || 'Donor declined the offer');
+    return offerNext(cascade);
+  }
+
+  return cascade;
+};
+
+/**
+ * Expire offers whose deadline has passed and move their cascades on
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of offers expired
+ */
+const expireOverdueOffers = async (now = new Date()) => {
+  const overdue = await OfferCascade.find({
+    status: 'active',
+    currentDeadline: { $lte: now }
+  });
+
+  let expired = 0;
+  for (const cascade of overdue) {
+    try {
+      // Only expire the offer if the donor hasn't answered in the meantime
+      const match = await Match.findOneAndUpdate(
+        { _id: cascade.currentMatch, status: { $in: getSourceStatuses('expired', SYSTEM_ROLE) } },
+        statusChangePipeline('expired', { role: SYSTEM_ROLE, notes: 'Donor did not respond before the deadline' }, {
+          rejectionReason: 'Donor did not respond before the deadline'
+        }),
+        { new: true }
+      );
+      if (!match) {
+        continue;
+      }
+
+      await syncRequestFulfillment(match.request);
+      if (SocketManager.instance) {
+        SocketManager.instance.io.to(`match:${match._id}`).emit('match:updated', match);
+      }
+
+      closeCurrentStep(cascade, 'expired', 'Donor did not respond before the deadline', now);
+      await offerNext(cascade, now);
+      expired++;
+    } catch (error) {
+      console.error(`Error expiring offer for cascade ${cascade._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel a cascade and withdraw the offer that is currently out
+ * @param {Object} cascade - OfferCascade document
+ * @param {String} reason - Cancellation reason
+ * @returns {Promise<Object>} - Updated cascade
+ */
+const cancelCascade = async (cascade, reason) => {
+  const endReason = reason || 'Cancelled';
+
+  if (cascade.currentMatch) {
+    await Match.updateOne(
+      { _id: cascade.currentMatch, status: { $in: getSourceStatuses('withdrawn', SYSTEM_ROLE) } },
+      statusChangePipeline('withdrawn', { role: SYSTEM_ROLE, notes: endReason }, { withdrawalReason: endReason })
+    );
+    closeCurrentStep(cascade, 'withdrawn', endReason);
+  }
+
+  endCascade(cascade, 'cancelled', endReason);
+  await cascade.save();
+
+  await syncRequestFulfillment(cascade.request);
+  const request = await Request.findById(cascade.request);
+  if (request) {
+    broadcastCascade(cascade, request);
+  }
+
+  return cascade;
+};
+
+module.exports = {
+  RESPONSE_WINDOW_MINUTES,
+  getResponseWindowMinutes,
+  startCascade,
+  offerNext,
+  handleOfferResponse,
+  expireOverdueOffers,
+  cancelCascade
+};
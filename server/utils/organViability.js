@@ -0,0 +1,122 @@
+/**
+ * Organ Viability Utility
+ *
+ * This file models how long a procured organ stays viable outside the body
+ * (cold ischemia time) and how long it takes to move it between sites:
+ * - Per-organ viability limits
+ * - Transport-time estimates for each logistics transport method
+ * - Remaining viability once transport is accounted for
+ */
+
+// Cold ischemia limits in hours. `ideal` is the target, `max` the hard cutoff.
+const ORGAN_VIABILITY_HOURS = {
+  heart: { ideal: 4, max: 6 },
+  lung: { ideal: 6, max: 8 },
+  liver: { ideal: 8, max: 12 },
+  pancreas: { ideal: 12, max: 18 },
+  intestine: { ideal: 6, max: 10 },
+  kidney: { ideal: 24, max: 36 },
+  cornea: { ideal: 7 * 24, max: 14 * 24 },
+  heart_valve: { ideal: 10 * 24, max: 30 * 24 },
+  bone: { ideal: 5 * 24, max: 30 * 24 },
+  skin: { ideal: 5 * 24, max: 14 * 24 }
+};
+
+/**
+ * Transport models keyed by Match.logistics.transportMethod
+ * - speedKmh: average cruising speed
+ * - routeFactor: road/air route length relative to straight-line distance
+ * - handlingMinutes: fixed time for loading, airport transfers and handover
+ * - maxRangeKm: longest leg the method can cover (null for unlimited)
+ */
+const TRANSPORT_MODELS = {
+  ground: { speedKmh: 80, routeFactor: 1.3, handlingMinutes: 15, maxRangeKm: null },
+  helicopter: { speedKmh: 220, routeFactor: 1.05, handlingMinutes: 30, maxRangeKm: 600 },
+  airplane: { speedKmh: 650, routeFactor: 1.1, handlingMinutes: 120, maxRangeKm: null },
+  drone: { speedKmh: 100, routeFactor: 1.0, handlingMinutes: 10, maxRangeKm: 40 }
+};
+
+/**
+ * Estimate door-to-door transport time for a transport method
+ * @param {Number} distanceKm - Straight-line distance in kilometers
+ * @param {String} method - Transport method (ground, helicopter, airplane, drone)
+ * @returns {Number|null} - Estimated minutes, or null if the method can't cover the distance
+ */
+const estimateTransportMinutes = (distanceKm, method) => {
+  const model = TRANSPORT_MODELS[method];
+  if (!model) {
+    return null;
+  }
+  if (model.maxRangeKm !== null && distanceKm > model.maxRangeKm) {
+    return null;
+  }
+
+  const travelMinutes = (distanceKm * model.routeFactor / model.speedKmh) * 60;
+  return Math.round(model.handlingMinutes + travelMinutes);
+};
+
+/**
+ * Pick the fastest transport method able to cover a distance
+ * @param {Number} distanceKm - Straight-line distance in kilometers
+ * @param {Array} methods - Methods to consider (defaults to all)
+ * @returns {Object|null} - { method, minutes } or null if no method can cover the distance
+ */
+const fastestTransport = (distanceKm, methods = Object.keys(TRANSPORT_MODELS)) => {
+  let best = null;
+
+  for (const method of methods) {
+    const minutes = estimateTransportMinutes(distanceKm, method);
+    if (minutes !== null && (!best || minutes < best.minutes)) {
+      best = { method, minutes };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Evaluate whether an organ can reach the recipient while still viable
+ * @param {String} organType - Organ type
+ * @param {Number} distanceKm - Straight-line distance in kilometers
+ * @param {Array} methods - Transport methods available (optional, defaults to all)
+ * @returns {Object} - { viable, withinIdeal, method, transportMinutes, maxViabilityMinutes, remainingMinutes, remainingRatio }
+ */
+const assessViability = (organType, distanceKm, methods) => {
+  const limits = ORGAN_VIABILITY_HOURS[organType];
+  const transport = methods && methods.length
+    ? fastestTransport(distanceKm, methods)
+    : fastestTransport(distanceKm);
+
+  if (!limits || !transport) {
+    return {
+      viable: false,
+      withinIdeal: false,
+      method: null,
+      transportMinutes: null,
+      maxViabilityMinutes: limits ? limits.max * 60 : null,
+      remainingMinutes: 0,
+      remainingRatio: 0
+    };
+  }
+
+  const maxViabilityMinutes = limits.max * 60;
+  const remainingMinutes = maxViabilityMinutes - transport.minutes;
+
+  return {
+    viable: remainingMinutes > 0,
+    withinIdeal: transport.minutes <= limits.ideal * 60,
+    method: transport.method,
+    transportMinutes: transport.minutes,
+    maxViabilityMinutes,
+    remainingMinutes: Math.max(0, remainingMinutes),
+    remainingRatio: Math.max(0, remainingMinutes / maxViabilityMinutes)
+  };
+};
+
+module.exports = {
+  ORGAN_VIABILITY_HOURS,
+  TRANSPORT_MODELS,
+  estimateTransportMinutes,
+  fastestTransport,
+  assessViability
+};
@@ -0,0 +1,313 @@
+/**
+ * Questionnaire Utility
+ *
+ * This file handles the pre-donation health questionnaire:
+ * - Validation of submitted answers against a questionnaire version
+ * - Deferrals triggered by answers, which feed the eligibility decision
+ * - Lookup of the cleared response that allows a blood donation to be recorded
+ */
+
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireResponse = require('../models/QuestionnaireResponse');
+const { BLOOD_DONATION_TYPES, MIN_DONOR_WEIGHT_KG, STANDARD_DEFERRALS } = require('./deferralCriteria');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a cleared response can be used to record a donation
+const QUESTIONNAIRE_VALID_HOURS = 72;
+
+// Version 1 of the standard form, created when no questionnaire exists yet
+const DEFAULT_QUESTIONNAIRE = {
+  code: 'pre_donation',
+  version: 1,
+  title: 'Pre-donation health questionnaire',
+  donationTypes: BLOOD_DONATION_TYPES,
+  questions: [
+    {
+      key: 'feeling_well',
+      text: 'Are you feeling well and healthy today?',
+      answerType: 'yes_no',
+      deferral: {
+        when: { operator: 'equals', value: false },
+        ...STANDARD_DEFERRALS.unwell
+      }
+    },
+    {
+      key: 'recent_infection',
+      text: 'Have you had a fever or an infection in the last 2 weeks?',
+      answerType: 'yes_no',
+      deferral: {
+        when: { operator: 'equals', value: true },
+        ...STANDARD_DEFERRALS.recentInfection
+      }
+    },
+    {
+      key: 'anticoagulants',
+      text: 'Are you taking blood thinners (anticoagulants)?',
+      answerType: 'yes_no',
+      deferral: {
+        when: { operator: 'equals', value: true },
+        ...STANDARD_DEFERRALS.anticoagulants
+      }
+    },
+    {
+      key: 'recent_tattoo',
+      text: 'Have you had a tattoo or piercing in the last 6 months?',
+      answerType: 'yes_no',
+      deferral: {
+        when: { operator: 'equals', value: true },
+        ...STANDARD_DEFERRALS.recentTattoo
+      }
+    },
+    {
+      key: 'recent_pregnancy',
+      text: 'Are you pregnant, or have you been pregnant in the last 6 months?',
+      answerType: 'yes_no',
+      deferral: {
+        when: { operator: 'equals', value: true },
+        ...STANDARD_DEFERRALS.recentPregnancy
+      }
+    },
+    {
+      key: 'weight_kg',
+      text: 'What is your current weight in kg?',
+      answerType: 'number',
+      deferral: {
+        when: { operator: 'lt', value: MIN_DONOR_WEIGHT_KG },
+        ...STANDARD_DEFERRALS.lowWeight
+      }
+    },
+    {
+      key: 'notes',
+      text: 'Anything else the donation team should know?',
+      answerType: 'text',
+      required: false
+    }
+  ]
+};
+
+/**
+ * Check whether an answer triggers a question's deferral
+ * @param {*} value - Submitted answer
+ * @param {Object} when - { operator, value }
+ * @returns {Boolean} - Whether the donor is deferred
+ */
+const matchesCondition = (value, when) => {
+  if (!when || !when.operator || value === undefined || value === null) {
+    return false;
+  }
+
+  switch (when.operator) {
+    case 'equals':
+      return value === when.value;
+    case 'lt':
+      return Number(value) < Number(when.value);
+    case 'gt':
+      return Number(value) > Number(when.value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validate answers against a questionnaire and convert them to their answer types
+ * @param {Object} questionnaire - Questionnaire version
+ * @param {Object} answers - Answers keyed by question key
+ * @returns {Object} - { errors, answers } with answers as [{ key, value }]
+ */
+const validateAnswers = (questionnaire, answers = {}) => {
+  const errors = [];
+  const parsed = [];
+
+  for (const question of questionnaire.questions) {
+    const raw = answers[question.key];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (question.required) {
+        errors.push(`An answer is required for: ${question.text}`);
+      }
+      continue;
+    }
+
+    let value = raw;
+    switch (question.answerType) {
+      case 'yes_no':
+        if (typeof raw !== 'boolean') {
+          errors.push(`Answer yes or no for: ${question.text}`);
+          continue;
+        }
+        break;
+      case 'number':
+        value = Number(raw);
+        if (!Number.isFinite(value)) {
+          errors.push(`Answer with a number for: ${question.text}`);
+          continue;
+        }
+        break;
+      case 'date':
+        value = new Date(raw);
+        if (isNaN(value.getTime())) {
+          errors.push(`Answer with a date for: ${question.text}`);
+          continue;
+        }
+        break;
+      case 'choice':
+        if (!question.options.includes(raw)) {
+          errors.push(`Choose one of the options for: ${question.text}`);
+          continue;
+        }
+        break;
+      default:
+        value = String(raw);
+    }
+
+    parsed.push({ key: question.key, value });
+  }
+
+  const known = new Set(questionnaire.questions.map(question => question.key));
+  Object.keys(answers).forEach(key => {
+    if (!known.has(key)) {
+      errors.push(`Unknown question: ${key}`);
+    }
+  });
+
+  return { errors, answers: parsed };
+};
+
+/**
+ * Work out the deferrals triggered by a set of answers
+ * @param {Object} questionnaire - Questionnaire version
+ * @param {Array} answers - Parsed answers from validateAnswers
+ * @param {Date} now - Submission time
+ * @returns {Array} - Deferrals to store on the response
+ */
+const evaluateAnswers = (questionnaire, answers, now = new Date()) => {
+  const values = new Map(answers.map(answer => [answer.key, answer.value]));
+
+  return questionnaire.questions
+    .filter(question => question.deferral && matchesCondition(values.get(question.key), question.deferral.when))
+    .map(question => ({
+      questionKey: question.key,
+      reason: question.deferral.reason,
+      deferralType: question.deferral.deferralType,
+      until: question.deferral.deferralType === 'temporary'
+        ? new Date(now.getTime() + (question.deferral.durationDays || 1) * DAY_MS)
+        : undefined,
+      donationTypes: questionnaire.donationTypes
+    }));
+};
+
+/**
+ * Get the active questionnaire for a donation type
+ * @param {String} donationType - Donation type
+ * @returns {Promise<Object|null>} - Latest active questionnaire version
+ */
+const getActiveQuestionnaire = async (donationType) => {
+  return Questionnaire.findOne({ isActive: true, donationTypes: donationType }).sort({ version: -1 });
+};
+
+/**
+ * Load the questionnaire deferrals still in force for a set of donors
+ * Dated deferrals count from every response; open-ended ones only from each
+ * donor's latest response, since a newer answer can lift them.
+ * @param {Array} donorIds - Donor IDs
+ * @param {Date} now - Current time
+ * @returns {Promise<Map>} - Deferrals keyed by donor ID
+ */
+const loadQuestionnaireDeferrals = async (donorIds, now = new Date()) => {
+  const byDonor = new Map();
+  if (donorIds.length === 0) {
+    return byDonor;
+  }
+
+  const [latest, dated] = await Promise.all([
+    QuestionnaireResponse.aggregate([
+      { $match: { donor: { $in: donorIds } } },
+      { $sort: { submittedAt: -1 } },
+      { $group: { _id: '$donor', deferrals: { $first: '$deferrals' } } }
+    ]),
+    QuestionnaireResponse.find({
+      donor: { $in: donorIds },
+      'deferrals.until': { $gt: now }
+    }).select('donor deferrals').lean()
+  ]);
+
+  const add = (donorId, deferrals) => {
+    const key = donorId.toString();
+    byDonor.set(key, [...(byDonor.get(key) || []), ...deferrals]);
+  };
+
+  latest.forEach(entry => add(entry._id, entry.deferrals.filter(deferral => !deferral.until)));
+  dated.forEach(response => add(response.donor, response.deferrals.filter(deferral => deferral.until > now)));
+
+  return byDonor;
+};
+
+/**
+ * Turn stored questionnaire deferrals into eligibility deferrals for a donation type
+ * @param {Array} deferrals - Deferrals from loadQuestionnaireDeferrals
+ * @param {String} donationType - Donation type
+ * @returns {Array} - [{ code, name, reason, deferralType, until }]
+ */
+const getQuestionnaireDeferrals = (deferrals = [], donationType) => {
+  return deferrals
+    .filter(deferral => !deferral.donationTypes || deferral.donationTypes.length === 0 ||
+      deferral.donationTypes.includes(donationType))
+    .map(deferral => ({
+      code: `questionnaire:${deferral.questionKey}`,
+      name: 'Pre-donation questionnaire',
+      reason: deferral.reason,
+      deferralType: deferral.deferralType,
+      until: deferral.until ? new Date(deferral.until) : null
+    }));
+};
+
+/**
+ * Find the cleared response that allows a donation to be recorded
+ * @param {String} donorId - Donor ID
+ * @param {String} donationType - Donation type
+ * @param {Date} donationDate - Date of the donation
+ * @param {String} responseId - Specific response to use (optional, latest otherwise)
+ * @returns {Promise<Object|null>} - Unused cleared response valid at the donation date
+ */
+const findClearingResponse = async (donorId, donationType, donationDate, responseId) => {
+  const filter = {
+    donor: donorId,
+    donationType,
+    outcome: 'cleared',
+    donation: { $exists: false },
+    submittedAt: { $lte: donationDate },
+    validUntil: { $gte: donationDate }
+  };
+  if (responseId) {
+    filter._id = responseId;
+  }
+
+  return QuestionnaireResponse.findOne(filter).sort({ submittedAt: -1 });
+};
+
+/**
+ * Create the default questionnaire if none exists yet
+ * @returns {Promise<Number>} - Number of questionnaires created
+ */
+const seedDefaultQuestionnaire = async () => {
+  const existing = await Questionnaire.estimatedDocumentCount();
+  if (existing > 0) {
+    return 0;
+  }
+
+  await Questionnaire.create(DEFAULT_QUESTIONNAIRE);
+  return 1;
+};
+
+module.exports = {
+  QUESTIONNAIRE_VALID_HOURS,
+  DEFAULT_QUESTIONNAIRE,
+  validateAnswers,
+  evaluateAnswers,
+  getActiveQuestionnaire,
+  loadQuestionnaireDeferrals,
+  getQuestionnaireDeferrals,
+  findClearingResponse,
+  seedDefaultQuestionnaire
+};
@@ -0,0 +1,159 @@
+/**
+ * Request Lifecycle Utility
+ *
+ * This file handles what happens around a request closing:
+ * - Withdrawing its open matches and stopping its offer cascade
+ * - Expiring requests whose requiredBy has passed without being fulfilled,
+ *   and notifying the requesting hospital
+ * - Flagging requests still in progress after requiredBy, which don't expire,
+ *   so the hospital and coordinators follow up on them
+ */
+
+const Request = require('../models/Request');
+const Match = require('../models/Match');
+const OfferCascade = require('../models/OfferCascade');
+const SocketManager = require('../websocket/socketManager');
+const { applyMatchTransition, getSourceStatuses, SYSTEM_ROLE } = require('./matchStateMachine');
+const { getRequestSourceStatuses } = require('./requestStateMachine');
+const { syncRequestFulfillment } = require('./fulfillment');
+const { statusChangePipeline } = require('../models/statusHistory');
+const { cancelCascade } = require('./offerCascade');
+const { notifyRequestStatusChange, notifyOverdueRequest } = require('./notifications');
+
+/**
+ * Withdraw every match on a request that hasn't been collected yet
+ * Call this after the request has been closed and saved.
+ * @param {Object} request - Request object
+ * @param {String} reason - Why the matches are withdrawn
+ * @returns {Promise<Number>} - Number of matches withdrawn
+ */
+const withdrawOpenMatches = async (request, reason) => {
+  // Stop the cascade first so it doesn't offer the request to the next donor
+  const cascade = await OfferCascade.findOne({ request: request._id, status: 'active' });
+  if (cascade) {
+    await cancelCascade(cascade, reason);
+  }
+
+  const matches = await Match.find({
+    request: request._id,
+    status: { $in: getSourceStatuses('withdrawn', SYSTEM_ROLE) }
+  });
+
+  for (const match of matches) {
+    await applyMatchTransition(match, 'withdrawn', { role: SYSTEM_ROLE, reason });
+    await match.save();
+
+    if (SocketManager.instance) {
+      SocketManager.instance.io.to(`match:${match._id}`).emit('match:updated', match);
+    }
+  }
+
+  if (matches.length > 0) {
+    await syncRequestFulfillment(request._id);
+  }
+
+  return matches.length;
+};
+
+/**
+ * Expire open requests whose requiredBy has passed
+ * Requests already in progress are left for the hospital to complete or cancel
+ * (see flagOverdueInProgressRequests).
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of requests expired
+ */
+const expireOverdueRequests = async (now = new Date()) => {
+  const sourceStatuses = getRequestSourceStatuses('expired', SYSTEM_ROLE);
+  const overdue = await Request.find({
+    status: { $in: sourceStatuses },
+    requiredBy: { $lte: now }
+  }).select('_id status');
+
+  let expired = 0;
+  for (const { _id, status: previousStatus } of overdue) {
+    try {
+      // Only one instance expires each request
+      const request = await Request.findOneAndUpdate(
+        { _id, status: { $in: sourceStatuses } },
+        statusChangePipeline('expired', { role: SYSTEM_ROLE, notes: 'Required by date passed' }, { closedAt: now }),
+        { new: true }
+      );
+      if (!request) {
+        continue;
+      }
+
+      await withdrawOpenMatches(request, 'Request expired before it was fulfilled');
+
+      if (SocketManager.instance) {
+        SocketManager.instance.broadcastRequestStatusChange(request, previousStatus);
+      }
+
+      try {
+        await notifyRequestStatusChange(request, previousStatus);
+      } catch (error) {
+        console.error('Error notifying hospital about expired request:', error);
+      }
+
+      expired++;
+    } catch (error) {
+      console.error(`Error expiring request ${_id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Flag requests still in progress after their requiredBy for staff follow-up
+ * Each request is flagged once per requiredBy date.
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of requests flagged
+ */
+const flagOverdueInProgressRequests = async (now = new Date()) => {
+  const overdue = await Request.find({
+    status: 'in_progress',
+    requiredBy: { $lte: now },
+    overdueFlaggedAt: null
+  }).select('_id');
+
+  let flagged = 0;
+  for (const { _id } of overdue) {
+    try {
+      // Only one instance flags each request
+      const request = await Request.findOneAndUpdate(
+        { _id, status: 'in_progress', overdueFlaggedAt: null },
+        { $set: { overdueFlaggedAt: now } },
+        { new: true }
+      );
+      if (!request) {
+        continue;
+      }
+
+      if (SocketManager.instance) {
+        SocketManager.instance.io.to(`request:${request._id}`).emit('request:overdue', {
+          requestId: request._id,
+          requiredBy: request.requiredBy,
+          flaggedAt: now
+        });
+      }
+
+      try {
+        await notifyOverdueRequest(request);
+      } catch (error) {
+        console.error('Error notifying about overdue request:', error);
+      }
+
+      flagged++;
+    } catch (error) {
+      console.error(`Error flagging overdue request ${_id}:`, error);
+    }
+  }
+
+  return flagged;
+};
+
+module.exports = {
+  withdrawOpenMatches,
+  expireOverdueRequests,
+  flagOverdueInProgressRequests
+};
@@ -0,0 +1,173 @@
+/**
+ * Request State Machine Utility
+ *
+ * This file holds the one table of allowed Request status transitions, shared by
+ * the request and match controllers, the fulfillment sync, offer cascades, the
+ * kidney exchange and the expiry sweep:
+ * - Which roles may perform each transition ('system' for automatic changes)
+ * - Which fields each transition requires, and where they are stored on the request
+ *
+ * pending, searching and matched follow the request's fulfillment automatically;
+ * in_progress, completed and cancelled are set by hospital staff; expired is set
+ * by the expiry sweep once requiredBy passes. in_progress requests never expire,
+ * since a donation may already be under way; the sweep flags them for staff to
+ * complete or cancel instead.
+ */
+
+const Request = require('../models/Request');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('./hospitalMembership');
+const { ROLES } = require('../middleware/roles');
+const { TransitionError, SYSTEM_ROLE } = require('./matchStateMachine');
+const { buildStatusEntry } = require('../models/statusHistory');
+
+const REQUEST_STATUSES = ['pending', 'searching', 'matched', 'in_progress', 'completed', 'cancelled', 'expired'];
+
+// Requests still being worked on
+const OPEN_REQUEST_STATUSES = ['pending', 'searching', 'matched', 'in_progress'];
+
+// Requests that can no longer change
+const CLOSED_REQUEST_STATUSES = ['completed', 'cancelled', 'expired'];
+
+const STAFF = [ROLES.HOSPITAL, ROLES.COORDINATOR, ROLES.ADMIN];
+
+const CANCEL = { roles: STAFF, requires: { reason: 'cancellationReason' } };
+const EXPIRE = { roles: [SYSTEM_ROLE] };
+
+// from status -> to status -> { roles, requires: { field: requestPath } }
+const REQUEST_TRANSITIONS = {
+  pending: {
+    searching: { roles: [...STAFF, SYSTEM_ROLE] },
+    matched: { roles: [SYSTEM_ROLE] },
+    cancelled: CANCEL,
+    expired: EXPIRE
+  },
+  searching: {
+    matched: { roles: [ROLES.COORDINATOR, ROLES.ADMIN, SYSTEM_ROLE] },
+    cancelled: CANCEL,
+    expired: EXPIRE
+  },
+  matched: {
+    // A confirmed donor fell through and units are uncovered again
+    searching: { roles: [...STAFF, SYSTEM_ROLE] },
+    in_progress: { roles: STAFF },
+    completed: { roles: STAFF },
+    cancelled: CANCEL,
+    expired: EXPIRE
+  },
+  in_progress: {
+    searching: { roles: [...STAFF, SYSTEM_ROLE] },
+    completed: { roles: STAFF },
+    cancelled: CANCEL
+  },
+  completed: {},
+  cancelled: {},
+  expired: {}
+};
+
+/**
+ * Work out which role a user acts in for a request
+ * Hospital staff only act on their own hospital's requests, and only with a staff role that manages requests.
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {Object} request - Request object
+ * @param {String|null} permission - Staff permission hospital users need (null lets any member through, e.g. to read history)
+ * @returns {Promise<String|null>} - Role to check transitions against, or null if the user may not change the request
+ */
+const getRequestActorRole = async (user, request, permission = HOSPITAL_PERMISSIONS.MANAGE_REQUESTS) => {
+  if ([ROLES.ADMIN, ROLES.COORDINATOR].includes(user.role)) {
+    return user.role;
+  }
+
+  if (user.role === ROLES.HOSPITAL) {
+    const hospital = await getUserHospital(user.id, permission);
+    return hospital && hospital._id.equals(request.hospital._id || request.hospital) ? ROLES.HOSPITAL : null;
+  }
+
+  return null;
+};
+
+/**
+ * Get the statuses a role can move a request from into a target status
+ * Used to guard bulk updates made outside a loaded document.
+ * @param {String} to - Target status
+ * @param {String} role - Acting role
+ * @returns {Array} - Source statuses
+ */
+const getRequestSourceStatuses = (to, role = SYSTEM_ROLE) => {
+  return Object.keys(REQUEST_TRANSITIONS).filter(from => {
+    const transition = REQUEST_TRANSITIONS[from][to];
+    return transition && transition.roles.includes(role);
+  });
+};
+
+/**
+ * Check a transition against the table, apply it to the request and record it in statusHistory
+ * The request is changed in memory only; the caller saves it.
+ * @param {Object} request - Request document
+ * @param {String} to - Target status
+ * @param {Object} options - { user, role, channel, notes, reason }
+ *   role overrides the role resolved from user (pass SYSTEM_ROLE for automatic changes);
+ *   channel is 'rest', 'socket' or 'system'
+ * @returns {Promise<Object>} - The request, with the new status and required fields set
+ * @throws {TransitionError} - If the role, status change or fields are not allowed
+ */
+const applyRequestTransition = async (request, to, options = {}) => {
+  const from = request.status;
+
+  if (!REQUEST_STATUSES.includes(to)) {
+    throw new TransitionError(`Unknown request status: ${to}`);
+  }
+
+  const role = options.role || (options.user ? await getRequestActorRole(options.user, request) : null);
+  if (!role) {
+    throw new TransitionError('Not authorized to update this request', 403);
+  }
+
+  if (from === to) {
+    throw new TransitionError(`Request is already ${from}`);
+  }
+
+  const transition = REQUEST_TRANSITIONS[from] && REQUEST_TRANSITIONS[from][to];
+  if (!transition) {
+    const allowed = Object.keys(REQUEST_TRANSITIONS[from] || {});
+    throw new TransitionError(allowed.length > 0
+      ? `Cannot change a request from ${from} to ${to}; allowed next statuses are ${allowed.join(', ')}`
+      : `Request is ${from} and can no longer change status`);
+  }
+
+  if (!transition.roles.includes(role)) {
+    throw new TransitionError(`The ${role} role cannot change a request from ${from} to ${to}`, 403);
+  }
+
+  for (const [field, path] of Object.entries(transition.requires || {})) {
+    if (!options[field]) {
+      throw new TransitionError(`Changing a request to ${to} requires a ${field}`);
+    }
+    request.set(path, options[field]);
+  }
+
+  request.status = to;
+  if (CLOSED_REQUEST_STATUSES.includes(to)) {
+    request.closedAt = new Date();
+  }
+
+  request.statusHistory.push(buildStatusEntry({
+    from,
+    to,
+    changedBy: options.user ? options.user.id : undefined,
+    role,
+    channel: options.channel,
+    notes: options.notes || options.reason
+  }));
+
+  return request;
+};
+
+module.exports = {
+  REQUEST_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  CLOSED_REQUEST_STATUSES,
+  REQUEST_TRANSITIONS,
+  getRequestActorRole,
+  getRequestSourceStatuses,
+  applyRequestTransition
+};
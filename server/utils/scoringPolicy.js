@@ -0,0 +1,156 @@
+/**
+ * Scoring Policy Utility
+ *
+ * This file holds the default weights used by the blood and organ scorers and
+ * resolves which versioned ScoringPolicy applies to a request:
+ * 1. Active policy for the request's hospital and organ type
+ * 2. Active policy for the request's hospital
+ * 3. Active system-wide policy for the organ type
+ * 4. Active system-wide policy for the request type
+ * 5. Built-in defaults (reported with no policy ID and the defaults version)
+ *
+ * The built-in defaults are versioned too. Changing them adds a version rather
+ * than editing one, and each stored policy records the defaults version its
+ * missing weights come from, so any match can be rescored with the weights it
+ * was scored with.
+ */
+
+const ScoringPolicy = require('../models/ScoringPolicy');
+
+// Default blood scorer weights (points unless noted)
+const DEFAULT_BLOOD_WEIGHTS = {
+  exactBloodType: 30,
+  compatibleBloodType: 15,
+  proximity: 30,
+  proximityKmPerPoint: 5, // km of distance that cost one proximity point
+  availability: 20,
+  nonSmoker: 5,
+  lowAlcohol: 5,
+  healthyBmi: 5,
+  donationRecency: 10,
+  donationRecencyDaysPerPoint: 30 // days since last donation that earn one point
+};
+
+// Default organ scorer weights (points unless noted)
+const DEFAULT_ORGAN_WEIGHTS = {
+  bloodTypeCompatibility: 25,
+  sizeMatch: 25,
+  viability: 20,
+  ageMatch: 15,
+  ageYearsPerPoint: 2, // years of age difference that cost one age point
+  tissueMatch: 0,
+  urgencyBoost: 0.15 // maximum fractional boost for the most urgent recipients
+};
+
+// Built-in weights by defaults version; the last one is current
+const DEFAULT_WEIGHT_VERSIONS = [
+  { blood: DEFAULT_BLOOD_WEIGHTS, organ: DEFAULT_ORGAN_WEIGHTS },
+  // 1: medical priority scores replace urgency for organ recipients that have one
+  {
+    blood: DEFAULT_BLOOD_WEIGHTS,
+    organ: {
+      ...DEFAULT_ORGAN_WEIGHTS,
+      priorityBoost: 0.3 // maximum fractional boost from a MELD/PELD, LAS or waiting-time score
+    }
+  }
+];
+
+const CURRENT_DEFAULTS_VERSION = DEFAULT_WEIGHT_VERSIONS.length - 1;
+
+// Organ-specific adjustments to the organ defaults
+const ORGAN_WEIGHT_OVERRIDES = {
+  kidney: { tissueMatch: 15 },
+  pancreas: { tissueMatch: 15 }
+};
+
+// Weights used as divisors must stay positive
+const RATE_WEIGHTS = ['proximityKmPerPoint', 'donationRecencyDaysPerPoint', 'ageYearsPerPoint'];
+
+/**
+ * Get the built-in weights for a request type and organ
+ * @param {String} requestType - 'blood' or 'organ'
+ * @param {String} organType - Organ type (organ requests only)
+ * @param {Number} version - Defaults version (current if omitted)
+ * @returns {Object} - Default weights
+ */
+const getDefaultWeights = (requestType, organType, version = CURRENT_DEFAULTS_VERSION) => {
+  const defaults = DEFAULT_WEIGHT_VERSIONS[version];
+  if (requestType === 'blood') {
+    return { ...defaults.blood };
+  }
+  return { ...defaults.organ, ...(ORGAN_WEIGHT_OVERRIDES[organType] || {}) };
+};
+
+/**
+ * Validate a set of weights against the known weights for a request type
+ * @param {String} requestType - 'blood' or 'organ'
+ * @param {Object} weights - Weights to validate
+ * @returns {Array} - Validation error messages (empty if valid)
+ */
+const validateWeights = (requestType, weights) => {
+  const errors = [];
+  const known = getDefaultWeights(requestType);
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['Weights must be an object'];
+  }
+
+  for (const [key, value] of Object.entries(weights)) {
+    if (!(key in known)) {
+      errors.push(`Unknown weight for ${requestType} scoring: ${key}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+    } else if (RATE_WEIGHTS.includes(key) && value === 0) {
+      errors.push(`${key} must be greater than 0`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Resolve the scoring policy that applies to a request
+ * @param {Object} request - Request object
+ * @returns {Promise<Object>} - { policy, version, name, weights }
+ */
+const resolveScoringPolicy = async (request) => {
+
+  const policies = await ScoringPolicy.find({
+    requestType: request.requestType,
+    isActive: true,
+    hospital: { $in: [request.hospital, null] },
+    organType: { $in: [request.requestType === 'organ' ? request.organType : null, null] }
+  });
+
+  // Prefer hospital-specific over system-wide, then organ-specific over generic
+  const specificity = policy => (policy.hospital ? 2 : 0) + (policy.organType ? 1 : 0);
+  const policy = policies.sort((a, b) => specificity(b) - specificity(a))[0];
+
+  if (!policy) {
+    return {
+      policy: null,
+      version: CURRENT_DEFAULTS_VERSION,
+      name: 'default',
+      weights: getDefaultWeights(request.requestType, request.organType)
+    };
+  }
+
+  const defaults = getDefaultWeights(request.requestType, request.organType, policy.defaultsVersion);
+  return {
+    policy: policy._id,
+    version: policy.version,
+    name: policy.name,
+    weights: { ...defaults, ...Object.fromEntries(policy.weights) }
+  };
+};
+
+module.exports = {
+  DEFAULT_BLOOD_WEIGHTS,
+  DEFAULT_ORGAN_WEIGHTS,
+  ORGAN_WEIGHT_OVERRIDES,
+  DEFAULT_WEIGHT_VERSIONS,
+  CURRENT_DEFAULTS_VERSION,
+  getDefaultWeights,
+  validateWeights,
+  resolveScoringPolicy
+};
@@ -0,0 +1,223 @@
+/**
+ * Sessions Utility
+ *
+ * This file issues and revokes login sessions:
+ * - Each login creates a Session holding the hash of a refresh token; access
+ *   tokens are short-lived JWTs that name their session, and are only accepted
+ *   while that session is active
+ * - Every refresh replaces the refresh token. Presenting one that was already
+ *   exchanged means it was copied, so the whole session is revoked
+ * - Revoking a session disconnects its sockets
+ *
+ * Lifetimes can be set with ACCESS_TOKEN_TTL (a jsonwebtoken duration, default 15m)
+ * and REFRESH_TOKEN_TTL_DAYS (default 30).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const SocketManager = require('../websocket/socketManager');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Error raised when a token can't be used, carrying the HTTP status to respond with
+ */
+class SessionError extends Error {
+  /**
+   * @param {String} message - Explanation for the caller
+   * @param {Number} status - HTTP status to respond with
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a refresh token for storage
+ * @param {String} secret - Secret part of the refresh token
+ * @returns {String} - Hex SHA-256 hash
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User object
+ * @param {String} sessionId - Session ID
+ * @returns {String} - JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    sid: sessionId.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Generate a refresh token for a session
+ * The session ID is part of the token so the session can be found without the secret.
+ * @param {String} sessionId - Session ID
+ * @returns {Object} - { refreshToken, hash }
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {Object} user - User object
+ * @param {Object} req - Express request, for the client's IP and user agent
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const { refreshToken, hash } = generateRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { token: signAccessToken(user, session._id), refreshToken, session };
+};
+
+/**
+ * Disconnect the live sockets of revoked sessions
+ * @param {Array} sessionIds - Session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+  if (!SocketManager.instance) {
+    return;
+  }
+  sessionIds.forEach(sessionId => SocketManager.instance.disconnectSession(sessionId));
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session ended
+ * @returns {Promise<Boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions([sessionId]);
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions ended
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions(sessionIds);
+  return sessionIds.length;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {String} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} - { token, refreshToken, session, user }
+ */
+const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw new SessionError('Refresh token is not valid');
+  }
+
+  const hash = hashToken(secret);
+  const now = new Date();
+  const next = generateRefreshToken(sessionId);
+
+  // Swap the token in one step so two refreshes with the same token can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: next.hash, lastUsedAt: now },
+      $push: { previousTokenHashes: hash }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('previousTokenHashes revokedAt');
+    if (existing && !existing.revokedAt && existing.previousTokenHashes.includes(hash)) {
+      await revokeSession(existing._id, 'token_reuse');
+      console.warn(`Refresh token reused for session ${existing._id}; session revoked`);
+    }
+    throw new SessionError('Refresh token is not valid or has expired');
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user) {
+    await revokeSession(session._id, 'user_removed');
+    throw new SessionError('User not found');
+  }
+
+  return { token: signAccessToken(user, session._id), refreshToken: next.refreshToken, session, user };
+};
+
+/**
+ * Verify an access token and check its session is still active
+ * @param {String} token - Access token
+ * @returns {Promise<Object>} - Decoded payload ({ user: { id, role }, sid })
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new SessionError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid');
+  }
+
+  // Tokens issued before sessions existed can't be revoked, so they're no longer accepted
+  if (!decoded.sid) {
+    throw new SessionError('Token is not valid');
+  }
+
+  const active = await Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (!active) {
+    throw new SessionError('Session has ended');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,217 @@
+/**
+ * Two-Factor Utility
+ *
+ * This file handles TOTP second factors:
+ * - Enrollment: a new secret is held as pending, shown as a provisioning QR code,
+ *   and only becomes active once the user proves they can generate codes from it
+ * - Verification: codes are accepted one step either side of now, and never twice
+ * - One-time recovery codes, stored as hashes and removed when used
+ * - Short-lived challenge tokens that carry a user between the password step of
+ *   login and the second-factor step (or enrollment, when it's required but missing)
+ *
+ * Secrets are encrypted with the field encryption keys (see fieldEncryption).
+ * TOTP_ISSUER sets the account name shown in authenticator apps.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+
+// Roles that must have a second factor before they can get a session
+const TWO_FACTOR_ROLES = ['hospital', 'coordinator', 'admin'];
+
+const ISSUER = process.env.TOTP_ISSUER || 'Blood Organ Donation';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '10m';
+
+// Challenge purposes: verify an enrolled factor, or enroll one
+const CHALLENGE_PURPOSES = {
+  VERIFY: 'two_factor',
+  SETUP: 'two_factor_setup'
+};
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * Check whether a user's role requires a second factor
+ * @param {Object} user - User object
+ * @returns {Boolean} - Whether two-factor authentication is required
+ */
+const isTwoFactorRequired = (user) => TWO_FACTOR_ROLES.includes(user.role);
+
+/**
+ * Sign a token letting a user continue to the second-factor or enrollment step
+ * @param {Object} user - User object
+ * @param {String} purpose - One of CHALLENGE_PURPOSES
+ * @returns {String} - JWT
+ */
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { challenge: { user: user.id, role: user.role, purpose } },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Verify a challenge token
+ * @param {String} token - Challenge token
+ * @param {String} purpose - Purpose the token must have been issued for
+ * @returns {Object|null} - { user, role } or null if invalid, expired or for another purpose
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const { challenge } = jwt.verify(token, process.env.JWT_SECRET);
+    return challenge && challenge.purpose === purpose ? { user: challenge.user, role: challenge.role } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start enrollment with a new pending secret
+ * Replaces any earlier pending secret; an active factor stays active until the new one is confirmed.
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+const startEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptValue(secret) } });
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Check a code against an encrypted secret and record its time step so it can't be replayed
+ * @param {String} userId - User ID
+ * @param {String} encryptedSecret - Stored secret
+ * @param {String} code - Six-digit code
+ * @returns {Promise<Boolean>} - Whether the code was accepted
+ */
+const checkCode = async (userId, encryptedSecret, code) => {
+  if (!encryptedSecret || !/^\d{6}$/.test(String(code))) {
+    return false;
+  }
+
+  const delta = authenticator.checkDelta(String(code), decryptValue(encryptedSecret));
+  if (delta === null) {
+    return false;
+  }
+
+  // Claim the step in one update so the same code can't be used twice
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code - Recovery code, with or without its dash
+ * @returns {String} - Hex SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes: shown to the user once, hashes: stored }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Confirm enrollment with a code from the pending secret and activate it
+ * @param {String} userId - User ID
+ * @param {String} code - Six-digit code
+ * @returns {Promise<Array|null>} - New recovery codes, or null if the code was wrong
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (!user || !(await checkCode(user._id, user.twoFactor && user.twoFactor.pendingSecret, code))) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+
+  return codes;
+};
+
+/**
+ * Verify a second factor: a TOTP code, or a recovery code which is then used up
+ * @param {String} userId - User ID
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Boolean>} - Whether the factor was accepted
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    return false;
+  }
+  return checkCode(user._id, user.twoFactor.secret, code);
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+/**
+ * Turn off a user's second factor
+ * @param {String} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  CHALLENGE_PURPOSES,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -7,6 +7,8 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { normalizeTyping } = require('./hla');
+const { PUBLIC_ROLES } = require('../middleware/roles');
 
 /**
  * Check if a string is a valid MongoDB ObjectId
@@ -64,7 +66,7 @@ const userValidationRules = (isUpdate = false) => {
     body('role')
       .if((value, { req }) => !isUpdate || value)
       .notEmpty().withMessage('Role is required')
-      .isIn(['donor', 'hospital', 'admin', 'coordinator']).withMessage('Invalid role')
+      .isIn(PUBLIC_ROLES).withMessage('Role must be donor or hospital')
   ];
   
   // Add password validation for new users only
@@ -191,6 +193,16 @@ const donorValidationRules = (isUpdate = false) => {
       .optional()
       .isIn(['male', 'female', 'other', 'prefer_not_to_say']).withMessage('Invalid gender value'),
     
+    // HLA typing validation (string notation or object keyed by locus)
+    body('hlaTyping')
+      .optional()
+      .custom((value) => {
+        if (!normalizeTyping(value)) {
+          throw new Error('HLA typing could not be parsed');
+        }
+        return true;
+      }),
+    
     // Availability validation
     body('isAvailable')
       .optional()
@@ -357,6 +369,106 @@ const hospitalValidationRules = (isUpdate = false) => {
   return rules;
 };
 
+/**
+ * Get validation rules for the clinical inputs behind organ priority scores
+ * (MELD/PELD for liver, LAS for lung, dialysis start for kidney)
+ * @returns {Array} - Array of validation rules
+ */
+const clinicalValidationRules = () => {
+  const isPediatric = (req) => req.body.recipientDetails && req.body.recipientDetails.age < 12;
+  
+  return [
+    body('recipientDetails.clinical')
+      .optional()
+      .isObject().withMessage('Clinical details must be an object'),
+    
+    // Liver (MELD-Na for age 12+, PELD under 12)
+    body('recipientDetails.clinical.liver')
+      .optional()
+      .custom((value, { req }) => {
+        if (req.body.organType && req.body.organType !== 'liver') {
+          throw new Error('Liver clinical details only apply to liver requests');
+        }
+        const required = isPediatric(req)
+          ? ['bilirubin', 'inr', 'albumin']
+          : ['bilirubin', 'inr', 'creatinine'];
+        const missing = required.filter(field => value[field] === undefined &&
+          !(field === 'creatinine' && value.dialysisTwiceInPastWeek === true));
+        if (missing.length > 0) {
+          throw new Error(`Missing liver lab values: ${missing.join(', ')}`);
+        }
+        return true;
+      }),
+    
+    body('recipientDetails.clinical.liver.bilirubin')
+      .optional()
+      .isFloat({ min: 0.1, max: 100 }).withMessage('Bilirubin must be between 0.1 and 100 mg/dL'),
+    
+    body('recipientDetails.clinical.liver.inr')
+      .optional()
+      .isFloat({ min: 0.5, max: 20 }).withMessage('INR must be between 0.5 and 20'),
+    
+    body('recipientDetails.clinical.liver.creatinine')
+      .optional()
+      .isFloat({ min: 0.1, max: 30 }).withMessage('Creatinine must be between 0.1 and 30 mg/dL'),
+    
+    body('recipientDetails.clinical.liver.sodium')
+      .optional()
+      .isFloat({ min: 100, max: 180 }).withMessage('Sodium must be between 100 and 180 mEq/L'),
+    
+    body('recipientDetails.clinical.liver.albumin')
+      .optional()
+      .isFloat({ min: 0.5, max: 10 }).withMessage('Albumin must be between 0.5 and 10 g/dL'),
+    
+    body('recipientDetails.clinical.liver.dialysisTwiceInPastWeek')
+      .optional()
+      .isBoolean().withMessage('Dialysis in past week must be a boolean'),
+    
+    body('recipientDetails.clinical.liver.growthFailure')
+      .optional()
+      .isBoolean().withMessage('Growth failure must be a boolean'),
+    
+    // Lung (LAS from expected survival in the next year)
+    body('recipientDetails.clinical.lung')
+      .optional()
+      .custom((value, { req }) => {
+        if (req.body.organType && req.body.organType !== 'lung') {
+          throw new Error('Lung clinical details only apply to lung requests');
+        }
+        if (value.waitlistSurvivalDays === undefined || value.posttransplantSurvivalDays === undefined) {
+          throw new Error('Waitlist and post-transplant survival days are both required');
+        }
+        return true;
+      }),
+    
+    body('recipientDetails.clinical.lung.waitlistSurvivalDays')
+      .optional()
+      .isFloat({ min: 0, max: 365 }).withMessage('Waitlist survival must be between 0 and 365 days'),
+    
+    body('recipientDetails.clinical.lung.posttransplantSurvivalDays')
+      .optional()
+      .isFloat({ min: 0, max: 365 }).withMessage('Post-transplant survival must be between 0 and 365 days'),
+    
+    body('recipientDetails.clinical.lung.diagnosisGroup')
+      .optional()
+      .isIn(['A', 'B', 'C', 'D']).withMessage('Diagnosis group must be A, B, C or D'),
+    
+    // Kidney (waiting time from dialysis start)
+    body('recipientDetails.clinical.kidney.dialysisStartDate')
+      .optional()
+      .isISO8601().withMessage('Dialysis start date must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.organType && req.body.organType !== 'kidney') {
+          throw new Error('Dialysis start date only applies to kidney requests');
+        }
+        if (new Date(value) > new Date()) {
+          throw new Error('Dialysis start date cannot be in the future');
+        }
+        return true;
+      })
+  ];
+};
+
 /**
  * Get common validation rules for request creation/update
  * @param {Boolean} isUpdate - Whether this is for an update operation
@@ -414,6 +526,16 @@ const requestValidationRules = (isUpdate = false) => {
       .optional()
       .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
     
+    body('recipientDetails.hlaType')
+      .optional()
+      .isString().withMessage('HLA type must be a string')
+      .custom((value) => {
+        if (!normalizeTyping(value)) {
+          throw new Error('HLA type could not be parsed');
+        }
+        return true;
+      }),
+    
     // Required by validation
     body('requiredBy')
       .if((value, { req }) => !isUpdate || value)
@@ -463,7 +585,17 @@ const requestValidationRules = (isUpdate = false) => {
     
     body('matchCriteria.additionalRequirements')
       .optional()
-      .isArray().withMessage('Additional requirements must be an array')
+      .isArray().withMessage('Additional requirements must be an array'),
+    
+    body('matchCriteria.transportMethods')
+      .optional()
+      .isArray().withMessage('Transport methods must be an array'),
+    
+    body('matchCriteria.transportMethods.*')
+      .optional()
+      .isIn(['ground', 'helicopter', 'airplane', 'drone']).withMessage('Invalid transport method'),
+    
+    ...clinicalValidationRules()
   ];
   
   return rules;
@@ -615,5 +747,6 @@ userValidationRules,
 donorValidationRules,
 hospitalValidationRules,
 requestValidationRules,
+clinicalValidationRules,
 matchValidationRules
 };
\ No newline at end of file
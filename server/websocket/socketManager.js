@@ -1,11 +1,15 @@
 // websocket/socketManager.js
 const socketIO = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Request = require('../models/Request');
 const Match = require('../models/Match');
-const Hospital = require('../models/Hospital');
 const Donor = require('../models/Donor');
+const { getCompatibleDonorTypes } = require('../utils/bloodCompatibility');
+const { handleMatchStatusChange } = require('../utils/fulfillment');
+const { applyMatchTransition, TransitionError } = require('../utils/matchStateMachine');
+const { recordAudit, isAuditQueueFull } = require('../utils/auditLog');
+const { isHospitalVerified } = require('../utils/hospitalVerification');
+const { HOSPITAL_PERMISSIONS, getUserHospital } = require('../utils/hospitalMembership');
 
 /**
  * Socket Manager for realtime communication
@@ -26,6 +30,24 @@ class SocketManager {
     
     // Initialize socket connection
     this.initialize();
+    
+    // Expose the running instance to utilities that notify users
+    SocketManager.instance = this;
+  }
+
+  /**
+   * Send a notification to a user's sockets
+   * @param {String} userId - User ID
+   * @param {Object} notification - Notification payload
+   * @returns {Boolean} - Whether a socket server was available to send it
+   */
+  static sendNotificationToUser(userId, notification) {
+    if (!SocketManager.instance) {
+      return false;
+    }
+    
+    SocketManager.instance.io.to(`user:${userId}`).emit('notification', notification);
+    return true;
   }
 
   /**
@@ -40,8 +62,9 @@ class SocketManager {
           return next(new Error('Authentication error: Token required'));
         }
 
-        // Verify JWT token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Verify the access token and its session (loaded here to avoid a require cycle)
+        const { verifyAccessToken } = require('../utils/sessions');
+        const decoded = await verifyAccessToken(token);
         
         // Get user information
         const user = await User.findById(decoded.user.id).select('-password');
@@ -49,8 +72,9 @@ class SocketManager {
           return next(new Error('Authentication error: User not found'));
         }
 
-        // Attach user to socket
+        // Attach user and session to socket
         socket.user = user;
+        socket.sessionId = decoded.sid;
         next();
       } catch (err) {
         console.error('Socket authentication error:', err);
@@ -82,6 +106,9 @@ class SocketManager {
     
     // Join user-specific room
     socket.join(`user:${userId}`);
+
+    // Join session room so the socket can be dropped when its session is revoked
+    socket.join(`session:${socket.sessionId}`);
     
     // Join additional rooms based on role
     this.joinRoleSpecificRooms(socket);
@@ -96,6 +123,39 @@ class SocketManager {
     });
   }
 
+  /**
+   * Disconnect every socket opened under a session
+   * @param {String} sessionId - Session ID
+   */
+  disconnectSession(sessionId) {
+    const room = `session:${sessionId}`;
+    this.io.to(room).emit('session:revoked', { sessionId: String(sessionId) });
+    this.io.in(room).disconnectSockets(true);
+  }
+
+  /**
+   * Add a user's open sockets to a hospital's room, or take them out when they leave its staff
+   * Leaving also drops the request and match rooms they subscribed to as staff.
+   * @param {String} userId - User ID
+   * @param {String} hospitalId - Hospital ID
+   * @param {Boolean} isMember - Whether the user now works for the hospital
+   */
+  async updateHospitalRoom(userId, hospitalId, isMember) {
+    const room = `hospital:${hospitalId}`;
+    if (isMember) {
+      this.io.in(`user:${userId}`).socketsJoin(room);
+      return;
+    }
+
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+    sockets.forEach(socket => {
+      socket.leave(room);
+      [...socket.rooms]
+        .filter(name => name.startsWith('request:') || name.startsWith('match:'))
+        .forEach(name => socket.leave(name));
+    });
+  }
+
   /**
    * Join additional rooms based on user role
    * @param {Object} socket - Socket.io socket
@@ -106,8 +166,8 @@ class SocketManager {
 
     try {
       if (userRole === 'hospital') {
-        // Join hospital-specific room
-        const hospital = await Hospital.findOne({ user: userId });
+        // Join the room of the hospital the user works for
+        const hospital = await getUserHospital(userId);
         if (hospital) {
           socket.join(`hospital:${hospital._id}`);
         }
@@ -144,29 +204,78 @@ class SocketManager {
    */
   setupEventListeners(socket) {
     const userRole = socket.user.role;
+    
+    // Register a handler whose events are written to the audit log
+    // (refused while the audit log is too far behind to take them)
+    const on = (event, handler) => socket.on(event, (data) => {
+      if (isAuditQueueFull()) {
+        socket.emit('error', { message: 'Audit log is behind; try again shortly' });
+        return;
+      }
+      this.auditEvent(socket, event, data);
+      handler(data);
+    });
 
     // Request-related events
-    socket.on('request:subscribe', (requestId) => this.handleRequestSubscribe(socket, requestId));
-    socket.on('request:unsubscribe', (requestId) => socket.leave(`request:${requestId}`));
+    on('request:subscribe', (requestId) => this.handleRequestSubscribe(socket, requestId));
+    on('request:unsubscribe', (requestId) => socket.leave(`request:${requestId}`));
     
     // Match-related events
-    socket.on('match:subscribe', (matchId) => this.handleMatchSubscribe(socket, matchId));
-    socket.on('match:unsubscribe', (matchId) => socket.leave(`match:${matchId}`));
-    socket.on('match:statusUpdate', (data) => this.handleMatchStatusUpdate(socket, data));
+    on('match:subscribe', (matchId) => this.handleMatchSubscribe(socket, matchId));
+    on('match:unsubscribe', (matchId) => socket.leave(`match:${matchId}`));
+    on('match:statusUpdate', (data) => this.handleMatchStatusUpdate(socket, data));
     
     // Tracking events
-    socket.on('tracking:update', (data) => this.handleTrackingUpdate(socket, data));
+    on('tracking:update', (data) => this.handleTrackingUpdate(socket, data));
     
-    // Chat events
-    socket.on('chat:message', (data) => this.handleChatMessage(socket, data));
+    // Chat events (typing indicators carry no data worth auditing)
+    on('chat:message', (data) => this.handleChatMessage(socket, data));
     socket.on('chat:typing', (data) => this.handleChatTyping(socket, data));
     
     // Role-specific events
     if (userRole === 'hospital') {
-      socket.on('hospital:capacity', (data) => this.handleHospitalCapacityUpdate(socket, data));
+      on('hospital:capacity', (data) => this.handleHospitalCapacityUpdate(socket, data));
     } else if (userRole === 'donor') {
-      socket.on('donor:availability', (data) => this.handleDonorAvailabilityUpdate(socket, data));
+      on('donor:availability', (data) => this.handleDonorAvailabilityUpdate(socket, data));
+    }
+  }
+
+  /**
+   * Write a socket event to the audit log
+   * @param {Object} socket - Socket.io socket
+   * @param {String} event - Event name
+   * @param {*} data - Event payload (an ID for subscribe events)
+   */
+  auditEvent(socket, event, data) {
+    // Resource types match the REST collections the events act on
+    const resourceTypes = {
+      request: 'requests',
+      match: 'matches',
+      tracking: 'matches',
+      chat: 'matches',
+      hospital: 'hospitals',
+      donor: 'donors'
+    };
+    
+    const resource = { type: resourceTypes[event.split(':')[0]] };
+    if (typeof data === 'string') {
+      resource.id = data;
+    } else if (data && data.matchId) {
+      resource.type = 'matches';
+      resource.id = String(data.matchId);
+    } else if (data && data.requestId) {
+      resource.type = 'requests';
+      resource.id = String(data.requestId);
     }
+    
+    recordAudit({
+      actor: { user: socket.user._id, role: socket.user.role },
+      action: event,
+      channel: 'socket',
+      resource,
+      ip: socket.handshake.address,
+      userAgent: socket.handshake.headers['user-agent']
+    });
   }
 
   /**
@@ -187,11 +296,15 @@ class SocketManager {
       
       // Check if user has permission to subscribe to this request
       if (userRole === 'hospital') {
-        const hospital = await Hospital.findOne({ user: userId });
+        const hospital = await getUserHospital(userId);
         if (!hospital || hospital._id.toString() !== request.hospital.toString()) {
           socket.emit('error', { message: 'Not authorized to subscribe to this request' });
           return;
         }
+        if (!isHospitalVerified(hospital)) {
+          socket.emit('error', { message: 'Hospital license verification is pending admin approval' });
+          return;
+        }
       } else if (userRole === 'donor') {
         // Donors can only subscribe to requests they are matched with
         const donor = await Donor.findOne({ user: userId });
@@ -203,7 +316,7 @@ class SocketManager {
         const isMatched = await Match.findOne({
           request: requestId,
           donor: donor._id,
-          status: { $nin: ['rejected', 'failed'] }
+          status: { $nin: ['rejected', 'expired', 'withdrawn', 'failed'] }
         });
         
         if (!isMatched) {
@@ -242,11 +355,15 @@ class SocketManager {
       
       // Check if user has permission to subscribe to this match
       if (userRole === 'hospital') {
-        const hospital = await Hospital.findOne({ user: userId });
+        const hospital = await getUserHospital(userId);
         if (!hospital || hospital._id.toString() !== match.request.hospital.toString()) {
           socket.emit('error', { message: 'Not authorized to subscribe to this match' });
           return;
         }
+        if (!isHospitalVerified(hospital)) {
+          socket.emit('error', { message: 'Hospital license verification is pending admin approval' });
+          return;
+        }
       } else if (userRole === 'donor') {
         const donor = await Donor.findOne({ user: userId });
         if (!donor || donor._id.toString() !== match.donor._id.toString()) {
@@ -271,7 +388,7 @@ class SocketManager {
    */
   async handleMatchStatusUpdate(socket, data) {
     try {
-      const { matchId, status, notes } = data;
+      const { matchId, status, notes, reason, departureTime, arrivalTime } = data;
       
       const match = await Match.findById(matchId);
       if (!match) {
@@ -279,14 +396,15 @@ class SocketManager {
         return;
       }
       
-      // Update match status
-      match.status = status;
-      if (status === 'confirmed') {
-        match.confirmedAt = new Date();
-      }
-      if (status === 'rejected' && notes) {
-        match.rejectionReason = notes;
-      }
+      // Same transition table and permission checks as PATCH /api/matches/:id/status
+      await applyMatchTransition(match, status, {
+        user: socket.user,
+        channel: 'socket',
+        notes,
+        reason: reason || notes,
+        departureTime,
+        arrivalTime
+      });
       
       await match.save();
       
@@ -323,48 +441,18 @@ class SocketManager {
         });
       }
       
-      // If match is confirmed or rejected, update all other matches for this request
-      if (['confirmed', 'rejected'].includes(status)) {
-        this.handleMatchStatusSideEffects(match, status);
-      }
+      // Recount the request's units, release other donors once it is fulfilled and move any cascade on
+      handleMatchStatusChange(match);
     } catch (err) {
+      if (err instanceof TransitionError) {
+        socket.emit('error', { message: err.message });
+        return;
+      }
       console.error('Error updating match status:', err);
       socket.emit('error', { message: 'Failed to update match status' });
     }
   }
 
-  /**
-   * Handle side effects of match status updates
-   * @param {Object} match - Match object
-   * @param {String} status - New status
-   */
-  async handleMatchStatusSideEffects(match, status) {
-    try {
-      if (status === 'confirmed') {
-        // Update request status
-        await Request.findByIdAndUpdate(match.request, { status: 'matched' });
-        
-        // Update other matches for this request to "rejected"
-        const otherMatches = await Match.find({
-          request: match.request,
-          _id: { $ne: match._id },
-          status: { $nin: ['rejected', 'failed'] }
-        });
-        
-        for (const otherMatch of otherMatches) {
-          otherMatch.status = 'rejected';
-          otherMatch.rejectionReason = 'Another match was confirmed';
-          await otherMatch.save();
-          
-          // Notify other donors
-          this.io.to(`match:${otherMatch._id}`).emit('match:updated', otherMatch);
-        }
-      }
-    } catch (err) {
-      console.error('Error handling match side effects:', err);
-    }
-  }
-
   /**
    * Handle tracking updates for donations in transit
    * @param {Object} socket - Socket.io socket
@@ -372,7 +460,7 @@ class SocketManager {
    */
   async handleTrackingUpdate(socket, data) {
     try {
-      const { matchId, location, status, estimatedArrival } = data;
+      const { matchId, location, status, estimatedArrival, departureTime, arrivalTime } = data;
       
       const match = await Match.findById(matchId);
       if (!match) {
@@ -404,8 +492,14 @@ class SocketManager {
       
       match.logistics.trackingInfo.lastUpdated = new Date();
       
-      if (status) {
-        match.status = status;
+      if (status && status !== match.status) {
+        await applyMatchTransition(match, status, {
+          user: socket.user,
+          channel: 'socket',
+          notes: 'Tracking update',
+          departureTime,
+          arrivalTime
+        });
       }
       
       if (estimatedArrival) {
@@ -423,6 +517,10 @@ class SocketManager {
         estimatedArrival: match.logistics.estimatedArrival
       });
     } catch (err) {
+      if (err instanceof TransitionError) {
+        socket.emit('error', { message: err.message });
+        return;
+      }
       console.error('Error updating tracking:', err);
       socket.emit('error', { message: 'Failed to update tracking information' });
     }
@@ -516,7 +614,7 @@ class SocketManager {
       const userId = socket.user.id;
       const { capacity } = data;
       
-      const hospital = await Hospital.findOne({ user: userId });
+      const hospital = await getUserHospital(userId, HOSPITAL_PERMISSIONS.UPDATE_CAPACITY);
       if (!hospital) {
         socket.emit('error', { message: 'Hospital profile not found' });
         return;
@@ -621,22 +719,10 @@ class SocketManager {
     try {
       // For blood requests
       if (request.requestType === 'blood') {
-        // Compatible blood types mapping
-        const compatibleTypes = {
-          'A+': ['A+', 'A-', 'O+', 'O-'],
-          'A-': ['A-', 'O-'],
-          'B+': ['B+', 'B-', 'O+', 'O-'],
-          'B-': ['B-', 'O-'],
-          'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-          'AB-': ['A-', 'B-', 'AB-', 'O-'],
-          'O+': ['O+', 'O-'],
-          'O-': ['O-']
-        };
-        
         const recipientType = request.bloodType;
-        if (recipientType && compatibleTypes[recipientType]) {
-          // Broadcast to compatible blood types
-          compatibleTypes[recipientType].forEach(bloodType => {
+        if (recipientType) {
+          // Broadcast to blood types compatible for the requested component
+          getCompatibleDonorTypes(recipientType, request.bloodComponent).forEach(bloodType => {
             this.io.to(`bloodType:${bloodType}`).emit('request:new', {
               type: 'blood',
               requestId: request._id,
@@ -725,20 +811,8 @@ class SocketManager {
       
       // Broadcast based on type
       if (type === 'blood') {
-        // Compatible blood types mapping (same as in broadcastNewRequest)
-        const compatibleTypes = {
-          'A+': ['A+', 'A-', 'O+', 'O-'],
-          'A-': ['A-', 'O-'],
-          'B+': ['B+', 'B-', 'O+', 'O-'],
-          'B-': ['B-', 'O-'],
-          'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-          'AB-': ['A-', 'B-', 'AB-', 'O-'],
-          'O+': ['O+', 'O-'],
-          'O-': ['O-']
-        };
-        
-        if (bloodType && compatibleTypes[bloodType]) {
-          compatibleTypes[bloodType].forEach(bType => {
+        if (bloodType) {
+          getCompatibleDonorTypes(bloodType, alert.bloodComponent).forEach(bType => {
             this.io.to(`bloodType:${bType}`).emit('alert:emergency', {
               type: 'blood',
               bloodType,
@@ -772,6 +846,77 @@ class SocketManager {
       console.error('Error broadcasting emergency alert:', err);
     }
   }
+
+  /**
+   * Broadcast a request escalation step
+   * @param {Object} request - Request object
+   * @param {Object} escalation - Escalation history entry
+   */
+  broadcastRequestEscalation(request, escalation) {
+    try {
+      const payload = {
+        requestId: request._id,
+        level: escalation.level,
+        fromRadiusKm: escalation.fromRadiusKm,
+        toRadiusKm: escalation.toRadiusKm,
+        relaxed: escalation.relaxed,
+        timestamp: new Date()
+      };
+      
+      this.io.to(`request:${request._id}`).to(`hospital:${request.hospital}`).emit('request:escalated', payload);
+      this.io.to('coordinator').to('admin').emit('request:escalated', payload);
+    } catch (err) {
+      console.error('Error broadcasting request escalation:', err);
+    }
+  }
+
+  /**
+   * Broadcast a request status change to the request's watchers
+   * @param {Object} request - Request object
+   * @param {String} previousStatus - Status before the change
+   */
+  broadcastRequestStatusChange(request, previousStatus) {
+    try {
+      const payload = {
+        requestId: request._id,
+        status: request.status,
+        previousStatus,
+        timestamp: new Date()
+      };
+      
+      this.io.to(`request:${request._id}`).to(`hospital:${request.hospital}`).emit('request:statusUpdated', payload);
+      this.io.to('coordinator').to('admin').emit('request:statusUpdated', payload);
+    } catch (err) {
+      console.error('Error broadcasting request status change:', err);
+    }
+  }
+
+  /**
+   * Broadcast an offer cascade step to the request's watchers
+   * @param {Object} cascade - OfferCascade object
+   * @param {Object} request - Request object
+   */
+  broadcastCascadeUpdate(cascade, request) {
+    try {
+      const payload = {
+        cascadeId: cascade._id,
+        requestId: request._id,
+        status: cascade.status,
+        currentMatch: cascade.currentMatch,
+        currentDeadline: cascade.currentDeadline,
+        offered: cascade.steps.filter(step => step.outcome !== 'skipped').length,
+        remaining: cascade.candidates.length - cascade.nextIndex,
+        lastStep: cascade.steps[cascade.steps.length - 1],
+        endReason: cascade.endReason,
+        timestamp: new Date()
+      };
+      
+      this.io.to(`request:${request._id}`).to(`hospital:${request.hospital}`).emit('cascade:updated', payload);
+      this.io.to('coordinator').to('admin').emit('cascade:updated', payload);
+    } catch (err) {
+      console.error('Error broadcasting cascade update:', err);
+    }
+  }
 }
 
 module.exports = SocketManager;
\ No newline at end of file